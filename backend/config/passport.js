@@ -9,18 +9,24 @@
  * @requires passport
  * @requires passport-google-oauth20
  * @requires ../models
+ * @requires ../services/signInMethods
  */
 
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { User } = require('../models');
+const { isLinkState, getReauthAction } = require('../services/signInMethods');
 
 /**
  * Configure Google OAuth Strategy
  * 
  * This strategy authenticates users using their Google account.
- * Upon successful authentication, it either finds an existing user
- * or creates a new user in the database.
+ * Upon successful authentication, it either finds the user the Google
+ * account is connected to or creates a new user in the database. An
+ * existing account with the same email is not taken over: its owner has to
+ * log in and connect Google from their profile. For link requests and
+ * identity confirmations the strategy only passes the Google profile on to
+ * the callback route, and never creates an account.
  * 
  * @param {string} GOOGLE_CLIENT_ID - Google OAuth client ID from .env
  * @param {string} GOOGLE_CLIENT_SECRET - Google OAuth client secret from .env
@@ -40,14 +46,29 @@ passport.use(
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       callbackURL: CALLBACK_URL,
       scope: ['profile', 'email'],
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
       try {
+        // Connecting Google to a signed-in account, or confirming who the user
+        // is; the callback route handles both
+        if (isLinkState(req.query.state) || getReauthAction(req.query.state) !== null) {
+          return done(null, { googleProfile: profile });
+        }
+
         // Check if user already exists in database
         let user = await User.findOne({ where: { googleId: profile.id } });
 
         if (user) {
-          // User exists, return the user
+          // Google has verified the address, including for accounts created
+          // before email verification existed
+          if (!user.emailVerified) {
+            await user.update({
+              emailVerified: true,
+              emailVerificationToken: null,
+              emailVerificationExpires: null,
+            });
+          }
           return done(null, user);
         }
 
@@ -60,14 +81,15 @@ passport.use(
           return done(new Error('Email not provided by Google'), null);
         }
 
-        // Check if user with this email already exists (registered via email/password)
-        user = await User.findOne({ where: { email } });
+        // An account with this email already exists (registered via email/password);
+        // only its owner can connect Google to it
+        user = await User.findOne({ where: { email: email.toLowerCase() } });
 
         if (user) {
-          // Link Google account to existing user
-          user.googleId = profile.id;
-          await user.save();
-          return done(null, user);
+          return done(null, false, {
+            code: 'ACCOUNT_EXISTS',
+            message: 'An account with this email already exists. Log in with your password or an email link, then connect Google from your profile.',
+          });
         }
 
         // Create new user with Google account
@@ -75,6 +97,7 @@ passport.use(
         user = await User.create({
           googleId: profile.id,
           email,
+          emailVerified: true,
           name,
           dob: new Date('2000-01-01'), // Default value, user should update
           gender: 'other', // Default value, user should update
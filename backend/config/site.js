@@ -0,0 +1,36 @@
+/**
+ * Site Configuration
+ * 
+ * Public name and base URLs of the site, used wherever the backend renders
+ * links to the frontend (syndication feeds, sitemap, pre-rendered pages).
+ * 
+ * @module config/site
+ */
+
+/**
+ * Site name used in feed titles and page metadata
+ * @type {string}
+ */
+const SITE_NAME = process.env.SITE_NAME || 'BlogAI';
+
+/**
+ * Get Base URLs
+ * Returns the public frontend URL (where posts live) and the backend URL
+ * (where feeds and pre-rendered pages live), without trailing slashes
+ * 
+ * @function getBaseUrls
+ * @param {Object} [req] - Express request object (fallback for the backend URL;
+ *   background jobs without a request fall back to localhost)
+ * @returns {Object} { siteUrl: string, apiUrl: string }
+ */
+const getBaseUrls = (req) => ({
+  siteUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  apiUrl: (process.env.BACKEND_URL || (req
+    ? `${req.protocol}://${req.get('host')}`
+    : `http://localhost:${process.env.PORT || 5000}`)).replace(/\/$/, ''),
+});
+
+module.exports = {
+  SITE_NAME,
+  getBaseUrls
+};
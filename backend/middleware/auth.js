@@ -8,10 +8,12 @@
  * @module middleware/auth
  * @requires jsonwebtoken
  * @requires ../models/User
+ * @requires ../services/sessionService
  */
 
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { isSessionActive } = require('../services/sessionService');
 
 /**
  * JWT Authentication Middleware
@@ -27,7 +29,9 @@ const { User } = require('../models');
  * 
  * @throws {401} If no token is provided
  * @throws {401} If token is invalid or expired
+ * @throws {401} If the token has no session or its session has been revoked
  * @throws {404} If user not found in database
+ * @throws {401} If the account is scheduled for deletion
  * @throws {500} If server error occurs during verification
  * 
  * @example
@@ -96,14 +100,24 @@ const auth = async (req, res, next) => {
       throw jwtError; // Re-throw other errors
     }
 
-    // Validate decoded payload
-    if (!decoded.id) {
+    // Validate decoded payload; tokens issued for a purpose (e.g. download
+    // links or re-authentication) are not access tokens
+    if (!decoded.id || decoded.purpose) {
       return res.status(401).json({ 
         message: 'Invalid token payload',
         error: 'INVALID_PAYLOAD'
       });
     }
 
+    // Access tokens stop working as soon as their session is revoked; tokens
+    // without a session can't be revoked, so they are not accepted at all
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ 
+        message: 'Your session has ended. Please log in again.',
+        error: 'SESSION_REVOKED'
+      });
+    }
+
     // Find user in database and exclude password
     const user = await User.findByPk(decoded.id, {
       attributes: { exclude: ['password'] }
@@ -116,8 +130,17 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object for use in route handlers
+    // Logging in again cancels a scheduled deletion; old tokens stop working
+    if (user.isPendingDeletion()) {
+      return res.status(401).json({ 
+        message: 'This account is scheduled for deletion. Log in again to cancel the deletion.',
+        error: 'ACCOUNT_PENDING_DELETION'
+      });
+    }
+
+    // Attach user and session to request object for use in route handlers
     req.user = user;
+    req.sessionId = decoded.sid;
     
     // Proceed to next middleware or route handler
     next();
@@ -130,4 +153,75 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional JWT Authentication Middleware
+ * 
+ * Attaches the authenticated user to the request when a valid token is
+ * provided, but never rejects the request. Used on public routes that
+ * show extra data to the owner (e.g. drafts).
+ * 
+ * @middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+
+    if (!authHeader || !authHeader.startsWith('Bearer ') || !process.env.JWT_SECRET) {
+      return next();
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.id && !decoded.purpose && decoded.sid &&
+        await isSessionActive(decoded.sid, decoded.id)) {
+      const user = await User.findByPk(decoded.id, {
+        attributes: { exclude: ['password'] }
+      });
+      if (user && !user.isPendingDeletion()) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous requests
+  }
+
+  next();
+};
+
+/**
+ * Verified Email Middleware
+ * 
+ * Limits accounts that have not verified their email address yet: they can
+ * read and write drafts, but not publish or use the AI routes. Must run
+ * after the auth middleware.
+ * 
+ * @middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * 
+ * @throws {403} If the user has not verified their email address
+ * 
+ * @example
+ * router.post('/:id/publish', auth, requireVerifiedEmail, handler);
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({ 
+      message: 'Please verify your email address first. Check your inbox or request a new link from your profile.',
+      error: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 module.exports = auth;
+module.exports.optionalAuth = optionalAuth;
+module.exports.requireVerifiedEmail = requireVerifiedEmail;
@@ -0,0 +1,247 @@
+/**
+ * Rate Limiting Middleware
+ * 
+ * Throttles the routes that are worth attacking: login (per IP and per
+ * account), password reset and sign-in links, two-factor code checks, and
+ * the AI endpoints and AI auto-tagging of saved posts (per user quota).
+ * Responses carry the standard RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset headers; blocked requests get 429 with Retry-After.
+ * 
+ * Counters live in memory, so they reset on restart and each server
+ * instance counts separately. Account lockouts (services/accountLockout)
+ * are stored in Postgres and apply across instances.
+ * 
+ * Set TRUST_PROXY behind a reverse proxy, or every client shares the
+ * proxy's IP address.
+ * 
+ * @module middleware/rateLimit
+ * @requires express-rate-limit
+ */
+
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+/**
+ * Limits read from the environment, with defaults
+ * 
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} Configured value
+ * @private
+ */
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+/**
+ * Describe a wait in words
+ * 
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "30 seconds" or "12 minutes"
+ * @private
+ */
+const describeWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Send a 429 response with a Retry-After header
+ * Used by the limiters below and for locked accounts.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} options - Response details
+ * @param {string} options.message - What was limited, e.g. "Too many login attempts."
+ * @param {string} options.error - Error code for clients
+ * @param {number} options.retryAfter - Seconds until the client may retry
+ * @returns {Object} Express response
+ */
+const sendTooManyRequests = (res, { message, error, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `${message} Please try again in ${describeWait(retryAfter)}.`,
+    error,
+    retryAfter,
+  });
+};
+
+/**
+ * Create a limiter with the app's headers and 429 response
+ * 
+ * @param {Object} options - Limiter settings
+ * @param {number} options.windowMs - Counting window (ms)
+ * @param {number} options.limit - Requests allowed per window
+ * @param {string} options.message - Shown to the user when blocked
+ * @param {string} [options.error='RATE_LIMITED'] - Error code
+ * @param {Function} [options.keyGenerator] - Key to count by (default: client IP)
+ * @param {Function} [options.skip] - Return true to not count a request
+ * @param {boolean} [options.skipSuccessfulRequests=false] - Only count failed requests
+ * @returns {Function} Express middleware; requests with req.rateLimitOptional set are
+ *   let through over the limit with req.rateLimitExceeded set instead of getting a 429
+ * @private
+ */
+const createLimiter = ({ windowMs, limit, message, error = 'RATE_LIMITED', ...options }) => rateLimit({
+  windowMs,
+  limit,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  ...options,
+  handler: (req, res, next) => {
+    if (req.rateLimitOptional) {
+      req.rateLimitExceeded = true;
+      return next();
+    }
+    const resetTime = req.rateLimit.resetTime ? req.rateLimit.resetTime.getTime() : Date.now() + windowMs;
+    sendTooManyRequests(res, {
+      message,
+      error,
+      retryAfter: Math.max(1, Math.ceil((resetTime - Date.now()) / 1000)),
+    });
+  },
+});
+
+/**
+ * Email in the request body, normalized the way accounts are looked up
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string} Lowercased email, or an empty string
+ * @private
+ */
+const getBodyEmail = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+};
+
+const LOGIN_WINDOW = envInt('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15) * 60 * 1000;
+
+/**
+ * Failed logins per IP address
+ * Covers the password and 2FA code steps and sign-in links.
+ */
+const loginIpLimiter = createLimiter({
+  windowMs: LOGIN_WINDOW,
+  limit: envInt('LOGIN_RATE_LIMIT_PER_IP', 20),
+  message: 'Too many login attempts from this network.',
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Login attempts per account, from any IP address
+ */
+const loginAccountLimiter = createLimiter({
+  windowMs: LOGIN_WINDOW,
+  limit: envInt('LOGIN_RATE_LIMIT_PER_ACCOUNT', 10),
+  message: 'Too many login attempts for this account.',
+  keyGenerator: (req) => `login:${getBodyEmail(req)}`,
+  skip: (req) => !getBodyEmail(req),
+});
+
+const PASSWORD_RESET_WINDOW = 60 * 60 * 1000;
+
+/**
+ * Password reset emails per IP address
+ */
+const forgotPasswordIpLimiter = createLimiter({
+  windowMs: PASSWORD_RESET_WINDOW,
+  limit: envInt('PASSWORD_RESET_RATE_LIMIT_PER_IP', 10),
+  message: 'Too many password reset requests.',
+});
+
+/**
+ * Password reset emails per account, so nobody's inbox can be flooded
+ */
+const forgotPasswordAccountLimiter = createLimiter({
+  windowMs: PASSWORD_RESET_WINDOW,
+  limit: envInt('PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT', 3),
+  message: 'Too many password reset emails for this address.',
+  keyGenerator: (req) => `forgot-password:${getBodyEmail(req)}`,
+  skip: (req) => !getBodyEmail(req),
+});
+
+/**
+ * Sign-in link emails per IP address
+ */
+const magicLinkIpLimiter = createLimiter({
+  windowMs: PASSWORD_RESET_WINDOW,
+  limit: envInt('MAGIC_LINK_RATE_LIMIT_PER_IP', 10),
+  message: 'Too many sign-in link requests.',
+});
+
+/**
+ * Sign-in link emails per account
+ */
+const magicLinkAccountLimiter = createLimiter({
+  windowMs: PASSWORD_RESET_WINDOW,
+  limit: envInt('MAGIC_LINK_RATE_LIMIT_PER_ACCOUNT', 5),
+  message: 'Too many sign-in links for this address.',
+  keyGenerator: (req) => `magic-link:${getBodyEmail(req)}`,
+  skip: (req) => !getBodyEmail(req),
+});
+
+/**
+ * Attempts to use a reset token per IP address
+ * The request only carries the token, so there is no account to count by;
+ * tokens are random and expire after an hour.
+ */
+const resetPasswordLimiter = createLimiter({
+  windowMs: PASSWORD_RESET_WINDOW,
+  limit: envInt('PASSWORD_RESET_RATE_LIMIT_PER_IP', 10),
+  message: 'Too many password reset attempts.',
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Failed two-factor code checks per user (enabling, disabling and new
+ * recovery codes), so a stolen session can't guess the code
+ * Mount after the auth middleware.
+ */
+const twoFactorLimiter = createLimiter({
+  windowMs: LOGIN_WINDOW,
+  limit: envInt('TWO_FACTOR_RATE_LIMIT_PER_USER', 10),
+  message: 'Too many two-factor code attempts.',
+  keyGenerator: (req) => (req.user ? `2fa:${req.user.id}` : ipKeyGenerator(req.ip)),
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * AI requests per user
+ * Mount after the auth middleware; falls back to the IP address otherwise.
+ * Status checks are not counted.
+ */
+const aiQuota = createLimiter({
+  windowMs: 60 * 60 * 1000,
+  limit: envInt('AI_REQUESTS_PER_HOUR', 50),
+  message: "You've reached your hourly limit for AI features.",
+  error: 'AI_QUOTA_EXCEEDED',
+  keyGenerator: (req) => (req.user ? `ai:${req.user.id}` : ipKeyGenerator(req.ip)),
+  skip: (req) => req.method === 'GET',
+});
+
+/**
+ * Count one AI request inside a route that can do without AI, such as
+ * auto-tagging a saved post
+ * Uses the same hourly quota as the AI endpoints, but never sends a 429:
+ * over the limit the route should carry on without AI.
+ * 
+ * @param {Object} req - Express request object (after the auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if the request is within the quota
+ */
+const consumeAiQuota = (req, res) => new Promise((resolve, reject) => {
+  req.rateLimitOptional = true;
+  aiQuota(req, res, (err) => {
+    req.rateLimitOptional = false;
+    if (err) return reject(err);
+    resolve(!req.rateLimitExceeded);
+  });
+});
+
+module.exports = {
+  sendTooManyRequests,
+  loginLimiter: [loginIpLimiter, loginAccountLimiter],
+  loginIpLimiter,
+  forgotPasswordLimiter: [forgotPasswordIpLimiter, forgotPasswordAccountLimiter],
+  magicLinkLimiter: [magicLinkIpLimiter, magicLinkAccountLimiter],
+  resetPasswordLimiter,
+  twoFactorLimiter,
+  aiQuota,
+  consumeAiQuota,
+};
@@ -0,0 +1,167 @@
+/**
+ * Account Export Model
+ * 
+ * This module defines the AccountExport schema and model.
+ * An account export is a zip archive of everything a user has on the site
+ * (profile, posts, comments, bookmarks and uploaded media). Archives are
+ * built in the background by the account export service, kept for a
+ * limited time and then deleted.
+ * 
+ * @module models/AccountExport
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Account export lifecycle states
+ * - pending: queued, not started yet
+ * - running: the archive is being built
+ * - completed: the archive can be downloaded until `expiresAt`
+ * - failed: the archive could not be built (see `error`)
+ * - expired: the archive was deleted after `expiresAt`
+ * @type {string[]}
+ */
+const EXPORT_STATUSES = ['pending', 'running', 'completed', 'failed', 'expired'];
+
+/**
+ * AccountExport Model Class
+ * 
+ * Defines the structure of account export records in PostgreSQL.
+ */
+class AccountExport extends Model {
+  /**
+   * Instance method to check if the archive is being built
+   * 
+   * @returns {boolean} True if the export is pending or running
+   */
+  isActive() {
+    return this.status === 'pending' || this.status === 'running';
+  }
+
+  /**
+   * Instance method to check if the archive can be downloaded
+   * 
+   * @returns {boolean} True if the export completed and has not expired
+   */
+  isDownloadable() {
+    return this.status === 'completed' && !!this.expiresAt && this.expiresAt > new Date();
+  }
+}
+
+/**
+ * Initialize AccountExport Model
+ * 
+ * Defines the AccountExport schema with all fields
+ * 
+ * @returns {typeof AccountExport} AccountExport model class
+ */
+const initAccountExportModel = () => {
+  const sequelize = getSequelize();
+
+  AccountExport.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      status: {
+        type: DataTypes.ENUM(...EXPORT_STATUSES),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      // Archive file name inside the private export directory
+      fileName: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'file_name',
+      },
+      // Archive size in bytes
+      size: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      // { posts, comments, bookmarks, media }
+      counts: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      // Why the archive could not be built
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'started_at',
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at',
+      },
+      // When the archive is deleted and its download link stops working
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'expires_at',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AccountExport',
+      tableName: 'account_exports',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['user_id', 'createdAt'],
+        },
+        {
+          fields: ['status', 'expires_at'],
+        },
+      ],
+    }
+  );
+
+  return AccountExport;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between AccountExport and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateAccountExport = (models) => {
+  const { User } = models;
+
+  // An export belongs to the user whose data it contains
+  AccountExport.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+module.exports = {
+  AccountExport,
+  initAccountExportModel,
+  associateAccountExport,
+  EXPORT_STATUSES,
+};
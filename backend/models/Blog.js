@@ -7,10 +7,72 @@
  * 
  * @module models/Blog
  * @requires sequelize
+ * @requires ../services/htmlSanitizer
  */
 
-const { DataTypes, Model } = require('sequelize');
+const { DataTypes, Model, Op } = require('sequelize');
 const { getSequelize } = require('../config/db');
+const { sanitizeContent } = require('../services/htmlSanitizer');
+
+/**
+ * Blog post lifecycle states
+ * - draft: only visible to the author
+ * - scheduled: waiting to be published automatically at `publishAt`
+ * - published: publicly listed
+ * - archived: hidden from public listings but kept for the author
+ * @type {string[]}
+ */
+const BLOG_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+/**
+ * Columns that public listings can be sorted by
+ * @type {string[]}
+ */
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'publishedAt', 'title', 'likesCount'];
+
+/**
+ * Options passed to ts_headline for search snippets
+ * @type {string}
+ */
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Maximum length of the readable part of a slug
+ * @type {number}
+ */
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Convert text to a URL-friendly slug
+ * Strips accents and HTML, lowercases, and joins words with dashes,
+ * cutting at a word boundary when the text is too long.
+ * 
+ * @param {string} text - Text to convert (e.g. a title)
+ * @returns {string} Slug, or an empty string if nothing usable remains
+ * 
+ * @example
+ * slugify('Hello, Wörld! 10 Tips'); // 'hello-world-10-tips'
+ */
+const slugify = (text = '') => {
+  let slug = String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&[a-z]+;/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length > MAX_SLUG_LENGTH) {
+    slug = slug.substring(0, MAX_SLUG_LENGTH);
+    const lastDash = slug.lastIndexOf('-');
+    if (lastDash > MAX_SLUG_LENGTH / 2) {
+      slug = slug.substring(0, lastDash);
+    }
+  }
+
+  return slug;
+};
 
 /**
  * Blog Model Class
@@ -32,18 +94,136 @@ class Blog extends Model {
     return this.content.substring(0, length) + '...';
   }
 
+  /**
+   * Instance method to check if the blog is publicly visible
+   * 
+   * @returns {boolean} True if the blog is published
+   */
+  isPublished() {
+    return this.status === 'published';
+  }
+
+  /**
+   * Instance method to check if a user may view this blog
+   * Published blogs are visible to everyone, other states only to the author
+   * 
+   * @param {Object|null} user - Authenticated user (optional)
+   * @returns {boolean} True if the user can view the blog
+   */
+  isVisibleTo(user) {
+    if (this.isPublished()) {
+      return true;
+    }
+    return !!user && String(user.id) === String(this.authorId);
+  }
+
+  /**
+   * Static method to find a blog by its current or a previous slug
+   * 
+   * @param {string} slug - Slug to look up
+   * @param {Object} options - Extra findOne options (e.g. include)
+   * @returns {Promise<{blog: Blog|null, redirected: boolean}>} The blog and whether
+   *   the slug is an old one that should redirect to the current slug
+   */
+  static async findBySlug(slug, options = {}) {
+    const current = await this.findOne({ ...options, where: { slug } });
+    if (current) {
+      return { blog: current, redirected: false };
+    }
+
+    const renamed = await this.findOne({
+      ...options,
+      where: { previousSlugs: { [Op.contains]: [slug] } },
+    });
+    return { blog: renamed, redirected: !!renamed };
+  }
+
+  /**
+   * Static method to generate a unique slug
+   * Appends -2, -3, ... when the base slug is already taken by another
+   * post (as its current or a previous slug), and falls back to a random
+   * suffix if many numbered variants exist.
+   * 
+   * @param {string} source - Text to build the slug from
+   * @param {string} [excludeId] - Blog ID to ignore (the post being saved)
+   * @returns {Promise<string>} Unique slug
+   */
+  static async generateUniqueSlug(source, excludeId = null) {
+    const base = slugify(source) || 'post';
+
+    const isTaken = async (candidate) => {
+      const where = {
+        [Op.or]: [
+          { slug: candidate },
+          { previousSlugs: { [Op.contains]: [candidate] } },
+        ],
+      };
+      if (excludeId) {
+        where.id = { [Op.ne]: excludeId };
+      }
+      return (await this.unscoped().count({ where })) > 0;
+    };
+
+    for (let i = 1; i <= 20; i++) {
+      const candidate = i === 1 ? base : `${base}-${i}`;
+      if (!(await isTaken(candidate))) {
+        return candidate;
+      }
+    }
+
+    return `${base}-${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  /**
+   * Static method to assign slugs to posts created before slugs existed
+   * 
+   * @returns {Promise<number>} Number of posts updated
+   */
+  static async backfillSlugs() {
+    const blogs = await this.findAll({ where: { slug: null } });
+    for (const blog of blogs) {
+      // The beforeSave hook generates the slug
+      await blog.save({ fields: ['slug'] });
+    }
+    return blogs.length;
+  }
+
+  /**
+   * Static method to stamp a publication time on posts published before
+   * publishedAt existed, using their creation time
+   * 
+   * @returns {Promise<number>} Number of posts updated
+   */
+  static async backfillPublishedAt() {
+    const [count] = await this.update(
+      { publishedAt: this.sequelize.col('createdAt') },
+      { where: { status: 'published', publishedAt: null }, silent: true }
+    );
+    return count;
+  }
+
   /**
    * Static method to get recent blogs
-   * Retrieves the most recent blog posts with author details
+   * Retrieves the most recent published blog posts with author details
    * 
    * @param {number} limit - Maximum number of blogs to return (default: 10)
+   * @param {Object} [filters] - Optional filters (used by the syndication feeds)
+   * @param {string} [filters.authorId] - Only posts by this author
+   * @param {string} [filters.category] - Only posts in this category (case-insensitive)
+   * @param {string} [filters.tag] - Only posts with this tag
    * @returns {Promise<Array>} Array of blog documents with populated author
    */
-  static async getRecentBlogs(limit = 10) {
+  static async getRecentBlogs(limit = 10, { authorId, category, tag } = {}) {
     const { User } = require('./User');
+    const where = { status: 'published' };
+    if (authorId) where.authorId = authorId;
+    if (category) where.category = { [Op.iLike]: category.replace(/[\\%_]/g, '\\$&') };
+    if (tag) where.tags = { [Op.contains]: [tag.toLowerCase()] };
+
     return this.findAll({
+      where,
       limit,
-      order: [['createdAt', 'DESC']],
+      order: [['publishedAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
       include: [
         {
           model: User,
@@ -53,6 +233,93 @@ class Blog extends Model {
       ],
     });
   }
+
+  /**
+   * Static method to search published blogs
+   * Combines Postgres full-text search (ranked, with highlighted snippets)
+   * with category, tag, language and date-range filters.
+   * 
+   * @param {Object} params - Search parameters
+   * @param {string} [params.q] - Full-text query (web search syntax: "quoted", -exclude, or)
+   * @param {string} [params.category] - Exact category
+   * @param {string[]} [params.tags] - Posts must have all of these tags (case-insensitive)
+   * @param {string} [params.language] - Language code
+   * @param {string} [params.authorId] - Author ID
+   * @param {Date} [params.from] - Created on or after
+   * @param {Date} [params.to] - Created on or before
+   * @param {string} [params.sortBy] - 'relevance' or one of SORTABLE_FIELDS (default: relevance when searching, else createdAt)
+   * @param {string} [params.sortOrder] - 'asc' or 'desc' (default: 'desc')
+   * @param {number} [params.offset] - Rows to skip
+   * @param {number} [params.limit] - Rows to return
+   * @returns {Promise<{rows: Array, count: number}>} Matching blogs and total count
+   */
+  static async search(params = {}) {
+    const { User } = require('./User');
+    const sequelize = getSequelize();
+    const { q, category, tags, language, authorId, from, to, offset = 0, limit = 10 } = params;
+
+    const conditions = [{ status: 'published' }];
+    if (category) conditions.push({ category });
+    if (language) conditions.push({ language });
+    if (authorId) conditions.push({ authorId });
+    // Tags are stored trimmed, lowercased and de-duplicated
+    const tagFilter = [...new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (tagFilter.length > 0) conditions.push({ tags: { [Op.contains]: tagFilter } });
+    if (from) conditions.push({ createdAt: { [Op.gte]: from } });
+    if (to) conditions.push({ createdAt: { [Op.lte]: to } });
+
+    const attributes = { include: [] };
+    const searching = !!(q && q.trim());
+
+    if (searching) {
+      const tsQuery = `websearch_to_tsquery('english', ${sequelize.escape(q.trim())})`;
+      const headlineOptions = sequelize.escape(HEADLINE_OPTIONS);
+
+      conditions.push(sequelize.literal(`"Blog"."search_vector" @@ ${tsQuery}`));
+      attributes.include.push(
+        [sequelize.literal(`ts_rank_cd("Blog"."search_vector", ${tsQuery})`), 'rank'],
+        [
+          sequelize.literal(`ts_headline('english', coalesce("Blog"."title", ''), ${tsQuery}, ${headlineOptions})`),
+          'titleHighlight',
+        ],
+        [
+          sequelize.literal(
+            `ts_headline('english', regexp_replace(coalesce("Blog"."content", ''), '<[^>]+>', ' ', 'g'), ${tsQuery}, ${headlineOptions})`
+          ),
+          'contentHighlight',
+        ]
+      );
+    }
+
+    // Resolve ordering
+    const direction = String(params.sortOrder).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    let sortBy = params.sortBy || (searching ? 'relevance' : 'createdAt');
+    if (sortBy === 'relevance' && !searching) sortBy = 'createdAt';
+    if (sortBy !== 'relevance' && !SORTABLE_FIELDS.includes(sortBy)) sortBy = 'createdAt';
+
+    const order = sortBy === 'relevance'
+      ? [[sequelize.literal('"rank"'), direction], ['createdAt', 'DESC']]
+      : [[sortBy, `${direction} NULLS LAST`], ['id', 'ASC']];
+
+    const where = { [Op.and]: conditions };
+    const [count, rows] = await Promise.all([
+      this.count({ where }),
+      this.findAll({
+        where,
+        attributes,
+        include: [{
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'nickname', 'email'],
+        }],
+        order,
+        offset,
+        limit,
+      }),
+    ]);
+
+    return { rows, count };
+  }
 }
 
 /**
@@ -183,6 +450,79 @@ const initBlogModel = () => {
         defaultValue: false,
         field: 'ai_generated',
       },
+      // Publishing lifecycle
+      status: {
+        type: DataTypes.ENUM(...BLOG_STATUSES),
+        allowNull: false,
+        defaultValue: 'published',
+        validate: {
+          isIn: {
+            args: [BLOG_STATUSES],
+            msg: 'Status must be draft, scheduled, published, or archived',
+          },
+        },
+      },
+      publishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'published_at',
+      },
+      publishAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'publish_at',
+        validate: {
+          isDate: {
+            msg: 'Scheduled publish time must be a valid date',
+          },
+        },
+      },
+      // Human-readable permalink
+      slug: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        unique: {
+          msg: 'Slug already in use',
+        },
+        validate: {
+          is: {
+            args: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+            msg: 'Slug may only contain lowercase letters, numbers and dashes',
+          },
+        },
+      },
+      previousSlugs: {
+        type: DataTypes.ARRAY(DataTypes.STRING(100)),
+        allowNull: true,
+        defaultValue: [],
+        field: 'previous_slugs',
+      },
+      // Reader engagement counters, kept in sync by the like and bookmark routes
+      likesCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'likes_count',
+      },
+      bookmarksCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'bookmarks_count',
+      },
+      // Identifies the post a blog import created this one from (e.g. a
+      // WordPress post GUID), so re-running the import skips it
+      importKey: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'import_key',
+      },
+      // Full-text search document, maintained by a database trigger (see setupBlogSearch)
+      searchVector: {
+        type: DataTypes.TSVECTOR,
+        allowNull: true,
+        field: 'search_vector',
+      },
     },
     {
       sequelize,
@@ -201,19 +541,130 @@ const initBlogModel = () => {
         {
           fields: ['category'],
         },
+        {
+          fields: ['status', 'published_at'],
+        },
+        {
+          fields: ['status', 'publish_at'],
+        },
+        {
+          fields: ['author_id', 'import_key'],
+        },
         {
           name: 'blogs_tags_gin',
           fields: ['tags'],
           using: 'GIN',
         },
+        {
+          name: 'blogs_previous_slugs_gin',
+          fields: ['previous_slugs'],
+          using: 'GIN',
+        },
+        {
+          name: 'blogs_search_vector_gin',
+          fields: ['search_vector'],
+          using: 'GIN',
+        },
       ],
+      defaultScope: {
+        attributes: { exclude: ['searchVector'] },
+      },
       hooks: {
         beforeValidate: (blog) => {
+          // Strip markup the editor cannot produce (scripts, iframes, event
+          // handlers, ...) before the content is validated and stored
+          if (blog.content && (blog.isNewRecord || blog.changed('content'))) {
+            blog.content = sanitizeContent(blog.content);
+          }
+
           // Trim string fields
           if (blog.content) blog.content = blog.content.trim();
           if (blog.template) blog.template = blog.template.trim();
           if (blog.font) blog.font = blog.font.trim();
         },
+        beforeSave: async (blog) => {
+          // Generate a slug on creation and whenever the title changes
+          const slugSource = blog.title || (blog.content || '').replace(/<[^>]*>/g, ' ').substring(0, 100);
+          const base = slugify(slugSource) || 'post';
+          const slugMatchesTitle = blog.slug &&
+            (blog.slug === base || new RegExp(`^${base}-[a-z0-9]+$`).test(blog.slug));
+
+          if (!blog.slug || (blog.changed('title') && !slugMatchesTitle)) {
+            const newSlug = await Blog.generateUniqueSlug(slugSource, blog.id);
+            if (blog.slug && blog.slug !== newSlug) {
+              // Keep the old slug so existing links redirect to the new one
+              const previous = (blog.previousSlugs || []).filter(s => s !== newSlug);
+              blog.previousSlugs = [...new Set([...previous, blog.slug])];
+            }
+            blog.slug = newSlug;
+          }
+
+          // Stamp the first publication time
+          if (blog.status === 'published' && !blog.publishedAt) {
+            blog.publishedAt = new Date();
+          }
+          // A scheduled post needs a publish time; other states do not keep one
+          if (blog.status === 'scheduled' && !blog.publishAt) {
+            throw new Error('Scheduled blog posts must have a publish time');
+          }
+          if (blog.status !== 'scheduled' && blog.publishAt) {
+            blog.publishAt = null;
+          }
+        },
+        afterCreate: async (blog, options) => {
+          // First revision of a new post
+          const { BlogRevision } = require('./BlogRevision');
+          await BlogRevision.record(blog, {
+            editorId: options.editorId,
+            source: 'create',
+            transaction: options.transaction,
+          });
+
+          // Mark the uploaded images the post uses
+          const { Upload } = require('./Upload');
+          await Upload.syncBlogUsage(blog, { transaction: options.transaction });
+        },
+        afterUpdate: async (blog, options) => {
+          // Keep track of the uploaded images the post uses
+          if (blog.changed('content') || blog.changed('media')) {
+            const { Upload } = require('./Upload');
+            await Upload.syncBlogUsage(blog, { transaction: options.transaction });
+          }
+
+          // Snapshot content, title, tags and styling whenever they change
+          const { BlogRevision, REVISION_FIELDS } = require('./BlogRevision');
+          if (!REVISION_FIELDS.some(field => blog.changed(field))) {
+            return;
+          }
+
+          // Posts created before revisions existed get their previous state
+          // recorded first, so the overwritten version is not lost
+          const existing = await BlogRevision.count({
+            where: { blogId: blog.id },
+            transaction: options.transaction,
+          });
+          if (existing === 0) {
+            const previous = REVISION_FIELDS.reduce((values, field) => {
+              values[field] = blog.previous(field);
+              return values;
+            }, { id: blog.id, authorId: blog.authorId });
+            await BlogRevision.record(previous, {
+              source: 'baseline',
+              transaction: options.transaction,
+            });
+          }
+
+          await BlogRevision.record(blog, {
+            editorId: options.editorId,
+            source: options.revisionSource || 'update',
+            transaction: options.transaction,
+          });
+        },
+        afterDestroy: async (blog, options) => {
+          // Uploads the post used may now be unused
+          const { Upload } = require('./Upload');
+          await Upload.releaseBlog(blog.id, { transaction: options.transaction });
+        },
       },
     }
   );
@@ -237,4 +688,51 @@ const associateBlog = (models) => {
   });
 };
 
-module.exports = { Blog, initBlogModel, associateBlog };
+/**
+ * Setup Full-Text Search
+ * 
+ * Creates the trigger that keeps `search_vector` in sync with the title,
+ * tags, summary and (tag-stripped) content of each post, and backfills
+ * rows that do not have a vector yet. Safe to run on every boot.
+ * 
+ * Weights: title (A), tags and summary (B), content (C).
+ * 
+ * @async
+ * @returns {Promise<void>}
+ */
+const setupBlogSearch = async () => {
+  const sequelize = getSequelize();
+
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION blogs_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector :=
+        setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(NEW.summary, '')), 'B') ||
+        setweight(to_tsvector('english', regexp_replace(coalesce(NEW.content, ''), '<[^>]+>', ' ', 'g')), 'C');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await sequelize.query('DROP TRIGGER IF EXISTS blogs_search_vector_trigger ON blogs;');
+  await sequelize.query(`
+    CREATE TRIGGER blogs_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, tags, summary, content ON blogs
+    FOR EACH ROW EXECUTE FUNCTION blogs_search_vector_update();
+  `);
+
+  // Backfill existing posts (touching a watched column fires the trigger)
+  await sequelize.query('UPDATE blogs SET title = title WHERE search_vector IS NULL;');
+};
+
+module.exports = {
+  Blog,
+  initBlogModel,
+  associateBlog,
+  setupBlogSearch,
+  slugify,
+  BLOG_STATUSES,
+  SORTABLE_FIELDS,
+};
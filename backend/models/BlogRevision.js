@@ -0,0 +1,236 @@
+/**
+ * Blog Revision Model
+ * 
+ * This module defines the BlogRevision schema and model.
+ * A revision is a snapshot of a blog post's content, title, tags and
+ * styling taken every time the post is saved, so earlier versions can
+ * be compared and restored.
+ * 
+ * @module models/BlogRevision
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Blog fields captured in every revision
+ * @type {string[]}
+ */
+const REVISION_FIELDS = [
+  'title',
+  'content',
+  'summary',
+  'category',
+  'tags',
+  'media',
+  'template',
+  'font',
+  'language',
+];
+
+/**
+ * What caused a revision to be recorded
+ * @type {string[]}
+ */
+const REVISION_SOURCES = ['create', 'update', 'restore', 'baseline'];
+
+/**
+ * BlogRevision Model Class
+ * 
+ * Defines the structure of blog revision records in PostgreSQL.
+ */
+class BlogRevision extends Model {
+  /**
+   * Instance method to get the snapshot as plain blog fields
+   * 
+   * @returns {Object} Snapshot values keyed by blog field name
+   */
+  getSnapshot() {
+    return REVISION_FIELDS.reduce((snapshot, field) => {
+      snapshot[field] = this[field];
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * Static method to record a revision of a blog post
+   * Revision numbers increase per blog post, starting at 1. The blog row
+   * is locked while the next number is picked, so concurrent saves of the
+   * same post are numbered one after another instead of colliding.
+   * 
+   * @param {Object} blog - Blog instance (or plain values) to snapshot
+   * @param {Object} options - Revision options
+   * @param {string} [options.editorId] - User who made the change
+   * @param {string} [options.source] - One of REVISION_SOURCES (default: 'update')
+   * @param {Object} [options.transaction] - Sequelize transaction (one is opened when omitted)
+   * @returns {Promise<BlogRevision>} Created revision
+   */
+  static async record(blog, options = {}) {
+    const { editorId = null, source = 'update', transaction } = options;
+    if (!transaction) {
+      return getSequelize().transaction(t => this.record(blog, { ...options, transaction: t }));
+    }
+
+    const blogId = blog.id;
+    const { Blog } = require('./Blog');
+    await Blog.findByPk(blogId, {
+      attributes: ['id'],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    const latest = await this.max('revisionNumber', { where: { blogId }, transaction });
+
+    const values = REVISION_FIELDS.reduce((snapshot, field) => {
+      const value = typeof blog.get === 'function' ? blog.get(field) : blog[field];
+      snapshot[field] = value === undefined ? null : value;
+      return snapshot;
+    }, {});
+
+    return this.create({
+      ...values,
+      blogId,
+      editorId: editorId || blog.authorId || null,
+      revisionNumber: (latest || 0) + 1,
+      source,
+    }, { transaction });
+  }
+}
+
+/**
+ * Initialize BlogRevision Model
+ * 
+ * Defines the BlogRevision schema with all fields
+ * 
+ * @returns {typeof BlogRevision} BlogRevision model class
+ */
+const initBlogRevisionModel = () => {
+  const sequelize = getSequelize();
+
+  BlogRevision.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      blogId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'blog_id',
+        references: {
+          model: 'blogs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      editorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'editor_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      revisionNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'revision_number',
+      },
+      source: {
+        type: DataTypes.ENUM(...REVISION_SOURCES),
+        allowNull: false,
+        defaultValue: 'update',
+      },
+      // Snapshot of the blog post
+      title: {
+        type: DataTypes.STRING(200),
+        allowNull: true,
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      summary: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      category: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      tags: {
+        type: DataTypes.ARRAY(DataTypes.STRING(50)),
+        allowNull: true,
+        defaultValue: [],
+      },
+      media: {
+        type: DataTypes.ARRAY(DataTypes.TEXT),
+        allowNull: true,
+        defaultValue: [],
+      },
+      template: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      font: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      language: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'BlogRevision',
+      tableName: 'blog_revisions',
+      timestamps: true,
+      updatedAt: false,
+      underscored: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['blog_id', 'revision_number'],
+        },
+      ],
+    }
+  );
+
+  return BlogRevision;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between BlogRevision, Blog and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateBlogRevision = (models) => {
+  const { Blog, User } = models;
+
+  // A revision belongs to a blog post
+  BlogRevision.belongsTo(Blog, {
+    foreignKey: 'blogId',
+    as: 'blog',
+  });
+
+  // A revision was made by a user (editor)
+  BlogRevision.belongsTo(User, {
+    foreignKey: 'editorId',
+    as: 'editor',
+  });
+};
+
+module.exports = {
+  BlogRevision,
+  initBlogRevisionModel,
+  associateBlogRevision,
+  REVISION_FIELDS,
+};
@@ -0,0 +1,111 @@
+/**
+ * Bookmark Model
+ * 
+ * This module defines the Bookmark schema and model.
+ * A bookmark saves a blog post for a user to read later; each user can
+ * bookmark a post once. The per-post total is kept in `Blog.bookmarksCount`.
+ * 
+ * @module models/Bookmark
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Bookmark Model Class
+ * 
+ * Defines the structure of bookmark records in PostgreSQL.
+ */
+class Bookmark extends Model {}
+
+/**
+ * Initialize Bookmark Model
+ * 
+ * Defines the Bookmark schema with all fields
+ * 
+ * @returns {typeof Bookmark} Bookmark model class
+ */
+const initBookmarkModel = () => {
+  const sequelize = getSequelize();
+
+  Bookmark.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      blogId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'blog_id',
+        references: {
+          model: 'blogs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Bookmark',
+      tableName: 'bookmarks',
+      timestamps: true,
+      updatedAt: false,
+      underscored: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['blog_id', 'user_id'],
+        },
+        {
+          fields: ['user_id'],
+        },
+      ],
+    }
+  );
+
+  return Bookmark;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Bookmark, Blog and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateBookmark = (models) => {
+  const { Blog, User } = models;
+
+  // A bookmark belongs to a blog post
+  Bookmark.belongsTo(Blog, {
+    foreignKey: 'blogId',
+    as: 'blog',
+  });
+
+  // A bookmark is saved by a user
+  Bookmark.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+module.exports = {
+  Bookmark,
+  initBookmarkModel,
+  associateBookmark,
+};
@@ -0,0 +1,259 @@
+/**
+ * Comment Model
+ * 
+ * This module defines the Comment schema and model.
+ * Comments belong to a blog post and a user, and can reply to other
+ * comments to form threads. Deleted comments are kept (soft delete) so
+ * that the replies below them keep their place in the thread.
+ * 
+ * @module models/Comment
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Deepest reply level; replies to comments at this depth are
+ * attached to the same parent instead of nesting further
+ * @type {number}
+ */
+const MAX_COMMENT_DEPTH = 4;
+
+/**
+ * Maximum length of a comment
+ * @type {number}
+ */
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Comment Model Class
+ * 
+ * Defines the structure of comment records in PostgreSQL.
+ */
+class Comment extends Model {
+  /**
+   * Instance method to check if the comment was deleted
+   * 
+   * @returns {boolean} True if the comment is soft-deleted
+   */
+  isDeleted() {
+    return !!this.deletedAt;
+  }
+
+  /**
+   * Instance method to check if a user may delete this comment
+   * The comment's author and the author of the blog post can delete it.
+   * 
+   * @param {Object} user - Authenticated user
+   * @param {Object} blog - Blog the comment belongs to
+   * @returns {boolean}
+   */
+  canBeDeletedBy(user, blog) {
+    if (!user) return false;
+    return String(this.authorId) === String(user.id) ||
+      (!!blog && String(blog.authorId) === String(user.id));
+  }
+
+  /**
+   * Override toJSON to hide the text and author of deleted comments
+   * 
+   * @returns {Object} Comment object
+   */
+  toJSON() {
+    const values = { ...this.get() };
+    if (values.author && typeof values.author.toJSON === 'function') {
+      values.author = values.author.toJSON();
+    }
+    if (values.deletedAt) {
+      values.content = null;
+      values.authorId = null;
+      values.author = null;
+    }
+    return values;
+  }
+
+  /**
+   * Static method to arrange comments into threads
+   * 
+   * @param {Comment[]} comments - Comments of one or more threads
+   * @returns {Object[]} Top-level comments with nested `replies`, oldest reply first
+   */
+  static buildThreads(comments) {
+    const nodes = new Map();
+    comments.forEach(comment => {
+      nodes.set(comment.id, { ...comment.toJSON(), replies: [] });
+    });
+
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parentId ? nodes.get(node.parentId) : null;
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    nodes.forEach(node => {
+      node.replies.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    });
+
+    return roots;
+  }
+}
+
+/**
+ * Initialize Comment Model
+ * 
+ * Defines the Comment schema with all fields and validations
+ * 
+ * @returns {typeof Comment} Comment model class
+ */
+const initCommentModel = () => {
+  const sequelize = getSequelize();
+
+  Comment.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: 'Comment cannot be empty',
+          },
+          len: {
+            args: [1, MAX_COMMENT_LENGTH],
+            msg: `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`,
+          },
+        },
+      },
+      blogId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'blog_id',
+        references: {
+          model: 'blogs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      authorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'author_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      // Direct parent for replies, null for top-level comments
+      parentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'parent_id',
+        references: {
+          model: 'comments',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      // Top-level comment of the thread, so a whole thread loads in one query
+      rootId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'root_id',
+      },
+      depth: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      editedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'edited_at',
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'deleted_at',
+      },
+      deletedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'deleted_by_id',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Comment',
+      tableName: 'comments',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['blog_id', 'parent_id', 'createdAt'],
+        },
+        {
+          fields: ['root_id'],
+        },
+        {
+          fields: ['author_id'],
+        },
+      ],
+    }
+  );
+
+  return Comment;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Comment, Blog and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateComment = (models) => {
+  const { Blog, User } = models;
+
+  // A comment belongs to a blog post
+  Comment.belongsTo(Blog, {
+    foreignKey: 'blogId',
+    as: 'blog',
+  });
+
+  // A comment is written by a user (author)
+  Comment.belongsTo(User, {
+    foreignKey: 'authorId',
+    as: 'author',
+  });
+
+  // Replies
+  Comment.belongsTo(Comment, {
+    foreignKey: 'parentId',
+    as: 'parent',
+  });
+  Comment.hasMany(Comment, {
+    foreignKey: 'parentId',
+    as: 'replies',
+  });
+};
+
+module.exports = {
+  Comment,
+  initCommentModel,
+  associateComment,
+  MAX_COMMENT_DEPTH,
+  MAX_COMMENT_LENGTH,
+};
@@ -0,0 +1,114 @@
+/**
+ * Follow Model
+ * 
+ * This module defines the Follow schema and model.
+ * A follow links a reader (follower) to an author they follow; each pair
+ * is stored once. Totals are kept in `User.followersCount` and
+ * `User.followingCount`.
+ * 
+ * @module models/Follow
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Follow Model Class
+ * 
+ * Defines the structure of follow records in PostgreSQL.
+ */
+class Follow extends Model {}
+
+/**
+ * Initialize Follow Model
+ * 
+ * Defines the Follow schema with all fields
+ * 
+ * @returns {typeof Follow} Follow model class
+ */
+const initFollowModel = () => {
+  const sequelize = getSequelize();
+
+  Follow.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      // User who follows
+      followerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'follower_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      // User being followed
+      followingId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'following_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Follow',
+      tableName: 'follows',
+      timestamps: true,
+      updatedAt: false,
+      underscored: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['follower_id', 'following_id'],
+        },
+        {
+          fields: ['following_id'],
+        },
+      ],
+    }
+  );
+
+  return Follow;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Follow and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateFollow = (models) => {
+  const { User } = models;
+
+  // The reader who follows
+  Follow.belongsTo(User, {
+    foreignKey: 'followerId',
+    as: 'follower',
+  });
+
+  // The author being followed
+  Follow.belongsTo(User, {
+    foreignKey: 'followingId',
+    as: 'following',
+  });
+};
+
+module.exports = {
+  Follow,
+  initFollowModel,
+  associateFollow,
+};
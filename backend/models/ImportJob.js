@@ -0,0 +1,213 @@
+/**
+ * Import Job Model
+ * 
+ * This module defines the ImportJob schema and model.
+ * An import job records one run of the blog importer: the export file a
+ * user uploaded (WordPress, Ghost or Medium), the options it ran with,
+ * its progress, and a report line for every post in the file. Jobs are
+ * processed in the background by the import service.
+ * 
+ * @module models/ImportJob
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Supported export formats
+ * - wordpress: WordPress eXtended RSS (WXR) XML
+ * - ghost: Ghost JSON export
+ * - medium: Medium export archive (zip of HTML files)
+ * @type {string[]}
+ */
+const IMPORT_SOURCES = ['wordpress', 'ghost', 'medium'];
+
+/**
+ * Import job lifecycle states
+ * @type {string[]}
+ */
+const IMPORT_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+/**
+ * Outcomes of a single imported post
+ * - imported: a blog post was created
+ * - would_import: dry run; a post would be created
+ * - duplicate: skipped because an earlier import already created it
+ * - skipped: not a blog post (pages, attachments, ...) or empty
+ * - failed: the post could not be imported (see the item's error)
+ * @type {string[]}
+ */
+const IMPORT_ITEM_RESULTS = ['imported', 'would_import', 'duplicate', 'skipped', 'failed'];
+
+/**
+ * ImportJob Model Class
+ * 
+ * Defines the structure of import job records in PostgreSQL.
+ */
+class ImportJob extends Model {
+  /**
+   * Instance method to check if the job has finished
+   * 
+   * @returns {boolean} True if the job completed or failed
+   */
+  isFinished() {
+    return this.status === 'completed' || this.status === 'failed';
+  }
+
+  /**
+   * Instance method to count the job's items by result
+   * 
+   * @returns {Object<string, number>} Counts keyed by result
+   */
+  getResultCounts() {
+    const counts = Object.fromEntries(IMPORT_ITEM_RESULTS.map(result => [result, 0]));
+    (this.items || []).forEach(item => {
+      counts[item.result] = (counts[item.result] || 0) + 1;
+    });
+    return counts;
+  }
+}
+
+/**
+ * Initialize ImportJob Model
+ * 
+ * Defines the ImportJob schema with all fields and validations
+ * 
+ * @returns {typeof ImportJob} ImportJob model class
+ */
+const initImportJobModel = () => {
+  const sequelize = getSequelize();
+
+  ImportJob.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      ownerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'owner_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      source: {
+        type: DataTypes.ENUM(...IMPORT_SOURCES),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [IMPORT_SOURCES],
+            msg: `Source must be one of: ${IMPORT_SOURCES.join(', ')}`,
+          },
+        },
+      },
+      status: {
+        type: DataTypes.ENUM(...IMPORT_STATUSES),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      // Name of the uploaded export file, for display only
+      fileName: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'file_name',
+      },
+      // Parse and check the file without creating any posts
+      dryRun: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'dry_run',
+      },
+      // { keepStatus, importImages, sourceUrl }
+      options: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      totalItems: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'total_items',
+      },
+      processedItems: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'processed_items',
+      },
+      // Report per post in the file:
+      // [{ sourceId, title, result, blogId, error, images: [{ url, newUrl, error }] }]
+      items: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Why the whole job failed (unreadable file, ...)
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'started_at',
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ImportJob',
+      tableName: 'import_jobs',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['owner_id', 'createdAt'],
+        },
+        {
+          fields: ['status'],
+        },
+      ],
+    }
+  );
+
+  return ImportJob;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between ImportJob and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateImportJob = (models) => {
+  const { User } = models;
+
+  // An import job belongs to the user who started it
+  ImportJob.belongsTo(User, {
+    foreignKey: 'ownerId',
+    as: 'owner',
+  });
+};
+
+module.exports = {
+  ImportJob,
+  initImportJobModel,
+  associateImportJob,
+  IMPORT_SOURCES,
+  IMPORT_STATUSES,
+  IMPORT_ITEM_RESULTS,
+};
@@ -0,0 +1,111 @@
+/**
+ * Like Model
+ * 
+ * This module defines the Like schema and model.
+ * A like links a user to a blog post they liked; each user can like
+ * a post once. The per-post total is kept in `Blog.likesCount`.
+ * 
+ * @module models/Like
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Like Model Class
+ * 
+ * Defines the structure of like records in PostgreSQL.
+ */
+class Like extends Model {}
+
+/**
+ * Initialize Like Model
+ * 
+ * Defines the Like schema with all fields
+ * 
+ * @returns {typeof Like} Like model class
+ */
+const initLikeModel = () => {
+  const sequelize = getSequelize();
+
+  Like.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      blogId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'blog_id',
+        references: {
+          model: 'blogs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Like',
+      tableName: 'likes',
+      timestamps: true,
+      updatedAt: false,
+      underscored: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['blog_id', 'user_id'],
+        },
+        {
+          fields: ['user_id'],
+        },
+      ],
+    }
+  );
+
+  return Like;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Like, Blog and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateLike = (models) => {
+  const { Blog, User } = models;
+
+  // A like belongs to a blog post
+  Like.belongsTo(Blog, {
+    foreignKey: 'blogId',
+    as: 'blog',
+  });
+
+  // A like is given by a user
+  Like.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+module.exports = {
+  Like,
+  initLikeModel,
+  associateLike,
+};
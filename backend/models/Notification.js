@@ -0,0 +1,187 @@
+/**
+ * Notification Model
+ * 
+ * This module defines the Notification schema and model.
+ * A notification tells a user (the recipient) about something that happened
+ * to them: a comment or reply, a new follower, a like, or a scheduled post
+ * going live. Notifications are created by the notification service.
+ * 
+ * @module models/Notification
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Kinds of notifications
+ * @type {string[]}
+ */
+const NOTIFICATION_TYPES = ['comment', 'reply', 'follow', 'like', 'post_published'];
+
+/**
+ * Notification Model Class
+ * 
+ * Defines the structure of notification records in PostgreSQL.
+ */
+class Notification extends Model {
+  /**
+   * Instance method to check if the notification was read
+   * 
+   * @returns {boolean} True if the recipient has read it
+   */
+  isRead() {
+    return !!this.readAt;
+  }
+
+  /**
+   * Static method to count a user's unread notifications
+   * 
+   * @param {string} recipientId - User ID
+   * @returns {Promise<number>} Number of unread notifications
+   */
+  static countUnread(recipientId) {
+    return this.count({ where: { recipientId, readAt: null } });
+  }
+}
+
+/**
+ * Initialize Notification Model
+ * 
+ * Defines the Notification schema with all fields and validations
+ * 
+ * @returns {typeof Notification} Notification model class
+ */
+const initNotificationModel = () => {
+  const sequelize = getSequelize();
+
+  Notification.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.ENUM(...NOTIFICATION_TYPES),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [NOTIFICATION_TYPES],
+            msg: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`,
+          },
+        },
+      },
+      recipientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'recipient_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      // User who caused the notification; null for system events
+      actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'actor_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      blogId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'blog_id',
+        references: {
+          model: 'blogs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      commentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'comment_id',
+        references: {
+          model: 'comments',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'read_at',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Notification',
+      tableName: 'notifications',
+      timestamps: true,
+      updatedAt: false,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['recipient_id', 'createdAt'],
+        },
+        {
+          fields: ['recipient_id', 'read_at'],
+        },
+      ],
+    }
+  );
+
+  return Notification;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Notification, User, Blog and Comment models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateNotification = (models) => {
+  const { User, Blog, Comment } = models;
+
+  // A notification is sent to a user
+  Notification.belongsTo(User, {
+    foreignKey: 'recipientId',
+    as: 'recipient',
+  });
+
+  // ...about something another user did
+  Notification.belongsTo(User, {
+    foreignKey: 'actorId',
+    as: 'actor',
+  });
+
+  // ...usually on a blog post
+  Notification.belongsTo(Blog, {
+    foreignKey: 'blogId',
+    as: 'blog',
+  });
+
+  // ...or a comment
+  Notification.belongsTo(Comment, {
+    foreignKey: 'commentId',
+    as: 'comment',
+  });
+};
+
+module.exports = {
+  Notification,
+  initNotificationModel,
+  associateNotification,
+  NOTIFICATION_TYPES,
+};
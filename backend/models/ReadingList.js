@@ -0,0 +1,228 @@
+/**
+ * Reading List Model
+ * 
+ * This module defines the ReadingList and ReadingListItem schemas and models.
+ * A reading list is a named, ordered collection of blog posts owned by a
+ * user. Public lists can be shared with anyone who has the link.
+ * 
+ * @module models/ReadingList
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Maximum number of posts in one reading list
+ * @type {number}
+ */
+const MAX_LIST_ITEMS = 500;
+
+/**
+ * ReadingList Model Class
+ * 
+ * Defines the structure of reading list records in PostgreSQL.
+ */
+class ReadingList extends Model {
+  /**
+   * Instance method to check if a user owns this list
+   * 
+   * @param {Object} user - Authenticated user (may be undefined)
+   * @returns {boolean}
+   */
+  isOwnedBy(user) {
+    return !!user && String(this.ownerId) === String(user.id);
+  }
+
+  /**
+   * Instance method to check if a user may view this list
+   * Public lists are visible to everyone, private lists only to their owner.
+   * 
+   * @param {Object} user - Authenticated user (may be undefined)
+   * @returns {boolean}
+   */
+  isVisibleTo(user) {
+    return this.isPublic || this.isOwnedBy(user);
+  }
+}
+
+/**
+ * ReadingListItem Model Class
+ * 
+ * A blog post in a reading list, with its position in the list.
+ */
+class ReadingListItem extends Model {}
+
+/**
+ * Initialize Reading List Models
+ * 
+ * Defines the ReadingList and ReadingListItem schemas with all fields
+ * and validations
+ * 
+ * @returns {typeof ReadingList} ReadingList model class
+ */
+const initReadingListModel = () => {
+  const sequelize = getSequelize();
+
+  ReadingList.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: 'Reading list name cannot be empty',
+          },
+          len: {
+            args: [1, 100],
+            msg: 'Reading list name cannot exceed 100 characters',
+          },
+        },
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        validate: {
+          len: {
+            args: [0, 500],
+            msg: 'Description cannot exceed 500 characters',
+          },
+        },
+      },
+      isPublic: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'is_public',
+      },
+      ownerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'owner_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ReadingList',
+      tableName: 'reading_lists',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['owner_id'],
+        },
+      ],
+    }
+  );
+
+  ReadingListItem.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      listId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'list_id',
+        references: {
+          model: 'reading_lists',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      blogId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'blog_id',
+        references: {
+          model: 'blogs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      // Zero-based order of the post within the list
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ReadingListItem',
+      tableName: 'reading_list_items',
+      timestamps: true,
+      updatedAt: false,
+      underscored: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['list_id', 'blog_id'],
+        },
+        {
+          fields: ['list_id', 'position'],
+        },
+      ],
+    }
+  );
+
+  return ReadingList;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between ReadingList, ReadingListItem, Blog and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateReadingList = (models) => {
+  const { Blog, User } = models;
+
+  // A reading list is owned by a user
+  ReadingList.belongsTo(User, {
+    foreignKey: 'ownerId',
+    as: 'owner',
+  });
+
+  // A reading list has many items
+  ReadingList.hasMany(ReadingListItem, {
+    foreignKey: 'listId',
+    as: 'items',
+  });
+
+  ReadingListItem.belongsTo(ReadingList, {
+    foreignKey: 'listId',
+    as: 'list',
+  });
+
+  // An item points at a blog post
+  ReadingListItem.belongsTo(Blog, {
+    foreignKey: 'blogId',
+    as: 'blog',
+  });
+};
+
+module.exports = {
+  ReadingList,
+  ReadingListItem,
+  initReadingListModel,
+  associateReadingList,
+  MAX_LIST_ITEMS,
+};
@@ -0,0 +1,170 @@
+/**
+ * Session Model
+ * 
+ * This module defines the Session schema and model.
+ * A session is one signed-in device. It holds a hash of the device's
+ * refresh token, which is exchanged for a new access token (and a new
+ * refresh token) whenever the short-lived access token expires. Deleting
+ * the session signs the device out.
+ * 
+ * @module models/Session
+ * @requires sequelize
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { getSequelize } = require('../config/db');
+
+/**
+ * Session Model Class
+ * 
+ * Defines the structure of session records in PostgreSQL.
+ */
+class Session extends Model {
+  /**
+   * Instance method to check if the refresh token can still be used
+   * 
+   * @returns {boolean} True if the session has not expired
+   */
+  isActive() {
+    return this.expiresAt > new Date();
+  }
+
+  /**
+   * Instance method to get the session as shown to its owner
+   * Never includes the token hashes.
+   * 
+   * @param {string} [currentSessionId] - Session of the request, to flag it
+   * @returns {Object} Session data
+   */
+  toPublicJSON(currentSessionId) {
+    return {
+      id: this.id,
+      device: this.device,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      createdAt: this.createdAt,
+      lastUsedAt: this.lastUsedAt,
+      expiresAt: this.expiresAt,
+      current: this.id === currentSessionId,
+    };
+  }
+}
+
+/**
+ * Initialize Session Model
+ * 
+ * Defines the Session schema with all fields
+ * 
+ * @returns {typeof Session} Session model class
+ */
+const initSessionModel = () => {
+  const sequelize = getSequelize();
+
+  Session.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      // SHA-256 hash of the current refresh token
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        field: 'token_hash',
+      },
+      // Hash of the refresh token this one replaced; presenting it again
+      // means the token was copied, so the session is revoked
+      previousTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        field: 'previous_token_hash',
+      },
+      // Readable device name, e.g. "Chrome on Windows"
+      device: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: 'Unknown device',
+      },
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'user_agent',
+      },
+      // Address the session was last used from
+      ipAddress: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        field: 'ip_address',
+      },
+      // When the refresh token was last exchanged
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'last_used_at',
+      },
+      // When the refresh token stops working
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'expires_at',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Session',
+      tableName: 'sessions',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['user_id', 'last_used_at'],
+        },
+        {
+          fields: ['previous_token_hash'],
+        },
+        {
+          fields: ['expires_at'],
+        },
+      ],
+    }
+  );
+
+  return Session;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Session and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateSession = (models) => {
+  const { User } = models;
+
+  // A session belongs to the user it signs in
+  Session.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+module.exports = {
+  Session,
+  initSessionModel,
+  associateSession,
+};
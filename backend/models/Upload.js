@@ -0,0 +1,298 @@
+/**
+ * Upload Model
+ * 
+ * This module defines the Upload schema and model.
+ * An upload is an image a user uploaded through the media endpoint. It
+ * records who owns the file, where it and its resized variants are stored,
+ * which blog posts use it (kept up to date when posts are saved or
+ * deleted), and the alt text and caption the author gave it in the media
+ * library. Unused uploads are removed by the media cleanup job.
+ * 
+ * @module models/Upload
+ * @requires sequelize
+ * @requires ../services/mediaStorage
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { getSequelize } = require('../config/db');
+const mediaStorage = require('../services/mediaStorage');
+
+/**
+ * Matches upload IDs in storage keys
+ * @type {RegExp}
+ */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build the storage key of an upload file
+ * Keys look like `<ownerId>/<uploadId>/<name>.<extension>`.
+ * 
+ * @param {string} ownerId - Owner's user ID
+ * @param {string} uploadId - Upload ID
+ * @param {string} name - File name without extension ('original', 'w640', 'thumb', ...)
+ * @param {string} extension - File extension
+ * @returns {string} Storage key
+ */
+const buildStorageKey = (ownerId, uploadId, name, extension) => `${ownerId}/${uploadId}/${name}.${extension}`;
+
+/**
+ * Upload Model Class
+ * 
+ * Defines the structure of upload records in PostgreSQL.
+ */
+class Upload extends Model {
+  /**
+   * Instance method to check if any blog post uses the upload
+   * 
+   * @returns {boolean} True if at least one post references it
+   */
+  isInUse() {
+    return (this.blogIds || []).length > 0;
+  }
+
+  /**
+   * Instance method to list the storage keys of the original and all variants
+   * 
+   * @returns {string[]} Storage keys
+   */
+  getStorageKeys() {
+    return [this.storageKey, ...(this.variants || []).map(variant => variant.key)];
+  }
+
+  /**
+   * Instance method to delete the upload's files and record
+   * 
+   * @returns {Promise<void>}
+   */
+  async purge() {
+    const storage = mediaStorage.getStorage();
+    await Promise.all(this.getStorageKeys().map(key => storage.remove(key)));
+    await this.destroy();
+  }
+
+  /**
+   * Static method to find the uploads referenced by blog content and media
+   * Matches the original's URL and the URLs of its variants.
+   * 
+   * @param {string} content - Blog HTML content
+   * @param {string[]} [media] - Blog media URLs
+   * @returns {string[]} Upload IDs
+   */
+  static extractUploadIds(content, media = []) {
+    const storage = mediaStorage.getStorage();
+    const urls = [...(media || [])];
+    const attributePattern = /(?:src|href)\s*=\s*"([^"]+)"/g;
+    let match;
+    while ((match = attributePattern.exec(content || '')) !== null) {
+      urls.push(match[1].replace(/&amp;/g, '&'));
+    }
+
+    const ids = urls
+      .map(url => storage.getKeyFromUrl(url))
+      .filter(Boolean)
+      .map(key => key.split('/')[1])
+      .filter(id => UUID_REGEX.test(id || ''));
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Static method to record which uploads a blog post uses
+   * Adds the post to uploads it now references and removes it from uploads
+   * it no longer references.
+   * 
+   * @param {Object} blog - Blog instance
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  static async syncBlogUsage(blog, { transaction } = {}) {
+    const sequelize = this.sequelize;
+    const ids = this.extractUploadIds(blog.content, blog.media);
+
+    if (ids.length > 0) {
+      await this.update(
+        { blogIds: sequelize.fn('array_append', sequelize.col('blog_ids'), blog.id), orphanedAt: null },
+        {
+          where: {
+            id: ids,
+            [Op.not]: { blogIds: { [Op.contains]: [blog.id] } },
+          },
+          transaction,
+          silent: true,
+        }
+      );
+    }
+
+    await this.releaseBlog(blog.id, { exceptIds: ids, transaction });
+  }
+
+  /**
+   * Static method to remove a blog post from the uploads it used
+   * 
+   * @param {string} blogId - Blog post ID
+   * @param {Object} [options] - Query options
+   * @param {string[]} [options.exceptIds] - Upload IDs the post still uses
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  static async releaseBlog(blogId, { exceptIds = [], transaction } = {}) {
+    const sequelize = this.sequelize;
+    const where = { blogIds: { [Op.contains]: [blogId] } };
+    if (exceptIds.length > 0) {
+      where.id = { [Op.notIn]: exceptIds };
+    }
+
+    await this.update(
+      { blogIds: sequelize.fn('array_remove', sequelize.col('blog_ids'), blogId) },
+      { where, transaction, silent: true }
+    );
+  }
+}
+
+/**
+ * Initialize Upload Model
+ * 
+ * Defines the Upload schema with all fields and validations
+ * 
+ * @returns {typeof Upload} Upload model class
+ */
+const initUploadModel = () => {
+  const sequelize = getSequelize();
+
+  Upload.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      ownerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'owner_id',
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      // File name on the uploader's device, for display only
+      originalName: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'original_name',
+      },
+      mimeType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'mime_type',
+      },
+      // Size of the stored original in bytes (after processing)
+      size: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      width: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      height: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      storageKey: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        field: 'storage_key',
+      },
+      url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // Resized copies: [{ name, key, url, width, height, size }]
+      variants: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Blog posts whose content or media reference this upload
+      blogIds: {
+        type: DataTypes.ARRAY(DataTypes.UUID),
+        allowNull: false,
+        defaultValue: [],
+        field: 'blog_ids',
+      },
+      altText: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'alt_text',
+        validate: {
+          len: {
+            args: [0, 500],
+            msg: 'Alt text cannot exceed 500 characters',
+          },
+        },
+      },
+      caption: {
+        type: DataTypes.STRING(1000),
+        allowNull: true,
+        validate: {
+          len: {
+            args: [0, 1000],
+            msg: 'Caption cannot exceed 1,000 characters',
+          },
+        },
+      },
+      // When the cleanup job first found no post referencing the upload;
+      // it is deleted once this is older than the grace period
+      orphanedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'orphaned_at',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Upload',
+      tableName: 'uploads',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['owner_id', 'createdAt'],
+        },
+        {
+          fields: ['blog_ids'],
+          using: 'GIN',
+        },
+      ],
+    }
+  );
+
+  return Upload;
+};
+
+/**
+ * Define Model Associations
+ * Sets up relationships between Upload and User models
+ * 
+ * @param {Object} models - Object containing all models
+ */
+const associateUpload = (models) => {
+  const { User } = models;
+
+  // An upload belongs to the user who uploaded it
+  Upload.belongsTo(User, {
+    foreignKey: 'ownerId',
+    as: 'owner',
+  });
+};
+
+module.exports = {
+  Upload,
+  initUploadModel,
+  associateUpload,
+  buildStorageKey,
+};
@@ -11,6 +11,14 @@
 const { DataTypes, Model } = require('sequelize');
 const { getSequelize } = require('../config/db');
 
+/**
+ * What happens to a user's posts when their account is deleted
+ * - delete: the posts are deleted with the account
+ * - anonymize: the posts stay up under a placeholder "Deleted User" author
+ * @type {string[]}
+ */
+const DELETION_CONTENT_MODES = ['delete', 'anonymize'];
+
 /**
  * User Model Class
  * 
@@ -29,14 +37,44 @@ class User extends Model {
       id: this.id,
       name: this.name,
       email: this.email,
+      emailVerified: this.emailVerified,
       dob: this.dob,
       gender: this.gender,
       nickname: this.nickname,
       bio: this.bio,
+      followersCount: this.followersCount,
+      followingCount: this.followingCount,
+      // Whether the account can sign in with a password (otherwise Google only)
+      hasPassword: !!this.password,
+      twoFactorEnabled: this.twoFactorEnabled,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
   }
+
+  /**
+   * Instance method to check if the account is scheduled for deletion
+   * 
+   * @returns {boolean} True during the deletion grace period
+   */
+  isPendingDeletion() {
+    return !!this.deletionScheduledFor;
+  }
+
+  /**
+   * Static method to mark accounts created before email verification existed
+   * as verified, so they keep publishing and using AI features
+   * Only call it when the emailVerified column has just been added.
+   * 
+   * @returns {Promise<number>} Number of accounts updated
+   */
+  static async verifyExistingAccounts() {
+    const [count] = await this.update(
+      { emailVerified: true },
+      { where: { emailVerified: false } }
+    );
+    return count;
+  }
 }
 
 /**
@@ -170,6 +208,104 @@ const initUserModel = () => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Whether the user proved they own the email address (Google accounts always have)
+      emailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // SHA-256 hash of the token emailed by sendVerificationEmail
+      emailVerificationToken: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      emailVerificationExpires: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // When the last verification email went out (resending has a cooldown)
+      emailVerificationSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // SHA-256 hash of the token in the last passwordless sign-in link
+      magicLinkToken: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      magicLinkExpires: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // SHA-256 hash of the one-time code the Google callback hands to the frontend
+      googleLoginCode: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      googleLoginCodeExpires: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Whether login asks for a TOTP code after the password
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Base32 TOTP secret; set during enrollment, before 2FA is enabled
+      twoFactorSecret: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      // SHA-256 hashes of the unused one-time recovery codes
+      twoFactorRecoveryCodes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Time step of the last accepted code, so a code cannot be used twice
+      twoFactorLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // Consecutive failed logins; reset by a successful login
+      failedLoginAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Set after too many failed logins; login is refused until then
+      lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      followersCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      followingCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // When the account is deleted; set during the grace period, cleared by logging in
+      deletionScheduledFor: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'deletion_scheduled_for',
+      },
+      deletionRequestedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'deletion_requested_at',
+      },
+      // What to do with the user's posts (see DELETION_CONTENT_MODES)
+      deletionContentMode: {
+        type: DataTypes.ENUM(...DELETION_CONTENT_MODES),
+        allowNull: true,
+        field: 'deletion_content_mode',
+      },
     },
     {
       sequelize,
@@ -177,6 +313,11 @@ const initUserModel = () => {
       tableName: 'users',
       timestamps: true,
       underscored: false,
+      indexes: [
+        {
+          fields: ['deletion_scheduled_for'],
+        },
+      ],
       hooks: {
         beforeValidate: (user) => {
           // Trim string fields
@@ -202,4 +343,4 @@ const initUserModel = () => {
   return User;
 };
 
-module.exports = { User, initUserModel };
+module.exports = { User, initUserModel, DELETION_CONTENT_MODES };
@@ -7,8 +7,19 @@
  * @module models/index
  */
 
-const { initUserModel, User } = require('./User');
-const { initBlogModel, associateBlog, Blog } = require('./Blog');
+const { initUserModel, User, DELETION_CONTENT_MODES } = require('./User');
+const { initBlogModel, associateBlog, setupBlogSearch, Blog, BLOG_STATUSES, SORTABLE_FIELDS } = require('./Blog');
+const { initBlogRevisionModel, associateBlogRevision, BlogRevision } = require('./BlogRevision');
+const { initCommentModel, associateComment, Comment } = require('./Comment');
+const { initLikeModel, associateLike, Like } = require('./Like');
+const { initBookmarkModel, associateBookmark, Bookmark } = require('./Bookmark');
+const { initReadingListModel, associateReadingList, ReadingList, ReadingListItem } = require('./ReadingList');
+const { initFollowModel, associateFollow, Follow } = require('./Follow');
+const { initNotificationModel, associateNotification, Notification } = require('./Notification');
+const { initUploadModel, associateUpload, Upload } = require('./Upload');
+const { initImportJobModel, associateImportJob, ImportJob, IMPORT_SOURCES } = require('./ImportJob');
+const { initAccountExportModel, associateAccountExport, AccountExport } = require('./AccountExport');
+const { initSessionModel, associateSession, Session } = require('./Session');
 
 /**
  * Initialize all models
@@ -21,10 +32,60 @@ const initModels = () => {
   // Initialize models
   initUserModel();
   initBlogModel();
+  initBlogRevisionModel();
+  initCommentModel();
+  initLikeModel();
+  initBookmarkModel();
+  initReadingListModel();
+  initFollowModel();
+  initNotificationModel();
+  initUploadModel();
+  initImportJobModel();
+  initAccountExportModel();
+  initSessionModel();
 
   // Set up associations
-  const models = { User, Blog };
+  const models = { User, Blog, BlogRevision, Comment, Like, Bookmark, ReadingList, ReadingListItem, Follow, Notification, Upload, ImportJob, AccountExport, Session };
   associateBlog(models);
+  associateBlogRevision(models);
+  associateComment(models);
+  associateLike(models);
+  associateBookmark(models);
+  associateReadingList(models);
+  associateFollow(models);
+  associateNotification(models);
+  associateUpload(models);
+  associateImportJob(models);
+  associateAccountExport(models);
+  associateSession(models);
+
+  // Blog has many revisions
+  Blog.hasMany(BlogRevision, {
+    foreignKey: 'blogId',
+    as: 'revisions',
+  });
+
+  // Blog has many comments
+  Blog.hasMany(Comment, {
+    foreignKey: 'blogId',
+    as: 'comments',
+  });
+
+  // Blog has many likes and bookmarks
+  Blog.hasMany(Like, {
+    foreignKey: 'blogId',
+    as: 'likes',
+  });
+  Blog.hasMany(Bookmark, {
+    foreignKey: 'blogId',
+    as: 'bookmarks',
+  });
+
+  // User has many reading lists
+  User.hasMany(ReadingList, {
+    foreignKey: 'ownerId',
+    as: 'readingLists',
+  });
 
   // User has many blogs
   User.hasMany(Blog, {
@@ -35,9 +96,26 @@ const initModels = () => {
   return models;
 };
 
+/**
+ * Get the columns a table has before sync changes it
+ * 
+ * @param {Object} sequelize - Sequelize instance
+ * @param {typeof Model} model - Model whose table to describe
+ * @returns {Promise<Object|null>} Columns by name, or null if the table doesn't exist yet
+ */
+const describeExistingTable = async (sequelize, model) => {
+  try {
+    return await sequelize.getQueryInterface().describeTable(model.getTableName());
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Sync database tables
- * Creates tables if they don't exist
+ * Creates tables if they don't exist, then installs the
+ * full-text search trigger and backfills slugs for blog posts
+ * and email verification for accounts that predate it
  * 
  * @param {boolean} force - If true, drops existing tables (DANGER!)
  * @returns {Promise<void>}
@@ -47,8 +125,30 @@ const syncDatabase = async (force = false) => {
   const sequelize = getSequelize();
 
   try {
+    const userColumns = force ? null : await describeExistingTable(sequelize, User);
+
     await sequelize.sync({ force, alter: !force });
     console.log('✓ Database tables synchronized successfully');
+
+    // sync adds emailVerified as false for every existing row; those accounts
+    // signed up before verification existed, so trust them once
+    if (userColumns && !userColumns.emailVerified) {
+      const verifiedCount = await User.verifyExistingAccounts();
+      console.log(`✓ Marked ${verifiedCount} existing accounts as verified`);
+    }
+
+    await setupBlogSearch();
+    console.log('✓ Full-text search index ready');
+
+    const sluggedCount = await Blog.backfillSlugs();
+    if (sluggedCount > 0) {
+      console.log(`✓ Generated slugs for ${sluggedCount} existing blog posts`);
+    }
+
+    const stampedCount = await Blog.backfillPublishedAt();
+    if (stampedCount > 0) {
+      console.log(`✓ Set the publication time of ${stampedCount} existing blog posts`);
+    }
   } catch (error) {
     console.error('✗ Error synchronizing database:', error);
     throw error;
@@ -58,6 +158,22 @@ const syncDatabase = async (force = false) => {
 module.exports = {
   User,
   Blog,
+  BlogRevision,
+  Comment,
+  Like,
+  Bookmark,
+  ReadingList,
+  ReadingListItem,
+  Follow,
+  Notification,
+  Upload,
+  ImportJob,
+  AccountExport,
+  Session,
+  BLOG_STATUSES,
+  SORTABLE_FIELDS,
+  IMPORT_SOURCES,
+  DELETION_CONTENT_MODES,
   initModels,
   syncDatabase,
 };
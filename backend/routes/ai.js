@@ -8,16 +8,21 @@
  * - Content summarization
  * - Grammar checking
  * 
- * All routes require authentication.
+ * All routes require authentication and a verified email address. Each
+ * user gets an hourly quota of AI requests (AI_REQUESTS_PER_HOUR); beyond
+ * it requests get 429 AI_QUOTA_EXCEEDED with a Retry-After header.
  * 
  * @module routes/ai
  * @requires express
  * @requires ../services/aiService
  * @requires ../middleware/auth
+ * @requires ../middleware/rateLimit
  */
 
 const express = require('express');
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const { aiQuota } = require('../middleware/rateLimit');
 const aiService = require('../services/aiService');
 
 const router = express.Router();
@@ -73,7 +78,9 @@ const handleAIError = (error, res, defaultMessage) => {
 
 // Apply middleware to all routes
 router.use(auth);
+router.use(requireVerifiedEmail);
 router.use(checkAIAvailable);
+router.use(aiQuota);
 
 /**
  * @route   POST /api/ai/tags
@@ -3,11 +3,19 @@
  * 
  * This module handles all authentication-related endpoints including:
  * - User registration with email/password
+ * - Email verification
  * - User login with email/password
+ * - Passwordless login with emailed sign-in links
+ * - Optional two-factor authentication (TOTP) with recovery codes
+ * - Brute-force protection (rate limits and temporary account lockout)
  * - Google OAuth authentication
- * - JWT token generation and validation
+ * - Connecting and disconnecting Google, and adding a password to Google-only accounts
+ * - JWT access tokens with rotating refresh tokens
+ * - Session management (list, revoke, log out everywhere)
  * - User profile management
  * - Password reset functionality
+ * - Account data export
+ * - Account deletion with a grace period
  * 
  * @module routes/auth
  * @requires express
@@ -18,6 +26,13 @@
  * @requires ../models
  * @requires ../middleware/auth
  * @requires ../services/emailService
+ * @requires ../services/accountExportService
+ * @requires ../services/accountDeletion
+ * @requires ../services/sessionService
+ * @requires ../services/twoFactorService
+ * @requires ../services/accountLockout
+ * @requires ../services/signInMethods
+ * @requires ../middleware/rateLimit
  */
 
 const express = require('express');
@@ -25,28 +40,114 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const passport = require('passport');
-const { User } = require('../models');
+const { User, AccountExport, DELETION_CONTENT_MODES } = require('../models');
 const auth = require('../middleware/auth');
-const { sendPasswordResetEmail } = require('../services/emailService');
+const { sendPasswordResetEmail, sendVerificationEmail, sendMagicLinkEmail } = require('../services/emailService');
+const accountExportService = require('../services/accountExportService');
+const accountDeletion = require('../services/accountDeletion');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const accountLockout = require('../services/accountLockout');
+const signInMethods = require('../services/signInMethods');
+const {
+  sendTooManyRequests,
+  loginLimiter,
+  loginIpLimiter,
+  forgotPasswordLimiter,
+  magicLinkLimiter,
+  resetPasswordLimiter,
+  twoFactorLimiter,
+} = require('../middleware/rateLimit');
+const { getBaseUrls } = require('../config/site');
 
 const router = express.Router();
 
 /**
- * Generate JWT Token
- * Helper function to create a JWT token for authenticated users
+ * Purpose claim of re-authentication tokens
+ * @type {string}
+ */
+const REAUTH_TOKEN_PURPOSE = 'reauth';
+
+/**
+ * Generate Re-authentication Token
+ * Helper function to create a short-lived token proving that a user just
+ * confirmed their identity with Google, for sensitive actions such as
+ * deleting the account
  * 
  * @param {string} userId - User's database ID
- * @returns {string} JWT token
+ * @returns {string} JWT token (valid for 10 minutes)
  * @private
  */
-const generateToken = (userId) => {
-  const payload = { id: userId };
+const generateReauthToken = (userId) => {
+  const payload = { id: userId, purpose: REAUTH_TOKEN_PURPOSE };
   return jwt.sign(payload, process.env.JWT_SECRET, { 
-    expiresIn: '24h',
+    expiresIn: '10m',
     issuer: 'blogging-app',
   });
 };
 
+/**
+ * Verify Re-authentication Token
+ * Helper function to check a token from generateReauthToken
+ * 
+ * @param {string} token - Re-authentication token
+ * @param {string} userId - User the token must belong to
+ * @returns {boolean} True if the token is valid for this user
+ * @private
+ */
+const verifyReauthToken = (token, userId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { issuer: 'blogging-app' });
+    return decoded.purpose === REAUTH_TOKEN_PURPOSE && String(decoded.id) === String(userId);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * How long an email verification link stays valid (24 hours)
+ * @type {number}
+ */
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimum time between two verification emails, in seconds
+ * @type {number}
+ */
+const EMAIL_VERIFICATION_COOLDOWN = parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60;
+
+/**
+ * How long a sign-in link stays valid, in minutes
+ * @type {number}
+ */
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+/**
+ * How long the frontend has to exchange the code from the Google callback (1 minute)
+ * @type {number}
+ */
+const GOOGLE_LOGIN_CODE_TTL = 60 * 1000;
+
+/**
+ * Send Email Verification
+ * Helper function to issue a new verification token and email it. Like
+ * password reset tokens, only a hash of the token is stored.
+ * 
+ * @param {Object} user - User instance (with the password loaded)
+ * @returns {Promise<boolean>} True if the email was sent
+ * @private
+ */
+const sendEmailVerification = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  user.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  return sendVerificationEmail(user.email, verificationToken, user.name);
+};
+
 /**
  * Validate Registration Input
  * Helper function to validate user registration data
@@ -110,7 +211,8 @@ const validateRegistration = (data) => {
  * @body {string} gender - User's gender: male, female, or other (required)
  * @body {string} nickname - Optional nickname/display name
  * 
- * @returns {Object} 200 - { token: string, user: Object }
+ * @returns {Object} 200 - { token: string, refreshToken: string, user: Object, verificationEmailSent: boolean }
+ *   The account is limited (no publishing, no AI tools) until the email is verified
  * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
  * @returns {Object} 409 - { message: string } - User already exists
  * @returns {Object} 500 - { message: string } - Server error
@@ -150,14 +252,21 @@ router.post('/register', async (req, res) => {
       password: hashedPassword,
     });
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // The account works right away, but stays limited until the email is verified
+    const verificationEmailSent = await sendEmailVerification(user);
 
-    // Return token and user data (excluding password)
+    // Start a session for this device
+    const { token, refreshToken } = await sessionService.createSession(user.id, req);
+
+    // Return tokens and user data (excluding password)
     res.status(201).json({
-      message: 'User registered successfully',
+      message: verificationEmailSent
+        ? 'User registered successfully. Check your inbox to verify your email address.'
+        : 'User registered successfully',
       token,
+      refreshToken,
       user: user.getPublicProfile(),
+      verificationEmailSent,
     });
   } catch (err) {
     console.error('Registration error:', err);
@@ -178,6 +287,116 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Finish a login once the user has proven who they are
+ * Cancels a scheduled account deletion and starts a session for this device.
+ * 
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request (for the device details)
+ * @returns {Promise<Object>} Login response body
+ */
+const completeLogin = async (user, req) => {
+  await accountLockout.resetFailedLogins(user);
+
+  // Logging in during the grace period keeps the account
+  const deletionCancelled = await accountDeletion.cancelDeletion(user);
+
+  // Start a session for this device
+  const { token, refreshToken } = await sessionService.createSession(user.id, req);
+
+  return {
+    message: deletionCancelled
+      ? 'Login successful. Your account deletion has been cancelled.'
+      : 'Login successful',
+    token,
+    refreshToken,
+    user: user.getPublicProfile(),
+    deletionCancelled,
+  };
+};
+
+/**
+ * Response for a login that still needs a two-factor code
+ * 
+ * @param {Object} user - User instance
+ * @returns {Object} { message, twoFactorRequired: true, challengeToken } for POST /api/auth/login/2fa
+ */
+const twoFactorChallenge = (user) => ({
+  message: 'Enter the code from your authenticator app',
+  twoFactorRequired: true,
+  challengeToken: twoFactorService.createChallengeToken(user.id),
+});
+
+/**
+ * Hash a code from issueGoogleCode for storage and lookup
+ * The hash covers the purpose, so a code only works where it was meant to be used.
+ * 
+ * @param {string} code - One-time code
+ * @param {string} purpose - 'login' or 'reauth'
+ * @returns {string} Hex SHA-256 hash
+ * @private
+ */
+const hashGoogleCode = (code, purpose) => crypto.createHash('sha256').update(`${purpose}:${code}`).digest('hex');
+
+/**
+ * Issue a one-time code for the Google callback to hand to the frontend
+ * URLs end up in browser history and logs, so the callback redirects with
+ * this code instead of a token, and the frontend exchanges it.
+ * 
+ * @param {Object} user - User instance
+ * @param {string} purpose - 'login' or 'reauth'
+ * @returns {Promise<string>} Code (valid for GOOGLE_LOGIN_CODE_TTL)
+ * @private
+ */
+const issueGoogleCode = async (user, purpose) => {
+  const code = crypto.randomBytes(32).toString('hex');
+  user.googleLoginCode = hashGoogleCode(code, purpose);
+  user.googleLoginCodeExpires = new Date(Date.now() + GOOGLE_LOGIN_CODE_TTL);
+  await user.save();
+  return code;
+};
+
+/**
+ * Redeem a code from issueGoogleCode
+ * Codes work once, expired or not; of two requests with the same code only one gets the user.
+ * 
+ * @param {*} code - Code from the request body
+ * @param {string} purpose - Purpose the code was issued for
+ * @param {Object} [where] - Further conditions on the user (e.g. the signed-in user's ID)
+ * @returns {Promise<Object|null>} User instance, or null if the code is invalid, used or expired
+ * @private
+ */
+const redeemGoogleCode = async (code, purpose, where = {}) => {
+  if (!code || typeof code !== 'string') return null;
+
+  const hashedCode = hashGoogleCode(code, purpose);
+  const user = await User.findOne({ where: { ...where, googleLoginCode: hashedCode } });
+  if (!user) return null;
+
+  const [cleared] = await User.update(
+    { googleLoginCode: null, googleLoginCodeExpires: null },
+    { where: { id: user.id, googleLoginCode: hashedCode } }
+  );
+  if (cleared === 0 || user.googleLoginCodeExpires < new Date()) return null;
+
+  user.googleLoginCode = null;
+  user.googleLoginCodeExpires = null;
+  return user;
+};
+
+/**
+ * Respond to a login attempt on a locked account
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} retryAfter - Seconds until the lockout ends
+ * @returns {Object} Express response
+ */
+const sendAccountLocked = (res, retryAfter) => sendTooManyRequests(res, {
+  message: 'This account is temporarily locked after too many failed login attempts.',
+  error: 'ACCOUNT_LOCKED',
+  retryAfter,
+});
+
 /**
  * @route   POST /api/auth/login
  * @desc    Authenticate user with email and password
@@ -186,12 +405,19 @@ router.post('/register', async (req, res) => {
  * @body {string} email - User's email address (required)
  * @body {string} password - User's password (required)
  * 
- * @returns {Object} 200 - { token: string, user: Object }
+ * Logging in cancels a scheduled account deletion.
+ * 
+ * @returns {Object} 200 - { token: string, refreshToken: string, user: Object, deletionCancelled: boolean }
+ *   token is a short-lived access token; exchange refreshToken at POST /api/auth/refresh
+ * @returns {Object} 200 - { twoFactorRequired: true, challengeToken: string } - 2FA is enabled;
+ *   send the challenge token and a code to POST /api/auth/login/2fa within 5 minutes
  * @returns {Object} 400 - { message: string } - Invalid credentials
  * @returns {Object} 401 - { message: string } - Password incorrect
+ * @returns {Object} 429 - { message: string, error: string, retryAfter: number } - Rate limited
+ *   (RATE_LIMITED) or account locked after repeated failures (ACCOUNT_LOCKED); see Retry-After
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -217,23 +443,30 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is checked
+    const lockedFor = accountLockout.getLockoutRemaining(user);
+    if (lockedFor) {
+      return sendAccountLocked(res, lockedFor);
+    }
+
     // Compare entered password with hashed password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      const lockedNow = await accountLockout.recordFailedLogin(user);
+      if (lockedNow) {
+        return sendAccountLocked(res, lockedNow);
+      }
       return res.status(401).json({ 
         message: 'Invalid email or password' 
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // The password alone is not enough; the code is checked at /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallenge(user));
+    }
 
-    // Return token and user data
-    res.json({
-      message: 'Login successful',
-      token,
-      user: user.getPublicProfile(),
-    });
+    res.json(await completeLogin(user, req));
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ 
@@ -243,6 +476,208 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second step of login for accounts with two-factor authentication
+ * @access  Public (requires a challenge token from POST /api/auth/login)
+ * 
+ * @body {string} challengeToken - Token returned by the password step (required)
+ * @body {string} code - 6-digit code from the authenticator app
+ * @body {string} recoveryCode - One of the recovery codes, if the authenticator is lost
+ * 
+ * @returns {Object} 200 - Same as POST /api/auth/login, plus recoveryCodesRemaining
+ *   when a recovery code was used
+ * @returns {Object} 400 - { message: string } - Missing code or expired challenge
+ * @returns {Object} 403 - { message: string } - Wrong code
+ * @returns {Object} 429 - { message: string, error: string, retryAfter: number } - Rate limited
+ *   or account locked; wrong codes count towards the lockout
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/login/2fa', loginIpLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Please enter the code from your authenticator app or a recovery code'
+      });
+    }
+
+    const userId = twoFactorService.verifyChallengeToken(challengeToken);
+    const user = userId && await User.findByPk(userId);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Your login has expired. Please log in again.',
+        error: 'CHALLENGE_EXPIRED'
+      });
+    }
+
+    const lockedFor = accountLockout.getLockoutRemaining(user);
+    if (lockedFor) {
+      return sendAccountLocked(res, lockedFor);
+    }
+
+    // 403 rather than 401: there is no session yet to refresh
+    const method = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      // Wrong codes count towards the lockout like wrong passwords
+      const lockedNow = await accountLockout.recordFailedLogin(user);
+      if (lockedNow) {
+        return sendAccountLocked(res, lockedNow);
+      }
+      return res.status(403).json({
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid or expired code'
+      });
+    }
+
+    const response = await completeLogin(user, req);
+    if (method === 'recovery') {
+      response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('Two-factor login error:', err);
+    res.status(500).json({ 
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a passwordless sign-in link
+ * @access  Public
+ * 
+ * @body {string} email - User's email address (required)
+ * 
+ * The link (<FRONTEND_URL>/auth/magic?token=...) works once, for
+ * MAGIC_LINK_TTL_MINUTES; requesting a new one replaces it. Like the
+ * password reset token, only a hash of the token is stored.
+ * 
+ * @returns {Object} 200 - { message: string } - Same message whether or not the account exists
+ * @returns {Object} 400 - { message: string } - Missing or invalid email
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number } - Too many
+ *   requests from this IP or for this address
+ * @returns {Object} 500 - { message: string } - Email could not be sent or server error
+ */
+router.post('/magic-link', magicLinkLimiter, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        message: 'Please provide an email address',
+      });
+    }
+
+    const genericMessage = 'If an account with that email exists, a sign-in link has been sent.';
+
+    // Don't reveal whether the email has an account
+    const user = await User.findOne({ where: { email: email.toLowerCase() } });
+    if (!user) {
+      return res.json({ message: genericMessage });
+    }
+
+    const loginToken = crypto.randomBytes(32).toString('hex');
+    user.magicLinkToken = crypto.createHash('sha256').update(loginToken).digest('hex');
+    user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    const emailSent = await sendMagicLinkEmail(user.email, loginToken, MAGIC_LINK_TTL_MINUTES, user.name);
+
+    if (!emailSent) {
+      // Clear the token if email fails
+      user.magicLinkToken = null;
+      user.magicLinkExpires = null;
+      await user.save();
+
+      return res.status(500).json({
+        message: 'Failed to send sign-in link. Please try again later.',
+      });
+    }
+
+    res.json({ message: genericMessage });
+  } catch (err) {
+    console.error('Magic link error:', err);
+    res.status(500).json({
+      message: 'Server error while sending sign-in link',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Log in with the token from a sign-in link
+ * @access  Public
+ * 
+ * @body {string} token - Token from the emailed link (required)
+ * 
+ * The frontend's /auth/magic page posts the token, so link scanners that
+ * open URLs in emails don't use it up. Opening the link proves the user owns
+ * the address, so it also verifies the email.
+ * 
+ * @returns {Object} 200 - Same as POST /api/auth/login (including the 2FA challenge when
+ *   two-factor authentication is enabled)
+ * @returns {Object} 400 - { message: string, error: 'INVALID_MAGIC_LINK' } - Invalid, used or
+ *   expired link
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number }
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/magic-link/verify', loginIpLimiter, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    const invalidLink = {
+      message: 'This sign-in link is invalid or has expired. Please request a new one.',
+      error: 'INVALID_MAGIC_LINK',
+    };
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json(invalidLink);
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const user = await User.findOne({ where: { magicLinkToken: hashedToken } });
+
+    if (!user) {
+      return res.status(400).json(invalidLink);
+    }
+
+    // Links work once, expired or not; of two requests with the same link only one gets through
+    const [consumed] = await User.update(
+      { magicLinkToken: null, magicLinkExpires: null },
+      { where: { id: user.id, magicLinkToken: hashedToken } }
+    );
+    if (consumed === 0 || user.magicLinkExpires < new Date()) {
+      return res.status(400).json(invalidLink);
+    }
+    user.magicLinkToken = null;
+    user.magicLinkExpires = null;
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerificationToken = null;
+      user.emailVerificationExpires = null;
+      await user.save();
+    }
+
+    // The link stands in for the password, not for the second factor
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallenge(user));
+    }
+
+    res.json(await completeLogin(user, req));
+  } catch (err) {
+    console.error('Magic link login error:', err);
+    res.status(500).json({
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
 /**
  * @route   GET /api/auth/google
  * @desc    Initiate Google OAuth authentication
@@ -258,31 +693,107 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/auth/google/reauth
+ * @desc    Confirm the signed-in user's identity with Google
+ * @access  Public
+ * 
+ * Used by accounts without a password before sensitive actions (deleting
+ * the account, setting a first password). Redirects to Google's account
+ * chooser; the callback sends the user to the frontend profile page with a
+ * one-time code, which POST /api/auth/google/reauth/exchange trades for a
+ * short-lived reauth token.
+ * 
+ * @query {string} action - 'set-password' to say what the confirmation is for; passed back
+ *   to the profile page as ?action= (optional, default: account deletion)
+ */
+router.get('/google/reauth', (req, res, next) => {
+  passport.authenticate('google', { 
+    scope: ['profile', 'email'],
+    session: false,
+    state: signInMethods.toReauthState(req.query.action),
+    prompt: 'select_account',
+  })(req, res, next);
+});
+
 /**
  * @route   GET /api/auth/google/callback
  * @desc    Google OAuth callback handler
  * @access  Public
  * 
  * Handles the callback from Google after user authorization.
- * Creates or updates user account and returns JWT token.
+ * Finds or creates the user account and starts a session.
+ * Signing in cancels a scheduled account deletion.
  * 
- * @returns Redirect to frontend with token or error
+ * Tokens never go in the redirect URL: the frontend gets a one-time code and
+ * exchanges it with POST /api/auth/google/exchange (which also answers with
+ * the two-factor challenge for accounts with 2FA).
+ * 
+ * @returns Redirect to frontend with a one-time code or error; after /google/reauth,
+ *   redirect to /profile with a one-time reauthCode, or reauthError if no account uses that
+ *   Google account; after /google/link, redirect to /profile with googleLinked=true or linkError
  */
 router.get(
   '/google/callback',
-  passport.authenticate('google', { 
-    failureRedirect: '/api/auth/google/failure',
-    session: false 
-  }),
-  (req, res) => {
+  (req, res, next) => {
+    passport.authenticate('google', { session: false }, (err, user, info) => {
+      if (err) {
+        console.error('Google authentication error:', err);
+        return res.redirect('/api/auth/google/failure');
+      }
+      if (!user) {
+        // Tell the user why, e.g. the email belongs to an account Google isn't connected to
+        if (info && info.code === 'ACCOUNT_EXISTS') {
+          const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+          return res.redirect(`${frontendURL}/auth/callback?error=${encodeURIComponent(info.message)}`);
+        }
+        return res.redirect('/api/auth/google/failure');
+      }
+      req.user = user;
+      next();
+    })(req, res, next);
+  },
+  async (req, res) => {
+    const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    // Connecting Google to the account that started the request, not a login
+    if (signInMethods.isLinkState(req.query.state)) {
+      try {
+        // Only the browser that started the request holds the matching session
+        const userId = signInMethods.consumeLinkRequest(req.session, req.query.state);
+        if (!userId) {
+          throw new signInMethods.SignInMethodError('The request to connect Google has expired. Please try again.');
+        }
+        await signInMethods.linkGoogleAccount(userId, req.user.googleProfile);
+        return res.redirect(`${frontendURL}/profile?googleLinked=true`);
+      } catch (err) {
+        if (!(err instanceof signInMethods.SignInMethodError)) {
+          console.error('Google link error:', err);
+        }
+        const message = err instanceof signInMethods.SignInMethodError
+          ? err.message
+          : 'Could not connect your Google account. Please try again.';
+        return res.redirect(`${frontendURL}/profile?linkError=${encodeURIComponent(message)}`);
+      }
+    }
+
     try {
-      // Generate JWT token for authenticated user
-      const token = generateToken(req.user.id);
-      
-      // Redirect to frontend with token
-      // Adjust the URL based on your frontend configuration
-      const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
-      res.redirect(`${frontendURL}/auth/callback?token=${token}`);
+      // Identity confirmation for a sensitive action, not a new login
+      const reauthAction = signInMethods.getReauthAction(req.query.state);
+      if (reauthAction !== null) {
+        const user = await User.findOne({ where: { googleId: req.user.googleProfile.id } });
+        if (!user) {
+          const message = 'This Google account is not connected to your account.';
+          return res.redirect(`${frontendURL}/profile?reauthError=${encodeURIComponent(message)}`);
+        }
+        const actionParam = reauthAction ? `&action=${reauthAction}` : '';
+        const code = await issueGoogleCode(user, 'reauth');
+        return res.redirect(`${frontendURL}/profile?reauthCode=${code}${actionParam}`);
+      }
+
+      // The session (or the two-factor challenge) starts when the code is exchanged
+      const code = await issueGoogleCode(req.user, 'login');
+      res.redirect(`${frontendURL}/auth/callback?code=${code}`);
     } catch (err) {
       console.error('Google callback error:', err);
       res.redirect('/api/auth/google/failure');
@@ -291,90 +802,372 @@ router.get(
 );
 
 /**
- * @route   GET /api/auth/google/failure
- * @desc    Google OAuth failure handler
+ * @route   POST /api/auth/google/exchange
+ * @desc    Log in with the one-time code from the Google callback
  * @access  Public
  * 
- * @returns {Object} 401 - { message: string }
- */
-router.get('/google/failure', (req, res) => {
-  res.status(401).json({ 
-    message: 'Google authentication failed',
-    error: 'GOOGLE_AUTH_FAILED'
-  });
-});
-
-/**
- * @route   GET /api/auth/user
- * @desc    Get current authenticated user's profile
- * @access  Private (requires JWT token)
+ * @body {string} code - Code from /auth/callback?code= (required, valid for 1 minute)
  * 
- * @header {string} Authorization - Bearer token (required)
+ * Signing in cancels a scheduled account deletion. Accounts with 2FA get
+ * a challenge for POST /api/auth/login/2fa instead of the tokens.
  * 
- * @returns {Object} 200 - User profile data
- * @returns {Object} 401 - { message: string } - Unauthorized
- * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 200 - Same as POST /api/auth/login
+ * @returns {Object} 400 - { message: string, error: 'INVALID_GOOGLE_CODE' } - Invalid, used
+ *   or expired code
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number }
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.get('/user', auth, async (req, res) => {
+router.post('/google/exchange', loginIpLimiter, async (req, res) => {
   try {
-    // User is already attached to req by auth middleware
-    const user = await User.findByPk(req.user.id, {
-      attributes: { exclude: ['password'] }
-    });
-    
+    const user = await redeemGoogleCode((req.body || {}).code, 'login');
+
     if (!user) {
-      return res.status(404).json({ 
-        message: 'User not found' 
+      return res.status(400).json({
+        message: 'Google sign-in has expired. Please try again.',
+        error: 'INVALID_GOOGLE_CODE',
       });
     }
 
-    res.json(user.getPublicProfile());
+    // Google stands in for the password, not for the second factor
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallenge(user));
+    }
+
+    res.json(await completeLogin(user, req));
   } catch (err) {
-    console.error('Get user error:', err);
-    res.status(500).json({ 
-      message: 'Server error while fetching user data',
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    console.error('Google code exchange error:', err);
+    res.status(500).json({
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
     });
   }
 });
 
 /**
- * @route   PUT /api/auth/profile
- * @desc    Update user profile information
+ * @route   POST /api/auth/google/reauth/exchange
+ * @desc    Trade the code from a Google confirmation for a reauth token
  * @access  Private (requires JWT token)
  * 
  * @header {string} Authorization - Bearer token (required)
- * @body {string} name - User's name (optional)
- * @body {string} dob - Date of birth (optional)
- * @body {string} gender - Gender (optional)
- * @body {string} nickname - Nickname (optional)
- * @body {string} bio - User bio (optional, max 500 chars)
+ * @body {string} code - Code from /profile?reauthCode= (required, valid for 1 minute)
  * 
- * @returns {Object} 200 - { message: string, user: Object }
- * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
+ * @returns {Object} 200 - { reauthToken: string } - valid for 10 minutes, for
+ *   POST /api/auth/password/set or DELETE /api/auth/account
+ * @returns {Object} 400 - { message: string, error: 'INVALID_GOOGLE_CODE' } - Invalid, used
+ *   or expired code, or a code for another account
  * @returns {Object} 401 - { message: string } - Unauthorized
- * @returns {Object} 404 - { message: string } - User not found
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.put('/profile', auth, async (req, res) => {
+router.post('/google/reauth/exchange', auth, async (req, res) => {
   try {
-    const { name, dob, gender, nickname, bio } = req.body;
-    const userId = req.user.id;
+    const user = await redeemGoogleCode((req.body || {}).code, 'reauth', { id: req.user.id });
 
-    // Find user
-    const user = await User.findByPk(userId);
     if (!user) {
-      return res.status(404).json({ 
-        message: 'User not found' 
+      return res.status(400).json({
+        message: 'Google confirmation has expired. Please confirm again.',
+        error: 'INVALID_GOOGLE_CODE',
       });
     }
 
-    // Update fields if provided
-    if (name !== undefined) {
-      if (name.trim().length < 2) {
-        return res.status(400).json({ 
-          message: 'Name must be at least 2 characters long' 
+    res.json({ reauthToken: generateReauthToken(user.id) });
+  } catch (err) {
+    console.error('Google reauth exchange error:', err);
+    res.status(500).json({
+      message: 'Server error while confirming with Google',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/google/failure
+ * @desc    Google OAuth failure handler
+ * @access  Public
+ * 
+ * @returns {Object} 401 - { message: string }
+ */
+router.get('/google/failure', (req, res) => {
+  res.status(401).json({ 
+    message: 'Google authentication failed',
+    error: 'GOOGLE_AUTH_FAILED'
+  });
+});
+
+/**
+ * @route   GET /api/auth/sign-in-methods
+ * @desc    List the ways the current user can log in
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { methods: [{ id: 'password'|'google'|'email-link', connected: boolean,
+ *   removable: boolean }] }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/sign-in-methods', auth, async (req, res) => {
+  try {
+    // req.user has no password hash; load it to tell whether one is set
+    const user = await User.findByPk(req.user.id);
+
+    res.json({
+      methods: signInMethods.listSignInMethods(user),
+    });
+  } catch (err) {
+    console.error('Sign-in methods error:', err);
+    res.status(500).json({
+      message: 'Server error while fetching sign-in methods',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/google/link
+ * @desc    Start connecting a Google account to the current user
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * Stores the request in this browser's session (the request must send
+ * cookies). The browser then opens GET /api/auth/google/link, which can't
+ * carry the Authorization header; only the same browser can finish the link.
+ * 
+ * @returns {Object} 200 - { message: string } - valid for 10 minutes
+ * @returns {Object} 400 - { message: string } - Google is already connected
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ */
+router.post('/google/link', auth, (req, res) => {
+  if (req.user.googleId) {
+    return res.status(400).json({
+      message: 'A Google account is already connected'
+    });
+  }
+
+  signInMethods.createLinkRequest(req.session, req.user.id);
+
+  res.json({
+    message: 'Continue to Google to connect your account',
+  });
+});
+
+/**
+ * @route   GET /api/auth/google/link
+ * @desc    Redirect to Google to connect it to the account that started the request
+ * @access  Public (requires a pending request from POST /api/auth/google/link in this session)
+ * 
+ * @returns Redirect to Google's account chooser; the callback redirects to /profile with
+ *   googleLinked=true or linkError. Without a pending request, redirects there with
+ *   linkError directly.
+ */
+router.get('/google/link', (req, res, next) => {
+  const state = signInMethods.getLinkState(req.session);
+
+  if (!state) {
+    const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const message = 'The request to connect Google has expired. Please try again.';
+    return res.redirect(`${frontendURL}/profile?linkError=${encodeURIComponent(message)}`);
+  }
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    session: false,
+    state,
+    prompt: 'select_account',
+  })(req, res, next);
+});
+
+/**
+ * @route   DELETE /api/auth/google
+ * @desc    Disconnect Google from the current user
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} password - Current password (required)
+ * 
+ * Only possible with a password set, so the account can still log in.
+ * 
+ * @returns {Object} 200 - { message: string, methods: Object[] }
+ * @returns {Object} 400 - { message: string } - Google not connected, no password set or
+ *   missing password
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string } - Wrong password
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/google', auth, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const user = await User.findByPk(req.user.id);
+
+    // Checked before the password so Google-only accounts get a useful message
+    if (user.googleId && user.password) {
+      if (!password || typeof password !== 'string') {
+        return res.status(400).json({
+          message: 'Please enter your password to confirm'
+        });
+      }
+
+      // 403 rather than 401: the session is fine, only the confirmation failed
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        return res.status(403).json({
+          message: 'Password is incorrect'
+        });
+      }
+    }
+
+    await signInMethods.unlinkGoogleAccount(user);
+
+    res.json({
+      message: 'Google account disconnected',
+      methods: signInMethods.listSignInMethods(user),
+    });
+  } catch (err) {
+    if (err instanceof signInMethods.SignInMethodError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Google unlink error:', err);
+    res.status(500).json({
+      message: 'Server error while disconnecting Google',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/password/set
+ * @desc    Add a password to an account that only signs in with Google
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} password - New password (required, min 6 chars)
+ * @body {string} reauthToken - Token from POST /api/auth/google/reauth/exchange after
+ *   GET /api/auth/google/reauth?action=set-password (required)
+ * 
+ * Accounts that already have a password use PUT /api/auth/password.
+ * 
+ * @returns {Object} 200 - { message: string, methods: Object[] }
+ * @returns {Object} 400 - { message: string } - Password already set or validation error
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string } - Expired Google confirmation
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/password/set', auth, async (req, res) => {
+  try {
+    const { password, reauthToken } = req.body || {};
+    const user = await User.findByPk(req.user.id);
+
+    if (user.password) {
+      return res.status(400).json({
+        message: 'This account already has a password. Use change password instead.'
+      });
+    }
+
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    if (!reauthToken) {
+      return res.status(400).json({
+        message: 'Please confirm with Google first'
+      });
+    }
+
+    if (!verifyReauthToken(reauthToken, user.id)) {
+      return res.status(403).json({
+        message: 'Google confirmation has expired or belongs to another account. Please confirm again.'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    await user.save();
+
+    res.json({
+      message: 'Password set. You can now log in with your email and password.',
+      methods: signInMethods.listSignInMethods(user),
+    });
+  } catch (err) {
+    console.error('Set password error:', err);
+    res.status(500).json({
+      message: 'Server error while setting password',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/user
+ * @desc    Get current authenticated user's profile
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - User profile data
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/user', auth, async (req, res) => {
+  try {
+    // Loaded with the password hash so the profile can report hasPassword;
+    // getPublicProfile never includes the hash itself
+    const user = await User.findByPk(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    res.json(user.getPublicProfile());
+  } catch (err) {
+    console.error('Get user error:', err);
+    res.status(500).json({ 
+      message: 'Server error while fetching user data',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/profile
+ * @desc    Update user profile information
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} name - User's name (optional)
+ * @body {string} dob - Date of birth (optional)
+ * @body {string} gender - Gender (optional)
+ * @body {string} nickname - Nickname (optional)
+ * @body {string} bio - User bio (optional, max 500 chars)
+ * 
+ * @returns {Object} 200 - { message: string, user: Object }
+ * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/profile', auth, async (req, res) => {
+  try {
+    const { name, dob, gender, nickname, bio } = req.body;
+    const userId = req.user.id;
+
+    // Find user
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    // Update fields if provided
+    if (name !== undefined) {
+      if (name.trim().length < 2) {
+        return res.status(400).json({ 
+          message: 'Name must be at least 2 characters long' 
         });
       }
       user.name = name.trim();
@@ -446,6 +1239,8 @@ router.put('/profile', auth, async (req, res) => {
  * @desc    Update user password
  * @access  Private (requires JWT token)
  * 
+ * Logs out every other device; the current session stays signed in.
+ * 
  * @header {string} Authorization - Bearer token (required)
  * @body {string} currentPassword - Current password (required)
  * @body {string} newPassword - New password (required, min 6 chars)
@@ -504,6 +1299,9 @@ router.put('/password', auth, async (req, res) => {
     // Save updated user
     await user.save();
 
+    // Sign out every other device; this one stays logged in
+    await sessionService.revokeAllSessions(user.id, req.sessionId);
+
     res.json({
       message: 'Password updated successfully',
     });
@@ -525,9 +1323,11 @@ router.put('/password', auth, async (req, res) => {
  * 
  * @returns {Object} 200 - { message: string } - Email sent (or generic message for security)
  * @returns {Object} 400 - { message: string } - Invalid email
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number } - Too many
+ *   requests from this IP or for this address
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -597,14 +1397,18 @@ router.post('/forgot-password', async (req, res) => {
  * @desc    Reset password using token
  * @access  Public
  * 
+ * Logs the user out of every device and lifts a login lockout.
+ * 
  * @body {string} token - Password reset token from email (required)
  * @body {string} password - New password (required, min 6 chars)
  * 
  * @returns {Object} 200 - { message: string } - Password reset successful
  * @returns {Object} 400 - { message: string } - Invalid/expired token or validation error
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number } - Too many
+ *   failed attempts from this IP
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
   try {
     const { token, password } = req.body;
 
@@ -657,9 +1461,16 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordToken = null;
     user.resetPasswordExpires = null;
 
+    // The owner proved access to the email, so lift a lockout
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+
     // Save user
     await user.save();
 
+    // Whoever knew the old password is signed out too
+    await sessionService.revokeAllSessions(user.id);
+
     res.json({
       message: 'Password has been reset successfully. You can now login with your new password.',
     });
@@ -724,4 +1535,725 @@ router.get('/verify-reset-token/:token', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify the user's email address using the token from the verification email
+ * @access  Public
+ * 
+ * @body {string} token - Email verification token (required)
+ * 
+ * @returns {Object} 200 - { message: string, user: Object } - Email verified
+ * @returns {Object} 400 - { message: string } - Missing, invalid or expired token
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        message: 'Verification token is required',
+      });
+    }
+
+    // Hash the received token to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      where: {
+        emailVerificationToken: hashedToken,
+      },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or already used verification link',
+      });
+    }
+
+    if (user.emailVerificationExpires < new Date()) {
+      return res.status(400).json({
+        message: 'Verification link has expired. Please request a new one.',
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    res.json({
+      message: 'Your email address has been verified',
+      user: user.getPublicProfile(),
+    });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({
+      message: 'Server error while verifying email',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private (requires JWT token)
+ * 
+ * Emails can be resent once every EMAIL_VERIFICATION_COOLDOWN_SECONDS
+ * (default: 60). Sending a new link invalidates the previous one.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { message: string } - Email sent
+ * @returns {Object} 400 - { message: string } - Email already verified
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 429 - { message: string, retryAfter: number } - Sent too recently
+ *   (retryAfter in seconds, also in the Retry-After header)
+ * @returns {Object} 500 - { message: string } - Email could not be sent or server error
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        message: 'Your email address is already verified',
+      });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+      if (elapsed < EMAIL_VERIFICATION_COOLDOWN) {
+        const retryAfter = Math.ceil(EMAIL_VERIFICATION_COOLDOWN - elapsed);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          message: `Please wait ${retryAfter} seconds before requesting another email`,
+          retryAfter,
+        });
+      }
+    }
+
+    const emailSent = await sendEmailVerification(user);
+
+    if (!emailSent) {
+      return res.status(500).json({
+        message: 'Failed to send verification email. Please try again later.',
+      });
+    }
+
+    res.json({
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({
+      message: 'Server error while sending verification email',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a refresh token)
+ * 
+ * Refresh tokens are single-use: store the new one and discard the old.
+ * Presenting a refresh token that was already replaced revokes its session.
+ * 
+ * @body {string} refreshToken - Refresh token from login or the previous refresh (required)
+ * 
+ * @returns {Object} 200 - { token: string, refreshToken: string }
+ * @returns {Object} 401 - { message: string, error: 'INVALID_REFRESH_TOKEN' } - Unknown,
+ *   reused, revoked or expired refresh token; the user must log in again
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken } = await sessionService.refreshSession(req.body.refreshToken, req);
+
+    res.json({ token, refreshToken });
+  } catch (err) {
+    if (err instanceof sessionService.InvalidRefreshTokenError) {
+      return res.status(401).json({
+        message: err.message,
+        error: err.code,
+      });
+    }
+    console.error('Refresh token error:', err);
+    res.status(500).json({
+      message: 'Server error while refreshing session',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out of the current session
+ * @access  Private (requires JWT token)
+ * 
+ * Revokes the session of the access token, so its refresh token stops working.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.user.id, req.sessionId);
+    }
+
+    res.json({
+      message: 'Logged out successfully',
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out everywhere
+ * @access  Private (requires JWT token)
+ * 
+ * Revokes every session of the user, including the current one.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { message: string, revoked: number }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id);
+
+    res.json({
+      message: 'Logged out of all devices',
+      revoked,
+    });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices signed in to the user's account
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { sessions: Array<{ id, device, userAgent, ipAddress, createdAt,
+ *   lastUsedAt, expiresAt, current }> } - Most recently used first; current marks this device
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => session.toPublicJSON(req.sessionId)),
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({
+      message: 'Server error while fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a session, logging that device out
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Session ID
+ * 
+ * @returns {Object} 200 - { message: string, current: boolean } - current is true if this
+ *   device was logged out
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - Session not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        message: 'Session not found',
+      });
+    }
+
+    res.json({
+      message: 'Session revoked',
+      current: req.params.id === req.sessionId,
+    });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({
+      message: 'Server error while revoking session',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolling an authenticator app for two-factor authentication
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * Generates a new secret; 2FA stays off until POST /api/auth/2fa/enable
+ * confirms a code from the app. Calling it again replaces the secret.
+ * 
+ * @returns {Object} 200 - { secret: string, otpauthUrl: string, qrCode: string } - qrCode is a
+ *   PNG data URL of otpauthUrl; secret is for manual entry
+ * @returns {Object} 400 - { message: string } - 2FA already enabled or account has no password
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.password) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is only available for accounts with a password'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    await user.update({
+      twoFactorSecret: secret,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null,
+    });
+
+    res.json(await twoFactorService.getProvisioning(user.email, secret));
+  } catch (err) {
+    console.error('Two-factor setup error:', err);
+    res.status(500).json({
+      message: 'Server error while setting up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Turn on two-factor authentication after setup
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} code - Current 6-digit code from the authenticator app (required)
+ * 
+ * @returns {Object} 200 - { message: string, recoveryCodes: string[] } - the recovery codes
+ *   are only shown this once
+ * @returns {Object} 400 - { message: string } - Setup not started, already enabled or missing code
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string } - Wrong code
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number } -
+ *   Too many wrong codes
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/2fa/enable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findByPk(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        message: 'Please enter the code from your authenticator app'
+      });
+    }
+
+    if (!(await twoFactorService.verifyCode(user, code))) {
+      return res.status(403).json({
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await user.update({ twoFactorEnabled: true, twoFactorRecoveryCodes: hashes });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    console.error('Two-factor enable error:', err);
+    res.status(500).json({
+      message: 'Server error while enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} password - Current password (required)
+ * @body {string} code - Current code from the authenticator app
+ * @body {string} recoveryCode - A recovery code, if the authenticator is lost
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 400 - { message: string } - 2FA not enabled or missing password/code
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string } - Wrong password or code
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number } -
+ *   Too many wrong codes
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/2fa/disable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || typeof password !== 'string' || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Please enter your password and a code from your authenticator app'
+      });
+    }
+
+    // 403 rather than 401: the session is fine, only the confirmation failed
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(403).json({
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await twoFactorService.verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(403).json({
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid or expired code'
+      });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null,
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (err) {
+    console.error('Two-factor disable error:', err);
+    res.status(500).json({
+      message: 'Server error while disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes with a new set
+ * @access  Private (requires JWT token)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} code - Current code from the authenticator app (required)
+ * 
+ * The previous codes stop working.
+ * 
+ * @returns {Object} 200 - { message: string, recoveryCodes: string[] }
+ * @returns {Object} 400 - { message: string } - 2FA not enabled or missing code
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string } - Wrong code
+ * @returns {Object} 429 - { message: string, error: 'RATE_LIMITED', retryAfter: number } -
+ *   Too many wrong codes
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/2fa/recovery-codes', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        message: 'Please enter the code from your authenticator app'
+      });
+    }
+
+    if (!(await twoFactorService.verifyCode(user, code))) {
+      return res.status(403).json({
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    res.status(500).json({
+      message: 'Server error while generating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * Format Account Export
+ * Helper function to build the API representation of an export, with a
+ * download link while the archive is available
+ * 
+ * @param {Object} accountExport - AccountExport instance
+ * @param {Object} req - Express request object (for the public backend URL)
+ * @returns {Object} Export data
+ * @private
+ */
+const formatExport = (accountExport, req) => ({
+  id: accountExport.id,
+  status: accountExport.status,
+  size: accountExport.size !== null ? Number(accountExport.size) : null,
+  counts: accountExport.counts,
+  error: accountExport.error,
+  createdAt: accountExport.createdAt,
+  finishedAt: accountExport.finishedAt,
+  expiresAt: accountExport.expiresAt,
+  downloadUrl: accountExport.isDownloadable()
+    ? accountExportService.getDownloadUrl(accountExport, getBaseUrls(req).apiUrl)
+    : null,
+});
+
+/**
+ * @route   GET /api/auth/export
+ * @desc    Export all of the user's data as a zip archive
+ * @access  Private (requires JWT token)
+ * 
+ * The archive is built in the background. The first call starts an export;
+ * poll this endpoint until status is 'completed', then download the archive
+ * from downloadUrl. The link is also emailed to the user and stops working
+ * after ACCOUNT_EXPORT_TTL_HOURS (default: 24), when the archive is deleted.
+ * 
+ * The archive contains manifest.json, profile.json, posts/ (every post as
+ * Markdown and HTML), comments.json, bookmarks.json, media.json and media/.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @query {boolean} refresh - true to build a new archive even if one is available
+ * 
+ * @returns {Object} 200 - { message: string, export: Object } - Archive ready
+ * @returns {Object} 202 - { message: string, export: Object } - Archive being built
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/export', auth, async (req, res) => {
+  try {
+    const latest = await AccountExport.findOne({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']],
+    });
+
+    if (latest && latest.isActive()) {
+      return res.status(202).json({
+        message: 'Your export is being prepared',
+        export: formatExport(latest, req)
+      });
+    }
+
+    if (latest && latest.isDownloadable() && req.query.refresh !== 'true') {
+      return res.json({
+        message: 'Your export is ready',
+        export: formatExport(latest, req)
+      });
+    }
+
+    const accountExport = await AccountExport.create({ userId: req.user.id });
+    accountExportService.enqueue(accountExport);
+
+    res.status(202).json({
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      export: formatExport(accountExport, req)
+    });
+  } catch (err) {
+    console.error('Account export error:', err);
+    res.status(500).json({
+      message: 'Server error while exporting account data',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/export/:id/download
+ * @desc    Download an account export archive
+ * @access  Public (requires the signed token from the download link)
+ * 
+ * @param {string} id - Account export ID
+ * @query {string} token - Download token (required)
+ * 
+ * @returns {File} 200 - Zip archive (application/zip)
+ * @returns {Object} 403 - { message: string } - Invalid or expired link
+ * @returns {Object} 410 - { message: string } - Archive no longer available
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/export/:id/download', async (req, res) => {
+  try {
+    if (!accountExportService.verifyDownloadToken(req.query.token, req.params.id)) {
+      return res.status(403).json({
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    const accountExport = await AccountExport.findByPk(req.params.id);
+    if (!accountExport || !accountExport.isDownloadable()) {
+      return res.status(410).json({
+        message: 'This export is no longer available. Please request a new one.'
+      });
+    }
+
+    const date = new Date(accountExport.finishedAt).toISOString().substring(0, 10);
+    res.set('Cache-Control', 'private, no-store');
+    res.download(accountExportService.getArchivePath(accountExport), `account-export-${date}.zip`, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Account export download error:', err);
+        res.status(410).json({
+          message: 'This export is no longer available. Please request a new one.'
+        });
+      }
+    });
+  } catch (err) {
+    console.error('Account export download error:', err);
+    res.status(500).json({
+      message: 'Server error while downloading export',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Schedule the authenticated user's account for deletion
+ * @access  Private (requires JWT token)
+ * 
+ * The account is deleted after a grace period (ACCOUNT_DELETION_GRACE_DAYS,
+ * default: 14). The user is emailed a confirmation, signed out everywhere,
+ * and can cancel the deletion by logging in again before then.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} password - Current password (required for accounts with a password)
+ * @body {string} reauthToken - Token from GET /api/auth/google/reauth (for Google-only accounts)
+ * @body {string} contentMode - 'delete' to delete all posts, or 'anonymize' to keep
+ *   published posts under a "Deleted User" placeholder author (required)
+ * 
+ * @returns {Object} 202 - { message: string, deletionScheduledFor: Date, contentMode: string }
+ * @returns {Object} 400 - { message: string } - Missing confirmation or invalid content mode
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string } - Wrong password or expired Google confirmation
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/account', auth, async (req, res) => {
+  try {
+    const { password, reauthToken, contentMode } = req.body || {};
+
+    if (!DELETION_CONTENT_MODES.includes(contentMode)) {
+      return res.status(400).json({
+        message: `Choose what happens to your posts: ${DELETION_CONTENT_MODES.join(' or ')}`
+      });
+    }
+
+    // req.user has no password hash; load it for the check
+    const user = await User.findByPk(req.user.id);
+
+    if (user.password) {
+      if (!password || typeof password !== 'string') {
+        return res.status(400).json({
+          message: 'Please enter your password to confirm'
+        });
+      }
+      const isMatch = await bcrypt.compare(password, user.password);
+      // 403 rather than 401: the session is fine, only the confirmation failed
+      if (!isMatch) {
+        return res.status(403).json({
+          message: 'Password is incorrect'
+        });
+      }
+    } else {
+      if (!reauthToken) {
+        return res.status(400).json({
+          message: 'Please confirm with Google first'
+        });
+      }
+      if (!verifyReauthToken(reauthToken, user.id)) {
+        return res.status(403).json({
+          message: 'Google confirmation has expired or belongs to another account. Please confirm again.'
+        });
+      }
+    }
+
+    const scheduledFor = await accountDeletion.requestDeletion(user, contentMode);
+
+    res.status(202).json({
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Log in before then to cancel.`,
+      deletionScheduledFor: scheduledFor,
+      contentMode,
+    });
+  } catch (err) {
+    console.error('Delete account error:', err);
+    res.status(500).json({
+      message: 'Server error while deleting account',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
 module.exports = router;
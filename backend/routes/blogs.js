@@ -5,16 +5,31 @@
  * - CRUD operations for blog posts (Create, Read, Update, Delete)
  * - Fetching blogs by author
  * - Public and private blog access
+ * - Publishing lifecycle (draft, scheduled, published, archived)
+ * - Scheduled publishing
+ * - Full-text search and filtering of public posts
+ * - Slug-based permalinks with redirects from old slugs
+ * - Personalized feed of posts from followed authors
+ * - Markdown import and export
  * 
  * @module routes/blogs
  * @requires express
+ * @requires multer
  * @requires ../models
  * @requires ../middleware/auth
+ * @requires ../middleware/rateLimit
  */
 
 const express = require('express');
-const { Blog, User } = require('../models');
+const multer = require('multer');
+const Diff = require('diff');
+const { Blog, User, Like, Bookmark, Follow, BLOG_STATUSES, SORTABLE_FIELDS } = require('../models');
 const auth = require('../middleware/auth');
+const { optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { consumeAiQuota } = require('../middleware/rateLimit');
+const publishScheduler = require('../services/publishScheduler');
+const notificationService = require('../services/notificationService');
+const { InvalidMarkdownError, parseMarkdownFile, buildMarkdownFile } = require('../services/markdownService');
 
 // AI service for auto-tagging (optional, gracefully fails if not configured)
 let aiService;
@@ -26,6 +41,44 @@ try {
 
 const router = express.Router();
 
+/**
+ * Share of the content (0-1) that has to change in an update before
+ * tags, summary and category are regenerated by AI
+ * @type {number}
+ */
+const AI_REFRESH_THRESHOLD = 0.3;
+
+/**
+ * Maximum number of tags per blog post
+ * @type {number}
+ */
+const MAX_TAGS = 10;
+
+/**
+ * Maximum Markdown import size in bytes (1 MB)
+ * @type {number}
+ */
+const MAX_MARKDOWN_SIZE = 1024 * 1024;
+
+/**
+ * Multer instance that keeps an imported Markdown file in memory
+ * @type {Object}
+ */
+const markdownUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_MARKDOWN_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, callback) => {
+    // Browsers report .md files with all sorts of types, so go by the extension
+    if (!/\.(md|markdown)$/i.test(file.originalname || '')) {
+      return callback(new InvalidMarkdownError('Only .md and .markdown files can be imported'));
+    }
+    callback(null, true);
+  },
+});
+
 /**
  * Validate Blog Input
  * Helper function to validate blog post data
@@ -38,7 +91,7 @@ const validateBlogInput = (data) => {
   const errors = [];
   
   // Content validation
-  if (!data.content || data.content.trim().length === 0) {
+  if (typeof data.content !== 'string' || data.content.trim().length === 0) {
     errors.push('Blog content cannot be empty');
   } else if (data.content.length > 50000) {
     errors.push('Blog content cannot exceed 50,000 characters');
@@ -62,59 +115,272 @@ const validateBlogInput = (data) => {
     }
   }
   
+  // Title validation
+  if (data.title !== undefined && data.title !== null) {
+    if (typeof data.title !== 'string') {
+      errors.push('Title must be a string');
+    } else if (data.title.trim().length > 200) {
+      errors.push('Title cannot exceed 200 characters');
+    }
+  }
+  
+  // Summary validation
+  if (data.summary !== undefined && data.summary !== null) {
+    if (typeof data.summary !== 'string') {
+      errors.push('Summary must be a string');
+    } else if (data.summary.trim().length > 500) {
+      errors.push('Summary cannot exceed 500 characters');
+    }
+  }
+  
+  // Category validation
+  if (data.category !== undefined && data.category !== null) {
+    if (typeof data.category !== 'string') {
+      errors.push('Category must be a string');
+    } else if (data.category.trim().length > 50) {
+      errors.push('Category cannot exceed 50 characters');
+    }
+  }
+  
+  // Tags validation
+  if (data.tags !== undefined && data.tags !== null) {
+    if (!Array.isArray(data.tags)) {
+      errors.push('Tags must be an array');
+    } else {
+      if (data.tags.length > MAX_TAGS) {
+        errors.push(`A blog post cannot have more than ${MAX_TAGS} tags`);
+      }
+      data.tags.forEach((tag, index) => {
+        if (typeof tag !== 'string' || tag.trim().length === 0) {
+          errors.push(`Tag at index ${index} must be a non-empty string`);
+        } else if (tag.trim().length > 50) {
+          errors.push(`Tag at index ${index} cannot exceed 50 characters`);
+        }
+      });
+    }
+  }
+  
+  // Status validation
+  if (data.status !== undefined && !BLOG_STATUSES.includes(data.status)) {
+    errors.push(`Status must be one of: ${BLOG_STATUSES.join(', ')}`);
+  }
+  
+  // Scheduled publish time validation
+  if (data.status === 'scheduled') {
+    const error = validatePublishAt(data.publishAt);
+    if (error) errors.push(error);
+  }
+  
   return {
     valid: errors.length === 0,
     errors
   };
 };
 
+/**
+ * Validate Publish Time
+ * Helper function to check a scheduled publish time
+ * 
+ * @param {string|Date} publishAt - Requested publish time
+ * @returns {string|null} Error message, or null if valid
+ * @private
+ */
+const validatePublishAt = (publishAt) => {
+  if (!publishAt) {
+    return 'A publish time (publishAt) is required to schedule a blog post';
+  }
+  const date = new Date(publishAt);
+  if (isNaN(date.getTime())) {
+    return 'Publish time must be a valid date';
+  }
+  if (date <= new Date()) {
+    return 'Publish time must be in the future';
+  }
+  return null;
+};
+
+/**
+ * Normalize Tags
+ * Helper function to trim, lowercase and de-duplicate tags
+ * 
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Normalized tags
+ * @private
+ */
+const normalizeTags = (tags = []) => {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Receive Markdown
+ * Middleware that parses the `file` field of a Markdown import and turns
+ * upload errors into 400 / 413 responses
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @private
+ */
+const receiveMarkdown = (req, res, next) => {
+  markdownUpload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: 'File is too large (max 1 MB)'
+      });
+    }
+    if (error instanceof multer.MulterError || error instanceof InvalidMarkdownError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+/**
+ * Get Content Change Ratio
+ * Helper function to measure how much of a post's text an update changed
+ * 
+ * @param {string} oldContent - Stored HTML content
+ * @param {string} newContent - Updated HTML content
+ * @returns {number} Share of words added or removed (0 = identical, 1 = rewritten)
+ * @private
+ */
+const getContentChangeRatio = (oldContent = '', newContent = '') => {
+  const toText = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+  const oldText = toText(oldContent);
+  const newText = toText(newContent);
+  const totalWords = countWords(oldText) + countWords(newText);
+  if (totalWords === 0) return 0;
+
+  // A replaced word counts once as removed and once as added
+  const changedWords = Diff.diffWords(oldText, newText)
+    .filter(part => part.added || part.removed)
+    .reduce((total, part) => total + countWords(part.value), 0);
+
+  return changedWords / totalWords;
+};
+
+/**
+ * Add Viewer State
+ * Helper function that marks which posts the current user liked or bookmarked
+ * 
+ * @param {Array<Object>} blogs - Blog instances
+ * @param {Object} [user] - Authenticated user (optional)
+ * @returns {Promise<Array<Object>>} Plain blog objects with `liked` and `bookmarked` flags
+ * @private
+ */
+const addViewerState = async (blogs, user) => {
+  const items = blogs.map(blog => (typeof blog.toJSON === 'function' ? blog.toJSON() : blog));
+  if (!user || items.length === 0) {
+    return items.map(blog => ({ ...blog, liked: false, bookmarked: false }));
+  }
+
+  const where = { userId: user.id, blogId: items.map(blog => blog.id) };
+  const [likes, bookmarks] = await Promise.all([
+    Like.findAll({ where, attributes: ['blogId'] }),
+    Bookmark.findAll({ where, attributes: ['blogId'] }),
+  ]);
+  const liked = new Set(likes.map(like => like.blogId));
+  const bookmarked = new Set(bookmarks.map(bookmark => bookmark.blogId));
+
+  return items.map(blog => ({
+    ...blog,
+    liked: liked.has(blog.id),
+    bookmarked: bookmarked.has(blog.id),
+  }));
+};
+
+/**
+ * Parse Date Query Parameter
+ * Helper function to read an optional date from the query string
+ * 
+ * @param {string} value - Raw query value
+ * @returns {Date|null|undefined} Parsed date, undefined if absent, null if invalid
+ * @private
+ */
+const parseDateParam = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
 /**
  * @route   GET /api/blogs
- * @desc    Get all blog posts with pagination and filtering
+ * @desc    Get all published blog posts with pagination, full-text search and filtering
  * @access  Public
  * 
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Number of blogs per page (default: 10, max: 50)
+ * @query {string} search - Full-text query over title, content, summary and tags (alias: q)
+ * @query {string} category - Filter by category
+ * @query {string} tags - Comma-separated tags; posts must have all of them (alias: tag)
+ * @query {string} language - Filter by language code
  * @query {string} author - Filter by author ID
- * @query {string} sort - Sort order: 'latest' or 'oldest' (default: 'latest')
+ * @query {string} from - Only posts created on or after this date (ISO format)
+ * @query {string} to - Only posts created on or before this date (ISO format)
+ * @query {string} sortBy - 'relevance', 'createdAt', 'updatedAt', 'publishedAt', 'title' or 'likesCount'
+ *                          (default: 'relevance' when searching, otherwise 'createdAt')
+ * @query {string} sortOrder - 'asc' or 'desc' (default: 'desc')
+ * @query {string} sort - Legacy sort order: 'latest' or 'oldest'
  * 
  * @returns {Object} 200 - { blogs: Array, pagination: Object }
- * @returns {Object} 400 - { message: string } - Invalid query parameters
+ *   Each blog has likesCount, bookmarksCount and, for the signed-in user, liked and bookmarked.
+ *   When searching, each blog also has rank, titleHighlight and contentHighlight
+ *   (snippets with matches wrapped in <mark> tags)
+ * @returns {Object} 400 - { message: string, errors: Array } - Invalid query parameters
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     // Parse query parameters with defaults
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 10, 50); // Max 50 per page
     const skip = (page - 1) * limit;
-    const sort = req.query.sort === 'oldest' ? 1 : -1;
-    
-    // Build filter
-    const filter = {};
-    if (req.query.author) {
-      filter.authorId = req.query.author;
-    }
 
-    // Get total count for pagination
-    const totalBlogs = await Blog.count({ where: filter });
-    const totalPages = Math.ceil(totalBlogs / limit);
+    const tagParam = req.query.tags || req.query.tag;
+    const tags = tagParam
+      ? String(tagParam).split(',').map(t => t.trim()).filter(Boolean)
+      : [];
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
 
-    // Fetch blogs with pagination
-    const blogs = await Blog.findAll({
-      where: filter,
-      include: [{
-        model: User,
-        as: 'author',
-        attributes: ['id', 'name', 'nickname', 'email']
-      }],
-      order: [['createdAt', sort === 1 ? 'ASC' : 'DESC']],
+    // Validate filters
+    const errors = [];
+    if (from === null) errors.push('"from" must be a valid date');
+    if (to === null) errors.push('"to" must be a valid date');
+    if (req.query.sortBy && req.query.sortBy !== 'relevance' && !SORTABLE_FIELDS.includes(req.query.sortBy)) {
+      errors.push(`sortBy must be one of: relevance, ${SORTABLE_FIELDS.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const { rows: blogs, count: totalBlogs } = await Blog.search({
+      q: req.query.search || req.query.q,
+      category: req.query.category,
+      tags,
+      language: req.query.language,
+      authorId: req.query.author,
+      from,
+      to,
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder || (req.query.sort === 'oldest' ? 'asc' : 'desc'),
       offset: skip,
-      limit: limit
+      limit,
     });
+    const totalPages = Math.ceil(totalBlogs / limit);
 
     res.json({
-      blogs,
+      blogs: await addViewerState(blogs, req.user),
       pagination: {
         currentPage: page,
         totalPages,
@@ -143,12 +409,12 @@ router.get('/', async (req, res) => {
  * @returns {Object} 200 - { blogs: Array }
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.get('/recent', async (req, res) => {
+router.get('/recent', optionalAuth, async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 10, 20);
     const blogs = await Blog.getRecentBlogs(limit);
     
-    res.json({ blogs });
+    res.json({ blogs: await addViewerState(blogs, req.user) });
   } catch (error) {
     console.error('Get recent blogs error:', error);
     res.status(500).json({ 
@@ -158,18 +424,131 @@ router.get('/recent', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/blogs/feed
+ * @desc    Get recent published posts from the authors the user follows
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Number of blogs per page (default: 10, max: 50)
+ * 
+ * @returns {Object} 200 - { blogs: Array, pagination: Object, followingCount: number }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    const follows = await Follow.findAll({
+      where: { followerId: req.user.id },
+      attributes: ['followingId'],
+    });
+    const authorIds = follows.map(follow => follow.followingId);
+
+    const { rows: blogs, count: totalBlogs } = authorIds.length > 0
+      ? await Blog.findAndCountAll({
+        where: { authorId: authorIds, status: 'published' },
+        include: [{
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'nickname', 'email']
+        }],
+        order: [['publishedAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+        offset: skip,
+        limit,
+      })
+      : { rows: [], count: 0 };
+    const totalPages = Math.ceil(totalBlogs / limit);
+
+    res.json({
+      blogs: await addViewerState(blogs, req.user),
+      followingCount: authorIds.length,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalBlogs,
+        blogsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ 
+      message: 'Server error while fetching feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/blogs/slug/:slug
+ * @desc    Get a single blog post by its slug
+ * @access  Public (drafts and archived posts are only visible to their author)
+ * 
+ * Old slugs (from before a title change) answer with a 301 redirect
+ * to the post's current slug.
+ * 
+ * @header {string} Authorization - Bearer token (optional)
+ * @param {string} slug - Blog post slug
+ * 
+ * @returns {Object} 200 - Blog post data with author details, likesCount, bookmarksCount,
+ *   and liked / bookmarked flags for the signed-in user
+ * @returns {Object} 301 - Redirect to /api/blogs/slug/:currentSlug
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const { blog, redirected } = await Blog.findBySlug(req.params.slug.toLowerCase(), {
+      include: [{
+        model: User,
+        as: 'author',
+        attributes: ['id', 'name', 'nickname', 'email', 'gender']
+      }]
+    });
+
+    // Unpublished posts are reported as missing to everyone but the author
+    if (!blog || !blog.isVisibleTo(req.user)) {
+      return res.status(404).json({ 
+        message: 'Blog post not found' 
+      });
+    }
+
+    if (redirected) {
+      return res.redirect(301, `${req.baseUrl}/slug/${blog.slug}`);
+    }
+
+    const [blogWithState] = await addViewerState([blog], req.user);
+    res.json(blogWithState);
+  } catch (error) {
+    console.error('Get blog by slug error:', error);
+    
+    res.status(500).json({ 
+      message: 'Server error while fetching blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   GET /api/blogs/:id
  * @desc    Get a single blog post by ID
- * @access  Public
+ * @access  Public (drafts and archived posts are only visible to their author)
  * 
+ * @header {string} Authorization - Bearer token (optional)
  * @param {string} id - Blog post ID
  * 
- * @returns {Object} 200 - Blog post data with author details
+ * @returns {Object} 200 - Blog post data with author details, likesCount, bookmarksCount,
+ *   and liked / bookmarked flags for the signed-in user
  * @returns {Object} 404 - { message: string } - Blog not found
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const blog = await Blog.findByPk(req.params.id, {
       include: [{
@@ -179,13 +558,15 @@ router.get('/:id', async (req, res) => {
       }]
     });
     
-    if (!blog) {
+    // Unpublished posts are reported as missing to everyone but the author
+    if (!blog || !blog.isVisibleTo(req.user)) {
       return res.status(404).json({ 
         message: 'Blog post not found' 
       });
     }
 
-    res.json(blog);
+    const [blogWithState] = await addViewerState([blog], req.user);
+    res.json(blogWithState);
   } catch (error) {
     console.error('Get blog error:', error);
     
@@ -196,29 +577,88 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/blogs/:id/export.md
+ * @desc    Download a blog post as Markdown
+ * @access  Public (drafts and archived posts are only available to their author)
+ * 
+ * The file starts with YAML front matter (title, summary, date, category,
+ * tags, language) and can be imported again with POST /api/blogs/import/markdown.
+ * 
+ * @header {string} Authorization - Bearer token (optional)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {string} 200 - Markdown file (text/markdown attachment)
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id/export.md', optionalAuth, async (req, res) => {
+  try {
+    const blog = await Blog.findByPk(req.params.id);
+
+    if (!blog || !blog.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        message: 'Blog post not found'
+      });
+    }
+
+    res.attachment(`${blog.slug || blog.id}.md`);
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.send(buildMarkdownFile(blog));
+  } catch (error) {
+    console.error('Export markdown error:', error);
+    res.status(500).json({
+      message: 'Server error while exporting blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   POST /api/blogs
  * @desc    Create a new blog post
  * @access  Private (requires authentication)
  * 
  * @header {string} Authorization - Bearer token (required)
- * @body {string} content - Blog post content (required, max 50,000 chars)
+ * @body {string} content - Blog post HTML (required, max 50,000 chars; sanitized to the editor's allowlist)
+ * @body {string} title - Post title (optional, max 200 chars; generated by AI when omitted)
+ * @body {string} summary - Short summary (optional, max 500 chars; generated by AI when omitted)
+ * @body {string} category - Category (optional, max 50 chars; generated by AI when omitted)
+ * @body {string[]} tags - Tags (optional, max 10, each max 50 chars; generated by AI when omitted)
  * @body {string[]} media - Array of media URLs (optional)
  * @body {string} template - Template name (optional, default: 'default')
  * @body {string} font - Font family (optional, default: 'Arial')
  * @body {string} language - Language code (optional, default: 'en')
+ * @body {string} status - 'draft', 'scheduled' or 'published' (optional, default: 'published',
+ *                          or 'scheduled' when publishAt is given)
+ * @body {string} publishAt - ISO date in the future to publish automatically (required when scheduled)
  * 
- * @returns {Object} 201 - Created blog post data
+ * AI auto-tagging counts against the user's hourly AI quota; over the quota
+ * the post is saved without it.
+ * 
+ * @returns {Object} 201 - { message: string, blog: Object, aiQuotaExceeded: boolean }
  * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
  * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string, error: 'EMAIL_NOT_VERIFIED' } - Publishing or
+ *   scheduling before the email address is verified (drafts are allowed)
  * @returns {Object} 500 - { message: string } - Server error
  */
 router.post('/', auth, async (req, res) => {
   try {
-    const { content, media, template, font, language, title, tags, autoTag = true } = req.body;
+    const {
+      content, media, template, font, language, title, summary, category, tags, publishAt, autoTag = true,
+    } = req.body;
+    const status = req.body.status || (publishAt ? 'scheduled' : 'published');
+
+    // Accounts with an unverified email can only save drafts
+    if (status !== 'draft' && !req.user.emailVerified) {
+      return requireVerifiedEmail(req, res);
+    }
 
     // Validate input
-    const validation = validateBlogInput({ content, media, language });
+    const validation = validateBlogInput({
+      content, media, language, title, summary, category, tags, status, publishAt,
+    });
     if (!validation.valid) {
       return res.status(400).json({
         message: 'Validation failed',
@@ -226,21 +666,32 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    // Auto-generate tags, summary, and category if AI is available and autoTag is enabled
-    let generatedTags = tags || [];
-    let generatedSummary = null;
-    let generatedCategory = 'Other';
+    // Auto-generate tags, summary, and category if AI is available, autoTag is enabled
+    // and the author has verified their email (the AI tools need a verified account).
+    // Fields the author filled in are kept as given.
+    let generatedTags = normalizeTags(tags || []);
+    let generatedSummary = (summary && summary.trim()) || null;
+    let generatedCategory = (category && category.trim()) || 'Other';
     let aiGenerated = false;
 
-    if (autoTag && aiService && aiService.isAvailable() && content.length >= 100) {
+    let generatedTitle = (title && title.trim()) || null;
+
+    const wantsAi = autoTag && req.user.emailVerified && aiService && aiService.isAvailable() &&
+      content.length >= 100;
+    const aiQuotaExceeded = !!wantsAi && !(await consumeAiQuota(req, res));
+
+    if (wantsAi && !aiQuotaExceeded) {
       try {
         // Run AI analysis in parallel
-        const [aiTags, aiSummary, aiCategory] = await Promise.all([
-          tags && tags.length > 0 ? Promise.resolve(tags) : aiService.generateTags(content, 5),
-          aiService.generateSummary(content, 'short'),
-          aiService.getCategory(content),
+        const [aiTags, aiSummary, aiCategory, aiTitles] = await Promise.all([
+          generatedTags.length > 0 ? Promise.resolve(generatedTags) : aiService.generateTags(content, 5),
+          generatedSummary ? Promise.resolve(generatedSummary) : aiService.generateSummary(content, 'short'),
+          category && category.trim() ? Promise.resolve(generatedCategory) : aiService.getCategory(content),
+          generatedTitle ? Promise.resolve([generatedTitle]) : aiService.generateTitles(content, 1),
         ]);
         
+        // The title (user-provided or AI-generated) also drives the slug
+        generatedTitle = (aiTitles && aiTitles[0]) || generatedTitle;
         generatedTags = aiTags;
         generatedSummary = aiSummary;
         generatedCategory = aiCategory;
@@ -258,12 +709,17 @@ router.post('/', auth, async (req, res) => {
       font: font || 'Arial',
       language: language || 'en',
       authorId: req.user.id,
-      title: title || null,
-      tags: generatedTags,
+      title: generatedTitle ? generatedTitle.substring(0, 200) : null,
+      tags: normalizeTags(generatedTags || []),
       summary: generatedSummary,
       category: generatedCategory,
       aiGenerated,
-    });
+      status,
+      publishAt: status === 'scheduled' ? new Date(publishAt) : null,
+    }, { editorId: req.user.id });
+
+    // Arm the publish timer for scheduled posts
+    publishScheduler.schedule(blog);
     
     // Fetch blog with author details
     const blogWithAuthor = await Blog.findByPk(blog.id, {
@@ -275,8 +731,12 @@ router.post('/', auth, async (req, res) => {
     });
 
     res.status(201).json({
-      message: 'Blog post created successfully',
+      message: {
+        draft: 'Draft saved successfully',
+        scheduled: 'Blog post scheduled successfully',
+      }[status] || 'Blog post created successfully',
       blog: blogWithAuthor,
+      aiQuotaExceeded,
     });
   } catch (error) {
     console.error('Create blog error:', error);
@@ -298,71 +758,255 @@ router.post('/', auth, async (req, res) => {
 });
 
 /**
- * @route   PUT /api/blogs/:id
- * @desc    Update an existing blog post
- * @access  Private (requires authentication and ownership)
+ * @route   POST /api/blogs/import/markdown
+ * @desc    Create a blog post from a Markdown file
+ * @access  Private (requires authentication)
+ * 
+ * The file may start with YAML front matter. `title`, `summary`, `category`,
+ * `tags` and `language` are copied to the post. `date` becomes the publication
+ * date of a published post; a future date schedules it instead. The Markdown
+ * body is converted to the editor's HTML.
  * 
  * @header {string} Authorization - Bearer token (required)
- * @param {string} id - Blog post ID
- * @body {string} content - Updated blog content (optional)
- * @body {string[]} media - Updated media URLs (optional)
- * @body {string} template - Updated template (optional)
- * @body {string} font - Updated font (optional)
- * @body {string} language - Updated language (optional)
+ * @body {File} file - Markdown file (multipart/form-data; .md or .markdown, max 1 MB)
+ * @body {string} status - 'draft' or 'published' (optional, default: 'draft')
  * 
- * @returns {Object} 200 - { message: string, blog: Object }
- * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
- * @returns {Object} 401 - { message: string } - Unauthorized (not the owner)
- * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 201 - { message: string, blog: Object }
+ * @returns {Object} 400 - { message: string, errors?: Array } - Missing file, bad front matter
+ *   or validation errors
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 403 - { message: string, error: 'EMAIL_NOT_VERIFIED' } - Publishing
+ *   before the email address is verified
+ * @returns {Object} 413 - { message: string } - File too large
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.put('/:id', auth, async (req, res) => {
+router.post('/import/markdown', auth, receiveMarkdown, async (req, res) => {
   try {
-    const { content, media, template, font, language } = req.body;
-
-    // Find blog post
-    let blog = await Blog.findByPk(req.params.id);
-
-    if (!blog) {
-      return res.status(404).json({ 
-        message: 'Blog post not found' 
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'No file uploaded (send the Markdown file in the "file" field)'
       });
     }
 
-    // Check if user is the author of this blog
-    if (String(blog.authorId) !== String(req.user.id)) {
-      return res.status(403).json({ 
-        message: 'You are not authorized to update this blog post' 
+    const requestedStatus = req.body.status || 'draft';
+    if (!['draft', 'published'].includes(requestedStatus)) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: ['Status must be one of: draft, published']
       });
     }
 
-    // Validate input if provided
-    if (content || media || language) {
-      const validation = validateBlogInput({ 
-        content: content || blog.content, 
-        media: media || blog.media,
-        language: language || blog.language
+    // Accounts with an unverified email can only save drafts
+    if (requestedStatus !== 'draft' && !req.user.emailVerified) {
+      return requireVerifiedEmail(req, res);
+    }
+
+    const { meta, content } = parseMarkdownFile(req.file.buffer.toString('utf8'));
+
+    // A published post dated in the future is scheduled for that date
+    const isFutureDate = meta.date && meta.date > new Date();
+    const status = requestedStatus === 'published' && isFutureDate ? 'scheduled' : requestedStatus;
+    const publishAt = status === 'scheduled' ? meta.date : null;
+
+    const validation = validateBlogInput({
+      content,
+      language: meta.language,
+      title: meta.title,
+      summary: meta.summary,
+      category: meta.category,
+      tags: meta.tags,
+      status,
+      publishAt,
+    });
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors
       });
-      
-      if (!validation.valid) {
-        return res.status(400).json({
-          message: 'Validation failed',
-          errors: validation.errors
-        });
-      }
     }
 
-    // Update fields
-    if (content !== undefined) blog.content = content.trim();
-    if (media !== undefined) blog.media = Array.isArray(media) ? media : [];
-    if (template !== undefined) blog.template = template;
-    if (font !== undefined) blog.font = font;
-    if (language !== undefined) blog.language = language;
+    const blog = await Blog.create({
+      content,
+      language: meta.language || 'en',
+      authorId: req.user.id,
+      title: meta.title || null,
+      summary: meta.summary || null,
+      category: meta.category || 'Other',
+      tags: normalizeTags(meta.tags),
+      status,
+      publishAt,
+      publishedAt: status === 'published' && meta.date ? meta.date : null,
+    }, { editorId: req.user.id });
+
+    publishScheduler.schedule(blog);
 
-    // Save updated blog
-    await blog.save();
-    
-    // Fetch blog with author details
+    const blogWithAuthor = await Blog.findByPk(blog.id, {
+      include: [{
+        model: User,
+        as: 'author',
+        attributes: ['id', 'name', 'nickname', 'email']
+      }]
+    });
+
+    res.status(201).json({
+      message: 'Markdown imported successfully',
+      blog: blogWithAuthor,
+    });
+  } catch (error) {
+    console.error('Import markdown error:', error);
+
+    if (error instanceof InvalidMarkdownError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+      const errors = error.errors ? error.errors.map(e => e.message) : [error.message];
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while importing markdown',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/blogs/:id
+ * @desc    Update an existing blog post
+ * @access  Private (requires authentication and ownership)
+ * 
+ * When the content changes a lot (or aiRefresh is true), tags, summary and
+ * category are regenerated by AI, except for the ones edited in the same request.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @body {string} content - Updated blog HTML (optional; sanitized to the editor's allowlist)
+ * @body {string} title - Updated title (optional, max 200 chars)
+ * @body {string} summary - Updated summary (optional, max 500 chars)
+ * @body {string} category - Updated category (optional)
+ * @body {string[]} tags - Updated tags (optional, max 10)
+ * @body {string[]} media - Updated media URLs (optional)
+ * @body {string} template - Updated template (optional)
+ * @body {string} font - Updated font (optional)
+ * @body {string} language - Updated language (optional)
+ * @body {boolean} aiRefresh - true to always regenerate with AI, false to never
+ *                             (default: only when the content changed a lot)
+ * 
+ * Regenerating counts against the user's hourly AI quota; over the quota the
+ * post is saved without it.
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object, aiRegenerated: string[],
+ *   aiQuotaExceeded: boolean } - aiRegenerated lists the fields ('tags', 'summary',
+ *   'category') that AI rewrote
+ * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
+ * @returns {Object} 401 - { message: string } - Unauthorized (not the owner)
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { content, media, template, font, language, title, summary, category, tags, aiRefresh } = req.body;
+
+    // Find blog post
+    let blog = await Blog.findByPk(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({ 
+        message: 'Blog post not found' 
+      });
+    }
+
+    // Check if user is the author of this blog
+    if (String(blog.authorId) !== String(req.user.id)) {
+      return res.status(403).json({ 
+        message: 'You are not authorized to update this blog post' 
+      });
+    }
+
+    // Validate the post as it will look after the update
+    const validation = validateBlogInput({ 
+      content: content !== undefined ? content : blog.content, 
+      media: media || blog.media,
+      language: language || blog.language,
+      title,
+      summary,
+      category,
+      tags,
+    });
+    
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    // Fields the author edited by hand in this request are never overwritten by AI
+    const previousContent = blog.content;
+    const editedByAuthor = {
+      tags: tags !== undefined && tags !== null &&
+        JSON.stringify(normalizeTags(tags)) !== JSON.stringify(blog.tags || []),
+      summary: summary !== undefined && (summary ? summary.trim() : null) !== blog.summary,
+      category: category !== undefined && (category ? category.trim() : null) !== blog.category,
+    };
+
+    // Update fields
+    if (content !== undefined) blog.content = content.trim();
+    if (title !== undefined) blog.title = title ? title.trim() : null;
+    if (summary !== undefined) blog.summary = summary ? summary.trim() : null;
+    if (category !== undefined) blog.category = category ? category.trim() : 'Other';
+    if (tags !== undefined) blog.tags = tags ? normalizeTags(tags) : [];
+    if (media !== undefined) blog.media = Array.isArray(media) ? media : [];
+    if (template !== undefined) blog.template = template;
+    if (font !== undefined) blog.font = font;
+    if (language !== undefined) blog.language = language;
+
+    // Regenerate tags, summary and category when the content changed a lot
+    const aiRegenerated = [];
+    const changeRatio = getContentChangeRatio(previousContent, blog.content);
+    const refreshFields = ['tags', 'summary', 'category'].filter(field => !editedByAuthor[field]);
+    const shouldRefresh = aiRefresh === true ||
+      (aiRefresh !== false && changeRatio >= AI_REFRESH_THRESHOLD);
+
+    const wantsAi = shouldRefresh && refreshFields.length > 0 && req.user.emailVerified &&
+      aiService && aiService.isAvailable() && blog.content.length >= 100;
+    const aiQuotaExceeded = !!wantsAi && !(await consumeAiQuota(req, res));
+
+    if (wantsAi && !aiQuotaExceeded) {
+      try {
+        const generators = {
+          tags: () => aiService.generateTags(blog.content, 5),
+          summary: () => aiService.generateSummary(blog.content, 'short'),
+          category: () => aiService.getCategory(blog.content),
+        };
+        const results = await Promise.all(refreshFields.map(field => generators[field]()));
+
+        refreshFields.forEach((field, index) => {
+          const value = field === 'tags' ? normalizeTags(results[index] || []) : results[index];
+          if (value && (!Array.isArray(value) || value.length > 0)) {
+            blog[field] = value;
+            aiRegenerated.push(field);
+          }
+        });
+
+        if (aiRegenerated.length > 0) {
+          blog.aiGenerated = true;
+        }
+      } catch (aiError) {
+        console.log('AI refresh failed, keeping existing tags, summary and category:', aiError.message);
+      }
+    }
+
+    // Save updated blog (records a revision when content or styling changed)
+    await blog.save({ editorId: req.user.id });
+    
+    // Fetch blog with author details
     const blogWithAuthor = await Blog.findByPk(blog.id, {
       include: [{
         model: User,
@@ -374,6 +1018,8 @@ router.put('/:id', auth, async (req, res) => {
     res.json({
       message: 'Blog post updated successfully',
       blog: blogWithAuthor,
+      aiRegenerated,
+      aiQuotaExceeded,
     });
   } catch (error) {
     console.error('Update blog error:', error);
@@ -441,9 +1087,415 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * Update Blog Status
+ * Builds a route handler that moves a blog post owned by the
+ * authenticated user into the given lifecycle status
+ * 
+ * @param {string} status - Target status (draft, published or archived)
+ * @param {string} action - Verb used in response messages (e.g. 'published')
+ * @returns {Function} Express route handler
+ * @private
+ */
+const updateBlogStatus = (status, action) => async (req, res) => {
+  try {
+    const blog = await Blog.findByPk(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({ 
+        message: 'Blog post not found' 
+      });
+    }
+
+    // Check if user is the author of this blog
+    if (String(blog.authorId) !== String(req.user.id)) {
+      return res.status(403).json({ 
+        message: 'You are not authorized to change the status of this blog post' 
+      });
+    }
+
+    if (blog.status === status) {
+      return res.status(400).json({
+        message: `Blog post is already ${status}`
+      });
+    }
+
+    blog.status = status;
+    await blog.save();
+
+    // Manual status changes override any pending schedule
+    publishScheduler.cancel(blog.id);
+
+    res.json({
+      message: `Blog post ${action} successfully`,
+      blog,
+    });
+  } catch (error) {
+    console.error(`Blog status (${status}) error:`, error);
+    
+    res.status(500).json({ 
+      message: 'Server error while updating blog status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @route   POST /api/blogs/:id/publish
+ * @desc    Publish a draft, scheduled or archived blog post immediately
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object }
+ * @returns {Object} 400 - { message: string } - Already published
+ * @returns {Object} 403 - { message: string } - Not the owner, or email not verified
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/publish', auth, requireVerifiedEmail, updateBlogStatus('published', 'published'));
+
+/**
+ * @route   POST /api/blogs/:id/unpublish
+ * @desc    Move a blog post back to draft, hiding it from public listings
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object }
+ * @returns {Object} 400 - { message: string } - Already a draft
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/unpublish', auth, updateBlogStatus('draft', 'unpublished'));
+
+/**
+ * @route   POST /api/blogs/:id/archive
+ * @desc    Archive a blog post, hiding it from public listings
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object }
+ * @returns {Object} 400 - { message: string } - Already archived
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/archive', auth, updateBlogStatus('archived', 'archived'));
+
+/**
+ * @route   POST /api/blogs/:id/schedule
+ * @desc    Schedule a blog post to be published automatically, or reschedule it
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @body {string} publishAt - ISO date in the future (required)
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object }
+ * @returns {Object} 400 - { message: string } - Invalid time or post already published
+ * @returns {Object} 403 - { message: string } - Not the owner, or email not verified
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/schedule', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { publishAt } = req.body;
+
+    const blog = await Blog.findByPk(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({ 
+        message: 'Blog post not found' 
+      });
+    }
+
+    // Check if user is the author of this blog
+    if (String(blog.authorId) !== String(req.user.id)) {
+      return res.status(403).json({ 
+        message: 'You are not authorized to schedule this blog post' 
+      });
+    }
+
+    if (blog.status === 'published') {
+      return res.status(400).json({
+        message: 'Blog post is already published. Unpublish it before scheduling.'
+      });
+    }
+
+    const error = validatePublishAt(publishAt);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rescheduled = blog.status === 'scheduled';
+    blog.status = 'scheduled';
+    blog.publishAt = new Date(publishAt);
+    await blog.save();
+
+    publishScheduler.schedule(blog);
+
+    res.json({
+      message: rescheduled ? 'Blog post rescheduled successfully' : 'Blog post scheduled successfully',
+      blog,
+    });
+  } catch (error) {
+    console.error('Schedule blog error:', error);
+    
+    res.status(500).json({ 
+      message: 'Server error while scheduling blog',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/blogs/:id/schedule
+ * @desc    Cancel a scheduled publication, moving the post back to draft
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object }
+ * @returns {Object} 400 - { message: string } - Post is not scheduled
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id/schedule', auth, async (req, res) => {
+  try {
+    const blog = await Blog.findByPk(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({ 
+        message: 'Blog post not found' 
+      });
+    }
+
+    // Check if user is the author of this blog
+    if (String(blog.authorId) !== String(req.user.id)) {
+      return res.status(403).json({ 
+        message: 'You are not authorized to change this blog post' 
+      });
+    }
+
+    if (blog.status !== 'scheduled') {
+      return res.status(400).json({
+        message: 'Blog post is not scheduled'
+      });
+    }
+
+    publishScheduler.cancel(blog.id);
+    blog.status = 'draft';
+    await blog.save();
+
+    res.json({
+      message: 'Scheduled publication cancelled',
+      blog,
+    });
+  } catch (error) {
+    console.error('Cancel schedule error:', error);
+    
+    res.status(500).json({ 
+      message: 'Server error while cancelling scheduled publication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Reader reactions a post can receive, with the model that stores them,
+ * the counter column on Blog and the flag returned to the reader
+ * @type {Object}
+ * @private
+ */
+const REACTIONS = {
+  like: { model: Like, counter: 'likesCount', flag: 'liked' },
+  bookmark: { model: Bookmark, counter: 'bookmarksCount', flag: 'bookmarked' },
+};
+
+/**
+ * Set Reaction
+ * Factory for the handlers that add or remove a like or bookmark.
+ * Both directions are idempotent: liking twice counts once.
+ * 
+ * @param {string} type - Key of REACTIONS ('like' or 'bookmark')
+ * @param {boolean} active - True to add the reaction, false to remove it
+ * @returns {Function} Express route handler
+ * @private
+ */
+const setReaction = (type, active) => async (req, res) => {
+  const { model: Reaction, counter, flag } = REACTIONS[type];
+
+  try {
+    const blog = await Blog.findByPk(req.params.id);
+
+    if (!blog || !blog.isVisibleTo(req.user)) {
+      return res.status(404).json({ 
+        message: 'Blog post not found' 
+      });
+    }
+
+    const where = { blogId: blog.id, userId: req.user.id };
+
+    if (active) {
+      const [, created] = await Reaction.findOrCreate({ where });
+      if (created) await blog.increment(counter);
+
+      // Bookmarks are private; only likes are reported to the author
+      if (created && type === 'like') {
+        notificationService.notify({
+          type: 'like',
+          recipientId: blog.authorId,
+          actorId: req.user.id,
+          blogId: blog.id,
+        });
+      }
+    } else {
+      const removed = await Reaction.destroy({ where });
+      if (removed > 0 && blog[counter] > 0) await blog.decrement(counter);
+    }
+
+    await blog.reload({ attributes: ['id', counter] });
+
+    res.json({
+      [flag]: active,
+      [counter]: blog[counter],
+    });
+  } catch (error) {
+    console.error(`${active ? 'Add' : 'Remove'} ${type} error:`, error);
+    res.status(500).json({ 
+      message: `Server error while updating ${type}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @route   POST /api/blogs/:id/like
+ * @desc    Like a blog post
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { liked: true, likesCount: number }
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/like', auth, setReaction('like', true));
+
+/**
+ * @route   DELETE /api/blogs/:id/like
+ * @desc    Remove a like from a blog post
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { liked: false, likesCount: number }
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id/like', auth, setReaction('like', false));
+
+/**
+ * @route   POST /api/blogs/:id/bookmark
+ * @desc    Bookmark a blog post
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { bookmarked: true, bookmarksCount: number }
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/bookmark', auth, setReaction('bookmark', true));
+
+/**
+ * @route   DELETE /api/blogs/:id/bookmark
+ * @desc    Remove a bookmark from a blog post
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * 
+ * @returns {Object} 200 - { bookmarked: false, bookmarksCount: number }
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id/bookmark', auth, setReaction('bookmark', false));
+
+/**
+ * @route   GET /api/blogs/my/bookmarks
+ * @desc    Get the posts bookmarked by the authenticated user, newest bookmark first
+ * @access  Private (requires authentication)
+ * 
+ * Posts that were unpublished after being bookmarked are left out.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Blogs per page (default: 10, max: 50)
+ * 
+ * @returns {Object} 200 - { blogs: Array, pagination: Object }
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/my/bookmarks', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    const { rows: bookmarks, count: totalBlogs } = await Bookmark.findAndCountAll({
+      where: { userId: req.user.id },
+      include: [{
+        model: Blog,
+        as: 'blog',
+        where: { status: 'published' },
+        include: [{
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'nickname', 'email']
+        }]
+      }],
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit,
+    });
+    const totalPages = Math.ceil(totalBlogs / limit);
+
+    const blogs = await addViewerState(bookmarks.map(bookmark => bookmark.blog), req.user);
+
+    res.json({
+      blogs: blogs.map((blog, index) => ({ ...blog, bookmarkedAt: bookmarks[index].createdAt })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalBlogs,
+        blogsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ 
+      message: 'Server error while fetching bookmarks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   GET /api/blogs/user/:userId
- * @desc    Get all blog posts by a specific user
+ * @desc    Get all published blog posts by a specific user
  * @access  Public
  * 
  * @param {string} userId - User ID
@@ -451,10 +1503,11 @@ router.delete('/:id', auth, async (req, res) => {
  * @query {number} limit - Blogs per page (default: 10, max: 50)
  * 
  * @returns {Object} 200 - { blogs: Array, pagination: Object, author: Object }
+ *   author includes bio, followersCount and followingCount
  * @returns {Object} 404 - { message: string } - User not found
  * @returns {Object} 500 - { message: string } - Server error
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', optionalAuth, async (req, res) => {
   try {
     // Parse pagination parameters
     const page = parseInt(req.query.page) || 1;
@@ -463,7 +1516,7 @@ router.get('/user/:userId', async (req, res) => {
 
     // Check if user exists
     const user = await User.findByPk(req.params.userId, {
-      attributes: ['id', 'name', 'nickname', 'email']
+      attributes: ['id', 'name', 'nickname', 'email', 'bio', 'followersCount', 'followingCount']
     });
     if (!user) {
       return res.status(404).json({ 
@@ -471,13 +1524,15 @@ router.get('/user/:userId', async (req, res) => {
       });
     }
 
+    const filter = { authorId: req.params.userId, status: 'published' };
+
     // Get total count
-    const totalBlogs = await Blog.count({ where: { authorId: req.params.userId } });
+    const totalBlogs = await Blog.count({ where: filter });
     const totalPages = Math.ceil(totalBlogs / limit);
 
     // Fetch user's blogs
     const blogs = await Blog.findAll({
-      where: { authorId: req.params.userId },
+      where: filter,
       include: [{
         model: User,
         as: 'author',
@@ -489,7 +1544,7 @@ router.get('/user/:userId', async (req, res) => {
     });
 
     res.json({
-      blogs,
+      blogs: await addViewerState(blogs, req.user),
       author: user,
       pagination: {
         currentPage: page,
@@ -510,16 +1565,46 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/blogs/my/scheduled
+ * @desc    Get the authenticated user's scheduled posts, soonest first
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { blogs: Array }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/my/scheduled', auth, async (req, res) => {
+  try {
+    const blogs = await Blog.findAll({
+      where: { authorId: req.user.id, status: 'scheduled' },
+      order: [['publishAt', 'ASC']],
+    });
+
+    res.json({ blogs });
+  } catch (error) {
+    console.error('Get scheduled blogs error:', error);
+    res.status(500).json({ 
+      message: 'Server error while fetching scheduled blogs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   GET /api/blogs/my/posts
- * @desc    Get all blog posts created by authenticated user
+ * @desc    Get all blog posts created by authenticated user, in every status
  * @access  Private (requires authentication)
  * 
  * @header {string} Authorization - Bearer token (required)
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Blogs per page (default: 10, max: 50)
+ * @query {string} status - Filter by status: draft, scheduled, published or archived (optional)
  * 
- * @returns {Object} 200 - { blogs: Array, pagination: Object }
+ * @returns {Object} 200 - { blogs: Array, pagination: Object, statusCounts: Object }
+ * @returns {Object} 400 - { message: string } - Invalid status filter
  * @returns {Object} 401 - { message: string } - Unauthorized
  * @returns {Object} 500 - { message: string } - Server error
  */
@@ -530,13 +1615,35 @@ router.get('/my/posts', auth, async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 10, 50);
     const skip = (page - 1) * limit;
 
+    // Build filter
+    const filter = { authorId: req.user.id };
+    if (req.query.status) {
+      if (!BLOG_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          message: `Status must be one of: ${BLOG_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+
     // Get total count
-    const totalBlogs = await Blog.count({ where: { authorId: req.user.id } });
+    const totalBlogs = await Blog.count({ where: filter });
     const totalPages = Math.ceil(totalBlogs / limit);
 
+    // Count posts per status for the dashboard tabs
+    const groupedCounts = await Blog.count({
+      where: { authorId: req.user.id },
+      group: ['status'],
+    });
+    const statusCounts = BLOG_STATUSES.reduce((counts, status) => {
+      const row = groupedCounts.find(c => c.status === status);
+      counts[status] = row ? parseInt(row.count) : 0;
+      return counts;
+    }, {});
+
     // Fetch user's blogs
     const blogs = await Blog.findAll({
-      where: { authorId: req.user.id },
+      where: filter,
       include: [{
         model: User,
         as: 'author',
@@ -549,6 +1656,7 @@ router.get('/my/posts', auth, async (req, res) => {
 
     res.json({
       blogs,
+      statusCounts,
       pagination: {
         currentPage: page,
         totalPages,
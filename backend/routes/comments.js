@@ -0,0 +1,417 @@
+/**
+ * Comment Routes
+ * 
+ * This module handles comments on blog posts:
+ * - Listing comment threads with pagination
+ * - Posting comments and replies
+ * - Editing and deleting comments
+ * 
+ * Mounted under /api/blogs/:id/comments. Reading comments is public for
+ * published posts; writing requires authentication.
+ * 
+ * @module routes/comments
+ * @requires express
+ * @requires ../models
+ * @requires ../middleware/auth
+ * @requires ../services/notificationService
+ */
+
+const express = require('express');
+const { Blog, Comment, User } = require('../models');
+const { MAX_COMMENT_DEPTH, MAX_COMMENT_LENGTH } = require('../models/Comment');
+const auth = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Author attributes returned with every comment
+ * @type {string[]}
+ */
+const AUTHOR_ATTRIBUTES = ['id', 'name', 'nickname'];
+
+/**
+ * Validate Comment Content
+ * Helper function to validate the text of a comment
+ * 
+ * @param {string} content - Comment text
+ * @returns {string|null} Error message, or null if valid
+ * @private
+ */
+const validateCommentContent = (content) => {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return 'Comment cannot be empty';
+  }
+  if (content.trim().length > MAX_COMMENT_LENGTH) {
+    return `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Load Visible Blog
+ * Helper function that finds the blog from the route and checks that the
+ * requesting user can see it. Sends a 404 response otherwise.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Blog instance, or null if a response was sent
+ * @private
+ */
+const loadVisibleBlog = async (req, res) => {
+  const blog = await Blog.findByPk(req.params.id);
+
+  // Comments on unpublished posts are hidden like the post itself
+  if (!blog || !blog.isVisibleTo(req.user)) {
+    res.status(404).json({
+      message: 'Blog post not found'
+    });
+    return null;
+  }
+
+  return blog;
+};
+
+/**
+ * Find Comment
+ * Helper function to look up a comment of a blog post
+ * 
+ * @param {string} blogId - Blog post ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment, or null if not found
+ * @private
+ */
+const findComment = (blogId, commentId) => {
+  return Comment.findOne({
+    where: { id: commentId, blogId },
+    include: [{
+      model: User,
+      as: 'author',
+      attributes: AUTHOR_ATTRIBUTES
+    }]
+  });
+};
+
+/**
+ * Prune Deleted Comments
+ * Helper function that drops deleted comments with no remaining replies,
+ * so removed comments only leave a placeholder when they started a discussion
+ * 
+ * @param {Object[]} threads - Comment threads from Comment.buildThreads
+ * @returns {Object[]} Pruned threads
+ * @private
+ */
+const pruneDeleted = (threads) => {
+  return threads
+    .map(comment => ({ ...comment, replies: pruneDeleted(comment.replies) }))
+    .filter(comment => !comment.deletedAt || comment.replies.length > 0);
+};
+
+/**
+ * @route   GET /api/blogs/:id/comments
+ * @desc    Get the comment threads of a blog post
+ * @access  Public (authors can also see comments on their unpublished posts)
+ * 
+ * Top-level comments are paginated; each one includes all of its replies
+ * nested under `replies`, oldest first.
+ * 
+ * @param {string} id - Blog post ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Top-level comments per page (default: 20, max: 50)
+ * @query {string} sort - 'newest' or 'oldest' (default: 'newest')
+ * 
+ * @returns {Object} 200 - { comments: Array, totalComments: number, pagination: Object }
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const blog = await loadVisibleBlog(req, res);
+    if (!blog) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    const order = req.query.sort === 'oldest' ? 'ASC' : 'DESC';
+
+    const include = [{
+      model: User,
+      as: 'author',
+      attributes: AUTHOR_ATTRIBUTES
+    }];
+
+    const { rows: roots, count: totalThreads } = await Comment.findAndCountAll({
+      where: { blogId: blog.id, parentId: null },
+      include,
+      order: [['createdAt', order]],
+      offset: skip,
+      limit,
+    });
+
+    // Load every reply of the threads on this page in one query
+    const replies = roots.length > 0
+      ? await Comment.findAll({
+        where: { rootId: roots.map(comment => comment.id) },
+        include,
+      })
+      : [];
+
+    const totalComments = await Comment.count({
+      where: { blogId: blog.id, deletedAt: null },
+    });
+    const totalPages = Math.ceil(totalThreads / limit);
+
+    res.json({
+      comments: pruneDeleted(Comment.buildThreads([...roots, ...replies])),
+      totalComments,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalThreads,
+        threadsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/blogs/:id/comments
+ * @desc    Comment on a blog post, or reply to a comment
+ * @access  Private (requires authentication)
+ * 
+ * Replies are nested up to MAX_COMMENT_DEPTH levels; deeper replies are
+ * attached to the same parent as the comment they answer.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @body {string} content - Comment text (required, max 5,000 chars)
+ * @body {string} parentId - ID of the comment being replied to (optional)
+ * 
+ * @returns {Object} 201 - { message: string, comment: Object }
+ * @returns {Object} 400 - { message: string } - Validation errors
+ * @returns {Object} 404 - { message: string } - Blog or parent comment not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const blog = await loadVisibleBlog(req, res);
+    if (!blog) return;
+
+    const { content, parentId } = req.body;
+
+    const contentError = validateCommentContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        message: contentError
+      });
+    }
+
+    // Work out where a reply sits in its thread
+    const thread = { parentId: null, rootId: null, depth: 0 };
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ where: { id: parentId, blogId: blog.id } });
+
+      if (!parent) {
+        return res.status(404).json({
+          message: 'Comment not found'
+        });
+      }
+
+      if (parent.isDeleted()) {
+        return res.status(400).json({
+          message: 'You cannot reply to a deleted comment'
+        });
+      }
+
+      const nested = parent.depth < MAX_COMMENT_DEPTH;
+      thread.parentId = nested ? parent.id : parent.parentId;
+      thread.rootId = parent.rootId || parent.id;
+      thread.depth = nested ? parent.depth + 1 : parent.depth;
+    }
+
+    const comment = await Comment.create({
+      content: content.trim(),
+      blogId: blog.id,
+      authorId: req.user.id,
+      ...thread,
+    });
+
+    // Let the author of the answered comment and the post's author know,
+    // without notifying anyone twice for the same comment
+    if (parent && parent.authorId) {
+      notificationService.notify({
+        type: 'reply',
+        recipientId: parent.authorId,
+        actorId: req.user.id,
+        blogId: blog.id,
+        commentId: comment.id,
+      });
+    }
+    if (!parent || String(parent.authorId) !== String(blog.authorId)) {
+      notificationService.notify({
+        type: 'comment',
+        recipientId: blog.authorId,
+        actorId: req.user.id,
+        blogId: blog.id,
+        commentId: comment.id,
+      });
+    }
+
+    const commentWithAuthor = await findComment(blog.id, comment.id);
+
+    res.status(201).json({
+      message: 'Comment posted successfully',
+      comment: { ...commentWithAuthor.toJSON(), replies: [] },
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const errors = error.errors ? error.errors.map(e => e.message) : [error.message];
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while posting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/blogs/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (requires authentication; comment author only)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @param {string} commentId - Comment ID
+ * @body {string} content - New comment text (required, max 5,000 chars)
+ * 
+ * @returns {Object} 200 - { message: string, comment: Object }
+ * @returns {Object} 400 - { message: string } - Validation errors
+ * @returns {Object} 403 - { message: string } - Not the comment author
+ * @returns {Object} 404 - { message: string } - Blog or comment not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/:commentId', auth, async (req, res) => {
+  try {
+    const blog = await loadVisibleBlog(req, res);
+    if (!blog) return;
+
+    const comment = await findComment(blog.id, req.params.commentId);
+    if (!comment || comment.isDeleted()) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    if (String(comment.authorId) !== String(req.user.id)) {
+      return res.status(403).json({
+        message: 'You are not authorized to edit this comment'
+      });
+    }
+
+    const { content } = req.body;
+    const contentError = validateCommentContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        message: contentError
+      });
+    }
+
+    if (content.trim() !== comment.content) {
+      comment.content = content.trim();
+      comment.editedAt = new Date();
+      await comment.save();
+    }
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment,
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const errors = error.errors ? error.errors.map(e => e.message) : [error.message];
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while updating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/blogs/:id/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (requires authentication; comment author or blog author)
+ * 
+ * The comment is soft-deleted: its text is hidden, but replies to it stay
+ * in place under a "deleted" placeholder.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @param {string} commentId - Comment ID
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 403 - { message: string } - Not allowed to delete
+ * @returns {Object} 404 - { message: string } - Blog or comment not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const blog = await loadVisibleBlog(req, res);
+    if (!blog) return;
+
+    const comment = await Comment.findOne({ where: { id: req.params.commentId, blogId: blog.id } });
+    if (!comment || comment.isDeleted()) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.canBeDeletedBy(req.user, blog)) {
+      return res.status(403).json({
+        message: 'You are not authorized to delete this comment'
+      });
+    }
+
+    comment.deletedAt = new Date();
+    comment.deletedById = req.user.id;
+    await comment.save();
+
+    res.json({
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+/**
+ * Feed Routes
+ * 
+ * This module serves syndication feeds of published blog posts for feed
+ * readers, in three formats:
+ * - RSS 2.0 (rss.xml)
+ * - Atom 1.0 (atom.xml)
+ * - JSON Feed 1.1 (feed.json)
+ * 
+ * Each format is available for the whole site and per author, category
+ * and tag. Mounted under /feeds (outside /api) so the URLs stay short.
+ * 
+ * @module routes/feeds
+ * @requires express
+ * @requires ../models
+ * @requires ../services/feedService
+ * @requires ../config/site
+ */
+
+const express = require('express');
+const { Blog, User } = require('../models');
+const { FEED_FORMATS } = require('../services/feedService');
+const { SITE_NAME, getBaseUrls } = require('../config/site');
+
+const router = express.Router();
+
+/**
+ * Number of posts in each feed
+ * @type {number}
+ */
+const FEED_SIZE = 20;
+
+/**
+ * How long clients and proxies may cache a feed, in seconds
+ * @type {number}
+ */
+const FEED_MAX_AGE = 900;
+
+/**
+ * Feed Handler
+ * Factory for the feed route handlers. `resolveScope` turns the request into
+ * the getRecentBlogs filters plus the feed's title, description and home
+ * page, or returns null when the author does not exist.
+ * 
+ * @param {Function} resolveScope - async (req, siteUrl) => { filters, title, description, homeUrl } | null
+ * @returns {Function} Express route handler
+ * @private
+ */
+const feedHandler = (resolveScope) => async (req, res) => {
+  const format = FEED_FORMATS[req.params.file];
+  if (!format) {
+    return res.status(404).json({
+      message: 'Feed not found',
+      formats: Object.keys(FEED_FORMATS),
+    });
+  }
+
+  try {
+    const { siteUrl, apiUrl } = getBaseUrls(req);
+    const scope = await resolveScope(req, siteUrl);
+
+    if (!scope) {
+      return res.status(404).json({
+        message: 'Feed not found'
+      });
+    }
+
+    const blogs = await Blog.getRecentBlogs(FEED_SIZE, scope.filters);
+
+    const body = format.build({
+      title: scope.title,
+      description: scope.description,
+      siteUrl,
+      homeUrl: scope.homeUrl,
+      feedUrl: `${apiUrl}${req.originalUrl.split('?')[0]}`,
+    }, blogs);
+
+    res.set('Content-Type', format.contentType);
+    res.set('Cache-Control', `public, max-age=${FEED_MAX_AGE}`);
+    res.send(body);
+  } catch (error) {
+    console.error('Build feed error:', error);
+    res.status(500).json({
+      message: 'Server error while building feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @route   GET /feeds/:file
+ * @desc    Feed of the most recent posts on the site
+ * @access  Public
+ * 
+ * @param {string} file - 'rss.xml', 'atom.xml' or 'feed.json'
+ * 
+ * @returns {string} 200 - Feed document
+ * @returns {Object} 404 - { message: string } - Unknown feed format
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:file', feedHandler(async (req, siteUrl) => ({
+  filters: {},
+  title: SITE_NAME,
+  description: `The latest posts on ${SITE_NAME}`,
+  homeUrl: `${siteUrl}/blogs`,
+})));
+
+/**
+ * @route   GET /feeds/author/:authorId/:file
+ * @desc    Feed of an author's most recent posts
+ * @access  Public
+ * 
+ * @param {string} authorId - Author's user ID
+ * @param {string} file - 'rss.xml', 'atom.xml' or 'feed.json'
+ * 
+ * @returns {string} 200 - Feed document
+ * @returns {Object} 404 - { message: string } - Unknown author or feed format
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/author/:authorId/:file', feedHandler(async (req, siteUrl) => {
+  const author = await User.findByPk(req.params.authorId, {
+    attributes: ['id', 'name', 'nickname']
+  });
+  if (!author) return null;
+
+  const name = author.name || author.nickname;
+  return {
+    filters: { authorId: author.id },
+    title: `${name} on ${SITE_NAME}`,
+    description: `The latest posts by ${name}`,
+    homeUrl: `${siteUrl}/blogs`,
+  };
+}));
+
+/**
+ * @route   GET /feeds/category/:category/:file
+ * @desc    Feed of the most recent posts in a category
+ * @access  Public
+ * 
+ * @param {string} category - Category name (case-insensitive)
+ * @param {string} file - 'rss.xml', 'atom.xml' or 'feed.json'
+ * 
+ * @returns {string} 200 - Feed document
+ * @returns {Object} 404 - { message: string } - Unknown feed format
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/category/:category/:file', feedHandler(async (req, siteUrl) => ({
+  filters: { category: req.params.category },
+  title: `${req.params.category} on ${SITE_NAME}`,
+  description: `The latest ${req.params.category} posts on ${SITE_NAME}`,
+  homeUrl: `${siteUrl}/blogs`,
+})));
+
+/**
+ * @route   GET /feeds/tag/:tag/:file
+ * @desc    Feed of the most recent posts with a tag
+ * @access  Public
+ * 
+ * @param {string} tag - Tag (case-insensitive)
+ * @param {string} file - 'rss.xml', 'atom.xml' or 'feed.json'
+ * 
+ * @returns {string} 200 - Feed document
+ * @returns {Object} 404 - { message: string } - Unknown feed format
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/tag/:tag/:file', feedHandler(async (req, siteUrl) => ({
+  filters: { tag: req.params.tag },
+  title: `#${req.params.tag.toLowerCase()} on ${SITE_NAME}`,
+  description: `The latest posts tagged #${req.params.tag.toLowerCase()} on ${SITE_NAME}`,
+  homeUrl: `${siteUrl}/blogs`,
+})));
+
+module.exports = router;
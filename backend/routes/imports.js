@@ -0,0 +1,235 @@
+/**
+ * Import Routes
+ * 
+ * This module handles bulk imports of posts from other blogging platforms:
+ * - Uploading a WordPress (WXR), Ghost (JSON) or Medium (zip) export
+ * - Starting the import, or a dry run, as a background job
+ * - Checking a job's progress and per-post report
+ * 
+ * @module routes/imports
+ * @requires express
+ * @requires multer
+ * @requires ../models
+ * @requires ../middleware/auth
+ * @requires ../services/importService
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { ImportJob, IMPORT_SOURCES } = require('../models');
+const auth = require('../middleware/auth');
+const { detectSource } = require('../services/importers');
+const importService = require('../services/importService');
+
+const router = express.Router();
+
+/**
+ * Maximum export file size in megabytes
+ * @type {number}
+ */
+const MAX_IMPORT_SIZE_MB = 50;
+
+/**
+ * Multer instance that keeps an export file in memory for the import job
+ * @type {Object}
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_SIZE_MB * 1024 * 1024,
+    files: 1,
+  },
+});
+
+/**
+ * Receive Export File
+ * Middleware that parses the `file` field and turns upload errors into
+ * 400 / 413 responses
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @private
+ */
+const receiveExportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `File is too large (max ${MAX_IMPORT_SIZE_MB} MB)`
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+/**
+ * Parse Boolean Field
+ * Helper function to read a multipart form field as a boolean
+ * 
+ * @param {*} value - Field value
+ * @param {boolean} defaultValue - Value when the field is missing
+ * @returns {boolean} Parsed value
+ * @private
+ */
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+};
+
+/**
+ * @route   POST /api/imports
+ * @desc    Start importing posts from an export file
+ * @access  Private (requires authentication)
+ * 
+ * The import runs in the background; poll GET /api/imports/:id for progress.
+ * Posts created by an earlier import of the same source are skipped, so a
+ * failed or partial import can simply be run again.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {File} file - Export file (multipart/form-data, max 50 MB): WordPress WXR (.xml),
+ *                     Ghost export (.json) or Medium archive (.zip)
+ * @body {string} source - 'wordpress', 'ghost' or 'medium' (optional; detected from the file)
+ * @body {boolean} dryRun - true to only report what would be imported (default: false)
+ * @body {boolean} keepStatus - false to import every post as a draft (default: true;
+ *                              published posts keep their original date). Always false
+ *                              until the user has verified their email address
+ * @body {boolean} importImages - true to copy images into your media library (default: false)
+ * @body {string} sourceUrl - URL of the old blog, used for Ghost's relative image links (optional)
+ * 
+ * @returns {Object} 202 - { message: string, job: Object }
+ * @returns {Object} 400 - { message: string } - Missing file, unknown source or invalid options
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 413 - { message: string } - File too large
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/', auth, receiveExportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'No file uploaded (send the export in the "file" field)'
+      });
+    }
+
+    const source = req.body.source || detectSource(req.file.originalname, req.file.buffer);
+    if (!IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        message: `Could not tell the export format. Set source to one of: ${IMPORT_SOURCES.join(', ')}`
+      });
+    }
+
+    const sourceUrl = typeof req.body.sourceUrl === 'string' ? req.body.sourceUrl.trim() : '';
+    if (sourceUrl && !/^https?:\/\/[^\s]+$/.test(sourceUrl)) {
+      return res.status(400).json({
+        message: 'Source URL must be an http or https URL'
+      });
+    }
+
+    const job = await ImportJob.create({
+      ownerId: req.user.id,
+      source,
+      fileName: (req.file.originalname || '').substring(0, 255) || null,
+      dryRun: parseBoolean(req.body.dryRun, false),
+      options: {
+        // Accounts with an unverified email can only create drafts
+        keepStatus: req.user.emailVerified && parseBoolean(req.body.keepStatus, true),
+        importImages: parseBoolean(req.body.importImages, false),
+        sourceUrl: sourceUrl || null,
+      },
+    });
+
+    importService.enqueue(job, req.file.buffer);
+
+    res.status(202).json({
+      message: job.dryRun ? 'Dry run started' : 'Import started',
+      job
+    });
+  } catch (error) {
+    console.error('Start import error:', error);
+    res.status(500).json({
+      message: 'Server error while starting import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/imports
+ * @desc    List the authenticated user's recent import jobs
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { jobs: Array } - 20 most recent jobs, without their items,
+ *   each with counts: { imported, would_import, duplicate, skipped, failed }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const jobs = await ImportJob.findAll({
+      where: { ownerId: req.user.id },
+      order: [['createdAt', 'DESC']],
+      limit: 20,
+    });
+
+    res.json({
+      jobs: jobs.map(job => {
+        const { items, ...rest } = job.toJSON();
+        return { ...rest, counts: job.getResultCounts() };
+      })
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching imports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    Get an import job with its per-post report
+ * @access  Private (requires authentication; owner only)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Import job ID
+ * 
+ * @returns {Object} 200 - { job: Object } - Job with items and counts
+ *   items: [{ sourceId, title, result, blogId, error, images: [{ url, newUrl, error }] }]
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - Import job not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({
+      where: { id: req.params.id, ownerId: req.user.id }
+    });
+    if (!job) {
+      return res.status(404).json({
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      job: { ...job.toJSON(), counts: job.getResultCounts() }
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,368 @@
+/**
+ * Media Routes
+ * 
+ * This module handles image uploads for blog posts and each user's media
+ * library:
+ * - Validating the file type and size
+ * - Stripping EXIF metadata and generating resized variants
+ * - Storing the files through the media storage service
+ * - Browsing and searching uploads, editing alt text and captions,
+ *   and deleting uploads
+ * 
+ * @module routes/media
+ * @requires express
+ * @requires multer
+ * @requires ../models
+ * @requires ../middleware/auth
+ * @requires ../services/imageProcessor
+ * @requires ../services/uploadService
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { Op } = require('sequelize');
+const { Upload, Blog } = require('../models');
+const auth = require('../middleware/auth');
+const { ALLOWED_IMAGE_TYPES, InvalidImageError } = require('../services/imageProcessor');
+const { createUpload } = require('../services/uploadService');
+
+const router = express.Router();
+
+/**
+ * Maximum upload size in megabytes
+ * @type {number}
+ */
+const MAX_UPLOAD_SIZE_MB = 10;
+
+/**
+ * Multer instance that keeps a single image in memory for processing
+ * @type {Object}
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+      return callback(new InvalidImageError(
+        `Unsupported file type. Allowed types: ${Object.keys(ALLOWED_IMAGE_TYPES).join(', ')}`
+      ));
+    }
+    callback(null, true);
+  },
+});
+
+/**
+ * Find Own Upload
+ * Helper function that loads an upload owned by the current user
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Upload, or null if missing or owned by someone else
+ * @private
+ */
+const findOwnUpload = (req) => Upload.findOne({
+  where: { id: req.params.id, ownerId: req.user.id }
+});
+
+/**
+ * Receive Image
+ * Middleware that parses the `file` field and turns upload errors into
+ * 400 / 413 responses
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @private
+ */
+const receiveImage = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `File is too large (max ${MAX_UPLOAD_SIZE_MB} MB)`
+      });
+    }
+    if (error instanceof multer.MulterError || error instanceof InvalidImageError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+/**
+ * @route   POST /api/media
+ * @desc    Upload an image
+ * @access  Private (requires authentication)
+ * 
+ * The image is checked against its declared type, EXIF metadata is removed,
+ * the original is capped at 2560px, and 320/640/1280px wide variants plus a
+ * 200px square thumbnail are generated.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {File} file - Image (multipart/form-data; JPEG, PNG, WebP or GIF, max 10 MB)
+ * 
+ * @returns {Object} 201 - { message: string, upload: Object }
+ *   upload includes url, width, height, size, mimeType and
+ *   variants: [{ name, url, width, height, size }]
+ * @returns {Object} 400 - { message: string } - Missing file, unsupported type or unreadable image
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 413 - { message: string } - File too large
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/', auth, receiveImage, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      message: 'No file uploaded (send the image in the "file" field)'
+    });
+  }
+
+  try {
+    const record = await createUpload({
+      ownerId: req.user.id,
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype,
+      originalName: req.file.originalname,
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      upload: record
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    console.error('Upload media error:', error);
+    res.status(500).json({
+      message: 'Server error while uploading file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/media
+ * @desc    Browse the authenticated user's uploads, newest first
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Uploads per page (default: 24, max: 100)
+ * @query {string} q - Search file name, alt text and caption
+ * @query {boolean} unused - 'true' to only return uploads no post uses
+ * 
+ * @returns {Object} 200 - { uploads: Array, pagination: Object }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 24, 100);
+    const skip = (page - 1) * limit;
+
+    const where = { ownerId: req.user.id };
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q) {
+      const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+      where[Op.or] = [
+        { originalName: { [Op.iLike]: pattern } },
+        { altText: { [Op.iLike]: pattern } },
+        { caption: { [Op.iLike]: pattern } },
+      ];
+    }
+    if (req.query.unused === 'true') {
+      where.blogIds = { [Op.eq]: [] };
+    }
+
+    const { rows: uploads, count: totalUploads } = await Upload.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit,
+    });
+    const totalPages = Math.ceil(totalUploads / limit);
+
+    res.json({
+      uploads,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalUploads,
+        uploadsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching media',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/media/:id
+ * @desc    Get one of the user's uploads with the posts that use it
+ * @access  Private (requires authentication; owner only)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Upload ID
+ * 
+ * @returns {Object} 200 - { upload: Object, blogs: Array<{ id, title, slug, status }> }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - Upload not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return res.status(404).json({
+        message: 'Upload not found'
+      });
+    }
+
+    const blogs = upload.isInUse()
+      ? await Blog.findAll({
+        where: { id: upload.blogIds },
+        attributes: ['id', 'title', 'slug', 'status'],
+      })
+      : [];
+
+    res.json({ upload, blogs });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/media/:id
+ * @desc    Update an upload's alt text and caption
+ * @access  Private (requires authentication; owner only)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Upload ID
+ * @body {string} altText - Text alternative for screen readers (optional, max 500 chars)
+ * @body {string} caption - Caption shown with the image (optional, max 1,000 chars)
+ * 
+ * @returns {Object} 200 - { message: string, upload: Object }
+ * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - Upload not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { altText, caption } = req.body;
+
+    const errors = [];
+    if (altText !== undefined && altText !== null && typeof altText !== 'string') {
+      errors.push('Alt text must be a string');
+    }
+    if (caption !== undefined && caption !== null && typeof caption !== 'string') {
+      errors.push('Caption must be a string');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return res.status(404).json({
+        message: 'Upload not found'
+      });
+    }
+
+    if (altText !== undefined) upload.altText = altText ? altText.trim() : null;
+    if (caption !== undefined) upload.caption = caption ? caption.trim() : null;
+    await upload.save();
+
+    res.json({
+      message: 'Upload updated successfully',
+      upload
+    });
+  } catch (error) {
+    console.error('Update upload error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while updating upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/media/:id
+ * @desc    Delete an upload and its files
+ * @access  Private (requires authentication; owner only)
+ * 
+ * Uploads that posts still use are only deleted with ?force=true, since
+ * the images would break in those posts.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Upload ID
+ * @query {boolean} force - 'true' to delete an upload that is in use
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - Upload not found
+ * @returns {Object} 409 - { message: string, blogIds: Array } - Upload is used by posts
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return res.status(404).json({
+        message: 'Upload not found'
+      });
+    }
+
+    if (upload.isInUse() && req.query.force !== 'true') {
+      return res.status(409).json({
+        message: `This image is used in ${upload.blogIds.length} post(s). Delete it anyway with force=true.`,
+        blogIds: upload.blogIds
+      });
+    }
+
+    await upload.purge();
+
+    res.json({
+      message: 'Upload deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete upload error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+/**
+ * Notification Routes
+ * 
+ * This module handles the signed-in user's notifications:
+ * - Listing notifications and the unread count
+ * - Marking notifications as read
+ * - A Server-Sent Events stream with live updates
+ * 
+ * All endpoints require authentication. Because EventSource cannot send
+ * headers, the stream also accepts a short-lived `ticket` query parameter
+ * from POST /api/notifications/stream-ticket. The access token itself is
+ * never accepted in the URL, where it would end up in access logs.
+ * 
+ * @module routes/notifications
+ * @requires express
+ * @requires ../models
+ * @requires ../middleware/auth
+ * @requires ../services/notificationService
+ * @requires ../services/sessionService
+ */
+
+const express = require('express');
+const { Notification, User } = require('../models');
+const auth = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const { isSessionActive } = require('../services/sessionService');
+
+const router = express.Router();
+
+/**
+ * Stream Ticket Authentication
+ * Middleware that authenticates the stream with a `ticket` query parameter,
+ * for clients (like EventSource) that cannot set headers. Requests with an
+ * Authorization header go through the regular auth middleware.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @private
+ */
+const streamTicketAuth = async (req, res, next) => {
+  if (req.header('Authorization')) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const ticket = notificationService.redeemStreamTicket(req.query.ticket);
+    const user = ticket && await isSessionActive(ticket.sid, ticket.id)
+      ? await User.findByPk(ticket.id, { attributes: { exclude: ['password'] } })
+      : null;
+
+    if (!user || user.isPendingDeletion()) {
+      return res.status(401).json({
+        message: 'Invalid or expired stream ticket',
+        error: 'INVALID_STREAM_TICKET'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = ticket.sid;
+    next();
+  } catch (error) {
+    console.error('Stream ticket error:', error);
+    res.status(500).json({
+      message: 'Server error during authentication',
+      error: 'SERVER_ERROR'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the authenticated user's notifications, newest first
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Notifications per page (default: 20, max: 50)
+ * @query {boolean} unread - 'true' to only return unread notifications
+ * 
+ * @returns {Object} 200 - { notifications: Array, unreadCount: number, pagination: Object }
+ *   Each notification includes its actor and blog post, when it has them
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const where = { recipientId: req.user.id };
+    if (req.query.unread === 'true') {
+      where.readAt = null;
+    }
+
+    const { rows: notifications, count: totalNotifications } = await Notification.findAndCountAll({
+      where,
+      include: notificationService.NOTIFICATION_INCLUDE,
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit,
+    });
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    res.json({
+      notifications,
+      unreadCount: await Notification.countUnread(req.user.id),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalNotifications,
+        notificationsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private (requires authentication)
+ * 
+ * Used by clients to poll when the live stream is unavailable.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { unreadCount: number }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json({
+      unreadCount: await Notification.countUnread(req.user.id),
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/stream-ticket
+ * @desc    Get a ticket for opening the notification stream
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { ticket: string, expiresIn: number } - the ticket opens one
+ *   stream within expiresIn seconds and can't be used again; get a new one to reconnect
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ */
+router.post('/stream-ticket', auth, (req, res) => {
+  res.json({
+    ticket: notificationService.createStreamTicket(req.user.id, req.sessionId),
+    expiresIn: 60,
+  });
+});
+
+/**
+ * @route   GET /api/notifications/stream
+ * @desc    Live notification stream (Server-Sent Events)
+ * @access  Private (requires authentication)
+ * 
+ * Sends an `unread` event with { unreadCount } on connect and whenever
+ * notifications are read, and a `notification` event with
+ * { notification, unreadCount } for each new notification. The stream is
+ * closed when its session is revoked (logout, password change, ...).
+ * 
+ * @header {string} Authorization - Bearer token (or use the ticket query parameter)
+ * @query {string} ticket - Ticket from POST /api/notifications/stream-ticket, for clients
+ *   that cannot set headers
+ * 
+ * @returns {Stream} 200 - text/event-stream
+ * @returns {Object} 401 - { message: string } - Unauthorized, or an expired or used ticket
+ */
+router.get('/stream', streamTicketAuth, async (req, res) => {
+  try {
+    await notificationService.subscribe(req.user.id, req, res, req.sessionId);
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Server error while opening notification stream',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all of the user's notifications as read
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { message: string, updated: number, unreadCount: 0 }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { recipientId: req.user.id, readAt: null } }
+    );
+
+    await notificationService.pushUnreadCount(req.user.id);
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Server error while updating notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private (requires authentication; recipient only)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Notification ID
+ * 
+ * @returns {Object} 200 - { message: string, notification: Object, unreadCount: number }
+ * @returns {Object} 401 - { message: string } - Unauthorized
+ * @returns {Object} 404 - { message: string } - Notification not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, recipientId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead()) {
+      notification.readAt = new Date();
+      await notification.save();
+      await notificationService.pushUnreadCount(req.user.id);
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification,
+      unreadCount: await Notification.countUnread(req.user.id),
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      message: 'Server error while updating notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
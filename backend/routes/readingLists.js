@@ -0,0 +1,505 @@
+/**
+ * Reading List Routes
+ * 
+ * This module handles named reading lists of blog posts:
+ * - Creating, renaming, sharing and deleting lists
+ * - Adding and removing posts
+ * - Reordering the posts in a list
+ * 
+ * Private lists are only visible to their owner; public lists can be
+ * viewed by anyone with the link.
+ * 
+ * @module routes/readingLists
+ * @requires express
+ * @requires ../models
+ * @requires ../middleware/auth
+ */
+
+const express = require('express');
+const { fn, col } = require('sequelize');
+const { getSequelize } = require('../config/db');
+const { ReadingList, ReadingListItem, Blog, User } = require('../models');
+const { MAX_LIST_ITEMS } = require('../models/ReadingList');
+const auth = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Validate Reading List Input
+ * Helper function to validate reading list data
+ * 
+ * @param {Object} data - Reading list data to validate
+ * @param {boolean} [partial=false] - True for updates, where every field is optional
+ * @returns {Object} { valid: boolean, errors: Array }
+ * @private
+ */
+const validateListInput = (data, partial = false) => {
+  const errors = [];
+
+  // Name validation
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push('Reading list name is required');
+    } else if (data.name.trim().length > 100) {
+      errors.push('Reading list name cannot exceed 100 characters');
+    }
+  }
+
+  // Description validation
+  if (data.description !== undefined && data.description !== null) {
+    if (typeof data.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (data.description.trim().length > 500) {
+      errors.push('Description cannot exceed 500 characters');
+    }
+  }
+
+  // Visibility validation
+  if (data.isPublic !== undefined && typeof data.isPublic !== 'boolean') {
+    errors.push('isPublic must be true or false');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Load Owned List
+ * Helper function that finds the reading list from the route and checks that
+ * the authenticated user owns it. Sends the error response otherwise.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} ReadingList instance, or null if a response was sent
+ * @private
+ */
+const loadOwnedList = async (req, res) => {
+  const list = await ReadingList.findByPk(req.params.id);
+
+  // Lists of other users are reported as missing, like private posts
+  if (!list || !list.isVisibleTo(req.user)) {
+    res.status(404).json({
+      message: 'Reading list not found'
+    });
+    return null;
+  }
+
+  if (!list.isOwnedBy(req.user)) {
+    res.status(403).json({
+      message: 'You are not authorized to modify this reading list'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+/**
+ * @route   GET /api/reading-lists
+ * @desc    Get the authenticated user's reading lists
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * 
+ * @returns {Object} 200 - { readingLists: Array } - Each list includes itemCount
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const readingLists = await ReadingList.findAll({
+      where: { ownerId: req.user.id },
+      attributes: {
+        include: [[fn('COUNT', col('items.id')), 'itemCount']],
+      },
+      include: [{
+        model: ReadingListItem,
+        as: 'items',
+        attributes: [],
+      }],
+      group: ['ReadingList.id'],
+      order: [['updatedAt', 'DESC']],
+    });
+
+    res.json({
+      readingLists: readingLists.map(list => ({
+        ...list.toJSON(),
+        itemCount: parseInt(list.get('itemCount')) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Get reading lists error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching reading lists',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reading-lists
+ * @desc    Create a reading list
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @body {string} name - List name (required, max 100 chars)
+ * @body {string} description - List description (optional, max 500 chars)
+ * @body {boolean} isPublic - Whether the list can be shared (optional, default: false)
+ * 
+ * @returns {Object} 201 - { message: string, readingList: Object }
+ * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    const validation = validateListInput({ name, description, isPublic });
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const readingList = await ReadingList.create({
+      name: name.trim(),
+      description: description ? description.trim() : null,
+      isPublic: !!isPublic,
+      ownerId: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'Reading list created successfully',
+      readingList: { ...readingList.toJSON(), itemCount: 0 },
+    });
+  } catch (error) {
+    console.error('Create reading list error:', error);
+    res.status(500).json({
+      message: 'Server error while creating reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reading-lists/:id
+ * @desc    Get a reading list with its posts in order
+ * @access  Public for public lists, otherwise owner only
+ * 
+ * Posts that are no longer published are only shown to the list's owner.
+ * 
+ * @header {string} Authorization - Bearer token (optional)
+ * @param {string} id - Reading list ID
+ * 
+ * @returns {Object} 200 - { readingList: Object, blogs: Array, isOwner: boolean }
+ * @returns {Object} 404 - { message: string } - List not found or private
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const list = await ReadingList.findByPk(req.params.id, {
+      include: [{
+        model: User,
+        as: 'owner',
+        attributes: ['id', 'name', 'nickname']
+      }]
+    });
+
+    if (!list || !list.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        message: 'Reading list not found'
+      });
+    }
+
+    const isOwner = list.isOwnedBy(req.user);
+    const items = await ReadingListItem.findAll({
+      where: { listId: list.id },
+      include: [{
+        model: Blog,
+        as: 'blog',
+        include: [{
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'nickname']
+        }]
+      }],
+      order: [['position', 'ASC'], ['createdAt', 'ASC']],
+    });
+
+    const blogs = items
+      .filter(item => item.blog && (isOwner || item.blog.isPublished()))
+      .map(item => ({ ...item.blog.toJSON(), addedAt: item.createdAt }));
+
+    res.json({
+      readingList: list,
+      blogs,
+      isOwner,
+    });
+  } catch (error) {
+    console.error('Get reading list error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/reading-lists/:id
+ * @desc    Rename a reading list or change its description or visibility
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Reading list ID
+ * @body {string} name - New name (optional)
+ * @body {string} description - New description (optional)
+ * @body {boolean} isPublic - New visibility (optional)
+ * 
+ * @returns {Object} 200 - { message: string, readingList: Object }
+ * @returns {Object} 400 - { message: string, errors: Array } - Validation errors
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - List not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const { name, description, isPublic } = req.body;
+
+    const validation = validateListInput({ name, description, isPublic }, true);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    if (name !== undefined) list.name = name.trim();
+    if (description !== undefined) list.description = description ? description.trim() : null;
+    if (isPublic !== undefined) list.isPublic = isPublic;
+    await list.save();
+
+    res.json({
+      message: 'Reading list updated successfully',
+      readingList: list,
+    });
+  } catch (error) {
+    console.error('Update reading list error:', error);
+    res.status(500).json({
+      message: 'Server error while updating reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/reading-lists/:id
+ * @desc    Delete a reading list (the posts themselves are not affected)
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Reading list ID
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - List not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    await list.destroy();
+
+    res.json({
+      message: 'Reading list deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete reading list error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reading-lists/:id/items
+ * @desc    Add a blog post to the end of a reading list
+ * @access  Private (requires authentication and ownership)
+ * 
+ * Adding a post that is already in the list leaves it where it is.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Reading list ID
+ * @body {string} blogId - Blog post ID (required)
+ * 
+ * @returns {Object} 201 - { message: string, item: Object }
+ * @returns {Object} 400 - { message: string } - Missing blog ID or list is full
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - List or blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/items', auth, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const { blogId } = req.body;
+    if (!blogId) {
+      return res.status(400).json({
+        message: 'Please provide the blog post to add'
+      });
+    }
+
+    const blog = await Blog.findByPk(blogId);
+    if (!blog || !blog.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        message: 'Blog post not found'
+      });
+    }
+
+    const existing = await ReadingListItem.findOne({ where: { listId: list.id, blogId } });
+    if (existing) {
+      return res.status(200).json({
+        message: 'Blog post is already in this reading list',
+        item: existing,
+      });
+    }
+
+    const itemCount = await ReadingListItem.count({ where: { listId: list.id } });
+    if (itemCount >= MAX_LIST_ITEMS) {
+      return res.status(400).json({
+        message: `A reading list cannot have more than ${MAX_LIST_ITEMS} posts`
+      });
+    }
+
+    const lastPosition = await ReadingListItem.max('position', { where: { listId: list.id } });
+    const item = await ReadingListItem.create({
+      listId: list.id,
+      blogId,
+      position: lastPosition === null || lastPosition === undefined ? 0 : lastPosition + 1,
+    });
+
+    // Touch the list so recently used lists come first
+    list.changed('updatedAt', true);
+    await list.save();
+
+    res.status(201).json({
+      message: 'Blog post added to reading list',
+      item,
+    });
+  } catch (error) {
+    console.error('Add reading list item error:', error);
+    res.status(500).json({
+      message: 'Server error while adding to reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/reading-lists/:id/items/:blogId
+ * @desc    Remove a blog post from a reading list
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Reading list ID
+ * @param {string} blogId - Blog post ID
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - List or item not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id/items/:blogId', auth, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const removed = await ReadingListItem.destroy({
+      where: { listId: list.id, blogId: req.params.blogId }
+    });
+
+    if (removed === 0) {
+      return res.status(404).json({
+        message: 'Blog post is not in this reading list'
+      });
+    }
+
+    res.json({
+      message: 'Blog post removed from reading list'
+    });
+  } catch (error) {
+    console.error('Remove reading list item error:', error);
+    res.status(500).json({
+      message: 'Server error while removing from reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/reading-lists/:id/items/order
+ * @desc    Reorder the posts in a reading list
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Reading list ID
+ * @body {string[]} blogIds - Every blog ID in the list, in the new order (required)
+ * 
+ * @returns {Object} 200 - { message: string }
+ * @returns {Object} 400 - { message: string } - blogIds does not match the list
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - List not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.put('/:id/items/order', auth, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const { blogIds } = req.body;
+    const items = await ReadingListItem.findAll({ where: { listId: list.id } });
+
+    // The new order must contain exactly the posts already in the list
+    const current = items.map(item => String(item.blogId)).sort();
+    const requested = Array.isArray(blogIds) ? blogIds.map(String) : [];
+    const matches = requested.length === current.length &&
+      new Set(requested).size === requested.length &&
+      [...requested].sort().every((blogId, index) => blogId === current[index]);
+
+    if (!matches) {
+      return res.status(400).json({
+        message: 'blogIds must list every post in the reading list exactly once'
+      });
+    }
+
+    await getSequelize().transaction(async (transaction) => {
+      await Promise.all(requested.map((blogId, position) =>
+        ReadingListItem.update(
+          { position },
+          { where: { listId: list.id, blogId }, transaction }
+        )
+      ));
+    });
+
+    res.json({
+      message: 'Reading list reordered successfully'
+    });
+  } catch (error) {
+    console.error('Reorder reading list error:', error);
+    res.status(500).json({
+      message: 'Server error while reordering reading list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+/**
+ * Blog Revision Routes
+ * 
+ * This module handles the revision history of blog posts:
+ * - Listing the revisions of a post
+ * - Viewing a single revision
+ * - Comparing two revisions (or a revision and the current post)
+ * - Restoring an earlier revision
+ * 
+ * Mounted under /api/blogs/:id/revisions. All routes require
+ * authentication and ownership of the blog post.
+ * 
+ * @module routes/revisions
+ * @requires express
+ * @requires diff
+ * @requires ../models
+ * @requires ../middleware/auth
+ */
+
+const express = require('express');
+const Diff = require('diff');
+const { Blog, BlogRevision, User } = require('../models');
+const { REVISION_FIELDS } = require('../models/BlogRevision');
+const auth = require('../middleware/auth');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load Owned Blog
+ * Helper function that finds the blog from the route and checks that the
+ * authenticated user is its author. Sends the error response otherwise.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Blog instance, or null if a response was sent
+ * @private
+ */
+const loadOwnedBlog = async (req, res) => {
+  const blog = await Blog.findByPk(req.params.id);
+
+  if (!blog) {
+    res.status(404).json({
+      message: 'Blog post not found'
+    });
+    return null;
+  }
+
+  // Check if user is the author of this blog
+  if (String(blog.authorId) !== String(req.user.id)) {
+    res.status(403).json({
+      message: 'You are not authorized to view the history of this blog post'
+    });
+    return null;
+  }
+
+  return blog;
+};
+
+/**
+ * Find Revision
+ * Helper function to look up a revision of a blog by its number
+ * 
+ * @param {string} blogId - Blog post ID
+ * @param {string|number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} Revision, or null if not found
+ * @private
+ */
+const findRevision = async (blogId, revisionNumber) => {
+  const number = parseInt(revisionNumber);
+  if (!Number.isInteger(number) || number < 1) {
+    return null;
+  }
+  return BlogRevision.findOne({ where: { blogId, revisionNumber: number } });
+};
+
+/**
+ * HTML to Text
+ * Helper function that turns stored HTML into plain text with one
+ * block (paragraph, heading, list item...) per line, for diffing
+ * 
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ * @private
+ */
+const htmlToText = (html = '') => {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre|div)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Build Revision Diff
+ * Helper function to compare two snapshots of a blog post
+ * 
+ * @param {Object} from - Older snapshot (blog fields)
+ * @param {Object} to - Newer snapshot (blog fields)
+ * @returns {Object} { fields: Array, content: Array, stats: Object }
+ * @private
+ */
+const buildRevisionDiff = (from, to) => {
+  // Simple fields: report old and new values when they differ
+  const fields = REVISION_FIELDS
+    .filter(field => field !== 'content')
+    .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  // Content: word-level diff of the readable text
+  const content = Diff.diffWordsWithSpace(htmlToText(from.content), htmlToText(to.content))
+    .map(part => ({
+      value: part.value,
+      added: !!part.added,
+      removed: !!part.removed,
+    }));
+
+  const countWords = (type) => content
+    .filter(part => part[type])
+    .reduce((total, part) => total + part.value.split(/\s+/).filter(Boolean).length, 0);
+
+  return {
+    fields,
+    content,
+    stats: {
+      wordsAdded: countWords('added'),
+      wordsRemoved: countWords('removed'),
+      contentChanged: from.content !== to.content,
+    },
+  };
+};
+
+/**
+ * @route   GET /api/blogs/:id/revisions
+ * @desc    List the revisions of a blog post, newest first
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Revisions per page (default: 20, max: 100)
+ * 
+ * @returns {Object} 200 - { revisions: Array, pagination: Object }
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const blog = await loadOwnedBlog(req, res);
+    if (!blog) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { rows: revisions, count: totalRevisions } = await BlogRevision.findAndCountAll({
+      where: { blogId: blog.id },
+      // Content is left out of the list; fetch a single revision to see it
+      attributes: { exclude: ['content'] },
+      include: [{
+        model: User,
+        as: 'editor',
+        attributes: ['id', 'name', 'nickname']
+      }],
+      order: [['revisionNumber', 'DESC']],
+      offset: skip,
+      limit,
+    });
+    const totalPages = Math.ceil(totalRevisions / limit);
+
+    res.json({
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRevisions,
+        revisionsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/blogs/:id/revisions/compare
+ * @desc    Compare two revisions of a blog post
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @query {number} from - Older revision number (required)
+ * @query {string} to - Newer revision number, or 'current' for the saved post (default: 'current')
+ * 
+ * @returns {Object} 200 - { from: number, to: number|'current', diff: { fields, content, stats } }
+ * @returns {Object} 400 - { message: string } - Missing revision numbers
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog or revision not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/compare', auth, async (req, res) => {
+  try {
+    const blog = await loadOwnedBlog(req, res);
+    if (!blog) return;
+
+    const { from } = req.query;
+    const to = req.query.to || 'current';
+
+    if (!from) {
+      return res.status(400).json({
+        message: 'Please provide the revision to compare from'
+      });
+    }
+
+    const fromRevision = await findRevision(blog.id, from);
+    const toRevision = to === 'current' ? null : await findRevision(blog.id, to);
+
+    if (!fromRevision || (to !== 'current' && !toRevision)) {
+      return res.status(404).json({
+        message: 'Revision not found'
+      });
+    }
+
+    const fromSnapshot = fromRevision.getSnapshot();
+    const toSnapshot = toRevision
+      ? toRevision.getSnapshot()
+      : REVISION_FIELDS.reduce((snapshot, field) => {
+        snapshot[field] = blog[field];
+        return snapshot;
+      }, {});
+
+    res.json({
+      from: fromRevision.revisionNumber,
+      to: toRevision ? toRevision.revisionNumber : 'current',
+      diff: buildRevisionDiff(fromSnapshot, toSnapshot),
+    });
+  } catch (error) {
+    console.error('Compare revisions error:', error);
+    res.status(500).json({
+      message: 'Server error while comparing revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/blogs/:id/revisions/:revision
+ * @desc    Get a single revision of a blog post, including its content
+ * @access  Private (requires authentication and ownership)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @param {number} revision - Revision number
+ * 
+ * @returns {Object} 200 - Revision data
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog or revision not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:revision', auth, async (req, res) => {
+  try {
+    const blog = await loadOwnedBlog(req, res);
+    if (!blog) return;
+
+    const revision = await findRevision(blog.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({
+        message: 'Revision not found'
+      });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/blogs/:id/revisions/:revision/restore
+ * @desc    Restore a blog post to an earlier revision
+ * @access  Private (requires authentication and ownership)
+ * 
+ * Restoring is itself recorded as a new revision, so it can be undone.
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - Blog post ID
+ * @param {number} revision - Revision number to restore
+ * 
+ * @returns {Object} 200 - { message: string, blog: Object }
+ * @returns {Object} 403 - { message: string } - Not the owner
+ * @returns {Object} 404 - { message: string } - Blog or revision not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:revision/restore', auth, async (req, res) => {
+  try {
+    const blog = await loadOwnedBlog(req, res);
+    if (!blog) return;
+
+    const revision = await findRevision(blog.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({
+        message: 'Revision not found'
+      });
+    }
+
+    blog.set(revision.getSnapshot());
+    await blog.save({ editorId: req.user.id, revisionSource: 'restore' });
+
+    const blogWithAuthor = await Blog.findByPk(blog.id, {
+      include: [{
+        model: User,
+        as: 'author',
+        attributes: ['id', 'name', 'nickname', 'email']
+      }]
+    });
+
+    res.json({
+      message: `Blog post restored to revision ${revision.revisionNumber}`,
+      blog: blogWithAuthor,
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const errors = error.errors ? error.errors.map(e => e.message) : [error.message];
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while restoring revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+/**
+ * SEO Routes
+ * 
+ * This module serves documents for search engines and link unfurlers,
+ * which cannot run the single-page frontend:
+ * - sitemap.xml with every published post
+ * - Pre-rendered post pages with OpenGraph, Twitter card and JSON-LD metadata
+ * 
+ * Mounted at the server root so the paths mirror the frontend's. Point
+ * crawler traffic for /blog/:id at this server (or share these URLs);
+ * visitors with JavaScript are sent on to the frontend.
+ * 
+ * @module routes/seo
+ * @requires express
+ * @requires ../models
+ * @requires ../services/seoService
+ * @requires ../config/site
+ */
+
+const express = require('express');
+const { Blog, User } = require('../models');
+const { buildSitemap, buildPostPage } = require('../services/seoService');
+const { SITE_NAME, getBaseUrls } = require('../config/site');
+
+const router = express.Router();
+
+/**
+ * Maximum number of posts in the sitemap (the protocol allows 50,000 URLs)
+ * @type {number}
+ */
+const SITEMAP_SIZE = 49000;
+
+/**
+ * How long clients and proxies may cache these documents, in seconds
+ * @type {number}
+ */
+const SEO_MAX_AGE = 3600;
+
+/**
+ * Matches post IDs, to tell them apart from slugs
+ * @type {RegExp}
+ */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Render a plain HTML error page
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message to show
+ * @private
+ */
+const sendErrorPage = (res, status, message) => {
+  res.status(status)
+    .type('html')
+    .send(`<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8" /><meta name="robots" content="noindex" /><title>${message}</title></head><body><h1>${message}</h1></body></html>\n`);
+};
+
+/**
+ * @route   GET /sitemap.xml
+ * @desc    Sitemap of the site's pages and published posts
+ * @access  Public
+ * 
+ * @returns {string} 200 - Sitemap XML
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const { siteUrl } = getBaseUrls(req);
+
+    const blogs = await Blog.findAll({
+      where: { status: 'published' },
+      attributes: ['id', 'slug', 'updatedAt'],
+      order: [['updatedAt', 'DESC']],
+      limit: SITEMAP_SIZE,
+    });
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Cache-Control', `public, max-age=${SEO_MAX_AGE}`);
+    res.send(buildSitemap(siteUrl, blogs));
+  } catch (error) {
+    console.error('Build sitemap error:', error);
+    res.status(500).json({
+      message: 'Server error while building sitemap',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /blog/:id
+ * @desc    Pre-rendered HTML for a published post, with OpenGraph, Twitter
+ *          card and JSON-LD BlogPosting metadata
+ * @access  Public
+ * 
+ * @param {string} id - Blog post ID or slug (previous slugs redirect to the current one)
+ * 
+ * @returns {string} 200 - HTML page
+ * @returns {string} 301 - Redirect to the post's current slug
+ * @returns {string} 404 - HTML page - Post not found or not published
+ * @returns {string} 500 - HTML page - Server error
+ */
+router.get('/blog/:id', async (req, res) => {
+  try {
+    const include = [{
+      model: User,
+      as: 'author',
+      attributes: ['id', 'name', 'nickname']
+    }];
+
+    let blog;
+    if (UUID_REGEX.test(req.params.id)) {
+      blog = await Blog.findByPk(req.params.id, { include });
+    } else {
+      const found = await Blog.findBySlug(req.params.id.toLowerCase(), { include });
+      if (found.blog && found.redirected && found.blog.isPublished()) {
+        return res.redirect(301, `${req.baseUrl}/blog/${found.blog.slug}`);
+      }
+      blog = found.blog;
+    }
+
+    if (!blog || !blog.isPublished()) {
+      return sendErrorPage(res, 404, 'Blog post not found');
+    }
+
+    const { siteUrl } = getBaseUrls(req);
+
+    res.set('Cache-Control', `public, max-age=${SEO_MAX_AGE}`);
+    res.type('html').send(buildPostPage({ siteName: SITE_NAME, siteUrl }, blog));
+  } catch (error) {
+    console.error('Render blog page error:', error);
+    sendErrorPage(res, 500, 'Something went wrong');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+/**
+ * User Routes
+ * 
+ * This module handles public author profiles and follows:
+ * - Viewing an author's profile with follower and following counts
+ * - Following and unfollowing authors
+ * - Listing an author's followers and the authors they follow
+ * 
+ * @module routes/users
+ * @requires express
+ * @requires ../models
+ * @requires ../middleware/auth
+ * @requires ../services/notificationService
+ */
+
+const express = require('express');
+const { getSequelize } = require('../config/db');
+const { User, Follow } = require('../models');
+const auth = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+/**
+ * User attributes visible to other users
+ * @type {string[]}
+ */
+const PROFILE_ATTRIBUTES = ['id', 'name', 'nickname', 'bio', 'followersCount', 'followingCount', 'createdAt'];
+
+/**
+ * Which side of a follow each list is read from: a user's followers are the
+ * `follower` of follows where they are followed, and vice versa
+ * @type {Object}
+ * @private
+ */
+const FOLLOW_LISTS = {
+  followers: { key: 'followingId', as: 'follower' },
+  following: { key: 'followerId', as: 'following' },
+};
+
+/**
+ * Is Following
+ * Helper function to check whether the requesting user follows an author
+ * 
+ * @param {Object|undefined} user - Authenticated user, if any
+ * @param {string} authorId - Author's user ID
+ * @returns {Promise<boolean>}
+ * @private
+ */
+const isFollowing = async (user, authorId) => {
+  if (!user) return false;
+  const follow = await Follow.findOne({
+    where: { followerId: user.id, followingId: authorId },
+    attributes: ['id'],
+  });
+  return !!follow;
+};
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get an author's public profile
+ * @access  Public
+ * 
+ * @header {string} Authorization - Bearer token (optional)
+ * @param {string} id - User ID
+ * 
+ * @returns {Object} 200 - { user: Object, isFollowing: boolean }
+ *   user includes followersCount and followingCount
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: PROFILE_ATTRIBUTES
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      user,
+      isFollowing: await isFollowing(req.user, user.id),
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching user profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Set Follow
+ * Factory for the handlers that follow or unfollow an author.
+ * Both directions are idempotent, and the follower and following counts
+ * of both users are updated in the same transaction as the follow.
+ * 
+ * @param {boolean} active - True to follow, false to unfollow
+ * @returns {Function} Express route handler
+ * @private
+ */
+const setFollow = (active) => async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const author = await User.findByPk(req.params.id, { attributes: ['id'] });
+    if (!author) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const where = { followerId: req.user.id, followingId: author.id };
+
+    const changed = await getSequelize().transaction(async (transaction) => {
+      let changed;
+      if (active) {
+        [, changed] = await Follow.findOrCreate({ where, transaction });
+      } else {
+        changed = await Follow.destroy({ where, transaction }) > 0;
+      }
+
+      if (changed) {
+        const by = active ? 1 : -1;
+        await User.increment({ followersCount: by }, { where: { id: author.id }, transaction, silent: true });
+        await User.increment({ followingCount: by }, { where: { id: req.user.id }, transaction, silent: true });
+      }
+      return changed;
+    });
+
+    if (active && changed) {
+      notificationService.notify({
+        type: 'follow',
+        recipientId: author.id,
+        actorId: req.user.id,
+      });
+    }
+
+    await author.reload({ attributes: ['id', 'followersCount'] });
+
+    res.json({
+      isFollowing: active,
+      followersCount: Math.max(0, author.followersCount),
+    });
+  } catch (error) {
+    console.error(`${active ? 'Follow' : 'Unfollow'} user error:`, error);
+    res.status(500).json({
+      message: `Server error while ${active ? 'following' : 'unfollowing'} user`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/follow
+ * @desc    Follow an author
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - ID of the user to follow
+ * 
+ * @returns {Object} 200 - { isFollowing: true, followersCount: number }
+ * @returns {Object} 400 - { message: string } - Trying to follow yourself
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.post('/:id/follow', auth, setFollow(true));
+
+/**
+ * @route   DELETE /api/users/:id/follow
+ * @desc    Unfollow an author
+ * @access  Private (requires authentication)
+ * 
+ * @header {string} Authorization - Bearer token (required)
+ * @param {string} id - ID of the user to unfollow
+ * 
+ * @returns {Object} 200 - { isFollowing: false, followersCount: number }
+ * @returns {Object} 400 - { message: string } - Trying to unfollow yourself
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.delete('/:id/follow', auth, setFollow(false));
+
+/**
+ * List Follows
+ * Factory for the handlers that list a user's followers or followed authors,
+ * most recent first
+ * 
+ * @param {string} type - Key of FOLLOW_LISTS ('followers' or 'following')
+ * @returns {Function} Express route handler
+ * @private
+ */
+const listFollows = (type) => async (req, res) => {
+  const { key, as } = FOLLOW_LISTS[type];
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const { rows: follows, count: totalUsers } = await Follow.findAndCountAll({
+      where: { [key]: user.id },
+      include: [{
+        model: User,
+        as,
+        attributes: PROFILE_ATTRIBUTES
+      }],
+      order: [['createdAt', 'DESC']],
+      offset: skip,
+      limit,
+    });
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.json({
+      users: follows.map(follow => ({ ...follow[as].toJSON(), followedAt: follow.createdAt })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalUsers,
+        usersPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error(`Get ${type} error:`, error);
+    res.status(500).json({
+      message: `Server error while fetching ${type}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @route   GET /api/users/:id/followers
+ * @desc    Get the users following an author
+ * @access  Public
+ * 
+ * @param {string} id - User ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Users per page (default: 20, max: 50)
+ * 
+ * @returns {Object} 200 - { users: Array, pagination: Object }
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id/followers', listFollows('followers'));
+
+/**
+ * @route   GET /api/users/:id/following
+ * @desc    Get the authors a user follows
+ * @access  Public
+ * 
+ * @param {string} id - User ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Users per page (default: 20, max: 50)
+ * 
+ * @returns {Object} 200 - { users: Array, pagination: Object }
+ * @returns {Object} 404 - { message: string } - User not found
+ * @returns {Object} 500 - { message: string } - Server error
+ */
+router.get('/:id/following', listFollows('following'));
+
+module.exports = router;
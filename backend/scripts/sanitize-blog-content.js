@@ -0,0 +1,115 @@
+/**
+ * Sanitize Existing Blog Content
+ * 
+ * One-off command that runs every stored blog post through the HTML
+ * sanitizer (the same allowlist applied on create and update) and reports
+ * what it stripped from each post.
+ * 
+ * Usage:
+ *   npm run sanitize-content              # sanitize and save
+ *   npm run sanitize-content -- --dry-run # only report
+ * 
+ * Posts are saved without hooks, so no revision is recorded and
+ * `updatedAt` is left alone. Posts that would be left empty are reported
+ * and skipped.
+ * 
+ * @module scripts/sanitize-blog-content
+ * @requires dotenv
+ * @requires ../config/db
+ * @requires ../models
+ * @requires ../services/htmlSanitizer
+ */
+
+require('dotenv').config();
+
+const { connectDB, closeConnection } = require('../config/db');
+const { initModels, Blog } = require('../models');
+const { sanitizeContent, findDisallowedMarkup } = require('../services/htmlSanitizer');
+
+/**
+ * Number of posts loaded at a time
+ * @type {number}
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Format removal counts for the report, e.g. "script x2, iframe"
+ * 
+ * @param {Object<string, number>} counts - Counts keyed by name
+ * @returns {string} Formatted list
+ * @private
+ */
+const formatCounts = (counts) => Object.entries(counts)
+  .map(([name, count]) => (count > 1 ? `${name} x${count}` : name))
+  .join(', ');
+
+/**
+ * Sanitize all blog posts
+ * 
+ * @param {Object} options - Command options
+ * @param {boolean} options.dryRun - Report without saving
+ * @returns {Promise<Object>} { scanned, changed, skipped }
+ */
+const sanitizeAll = async ({ dryRun }) => {
+  const stats = { scanned: 0, changed: 0, skipped: 0 };
+  let offset = 0;
+
+  for (;;) {
+    const blogs = await Blog.findAll({
+      attributes: ['id', 'title', 'slug', 'content'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      offset,
+      limit: BATCH_SIZE,
+    });
+    if (blogs.length === 0) break;
+    offset += blogs.length;
+
+    for (const blog of blogs) {
+      stats.scanned++;
+
+      const cleaned = sanitizeContent(blog.content).trim();
+      if (cleaned === blog.content) continue;
+
+      const removed = findDisallowedMarkup(blog.content);
+      const label = `${blog.id} (${blog.title || blog.slug || 'untitled'})`;
+      const details = [
+        Object.keys(removed.tags).length > 0 && `tags: ${formatCounts(removed.tags)}`,
+        Object.keys(removed.attributes).length > 0 && `attributes: ${formatCounts(removed.attributes)}`,
+      ].filter(Boolean);
+
+      if (cleaned.length === 0) {
+        stats.skipped++;
+        console.log(`⚠ ${label}: nothing left after sanitizing, skipped`);
+        continue;
+      }
+
+      stats.changed++;
+      console.log(`✓ ${label}: ${details.length > 0 ? details.join('; ') : 'unsafe URLs or classes'}`);
+
+      if (!dryRun) {
+        blog.content = cleaned;
+        await blog.save({ fields: ['content'], hooks: false, silent: true });
+      }
+    }
+  }
+
+  return stats;
+};
+
+(async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+    initModels();
+
+    console.log(`Sanitizing blog content${dryRun ? ' (dry run)' : ''}...\n`);
+    const { scanned, changed, skipped } = await sanitizeAll({ dryRun });
+
+    console.log(`\nScanned ${scanned} posts: ${changed} ${dryRun ? 'would be ' : ''}sanitized, ${skipped} skipped`);
+    await closeConnection();
+  } catch (error) {
+    console.error('✗ Sanitizing blog content failed:', error);
+    process.exit(1);
+  }
+})();
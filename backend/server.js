@@ -24,10 +24,26 @@ const session = require('express-session');
 const passport = require('./config/passport');
 const { connectDB, getSequelize, closeConnection } = require('./config/db');
 const { initModels, syncDatabase } = require('./models');
+const publishScheduler = require('./services/publishScheduler');
+const notificationService = require('./services/notificationService');
+const mediaStorage = require('./services/mediaStorage');
+const mediaCleanup = require('./services/mediaCleanup');
+const importService = require('./services/importService');
+const accountExportService = require('./services/accountExportService');
+const accountDeletion = require('./services/accountDeletion');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const blogRoutes = require('./routes/blogs');
+const revisionRoutes = require('./routes/revisions');
+const commentRoutes = require('./routes/comments');
+const readingListRoutes = require('./routes/readingLists');
+const userRoutes = require('./routes/users');
+const notificationRoutes = require('./routes/notifications');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
+const mediaRoutes = require('./routes/media');
+const importRoutes = require('./routes/imports');
 const aiRoutes = require('./routes/ai');
 
 // Initialize Express application
@@ -37,6 +53,13 @@ const app = express();
  * Middleware Configuration
  */
 
+// Behind a reverse proxy (e.g. Render), trust X-Forwarded-For so req.ip is
+// the client's address: a number of proxy hops, "true", or a subnet list
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Enable CORS for cross-origin requests
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -58,6 +81,8 @@ app.use(
     cookie: {
       secure: process.env.NODE_ENV === 'production', // HTTPS only in production
       httpOnly: true,
+      // "none" when the frontend is on another site, so the API can set it from fetch requests
+      sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
       maxAge: 24 * 60 * 60 * 1000, // 24 hours
     },
   })
@@ -67,6 +92,9 @@ app.use(
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Serve uploaded media (when stored on local disk)
+app.use(mediaStorage.LOCAL_MEDIA_PATH, mediaStorage.serveLocalMedia());
+
 /**
  * Request Logging Middleware (Development only)
  * Logs all incoming requests for debugging purposes
@@ -80,9 +108,20 @@ if (process.env.NODE_ENV === 'development') {
 
 /**
  * API Routes
+ * Login, password reset and AI routes apply their own rate limits
+ * (middleware/rateLimit)
  */
 app.use('/api/auth', authRoutes);
 app.use('/api/blogs', blogRoutes);
+app.use('/api/blogs/:id/revisions', revisionRoutes);
+app.use('/api/blogs/:id/comments', commentRoutes);
+app.use('/api/reading-lists', readingListRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/feeds', feedRoutes);
+app.use('/', seoRoutes);
 app.use('/api/ai', aiRoutes);
 
 /**
@@ -100,6 +139,12 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       blogs: '/api/blogs',
+      readingLists: '/api/reading-lists',
+      users: '/api/users',
+      notifications: '/api/notifications',
+      media: '/api/media',
+      feeds: '/feeds',
+      sitemap: '/sitemap.xml',
       ai: '/api/ai',
     },
   });
@@ -119,21 +164,122 @@ app.get('/api', (req, res) => {
     documentation: {
       auth: {
         register: 'POST /api/auth/register',
-        login: 'POST /api/auth/login',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/resend-verification (protected)',
+        login: 'POST /api/auth/login (returns a challengeToken when 2FA is enabled)',
+        loginTwoFactor: 'POST /api/auth/login/2fa (challengeToken with code or recoveryCode)',
+        magicLink: 'POST /api/auth/magic-link (emails a single-use sign-in link)',
+        magicLinkVerify: 'POST /api/auth/magic-link/verify (exchanges the link token for a login)',
+        refresh: 'POST /api/auth/refresh (exchanges a refreshToken for a new token pair)',
+        logout: 'POST /api/auth/logout (protected)',
+        logoutAll: 'POST /api/auth/logout-all (protected)',
+        listSessions: 'GET /api/auth/sessions (protected)',
+        revokeSession: 'DELETE /api/auth/sessions/:id (protected)',
+        twoFactorSetup: 'POST /api/auth/2fa/setup (protected; returns otpauthUrl and QR code)',
+        twoFactorEnable: 'POST /api/auth/2fa/enable (protected; returns one-time recovery codes)',
+        twoFactorDisable: 'POST /api/auth/2fa/disable (protected; password and code)',
+        twoFactorRecoveryCodes: 'POST /api/auth/2fa/recovery-codes (protected; replaces recovery codes)',
         googleAuth: 'GET /api/auth/google',
+        googleExchange: 'POST /api/auth/google/exchange (one-time code from the callback)',
         getUser: 'GET /api/auth/user (protected)',
         updateProfile: 'PUT /api/auth/profile (protected)',
         updatePassword: 'PUT /api/auth/password (protected)',
+        exportAccount: 'GET /api/auth/export?refresh=true (protected; zip archive built in the background)',
+        downloadExport: 'GET /api/auth/export/:id/download?token= (signed, expiring link)',
+        deleteAccount: 'DELETE /api/auth/account (protected; password or Google reauthToken, contentMode delete|anonymize)',
+        googleReauth: 'GET /api/auth/google/reauth?action=set-password (confirms identity for Google-only accounts)',
+        googleReauthExchange: 'POST /api/auth/google/reauth/exchange (protected; one-time code from the confirmation)',
+        signInMethods: 'GET /api/auth/sign-in-methods (protected)',
+        linkGoogle: 'POST /api/auth/google/link (protected; then open GET /api/auth/google/link in the same browser)',
+        unlinkGoogle: 'DELETE /api/auth/google (protected; password, only when a password is set)',
+        setPassword: 'POST /api/auth/password/set (protected; Google-only accounts, password and reauthToken)',
       },
       blogs: {
         getAll: 'GET /api/blogs',
         getRecent: 'GET /api/blogs/recent',
+        getFeed: 'GET /api/blogs/feed (protected)',
         getOne: 'GET /api/blogs/:id',
+        getBySlug: 'GET /api/blogs/slug/:slug',
         create: 'POST /api/blogs (protected)',
         update: 'PUT /api/blogs/:id (protected)',
         delete: 'DELETE /api/blogs/:id (protected)',
+        publish: 'POST /api/blogs/:id/publish (protected)',
+        unpublish: 'POST /api/blogs/:id/unpublish (protected)',
+        archive: 'POST /api/blogs/:id/archive (protected)',
+        schedule: 'POST /api/blogs/:id/schedule (protected)',
+        cancelSchedule: 'DELETE /api/blogs/:id/schedule (protected)',
+        getMyScheduled: 'GET /api/blogs/my/scheduled (protected)',
         getUserBlogs: 'GET /api/blogs/user/:userId',
         getMyBlogs: 'GET /api/blogs/my/posts (protected)',
+        like: 'POST /api/blogs/:id/like (protected)',
+        unlike: 'DELETE /api/blogs/:id/like (protected)',
+        bookmark: 'POST /api/blogs/:id/bookmark (protected)',
+        removeBookmark: 'DELETE /api/blogs/:id/bookmark (protected)',
+        getMyBookmarks: 'GET /api/blogs/my/bookmarks (protected)',
+        importMarkdown: 'POST /api/blogs/import/markdown (protected)',
+        exportMarkdown: 'GET /api/blogs/:id/export.md',
+      },
+      revisions: {
+        list: 'GET /api/blogs/:id/revisions (protected)',
+        compare: 'GET /api/blogs/:id/revisions/compare?from=&to= (protected)',
+        getOne: 'GET /api/blogs/:id/revisions/:revision (protected)',
+        restore: 'POST /api/blogs/:id/revisions/:revision/restore (protected)',
+      },
+      comments: {
+        list: 'GET /api/blogs/:id/comments',
+        create: 'POST /api/blogs/:id/comments (protected)',
+        update: 'PUT /api/blogs/:id/comments/:commentId (protected)',
+        delete: 'DELETE /api/blogs/:id/comments/:commentId (protected)',
+      },
+      readingLists: {
+        getMine: 'GET /api/reading-lists (protected)',
+        create: 'POST /api/reading-lists (protected)',
+        getOne: 'GET /api/reading-lists/:id',
+        update: 'PUT /api/reading-lists/:id (protected)',
+        delete: 'DELETE /api/reading-lists/:id (protected)',
+        addItem: 'POST /api/reading-lists/:id/items (protected)',
+        removeItem: 'DELETE /api/reading-lists/:id/items/:blogId (protected)',
+        reorder: 'PUT /api/reading-lists/:id/items/order (protected)',
+      },
+      users: {
+        getProfile: 'GET /api/users/:id',
+        follow: 'POST /api/users/:id/follow (protected)',
+        unfollow: 'DELETE /api/users/:id/follow (protected)',
+        getFollowers: 'GET /api/users/:id/followers',
+        getFollowing: 'GET /api/users/:id/following',
+      },
+      notifications: {
+        list: 'GET /api/notifications (protected)',
+        unreadCount: 'GET /api/notifications/unread-count (protected)',
+        streamTicket: 'POST /api/notifications/stream-ticket (protected)',
+        stream: 'GET /api/notifications/stream?ticket= (Server-Sent Events)',
+        markRead: 'PUT /api/notifications/:id/read (protected)',
+        markAllRead: 'PUT /api/notifications/read-all (protected)',
+      },
+      media: {
+        upload: 'POST /api/media (protected, multipart/form-data field "file")',
+        list: 'GET /api/media?q=&unused=true (protected)',
+        getOne: 'GET /api/media/:id (protected, owner only)',
+        update: 'PUT /api/media/:id (protected, owner only; altText, caption)',
+        delete: 'DELETE /api/media/:id?force=true (protected, owner only)',
+        files: 'GET /uploads/:key',
+      },
+      imports: {
+        start: 'POST /api/imports (protected, multipart/form-data field "file"; WordPress WXR, Ghost JSON or Medium zip)',
+        list: 'GET /api/imports (protected)',
+        getOne: 'GET /api/imports/:id (protected, owner only; progress and per-post report)',
+      },
+      feeds: {
+        rss: 'GET /feeds/rss.xml',
+        atom: 'GET /feeds/atom.xml',
+        json: 'GET /feeds/feed.json',
+        byAuthor: 'GET /feeds/author/:authorId/{rss.xml|atom.xml|feed.json}',
+        byCategory: 'GET /feeds/category/:category/{rss.xml|atom.xml|feed.json}',
+        byTag: 'GET /feeds/tag/:tag/{rss.xml|atom.xml|feed.json}',
+      },
+      seo: {
+        sitemap: 'GET /sitemap.xml',
+        postPage: 'GET /blog/:id (pre-rendered HTML with OpenGraph, Twitter card and JSON-LD metadata)',
       },
     },
   });
@@ -192,6 +338,28 @@ if (!DATABASE_URL) {
     await syncDatabase();
     console.log('✓ Database synchronized');
     
+    // Restore pending scheduled publications
+    const scheduledCount = await publishScheduler.initScheduler();
+    console.log(`✓ Publish scheduler started (${scheduledCount} pending)`);
+    
+    // Remove uploads no post uses anymore
+    mediaCleanup.startCleanup();
+    console.log(`✓ Media cleanup started (grace period: ${mediaCleanup.GRACE_PERIOD_DAYS} days)`);
+    
+    // Imports keep their file in memory, so unfinished ones cannot resume
+    const interruptedImports = await importService.initImports();
+    if (interruptedImports > 0) {
+      console.log(`✓ Marked ${interruptedImports} interrupted import job(s) as failed`);
+    }
+    
+    // Resume unfinished account exports and delete expired archives
+    const resumedExports = await accountExportService.initAccountExports();
+    console.log(`✓ Account exports started (${resumedExports} resumed, archives kept ${accountExportService.EXPORT_TTL_HOURS}h)`);
+    
+    // Delete accounts whose deletion grace period has ended
+    accountDeletion.startDeletions();
+    console.log(`✓ Account deletion started (grace period: ${accountDeletion.GRACE_PERIOD_DAYS} days)`);
+    
   } catch (err) {
     console.error('✗ Database initialization error:', err.message);
     process.exit(1);
@@ -221,6 +389,21 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
+  // Stop pending scheduled publications
+  publishScheduler.stopScheduler();
+  
+  // Stop the media cleanup job
+  mediaCleanup.stopCleanup();
+  
+  // Stop the expired account export sweep
+  accountExportService.stopAccountExports();
+  
+  // Stop the account deletion sweep
+  accountDeletion.stopDeletions();
+  
+  // Close live notification streams so the server can stop
+  notificationService.closeAll();
+  
   // Close server
   server.close(async () => {
     console.log('✓ HTTP server closed');
@@ -0,0 +1,290 @@
+/**
+ * Account Deletion Service
+ *
+ * Deletes user accounts after a grace period. Requesting deletion only
+ * schedules it (ACCOUNT_DELETION_GRACE_DAYS, default 14) and emails the
+ * user; until then, logging in again cancels it. An hourly sweep deletes
+ * the accounts whose grace period has ended:
+ * - Posts are deleted, or with 'anonymize' the published ones are moved to
+ *   a placeholder "Deleted User" author (drafts are always deleted)
+ * - Comments stay in their threads without an author
+ * - Likes, bookmarks and follows are removed and the counters they fed
+ *   are corrected
+ * - Uploads are deleted, except images used by anonymized posts
+ * - Export archives are deleted
+ *
+ * @module services/accountDeletion
+ * @requires bcryptjs
+ * @requires ../models
+ * @requires ./emailService
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { getSequelize } = require('../config/db');
+const { Blog, Bookmark, Follow, Like, Upload, User } = require('../models');
+const { sendAccountDeletionEmail } = require('./emailService');
+const accountExportService = require('./accountExportService');
+const mediaStorage = require('./mediaStorage');
+const publishScheduler = require('./publishScheduler');
+const sessionService = require('./sessionService');
+
+/**
+ * Days between a deletion request and the actual deletion
+ * @type {number}
+ */
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Interval between sweeps for accounts due for deletion (1 hour)
+ * @type {number}
+ */
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Email of the placeholder author of anonymized posts
+ * @type {string}
+ */
+const PLACEHOLDER_EMAIL = process.env.DELETED_USER_EMAIL || 'deleted-user@example.invalid';
+
+/**
+ * Timer of the deletion sweep
+ * @type {NodeJS.Timeout|null}
+ */
+let timer = null;
+
+/**
+ * Whether a sweep is in progress
+ * @type {boolean}
+ */
+let running = false;
+
+/**
+ * Schedule an account for deletion and email the user
+ * The user is logged out of every device; logging in again cancels.
+ *
+ * @async
+ * @param {Object} user - User instance
+ * @param {string} contentMode - 'delete' or 'anonymize'
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+const requestDeletion = async (user, contentMode) => {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  await user.update({
+    deletionRequestedAt: now,
+    deletionScheduledFor: scheduledFor,
+    deletionContentMode: contentMode,
+  });
+  await sessionService.revokeAllSessions(user.id);
+
+  // The deletion goes ahead even if the email cannot be sent
+  await sendAccountDeletionEmail(user.email, scheduledFor, contentMode, user.name);
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion
+ * Called whenever the user logs in.
+ *
+ * @async
+ * @param {Object} user - User instance
+ * @returns {Promise<boolean>} True if a deletion was cancelled
+ */
+const cancelDeletion = async (user) => {
+  if (!user.isPendingDeletion()) {
+    return false;
+  }
+  await user.update({
+    deletionRequestedAt: null,
+    deletionScheduledFor: null,
+    deletionContentMode: null,
+  });
+  return true;
+};
+
+/**
+ * Find or create the placeholder author of anonymized posts
+ * The account has a random password nobody knows, so it cannot log in.
+ *
+ * @async
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} User instance
+ * @private
+ */
+const getPlaceholderAuthor = async (transaction) => {
+  const [placeholder] = await User.findOrCreate({
+    where: { email: PLACEHOLDER_EMAIL },
+    defaults: {
+      name: 'Deleted User',
+      email: PLACEHOLDER_EMAIL,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+      dob: '1970-01-01',
+      gender: 'other',
+    },
+    transaction,
+  });
+  return placeholder;
+};
+
+/**
+ * Delete an account now
+ *
+ * @async
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { deletedPosts: number, anonymizedPosts: number }
+ */
+const deleteAccount = async (user) => {
+  const anonymize = user.deletionContentMode === 'anonymize';
+
+  const scheduled = await Blog.findAll({
+    where: { authorId: user.id, status: 'scheduled' },
+    attributes: ['id'],
+  });
+
+  const result = await getSequelize().transaction(async (transaction) => {
+    // Counters on other users' posts and profiles
+    const [likes, bookmarks, following, followers] = await Promise.all([
+      Like.findAll({ where: { userId: user.id }, attributes: ['blogId'], transaction }),
+      Bookmark.findAll({ where: { userId: user.id }, attributes: ['blogId'], transaction }),
+      Follow.findAll({ where: { followerId: user.id }, attributes: ['followingId'], transaction }),
+      Follow.findAll({ where: { followingId: user.id }, attributes: ['followerId'], transaction }),
+    ]);
+    const decrement = (Model, counter, ids) => ids.length > 0 && Model.decrement(counter, {
+      where: { id: ids, [counter]: { [Op.gt]: 0 } },
+      transaction,
+      silent: true,
+    });
+    await decrement(Blog, 'likesCount', likes.map(like => like.blogId));
+    await decrement(Blog, 'bookmarksCount', bookmarks.map(bookmark => bookmark.blogId));
+    await decrement(User, 'followersCount', following.map(follow => follow.followingId));
+    await decrement(User, 'followingCount', followers.map(follow => follow.followerId));
+
+    let anonymizedPosts = 0;
+    let keptUploadIds = [];
+    if (anonymize) {
+      const placeholder = await getPlaceholderAuthor(transaction);
+      const published = await Blog.findAll({
+        where: { authorId: user.id, status: 'published' },
+        attributes: ['id'],
+        transaction,
+      });
+      const publishedIds = published.map(blog => blog.id);
+
+      if (publishedIds.length > 0) {
+        [anonymizedPosts] = await Blog.update(
+          { authorId: placeholder.id },
+          { where: { id: publishedIds }, transaction, silent: true }
+        );
+
+        // Images in anonymized posts must keep working
+        const used = await Upload.findAll({
+          where: { ownerId: user.id, blogIds: { [Op.overlap]: publishedIds } },
+          attributes: ['id'],
+          transaction,
+        });
+        keptUploadIds = used.map(upload => upload.id);
+        if (keptUploadIds.length > 0) {
+          await Upload.update({ ownerId: placeholder.id }, { where: { id: keptUploadIds }, transaction });
+        }
+      }
+    }
+
+    const deletedPosts = await Blog.count({ where: { authorId: user.id }, transaction });
+    const uploads = await Upload.findAll({
+      where: { ownerId: user.id, id: { [Op.notIn]: keptUploadIds } },
+      transaction,
+    });
+
+    // Posts, likes, bookmarks, follows, uploads, notifications, reading
+    // lists and imports go with the user; comments keep their place
+    await user.destroy({ transaction });
+
+    return { deletedPosts, anonymizedPosts, uploads };
+  });
+
+  scheduled.forEach(blog => publishScheduler.cancel(blog.id));
+
+  // Files are removed once the records are gone for good
+  const storage = mediaStorage.getStorage();
+  for (const upload of result.uploads) {
+    try {
+      await Promise.all(upload.getStorageKeys().map(key => storage.remove(key)));
+    } catch (error) {
+      console.error(`✗ Could not remove files of upload ${upload.id}:`, error.message);
+    }
+  }
+  await accountExportService.removeUserExports(user.id);
+
+  return { deletedPosts: result.deletedPosts, anonymizedPosts: result.anonymizedPosts };
+};
+
+/**
+ * Delete every account whose grace period has ended
+ *
+ * @async
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+const runDeletions = async () => {
+  if (running) return 0;
+  running = true;
+
+  let deleted = 0;
+  try {
+    const due = await User.findAll({
+      where: { deletionScheduledFor: { [Op.lte]: new Date() } },
+    });
+
+    for (const user of due) {
+      try {
+        const { deletedPosts, anonymizedPosts } = await deleteAccount(user);
+        deleted++;
+        console.log(`✓ Deleted account ${user.id} (${deletedPosts} posts deleted, ${anonymizedPosts} anonymized)`);
+      } catch (error) {
+        console.error(`✗ Could not delete account ${user.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('✗ Account deletion sweep failed:', error.message);
+  } finally {
+    running = false;
+  }
+
+  return deleted;
+};
+
+/**
+ * Start the deletion sweep
+ * Runs once right away, then every SWEEP_INTERVAL. Must be called after
+ * models are initialized and the database is synced.
+ */
+const startDeletions = () => {
+  if (timer) return;
+  runDeletions();
+  timer = setInterval(runDeletions, SWEEP_INTERVAL);
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+};
+
+/**
+ * Stop the deletion sweep
+ */
+const stopDeletions = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  requestDeletion,
+  cancelDeletion,
+  deleteAccount,
+  runDeletions,
+  startDeletions,
+  stopDeletions,
+};
@@ -0,0 +1,526 @@
+/**
+ * Account Export Service
+ *
+ * Builds account export archives in the background, for data portability
+ * requests and personal backups. An export is created by the auth route
+ * and queued here; exports run one at a time. The zip archive contains:
+ * - manifest.json: what the archive contains and where
+ * - profile.json: the user's profile (User#getPublicProfile)
+ * - posts/<slug>.md and posts/<slug>.html: every post, in both formats
+ * - comments.json, bookmarks.json: the user's comments and saved posts
+ * - media.json and media/: the user's uploads, with their original files
+ *
+ * Archives are written to a private directory (ACCOUNT_EXPORT_DIR) that is
+ * not served statically; they are downloaded through a signed link that
+ * expires with the archive after ACCOUNT_EXPORT_TTL_HOURS. An hourly sweep
+ * deletes expired archives.
+ *
+ * @module services/accountExportService
+ * @requires adm-zip
+ * @requires jsonwebtoken
+ * @requires ../models
+ * @requires ./markdownService
+ * @requires ./mediaStorage
+ * @requires ./emailService
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { AccountExport, Blog, Bookmark, Comment, Upload, User } = require('../models');
+const { SITE_NAME, getBaseUrls } = require('../config/site');
+const { buildMarkdownFile } = require('./markdownService');
+const { getPostUrl } = require('./feedService');
+const mediaStorage = require('./mediaStorage');
+const { sendAccountExportEmail } = require('./emailService');
+
+/**
+ * Directory archives are written to; must not be publicly served
+ * @type {string}
+ */
+const EXPORT_DIR = path.resolve(process.env.ACCOUNT_EXPORT_DIR || path.join(__dirname, '..', 'exports'));
+
+/**
+ * Hours an archive and its download link stay valid
+ * @type {number}
+ */
+const EXPORT_TTL_HOURS = parseInt(process.env.ACCOUNT_EXPORT_TTL_HOURS) || 24;
+
+/**
+ * Interval between sweeps for expired archives (1 hour)
+ * @type {number}
+ */
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Archive format identifier written to the manifest
+ * @type {string}
+ */
+const ARCHIVE_FORMAT = 'blogai-account-export';
+
+/**
+ * Archive format version, bumped when the layout changes
+ * @type {number}
+ */
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Purpose claim of download tokens, so other JWTs cannot be used as links
+ * @type {string}
+ */
+const DOWNLOAD_TOKEN_PURPOSE = 'account-export';
+
+/**
+ * Export IDs waiting to be built, in order
+ * @type {string[]}
+ */
+const queue = [];
+
+/**
+ * Whether the queue is being worked on
+ * @type {boolean}
+ */
+let processing = false;
+
+/**
+ * Timer of the expired archive sweep
+ * @type {NodeJS.Timeout|null}
+ */
+let timer = null;
+
+/**
+ * Escape text for use in HTML
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Serialize data for a JSON file in the archive
+ *
+ * @param {*} data - Data to write
+ * @returns {Buffer} Pretty-printed JSON
+ * @private
+ */
+const toJsonFile = (data) => Buffer.from(`${JSON.stringify(data, null, 2)}\n`, 'utf8');
+
+/**
+ * Absolute path of an export's archive
+ *
+ * @param {Object} accountExport - AccountExport instance
+ * @returns {string} File path
+ */
+const getArchivePath = (accountExport) => path.join(EXPORT_DIR, path.basename(accountExport.fileName));
+
+/**
+ * Build a standalone HTML document for a post
+ *
+ * @param {Object} blog - Blog instance
+ * @returns {string} HTML document
+ * @private
+ */
+const buildPostHtml = (blog) => {
+  const title = blog.title || 'Untitled Post';
+  const date = blog.publishedAt || blog.createdAt;
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(blog.language || 'en')}">`,
+    '  <head>',
+    '    <meta charset="utf-8" />',
+    `    <title>${escapeHtml(title)}</title>`,
+    blog.summary ? `    <meta name="description" content="${escapeHtml(blog.summary)}" />` : null,
+    '  </head>',
+    '  <body>',
+    '    <article>',
+    `      <h1>${escapeHtml(title)}</h1>`,
+    date ? `      <p><time datetime="${new Date(date).toISOString()}">${new Date(date).toISOString().substring(0, 10)}</time></p>` : null,
+    blog.content,
+    '    </article>',
+    '  </body>',
+    '</html>',
+    '',
+  ].filter(line => line !== null).join('\n');
+};
+
+/**
+ * File name of an upload's original inside the archive
+ *
+ * @param {Object} upload - Upload instance
+ * @returns {string} Archive path
+ * @private
+ */
+const getMediaPath = (upload) => `media/${upload.id}${path.extname(upload.storageKey)}`;
+
+/**
+ * Build the archive for a user
+ *
+ * @async
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { zip: AdmZip, counts: Object }
+ * @private
+ */
+const buildArchive = async (user) => {
+  const { siteUrl } = getBaseUrls();
+  const zip = new AdmZip();
+  const storage = mediaStorage.getStorage();
+
+  const blogFields = ['id', 'title', 'slug'];
+  const [blogs, comments, bookmarks, uploads] = await Promise.all([
+    Blog.findAll({ where: { authorId: user.id }, order: [['createdAt', 'ASC']] }),
+    Comment.findAll({
+      where: { authorId: user.id, deletedAt: null },
+      include: [{ model: Blog, as: 'blog', attributes: blogFields }],
+      order: [['createdAt', 'ASC']],
+    }),
+    Bookmark.findAll({
+      where: { userId: user.id },
+      include: [{ model: Blog, as: 'blog', attributes: blogFields }],
+      order: [['createdAt', 'ASC']],
+    }),
+    Upload.findAll({ where: { ownerId: user.id }, order: [['createdAt', 'ASC']] }),
+  ]);
+
+  zip.addFile('profile.json', toJsonFile(user.getPublicProfile()));
+
+  const posts = blogs.map(blog => {
+    const baseName = `posts/${blog.slug || blog.id}`;
+    zip.addFile(`${baseName}.md`, Buffer.from(buildMarkdownFile(blog), 'utf8'));
+    zip.addFile(`${baseName}.html`, Buffer.from(buildPostHtml(blog), 'utf8'));
+    return {
+      id: blog.id,
+      title: blog.title,
+      slug: blog.slug,
+      status: blog.status,
+      url: blog.status === 'published' ? getPostUrl(siteUrl, blog) : null,
+      tags: blog.tags,
+      category: blog.category,
+      language: blog.language,
+      createdAt: blog.createdAt,
+      updatedAt: blog.updatedAt,
+      publishedAt: blog.publishedAt,
+      publishAt: blog.publishAt,
+      markdown: `${baseName}.md`,
+      html: `${baseName}.html`,
+    };
+  });
+
+  zip.addFile('comments.json', toJsonFile(comments.map(comment => ({
+    id: comment.id,
+    content: comment.content,
+    parentId: comment.parentId,
+    post: comment.blog
+      ? { id: comment.blog.id, title: comment.blog.title, url: getPostUrl(siteUrl, comment.blog) }
+      : { id: comment.blogId },
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt,
+  }))));
+
+  zip.addFile('bookmarks.json', toJsonFile(bookmarks.map(bookmark => ({
+    post: bookmark.blog
+      ? { id: bookmark.blog.id, title: bookmark.blog.title, url: getPostUrl(siteUrl, bookmark.blog) }
+      : { id: bookmark.blogId },
+    bookmarkedAt: bookmark.createdAt,
+  }))));
+
+  const media = [];
+  for (const upload of uploads) {
+    let file = getMediaPath(upload);
+    try {
+      zip.addFile(file, await storage.read(upload.storageKey));
+    } catch (error) {
+      // Keep the record even if its file is gone from storage
+      console.error(`Account export: could not read upload ${upload.id}:`, error.message);
+      file = null;
+    }
+    media.push({
+      id: upload.id,
+      file,
+      url: upload.url,
+      originalName: upload.originalName,
+      mimeType: upload.mimeType,
+      size: upload.size,
+      width: upload.width,
+      height: upload.height,
+      altText: upload.altText,
+      caption: upload.caption,
+      createdAt: upload.createdAt,
+    });
+  }
+  zip.addFile('media.json', toJsonFile(media));
+
+  const counts = {
+    posts: posts.length,
+    comments: comments.length,
+    bookmarks: bookmarks.length,
+    media: media.length,
+  };
+
+  zip.addFile('manifest.json', toJsonFile({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    site: { name: SITE_NAME, url: siteUrl },
+    generatedAt: new Date(),
+    user: { id: user.id, email: user.email },
+    counts,
+    files: {
+      profile: 'profile.json',
+      comments: 'comments.json',
+      bookmarks: 'bookmarks.json',
+      media: 'media.json',
+    },
+    posts,
+  }));
+
+  return { zip, counts };
+};
+
+/**
+ * Create a signed download token for an export
+ * The token expires together with the archive.
+ *
+ * @param {Object} accountExport - AccountExport instance (completed)
+ * @returns {string} Download token
+ * @private
+ */
+const createDownloadToken = (accountExport) => {
+  const expiresIn = Math.max(1, Math.floor((new Date(accountExport.expiresAt).getTime() - Date.now()) / 1000));
+  return jwt.sign(
+    { exportId: accountExport.id, purpose: DOWNLOAD_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn, issuer: 'blogging-app' }
+  );
+};
+
+/**
+ * Check a download token
+ *
+ * @param {string} token - Token from the download link
+ * @param {string} exportId - Export the link points to
+ * @returns {boolean} True if the token is valid for this export
+ */
+const verifyDownloadToken = (token, exportId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { issuer: 'blogging-app' });
+    return decoded.purpose === DOWNLOAD_TOKEN_PURPOSE && decoded.exportId === exportId;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Download link of a completed export
+ *
+ * @param {Object} accountExport - AccountExport instance (completed)
+ * @param {string} apiUrl - Public backend URL
+ * @returns {string} Download URL
+ */
+const getDownloadUrl = (accountExport, apiUrl) =>
+  `${apiUrl}/api/auth/export/${accountExport.id}/download?token=${createDownloadToken(accountExport)}`;
+
+/**
+ * Delete an export's archive and mark it expired
+ *
+ * @async
+ * @param {Object} accountExport - AccountExport instance
+ * @private
+ */
+const expireExport = async (accountExport) => {
+  if (accountExport.fileName) {
+    try {
+      await fs.unlink(getArchivePath(accountExport));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  await accountExport.update({ status: 'expired', fileName: null });
+};
+
+/**
+ * Delete all of a user's archives
+ * Used when the account is deleted; the records go with the user.
+ *
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of exports removed
+ */
+const removeUserExports = async (userId) => {
+  const exports = await AccountExport.findAll({ where: { userId } });
+  for (const accountExport of exports) {
+    await expireExport(accountExport);
+  }
+  return exports.length;
+};
+
+/**
+ * Build one export
+ *
+ * @async
+ * @param {string} exportId - AccountExport ID
+ * @private
+ */
+const runExport = async (exportId) => {
+  const accountExport = await AccountExport.findByPk(exportId);
+  if (!accountExport) return;
+
+  const user = await User.findByPk(accountExport.userId);
+  if (!user) {
+    await accountExport.update({ status: 'failed', error: 'User not found', finishedAt: new Date() });
+    return;
+  }
+
+  await accountExport.update({ status: 'running', startedAt: new Date() });
+
+  try {
+    const { zip, counts } = await buildArchive(user);
+    const buffer = zip.toBuffer();
+    const fileName = `${accountExport.id}.zip`;
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(path.join(EXPORT_DIR, fileName), buffer);
+
+    await accountExport.update({
+      status: 'completed',
+      fileName,
+      size: buffer.length,
+      counts,
+      finishedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000),
+    });
+    console.log(`✓ Account export ${accountExport.id} built (${Math.round(buffer.length / 1024)} KB)`);
+  } catch (error) {
+    console.error(`✗ Account export ${accountExport.id} failed:`, error);
+    await accountExport.update({
+      status: 'failed',
+      error: 'The archive could not be created. Please try again later.',
+      finishedAt: new Date(),
+    });
+    return;
+  }
+
+  // Only the newest archive is kept
+  const older = await AccountExport.findAll({
+    where: { userId: user.id, status: 'completed', id: { [Op.ne]: accountExport.id } },
+  });
+  for (const previous of older) {
+    await expireExport(previous);
+  }
+
+  if (user.email) {
+    const { apiUrl } = getBaseUrls();
+    await sendAccountExportEmail(user.email, getDownloadUrl(accountExport, apiUrl), accountExport.expiresAt, user.name);
+  }
+};
+
+/**
+ * Run queued exports one after another
+ *
+ * @async
+ * @private
+ */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      const exportId = queue.shift();
+      try {
+        await runExport(exportId);
+      } catch (error) {
+        console.error(`✗ Account export ${exportId} could not be run:`, error.message);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Queue an export
+ * The export must already be saved with status 'pending'.
+ *
+ * @param {Object} accountExport - AccountExport instance
+ */
+const enqueue = (accountExport) => {
+  queue.push(accountExport.id);
+  processQueue();
+};
+
+/**
+ * Delete archives whose download period has ended
+ *
+ * @async
+ * @returns {Promise<number>} Number of archives deleted
+ */
+const runCleanup = async () => {
+  try {
+    const expired = await AccountExport.findAll({
+      where: { status: 'completed', expiresAt: { [Op.lte]: new Date() } },
+    });
+    for (const accountExport of expired) {
+      await expireExport(accountExport);
+    }
+    if (expired.length > 0) {
+      console.log(`✓ Deleted ${expired.length} expired account export(s)`);
+    }
+    return expired.length;
+  } catch (error) {
+    console.error('✗ Account export cleanup failed:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Initialize the account export service
+ * Queues exports left pending or running by a previous server process and
+ * starts the hourly sweep for expired archives. Must be called after
+ * models are initialized and the database is synced.
+ *
+ * @async
+ * @returns {Promise<number>} Number of resumed exports
+ */
+const initAccountExports = async () => {
+  const unfinished = await AccountExport.findAll({
+    where: { status: { [Op.in]: ['pending', 'running'] } },
+    order: [['createdAt', 'ASC']],
+  });
+  unfinished.forEach(enqueue);
+
+  if (!timer) {
+    runCleanup();
+    timer = setInterval(runCleanup, CLEANUP_INTERVAL);
+    // Don't keep the process alive just for the sweep
+    timer.unref();
+  }
+
+  return unfinished.length;
+};
+
+/**
+ * Stop the expired archive sweep
+ */
+const stopAccountExports = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  EXPORT_TTL_HOURS,
+  enqueue,
+  getArchivePath,
+  getDownloadUrl,
+  verifyDownloadToken,
+  removeUserExports,
+  initAccountExports,
+  stopAccountExports,
+};
@@ -0,0 +1,81 @@
+/**
+ * Account Lockout Service
+ *
+ * Temporarily locks an account after repeated failed logins, so a password
+ * (or a two-factor code) cannot be guessed by spreading attempts over many
+ * IP addresses. The counter is stored on the user, so it survives restarts
+ * and is shared by every server instance.
+ *
+ * Wrong passwords and wrong 2FA codes both count; a complete login or a
+ * password reset clears the counter.
+ *
+ * @module services/accountLockout
+ */
+
+/**
+ * Consecutive failures before the account is locked
+ * @type {number}
+ */
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+/**
+ * How long a lockout lasts (ms)
+ * @type {number}
+ */
+const LOCKOUT_DURATION = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Seconds until a locked account can log in again
+ *
+ * @param {Object} user - User instance
+ * @returns {number} Seconds remaining, or 0 if the account is not locked
+ */
+const getLockoutRemaining = (user) => {
+  if (!user.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Count a failed login and lock the account once the threshold is reached
+ * Failures after an expired lockout start a new count.
+ *
+ * @async
+ * @param {Object} user - User instance (loaded with all attributes)
+ * @returns {Promise<number>} Seconds the account is now locked for, or 0
+ */
+const recordFailedLogin = async (user) => {
+  const lockoutExpired = user.lockedUntil && getLockoutRemaining(user) === 0;
+  const attempts = (lockoutExpired ? 0 : user.failedLoginAttempts || 0) + 1;
+
+  if (attempts >= LOCKOUT_THRESHOLD) {
+    await user.update({
+      failedLoginAttempts: 0,
+      lockedUntil: new Date(Date.now() + LOCKOUT_DURATION),
+    });
+    console.warn(`Account ${user.id} locked after ${attempts} failed logins`);
+    return getLockoutRemaining(user);
+  }
+
+  await user.update({ failedLoginAttempts: attempts, lockedUntil: null });
+  return 0;
+};
+
+/**
+ * Clear the failure count after a successful login
+ *
+ * @async
+ * @param {Object} user - User instance (loaded with all attributes)
+ * @returns {Promise<void>}
+ */
+const resetFailedLogins = async (user) => {
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await user.update({ failedLoginAttempts: 0, lockedUntil: null });
+  }
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLockoutRemaining,
+  recordFailedLogin,
+  resetFailedLogins,
+};
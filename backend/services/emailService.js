@@ -153,6 +153,428 @@ const sendPasswordResetEmail = async (to, resetToken, userName = 'User') => {
   }
 };
 
+/**
+ * Send passwordless sign-in email
+ * 
+ * @param {string} to - Recipient email address
+ * @param {string} loginToken - Magic link token
+ * @param {number} expiresInMinutes - How long the link works
+ * @param {string} userName - User's name for personalization
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendMagicLinkEmail = async (to, loginToken, expiresInMinutes, userName = 'User') => {
+  const emailTransporter = initTransporter();
+  
+  if (!emailTransporter) {
+    console.error('Email transporter not configured');
+    return false;
+  }
+
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const loginLink = `${frontendURL}/auth/magic?token=${loginToken}`;
+
+  const mailOptions = {
+    from: `"BlogAI" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Your sign-in link - BlogAI',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Sign In</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5; margin: 0; padding: 20px;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); padding: 30px; text-align: center;">
+            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">BlogAI</h1>
+            <p style="color: rgba(255, 255, 255, 0.9); margin-top: 8px;">Sign In</p>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 30px;">
+            <h2 style="color: #1f2937; margin-top: 0;">Hello, ${userName}!</h2>
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              Click the button below to sign in to BlogAI. No password needed.
+            </p>
+            
+            <!-- Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${loginLink}" 
+                 style="display: inline-block; background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 8px; font-weight: 600; font-size: 16px;">
+                Sign In
+              </a>
+            </div>
+            
+            <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
+              If the button doesn't work, copy and paste this link into your browser:
+            </p>
+            <p style="background-color: #f3f4f6; padding: 12px; border-radius: 6px; word-break: break-all; font-size: 13px; color: #6366f1;">
+              ${loginLink}
+            </p>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+              <p style="color: #9ca3af; font-size: 13px; margin: 0;">
+                ⏰ This link will expire in <strong>${expiresInMinutes} minutes</strong> and can only be used once.
+              </p>
+              <p style="color: #9ca3af; font-size: 13px; margin-top: 8px;">
+                If you didn't ask to sign in, you can ignore this email. Don't forward it: anyone with the link can sign in as you.
+              </p>
+            </div>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background-color: #f9fafb; padding: 20px 30px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} BlogAI. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Hello, ${userName}!
+      
+      Click the link below to sign in to BlogAI. No password needed.
+      ${loginLink}
+      
+      This link will expire in ${expiresInMinutes} minutes and can only be used once.
+      
+      If you didn't ask to sign in, you can ignore this email. Don't forward
+      it: anyone with the link can sign in as you.
+      
+      - BlogAI Team
+    `,
+  };
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send email address verification email
+ * 
+ * @param {string} to - Recipient email address
+ * @param {string} verificationToken - Email verification token
+ * @param {string} userName - User's name for personalization
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendVerificationEmail = async (to, verificationToken, userName = 'User') => {
+  const emailTransporter = initTransporter();
+  
+  if (!emailTransporter) {
+    console.error('Email transporter not configured');
+    return false;
+  }
+
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const verifyLink = `${frontendURL}/verify-email?token=${verificationToken}`;
+
+  const mailOptions = {
+    from: `"BlogAI" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Verify your email address - BlogAI',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Verify Your Email</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5; margin: 0; padding: 20px;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); padding: 30px; text-align: center;">
+            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">BlogAI</h1>
+            <p style="color: rgba(255, 255, 255, 0.9); margin-top: 8px;">Verify Your Email</p>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 30px;">
+            <h2 style="color: #1f2937; margin-top: 0;">Welcome, ${userName}!</h2>
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              Please confirm that this is your email address. Until you do, you can write drafts but not publish them or use the AI tools.
+            </p>
+            
+            <!-- Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyLink}" 
+                 style="display: inline-block; background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 8px; font-weight: 600; font-size: 16px;">
+                Verify Email
+              </a>
+            </div>
+            
+            <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
+              If the button doesn't work, copy and paste this link into your browser:
+            </p>
+            <p style="background-color: #f3f4f6; padding: 12px; border-radius: 6px; word-break: break-all; font-size: 13px; color: #6366f1;">
+              ${verifyLink}
+            </p>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+              <p style="color: #9ca3af; font-size: 13px; margin: 0;">
+                ⏰ This link will expire in <strong>24 hours</strong>.
+              </p>
+              <p style="color: #9ca3af; font-size: 13px; margin-top: 8px;">
+                If you didn't create a BlogAI account, you can ignore this email.
+              </p>
+            </div>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background-color: #f9fafb; padding: 20px 30px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} BlogAI. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Welcome, ${userName}!
+      
+      Please confirm that this is your email address. Until you do, you can
+      write drafts but not publish them or use the AI tools.
+      
+      Click the link below to verify your email:
+      ${verifyLink}
+      
+      This link will expire in 24 hours.
+      
+      If you didn't create a BlogAI account, you can ignore this email.
+      
+      - BlogAI Team
+    `,
+  };
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send account export ready email
+ * 
+ * @param {string} to - Recipient email address
+ * @param {string} downloadLink - Download link for the archive
+ * @param {Date} expiresAt - When the link stops working
+ * @param {string} userName - User's name for personalization
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendAccountExportEmail = async (to, downloadLink, expiresAt, userName = 'User') => {
+  const emailTransporter = initTransporter();
+  
+  if (!emailTransporter) {
+    console.error('Email transporter not configured');
+    return false;
+  }
+
+  const expiry = new Date(expiresAt).toUTCString();
+
+  const mailOptions = {
+    from: `"BlogAI" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Your data export is ready - BlogAI',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Data Export</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5; margin: 0; padding: 20px;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); padding: 30px; text-align: center;">
+            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">BlogAI</h1>
+            <p style="color: rgba(255, 255, 255, 0.9); margin-top: 8px;">Your Data Export</p>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 30px;">
+            <h2 style="color: #1f2937; margin-top: 0;">Hello ${userName},</h2>
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              The archive of your account data you asked for is ready. It contains your profile, your posts
+              as Markdown and HTML, your comments, bookmarks and uploaded images.
+            </p>
+            
+            <!-- Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${downloadLink}" 
+                 style="display: inline-block; background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 8px; font-weight: 600; font-size: 16px;">
+                Download Archive
+              </a>
+            </div>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+              <p style="color: #9ca3af; font-size: 13px; margin: 0;">
+                ⏰ This link works until <strong>${expiry}</strong>. After that the archive is deleted.
+              </p>
+              <p style="color: #9ca3af; font-size: 13px; margin-top: 8px;">
+                If you didn't request this export, please change your password and contact support.
+              </p>
+            </div>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background-color: #f9fafb; padding: 20px 30px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} BlogAI. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Hello ${userName},
+      
+      The archive of your account data you asked for is ready.
+      
+      Download it here:
+      ${downloadLink}
+      
+      This link works until ${expiry}. After that the archive is deleted.
+      
+      If you didn't request this export, please change your password and contact support.
+      
+      - BlogAI Team
+    `,
+  };
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending account export email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send account deletion confirmation email
+ * 
+ * @param {string} to - Recipient email address
+ * @param {Date} scheduledFor - When the account will be deleted
+ * @param {string} contentMode - 'delete' or 'anonymize' (what happens to the posts)
+ * @param {string} userName - User's name for personalization
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendAccountDeletionEmail = async (to, scheduledFor, contentMode, userName = 'User') => {
+  const emailTransporter = initTransporter();
+  
+  if (!emailTransporter) {
+    console.error('Email transporter not configured');
+    return false;
+  }
+
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const loginLink = `${frontendURL}/login`;
+  const deletionDate = new Date(scheduledFor).toUTCString();
+  const contentNote = contentMode === 'anonymize'
+    ? 'Your posts will stay on BlogAI, credited to "Deleted User" instead of you.'
+    : 'All your posts will be deleted together with your account.';
+
+  const mailOptions = {
+    from: `"BlogAI" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: 'Your account is scheduled for deletion - BlogAI',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Deletion</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5; margin: 0; padding: 20px;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); padding: 30px; text-align: center;">
+            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">BlogAI</h1>
+            <p style="color: rgba(255, 255, 255, 0.9); margin-top: 8px;">Account Deletion</p>
+          </div>
+          
+          <!-- Content -->
+          <div style="padding: 40px 30px;">
+            <h2 style="color: #1f2937; margin-top: 0;">Hello ${userName},</h2>
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              We received your request to delete your BlogAI account. Your account will be deleted
+              permanently on <strong>${deletionDate}</strong>.
+            </p>
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              ${contentNote} Your comments will stay in their threads without your name.
+            </p>
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              Changed your mind? Just log in before then and the deletion will be cancelled.
+            </p>
+            
+            <!-- Button -->
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${loginLink}" 
+                 style="display: inline-block; background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 8px; font-weight: 600; font-size: 16px;">
+                Log In to Keep My Account
+              </a>
+            </div>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+              <p style="color: #9ca3af; font-size: 13px; margin: 0;">
+                If you didn't request this, log in now to cancel the deletion and change your password.
+              </p>
+            </div>
+          </div>
+          
+          <!-- Footer -->
+          <div style="background-color: #f9fafb; padding: 20px 30px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © ${new Date().getFullYear()} BlogAI. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Hello ${userName},
+      
+      We received your request to delete your BlogAI account.
+      Your account will be deleted permanently on ${deletionDate}.
+      
+      ${contentNote} Your comments will stay in their threads without your name.
+      
+      Changed your mind? Just log in before then and the deletion will be cancelled:
+      ${loginLink}
+      
+      If you didn't request this, log in now to cancel the deletion and change your password.
+      
+      - BlogAI Team
+    `,
+  };
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+    return false;
+  }
+};
+
 /**
  * Verify email configuration
  * @returns {Promise<boolean>}
@@ -176,5 +598,9 @@ const verifyEmailConfig = async () => {
 
 module.exports = {
   sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendAccountExportEmail,
+  sendAccountDeletionEmail,
   verifyEmailConfig,
 };
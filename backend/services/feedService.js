@@ -0,0 +1,211 @@
+/**
+ * Feed Service
+ *
+ * Builds syndication feeds (RSS 2.0, Atom 1.0 and JSON Feed 1.1) from a
+ * list of published blog posts. Excerpts come from the post's stored
+ * summary, falling back to `Blog#getSummary()`; full content is sanitized
+ * HTML.
+ *
+ * @module services/feedService
+ * @requires ./htmlSanitizer
+ */
+
+const { sanitizeContent, htmlToPlainText } = require('./htmlSanitizer');
+
+/**
+ * Length of generated excerpts for posts without a summary
+ * @type {number}
+ */
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Escape text for use in XML
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Public URL of a blog post on the frontend
+ *
+ * @param {string} siteUrl - Frontend base URL
+ * @param {Object} blog - Blog instance
+ * @returns {string} Post URL
+ */
+const getPostUrl = (siteUrl, blog) => `${siteUrl}/blog/${encodeURIComponent(blog.slug || blog.id)}`;
+
+/**
+ * Convert a blog post into the fields shared by every feed format
+ *
+ * @param {Object} blog - Blog instance with author
+ * @param {string} siteUrl - Frontend base URL
+ * @returns {Object} Feed item
+ * @private
+ */
+const toFeedItem = (blog, siteUrl) => {
+  const summary = blog.summary && blog.summary.trim()
+    ? blog.summary.trim()
+    : htmlToPlainText(blog.getSummary(EXCERPT_LENGTH));
+
+  return {
+    id: blog.id,
+    url: getPostUrl(siteUrl, blog),
+    title: blog.title || 'Untitled Post',
+    summary,
+    contentHtml: sanitizeContent(blog.content),
+    authorName: blog.author?.name || blog.author?.nickname || 'Anonymous',
+    published: new Date(blog.publishedAt || blog.createdAt),
+    updated: new Date(blog.updatedAt || blog.publishedAt || blog.createdAt),
+    categories: [blog.category, ...(blog.tags || [])].filter(Boolean),
+  };
+};
+
+/**
+ * Most recent update time across items, used as the feed's own timestamp
+ *
+ * @param {Object[]} items - Feed items
+ * @returns {Date}
+ * @private
+ */
+const getLastUpdated = (items) => {
+  if (items.length === 0) return new Date();
+  return new Date(Math.max(...items.map(item => item.updated.getTime())));
+};
+
+/**
+ * Build an RSS 2.0 feed
+ *
+ * @param {Object} feed - Feed metadata
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.description - Feed description
+ * @param {string} feed.siteUrl - Frontend base URL
+ * @param {string} feed.homeUrl - Page the feed corresponds to
+ * @param {string} feed.feedUrl - Absolute URL of this feed
+ * @param {Object[]} blogs - Blog instances with author
+ * @returns {string} RSS XML
+ */
+const buildRss = (feed, blogs) => {
+  const items = blogs.map(blog => toFeedItem(blog, feed.siteUrl));
+
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    `      <dc:creator>${escapeXml(item.authorName)}</dc:creator>`,
+    ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    `      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`,
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${getLastUpdated(items).toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build an Atom 1.0 feed
+ *
+ * @param {Object} feed - Feed metadata (see buildRss)
+ * @param {Object[]} blogs - Blog instances with author
+ * @returns {string} Atom XML
+ */
+const buildAtom = (feed, blogs) => {
+  const items = blogs.map(blog => toFeedItem(blog, feed.siteUrl));
+
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>urn:uuid:${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.authorName)}</name></author>`,
+    ...item.categories.map(category => `    <category term="${escapeXml(category)}" />`),
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    `    <content type="html">${escapeXml(item.contentHtml)}</content>`,
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />`,
+    `  <updated>${getLastUpdated(items).toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a JSON Feed 1.1 document
+ *
+ * @param {Object} feed - Feed metadata (see buildRss)
+ * @param {Object[]} blogs - Blog instances with author
+ * @returns {string} JSON Feed
+ */
+const buildJsonFeed = (feed, blogs) => {
+  const items = blogs.map(blog => toFeedItem(blog, feed.siteUrl));
+
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.authorName }],
+      tags: item.categories,
+    })),
+  }, null, 2);
+};
+
+/**
+ * Supported feed formats keyed by file name, with their builder and content type
+ * @type {Object}
+ */
+const FEED_FORMATS = {
+  'rss.xml': { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+  'atom.xml': { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  'feed.json': { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8' },
+};
+
+module.exports = {
+  FEED_FORMATS,
+  getPostUrl,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+};
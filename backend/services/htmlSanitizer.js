@@ -0,0 +1,138 @@
+/**
+ * HTML Sanitizer Service
+ *
+ * Cleans user-written HTML down to an allowlist of tags and attributes
+ * that the blog editor produces (TipTap starter kit, links, images and
+ * underline). Everything else, including scripts, iframes, event handlers,
+ * inline styles and `javascript:` URLs, is removed. Blog content is run
+ * through it on every save (see the Blog model's beforeValidate hook).
+ *
+ * @module services/htmlSanitizer
+ * @requires sanitize-html
+ */
+
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Allowlist passed to sanitize-html
+ * @type {Object}
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'del', 'mark', 'sub', 'sup',
+    'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li',
+    'a', 'img',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    ol: ['start'],
+    code: ['class'],
+  },
+  // Only language hints from code blocks survive on `class`
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data'],
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links that open a new tab must not get access to this window
+    a: (tagName, attribs) => {
+      if (attribs.target === '_blank') {
+        return {
+          tagName,
+          attribs: { ...attribs, rel: 'noopener noreferrer nofollow' },
+        };
+      }
+      return { tagName, attribs };
+    },
+  },
+};
+
+/**
+ * Sanitize HTML content
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {string} HTML containing only allowlisted tags and attributes
+ */
+const sanitizeContent = (html) => {
+  if (typeof html !== 'string') {
+    return '';
+  }
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Find markup the sanitizer would remove
+ * Counts disallowed tags and attributes, e.g. to report what sanitizing
+ * existing content stripped. Unsafe URLs and classes on allowed attributes
+ * are cleaned without being counted.
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {Object} { tags: Object<string, number>, attributes: Object<string, number> }
+ *   Counts keyed by tag name and by `tag[attribute]`
+ */
+const findDisallowedMarkup = (html) => {
+  const removed = { tags: {}, attributes: {} };
+  if (typeof html !== 'string') {
+    return removed;
+  }
+
+  const count = (bucket, key) => {
+    bucket[key] = (bucket[key] || 0) + 1;
+  };
+
+  sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      '*': (tagName, attribs) => {
+        if (!SANITIZE_OPTIONS.allowedTags.includes(tagName)) {
+          count(removed.tags, tagName);
+        } else {
+          const allowed = SANITIZE_OPTIONS.allowedAttributes[tagName] || [];
+          Object.keys(attribs)
+            .filter(name => !allowed.includes(name))
+            .forEach(name => count(removed.attributes, `${tagName}[${name}]`));
+        }
+        return { tagName, attribs };
+      },
+    },
+  });
+
+  return removed;
+};
+
+/**
+ * Convert HTML to plain text
+ * Drops every tag and decodes entities, e.g. for excerpts and metadata.
+ *
+ * @param {string} html - HTML content
+ * @returns {string} Plain text with collapsed whitespace
+ */
+const htmlToPlainText = (html) => {
+  if (typeof html !== 'string') {
+    return '';
+  }
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+module.exports = {
+  SANITIZE_OPTIONS,
+  sanitizeContent,
+  findDisallowedMarkup,
+  htmlToPlainText,
+};
@@ -0,0 +1,155 @@
+/**
+ * Image Processor Service
+ *
+ * Validates uploaded images and prepares them for storage:
+ * - Checks that the file really is an image of its declared type
+ * - Applies the EXIF orientation, then drops EXIF and other metadata
+ *   (camera details, GPS location) from every output
+ * - Caps the stored original at MAX_DIMENSION
+ * - Generates resized variants for responsive images and a square thumbnail
+ *
+ * @module services/imageProcessor
+ * @requires sharp
+ */
+
+const sharp = require('sharp');
+
+/**
+ * Accepted MIME types and the sharp format each must decode as
+ * @type {Object<string, string>}
+ */
+const ALLOWED_IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+/**
+ * File extension and content type per output format
+ * @type {Object<string, {extension: string, contentType: string}>}
+ */
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' },
+};
+
+/**
+ * Largest width or height kept for the original image, in pixels
+ * @type {number}
+ */
+const MAX_DIMENSION = 2560;
+
+/**
+ * Widths of the responsive variants, in pixels (only those smaller than
+ * the original are generated)
+ * @type {number[]}
+ */
+const VARIANT_WIDTHS = [320, 640, 1280];
+
+/**
+ * Width and height of the square thumbnail, in pixels
+ * @type {number}
+ */
+const THUMBNAIL_SIZE = 200;
+
+/**
+ * Custom error class for files that are not acceptable images
+ */
+class InvalidImageError extends Error {
+  constructor(message = 'File is not a supported image') {
+    super(message);
+    this.name = 'InvalidImageError';
+    this.code = 'INVALID_IMAGE';
+  }
+}
+
+/**
+ * Encode an image pipeline in the given format
+ *
+ * @param {Object} pipeline - sharp instance
+ * @param {string} format - Output format
+ * @returns {Promise<Object>} { buffer, width, height, size }
+ * @private
+ */
+const encode = async (pipeline, format) => {
+  const options = {
+    jpeg: { quality: 82, mozjpeg: true },
+    webp: { quality: 82 },
+    png: { compressionLevel: 9 },
+    gif: {},
+  }[format];
+
+  const { data, info } = await pipeline
+    .toFormat(format, options)
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.pageHeight || info.height,
+    size: data.length,
+  };
+};
+
+/**
+ * Process an uploaded image
+ *
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} mimeType - Declared MIME type
+ * @returns {Promise<Object>} { format, extension, contentType, buffer, width, height, size,
+ *   variants: Array<{ name, buffer, width, height, size }> }
+ * @throws {InvalidImageError} If the type is not allowed or the contents do not match it
+ */
+const processImage = async (buffer, mimeType) => {
+  const format = ALLOWED_IMAGE_TYPES[mimeType];
+  if (!format) {
+    throw new InvalidImageError(
+      `Unsupported file type. Allowed types: ${Object.keys(ALLOWED_IMAGE_TYPES).join(', ')}`
+    );
+  }
+
+  const animated = format === 'gif';
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { animated }).metadata();
+  } catch (error) {
+    throw new InvalidImageError('File could not be read as an image');
+  }
+  if (metadata.format !== format) {
+    throw new InvalidImageError('File contents do not match its type');
+  }
+
+  // rotate() with no angle applies the EXIF orientation; sharp writes no
+  // metadata to the output unless asked to, so EXIF is stripped here
+  const load = () => (animated ? sharp(buffer, { animated }) : sharp(buffer).rotate());
+
+  const original = await encode(
+    load().resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true }),
+    format
+  );
+
+  const variants = [];
+  for (const width of VARIANT_WIDTHS.filter(w => w < original.width)) {
+    variants.push({ name: `w${width}`, ...(await encode(load().resize({ width }), format)) });
+  }
+  variants.push({
+    name: 'thumb',
+    ...(await encode(load().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' }), format)),
+  });
+
+  return {
+    format,
+    ...FORMATS[format],
+    ...original,
+    variants,
+  };
+};
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  InvalidImageError,
+  processImage,
+};
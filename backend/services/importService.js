@@ -0,0 +1,481 @@
+/**
+ * Import Service
+ *
+ * Runs blog imports in the background. An import job is created by the
+ * imports route and queued here together with the uploaded export file;
+ * jobs run one at a time, in order. For every post in the file the job
+ * records a report line (see models/ImportJob):
+ * - Pages, trashed and empty posts are skipped
+ * - Posts an earlier import already created (same `Blog.importKey` for the
+ *   same author) are reported as duplicates, so re-running an import is safe
+ * - In a dry run nothing is written and new posts are reported as
+ *   `would_import`
+ * - Otherwise a Blog is created; with `importImages`, images are copied
+ *   into the author's media library and the post is rewritten to use them
+ *
+ * Files are only kept in memory, so jobs that were queued or running when
+ * the server stopped are marked as failed on the next start.
+ *
+ * @module services/importService
+ * @requires ../models
+ * @requires ./importers
+ * @requires ./uploadService
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const path = require('path');
+const { Op } = require('sequelize');
+const { Blog, ImportJob } = require('../models');
+const { parseExport, InvalidImportFileError } = require('./importers');
+const { sanitizeContent } = require('./htmlSanitizer');
+const { ALLOWED_IMAGE_TYPES } = require('./imageProcessor');
+const { createUpload } = require('./uploadService');
+const publishScheduler = require('./publishScheduler');
+
+/**
+ * Longest post content accepted, as for posts written in the editor
+ * @type {number}
+ */
+const MAX_CONTENT_LENGTH = 50000;
+
+/**
+ * Maximum number of tags kept per post
+ * @type {number}
+ */
+const MAX_TAGS = 10;
+
+/**
+ * Number of posts between progress saves
+ * @type {number}
+ */
+const PROGRESS_INTERVAL = 10;
+
+/**
+ * Time allowed for downloading one image
+ * @type {number}
+ */
+const IMAGE_FETCH_TIMEOUT = 15000;
+
+/**
+ * Largest image copied into the media library (10 MB, as for uploads)
+ * @type {number}
+ */
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Redirects followed when downloading an image
+ * @type {number}
+ */
+const MAX_REDIRECTS = 3;
+
+/**
+ * IDs of jobs waiting to run
+ * @type {string[]}
+ */
+const queue = [];
+
+/**
+ * Uploaded export files keyed by job ID
+ * @type {Map<string, Buffer>}
+ */
+const files = new Map();
+
+/**
+ * Whether the queue is being processed
+ * @type {boolean}
+ */
+let processing = false;
+
+/**
+ * Check if an IP address is private, loopback or otherwise not public
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched from
+ * @private
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) {
+    return isPrivateAddress(lower.slice(7));
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || lower.startsWith('fe80');
+};
+
+/**
+ * Read a response body, failing once it exceeds a size limit
+ *
+ * @async
+ * @param {Response} response - Fetch response
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} Body
+ * @private
+ */
+const readLimited = async (response, limit) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new Error(`Image is larger than ${limit / (1024 * 1024)} MB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Download an image from the old blog
+ * Only public http(s) hosts are contacted, including after redirects.
+ *
+ * @async
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} { buffer, mimeType }
+ * @private
+ */
+const fetchImage = async (url) => {
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const { protocol, hostname } = new URL(current);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error('Only http and https images can be copied');
+    }
+    const addresses = await dns.lookup(hostname, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error('Image host is not a public address');
+    }
+
+    const response = await fetch(current, {
+      redirect: 'manual',
+      signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT),
+    });
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).toString();
+      continue;
+    }
+    if (!response.ok) {
+      throw new Error(`Download failed with HTTP ${response.status}`);
+    }
+
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_IMAGE_TYPES[mimeType]) {
+      throw new Error(`Unsupported image type: ${mimeType || 'unknown'}`);
+    }
+    return { buffer: await readLimited(response, MAX_IMAGE_SIZE), mimeType };
+  }
+
+  throw new Error('Too many redirects');
+};
+
+/**
+ * Find the image URLs in post HTML
+ *
+ * @param {string} html - Post content
+ * @returns {string[]} Unique image URLs
+ * @private
+ */
+const extractImageUrls = (html) => {
+  const urls = [];
+  const pattern = /<img\b[^>]*?\ssrc\s*=\s*"([^"]+)"/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    urls.push(match[1].replace(/&amp;/g, '&'));
+  }
+  return [...new Set(urls)];
+};
+
+/**
+ * Copy a post's images into the owner's media library
+ * Images already copied earlier in the job are reused.
+ *
+ * @async
+ * @param {string} ownerId - Importing user's ID
+ * @param {Object[]} images - Report entries ({ url }); updated with newUrl or error
+ * @param {Map<string, Object>} cache - Copy results of this job keyed by source URL
+ * @returns {Promise<Map<string, string>>} New URLs keyed by source URL
+ * @private
+ */
+const copyImages = async (ownerId, images, cache) => {
+  const replacements = new Map();
+
+  for (const image of images) {
+    if (!cache.has(image.url)) {
+      try {
+        const { buffer, mimeType } = await fetchImage(image.url);
+        const upload = await createUpload({
+          ownerId,
+          buffer,
+          mimeType,
+          originalName: path.basename(new URL(image.url).pathname),
+        });
+        cache.set(image.url, { newUrl: upload.url });
+      } catch (error) {
+        cache.set(image.url, { error: error.message });
+      }
+    }
+
+    Object.assign(image, cache.get(image.url));
+    if (image.newUrl) {
+      replacements.set(image.url, image.newUrl);
+    }
+  }
+
+  return replacements;
+};
+
+/**
+ * Replace image URLs in post HTML
+ *
+ * @param {string} html - Post content
+ * @param {Map<string, string>} replacements - New URLs keyed by old URL
+ * @returns {string} Rewritten HTML
+ * @private
+ */
+const rewriteUrls = (html, replacements) => {
+  let result = html;
+  replacements.forEach((newUrl, url) => {
+    result = result.split(url).join(newUrl);
+    result = result.split(url.replace(/&/g, '&amp;')).join(newUrl);
+  });
+  return result;
+};
+
+/**
+ * Work out the status and dates of an imported post
+ *
+ * @param {Object} item - Normalized post
+ * @param {boolean} keepStatus - Keep published posts published
+ * @returns {Object} { status, publishedAt, publishAt }
+ * @private
+ */
+const getPublication = (item, keepStatus) => {
+  if (!keepStatus || item.status !== 'published') {
+    return { status: 'draft', publishedAt: null, publishAt: null };
+  }
+  if (item.publishedAt && item.publishedAt > new Date()) {
+    return { status: 'scheduled', publishedAt: null, publishAt: item.publishedAt };
+  }
+  return { status: 'published', publishedAt: item.publishedAt || null, publishAt: null };
+};
+
+/**
+ * Import one post of a job
+ *
+ * @async
+ * @param {Object} job - ImportJob instance
+ * @param {Object} item - Normalized post
+ * @param {Object} state - Job-wide state
+ * @param {Set<string>} state.seen - Source IDs already handled in this job
+ * @param {Map<string, Object>} state.imageCache - Image copy results
+ * @returns {Promise<Object>} Report line
+ * @private
+ */
+const importItem = async (job, item, { seen, imageCache }) => {
+  const report = {
+    sourceId: item.sourceId,
+    title: item.title || null,
+    result: null,
+    blogId: null,
+    error: null,
+    images: [],
+  };
+
+  try {
+    if (item.skipReason) {
+      return { ...report, result: 'skipped', error: item.skipReason };
+    }
+
+    const importKey = item.sourceId.substring(0, 500);
+    if (seen.has(importKey)) {
+      return { ...report, result: 'duplicate', error: 'Appears more than once in the file' };
+    }
+    seen.add(importKey);
+
+    const existing = await Blog.findOne({
+      where: { authorId: job.ownerId, importKey },
+      attributes: ['id'],
+    });
+    if (existing) {
+      return { ...report, result: 'duplicate', blogId: existing.id };
+    }
+
+    let content = sanitizeContent(item.content);
+    if (!content.trim()) {
+      return { ...report, result: 'skipped', error: 'Post has no content' };
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      return { ...report, result: 'failed', error: 'Post content exceeds 50,000 characters' };
+    }
+
+    let coverImage = item.coverImage && /^https?:\/\//.test(item.coverImage) ? item.coverImage : null;
+    const imageUrls = [...new Set([...extractImageUrls(content), ...(coverImage ? [coverImage] : [])])];
+    report.images = imageUrls.map(url => ({ url }));
+
+    if (job.dryRun) {
+      return { ...report, result: 'would_import' };
+    }
+
+    if (job.options.importImages && report.images.length > 0) {
+      const replacements = await copyImages(job.ownerId, report.images, imageCache);
+      content = rewriteUrls(content, replacements);
+      coverImage = replacements.get(coverImage) || coverImage;
+    }
+
+    const tags = [...new Set((item.tags || [])
+      .map(tag => tag.trim().toLowerCase().substring(0, 50))
+      .filter(Boolean))]
+      .slice(0, MAX_TAGS);
+
+    const blog = await Blog.create({
+      content,
+      media: coverImage ? [coverImage] : [],
+      language: 'en',
+      authorId: job.ownerId,
+      title: item.title ? item.title.substring(0, 200) : null,
+      summary: item.excerpt ? item.excerpt.substring(0, 500) : null,
+      category: item.category ? item.category.substring(0, 50) : 'Other',
+      tags,
+      importKey,
+      ...getPublication(item, job.options.keepStatus !== false),
+    }, { editorId: job.ownerId });
+
+    publishScheduler.schedule(blog);
+
+    return { ...report, result: 'imported', blogId: blog.id };
+  } catch (error) {
+    const message = error.name === 'SequelizeValidationError'
+      ? error.errors.map(e => e.message).join(', ')
+      : error.message;
+    return { ...report, result: 'failed', error: message };
+  }
+};
+
+/**
+ * Run a queued import job
+ *
+ * @async
+ * @param {string} jobId - ImportJob ID
+ * @returns {Promise<void>}
+ * @private
+ */
+const runJob = async (jobId) => {
+  const buffer = files.get(jobId);
+  files.delete(jobId);
+
+  const job = await ImportJob.findByPk(jobId);
+  if (!job) return;
+  if (!buffer) {
+    await job.update({ status: 'failed', error: 'The uploaded file is no longer available', finishedAt: new Date() });
+    return;
+  }
+
+  await job.update({ status: 'running', startedAt: new Date() });
+
+  try {
+    const items = parseExport(job.source, buffer, job.options);
+    await job.update({ totalItems: items.length });
+
+    const report = [];
+    const state = { seen: new Set(), imageCache: new Map() };
+    for (const item of items) {
+      report.push(await importItem(job, item, state));
+      if (report.length % PROGRESS_INTERVAL === 0) {
+        await job.update({ items: [...report], processedItems: report.length });
+      }
+    }
+
+    await job.update({
+      status: 'completed',
+      items: report,
+      processedItems: report.length,
+      finishedAt: new Date(),
+    });
+
+    const counts = job.getResultCounts();
+    console.log(`✓ Import job ${job.id} (${job.source}${job.dryRun ? ', dry run' : ''}) finished: ` +
+      `${counts.imported + counts.would_import} new, ${counts.duplicate} duplicate, ` +
+      `${counts.skipped} skipped, ${counts.failed} failed`);
+  } catch (error) {
+    if (!(error instanceof InvalidImportFileError)) {
+      console.error(`✗ Import job ${job.id} failed:`, error);
+    }
+    await job.update({
+      status: 'failed',
+      error: error instanceof InvalidImportFileError ? error.message : 'The import failed unexpectedly',
+      finishedAt: new Date(),
+    });
+  }
+};
+
+/**
+ * Run queued jobs one after another
+ *
+ * @async
+ * @private
+ */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      const jobId = queue.shift();
+      try {
+        await runJob(jobId);
+      } catch (error) {
+        console.error(`✗ Import job ${jobId} could not be run:`, error.message);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Queue an import job
+ * The job must already be saved with status 'pending'.
+ *
+ * @param {Object} job - ImportJob instance
+ * @param {Buffer} buffer - Uploaded export file
+ */
+const enqueue = (job, buffer) => {
+  files.set(job.id, buffer);
+  queue.push(job.id);
+  processQueue();
+};
+
+/**
+ * Initialize the import service
+ * Fails jobs left pending or running by a previous server process, since
+ * their files are gone. Must be called after models are initialized and
+ * the database is synced.
+ *
+ * @async
+ * @returns {Promise<number>} Number of interrupted jobs
+ */
+const initImports = async () => {
+  const [count] = await ImportJob.update(
+    {
+      status: 'failed',
+      error: 'Interrupted by a server restart. Please upload the file again.',
+      finishedAt: new Date(),
+    },
+    { where: { status: { [Op.in]: ['pending', 'running'] } } }
+  );
+  return count;
+};
+
+module.exports = {
+  enqueue,
+  initImports,
+};
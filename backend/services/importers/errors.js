@@ -0,0 +1,20 @@
+/**
+ * Importer Errors
+ *
+ * @module services/importers/errors
+ */
+
+/**
+ * Custom error class for export files that cannot be read
+ */
+class InvalidImportFileError extends Error {
+  constructor(message = 'The export file could not be read') {
+    super(message);
+    this.name = 'InvalidImportFileError';
+    this.code = 'INVALID_IMPORT_FILE';
+  }
+}
+
+module.exports = {
+  InvalidImportFileError,
+};
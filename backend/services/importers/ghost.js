@@ -0,0 +1,108 @@
+/**
+ * Ghost Importer
+ *
+ * Reads Ghost JSON exports (Settings > Labs > Export in the Ghost admin).
+ * Posts keep their publication date, public tags, custom excerpt and
+ * feature image. Ghost has no categories, so imported posts get the
+ * default one. Ghost writes links to its own site as `__GHOST_URL__`;
+ * they are resolved against `sourceUrl` when it is given.
+ *
+ * @module services/importers/ghost
+ */
+
+const { InvalidImportFileError } = require('./errors');
+
+/**
+ * Placeholder Ghost uses for its own site URL
+ * @type {string}
+ */
+const GHOST_URL_PLACEHOLDER = '__GHOST_URL__';
+
+/**
+ * Parse an ISO date
+ *
+ * @param {string} value - Date string
+ * @returns {Date|null} Date, or null if missing or invalid
+ * @private
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Map a Ghost post status
+ * Scheduled posts are published at their `published_at` date.
+ *
+ * @param {string} status - Ghost status ('published', 'scheduled', 'draft', 'sent')
+ * @returns {string} 'published' or 'draft'
+ * @private
+ */
+const mapStatus = (status) => (status === 'published' || status === 'scheduled' ? 'published' : 'draft');
+
+/**
+ * Parse a Ghost JSON export
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.sourceUrl] - Public URL of the Ghost site
+ * @returns {Object[]} Normalized posts (see services/importers)
+ * @throws {InvalidImportFileError} If the file is not a Ghost export
+ */
+const parse = (buffer, { sourceUrl } = {}) => {
+  let document;
+  try {
+    document = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new InvalidImportFileError(`Invalid Ghost export: ${error.message}`);
+  }
+
+  // Exports wrap the data in db[0]; some tools write it at the top level
+  const data = (document && Array.isArray(document.db) && document.db[0] && document.db[0].data) ||
+    (document && document.data);
+  if (!data || !Array.isArray(data.posts)) {
+    throw new InvalidImportFileError('Invalid Ghost export: no posts found');
+  }
+
+  const resolveUrls = (value) => {
+    if (!value || !sourceUrl) return value || null;
+    return value.split(GHOST_URL_PLACEHOLDER).join(sourceUrl.replace(/\/+$/, ''));
+  };
+
+  const tagsById = new Map((data.tags || []).map(tag => [tag.id, tag]));
+  const postTags = [...(data.posts_tags || [])].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+
+  return data.posts.map(post => {
+    let skipReason = null;
+    if (post.type === 'page' || post.page === true || post.page === 1) {
+      skipReason = 'Pages are not imported';
+    } else if (!post.html) {
+      skipReason = 'Post has no HTML content (export it from Ghost 2.0 or newer)';
+    }
+
+    const tags = postTags
+      .filter(link => link.post_id === post.id)
+      .map(link => tagsById.get(link.tag_id))
+      // Internal tags (#name) are for theme logic, not readers
+      .filter(tag => tag && tag.visibility !== 'internal' && !String(tag.name).startsWith('#'))
+      .map(tag => String(tag.name));
+
+    return {
+      sourceId: `ghost:${post.uuid || post.id}`,
+      title: String(post.title || '').trim(),
+      content: resolveUrls(post.html) || '',
+      excerpt: post.custom_excerpt ? String(post.custom_excerpt).trim() : null,
+      status: mapStatus(post.status),
+      publishedAt: parseDate(post.published_at) || parseDate(post.created_at),
+      tags,
+      category: null,
+      coverImage: resolveUrls(post.feature_image),
+      skipReason,
+    };
+  });
+};
+
+module.exports = {
+  parse,
+};
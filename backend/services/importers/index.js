@@ -0,0 +1,83 @@
+/**
+ * Blog Importers
+ *
+ * Parsers for blog export files. Each parser turns an export into a list
+ * of normalized posts that the import service can store as Blog records:
+ *
+ *   {
+ *     sourceId,     // Stable ID in the source blog, used to skip posts on re-runs
+ *     title,
+ *     content,      // HTML (sanitized when the post is saved)
+ *     excerpt,
+ *     status,       // 'published' or 'draft'
+ *     publishedAt,  // Date or null
+ *     tags,         // string[]
+ *     category,     // string or null
+ *     coverImage,   // URL or null
+ *     skipReason,   // Set for entries that are not imported (pages, trashed posts)
+ *   }
+ *
+ * @module services/importers
+ */
+
+const wordpress = require('./wordpress');
+const ghost = require('./ghost');
+const medium = require('./medium');
+const { InvalidImportFileError } = require('./errors');
+
+/**
+ * Parsers keyed by import source
+ * @type {Object<string, {parse: Function}>}
+ */
+const importers = {
+  wordpress,
+  ghost,
+  medium,
+};
+
+/**
+ * Guess the source of an export file from its name and first bytes
+ *
+ * @param {string} fileName - Uploaded file name
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'wordpress', 'ghost', 'medium', or null if unknown
+ */
+const detectSource = (fileName = '', buffer) => {
+  const start = buffer.subarray(0, 1024).toString('utf8').trimStart();
+
+  // Zip archives start with "PK"
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return 'medium';
+  if (start.startsWith('<') && /wordpress\.org\/export/i.test(buffer.subarray(0, 4096).toString('utf8'))) {
+    return 'wordpress';
+  }
+  if (start.startsWith('{')) return 'ghost';
+
+  if (/\.zip$/i.test(fileName)) return 'medium';
+  if (/\.xml$/i.test(fileName)) return 'wordpress';
+  if (/\.json$/i.test(fileName)) return 'ghost';
+  return null;
+};
+
+/**
+ * Parse an export file
+ *
+ * @param {string} source - Import source ('wordpress', 'ghost' or 'medium')
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.sourceUrl] - Public URL of the old blog, for relative links
+ * @returns {Object[]} Normalized posts
+ * @throws {InvalidImportFileError} If the file cannot be read as that source
+ */
+const parseExport = (source, buffer, options = {}) => {
+  const importer = importers[source];
+  if (!importer) {
+    throw new InvalidImportFileError(`Unknown import source: ${source}`);
+  }
+  return importer.parse(buffer, options);
+};
+
+module.exports = {
+  InvalidImportFileError,
+  detectSource,
+  parseExport,
+};
@@ -0,0 +1,107 @@
+/**
+ * Medium Importer
+ *
+ * Reads the zip archive Medium sends from Settings > Download your
+ * information. Every post is an HTML file in `posts/`; unpublished drafts
+ * are named `draft_*.html`. Medium's exports have no tags, so posts are
+ * imported with the subtitle as excerpt and without tags. The title and
+ * subtitle repeated at the top of the body are removed, and Medium's
+ * heading levels are shifted up to match the editor's.
+ *
+ * @module services/importers/medium
+ * @requires adm-zip
+ * @requires cheerio
+ */
+
+const AdmZip = require('adm-zip');
+const cheerio = require('cheerio');
+const { InvalidImportFileError } = require('./errors');
+
+/**
+ * Matches post files inside the archive
+ * @type {RegExp}
+ */
+const POST_FILE_REGEX = /(?:^|\/)posts\/([^/]+)\.html$/i;
+
+/**
+ * Largest uncompressed post file read from an archive (5 MB)
+ * @type {number}
+ */
+const MAX_POST_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Convert one exported Medium post
+ *
+ * @param {string} fileName - Post file name without extension
+ * @param {string} html - File contents
+ * @returns {Object} Normalized post (see services/importers)
+ * @private
+ */
+const parsePost = (fileName, html) => {
+  const $ = cheerio.load(html);
+  const title = ($('h1.p-name').first().text() || $('title').first().text()).trim();
+  const subtitle = $('section[data-field="subtitle"]').first().text().trim();
+  const canonical = $('a.p-canonical').first().attr('href');
+  const published = $('time.dt-published').first().attr('datetime');
+  const body = $('section[data-field="body"]').first();
+
+  body.find('.graf--title, .graf--subtitle').remove();
+  // Medium's large and small headings are h3 and h4
+  body.find('h3').each((index, element) => { element.tagName = 'h2'; });
+  body.find('h4').each((index, element) => { element.tagName = 'h3'; });
+  body.find('figcaption').each((index, element) => {
+    $(element).replaceWith(`<p><em>${$(element).html()}</em></p>`);
+  });
+
+  const publishedAt = published ? new Date(published) : null;
+
+  return {
+    sourceId: `medium:${canonical || fileName}`,
+    title,
+    content: (body.html() || '').trim(),
+    excerpt: subtitle || null,
+    status: fileName.startsWith('draft_') ? 'draft' : 'published',
+    publishedAt: publishedAt && !isNaN(publishedAt.getTime()) ? publishedAt : null,
+    tags: [],
+    category: null,
+    coverImage: null,
+    skipReason: null,
+  };
+};
+
+/**
+ * Parse a Medium export archive
+ *
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Object[]} Normalized posts (see services/importers)
+ * @throws {InvalidImportFileError} If the file is not a zip with posts
+ */
+const parse = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new InvalidImportFileError(`Invalid Medium export: ${error.message}`);
+  }
+
+  const postEntries = entries.filter(entry => !entry.isDirectory && POST_FILE_REGEX.test(entry.entryName));
+  if (postEntries.length === 0) {
+    throw new InvalidImportFileError('Invalid Medium export: no posts/*.html files found');
+  }
+
+  return postEntries.map(entry => {
+    const fileName = entry.entryName.match(POST_FILE_REGEX)[1];
+    if (entry.header.size > MAX_POST_FILE_SIZE) {
+      return {
+        sourceId: `medium:${fileName}`,
+        title: fileName,
+        skipReason: 'Post file is larger than 5 MB',
+      };
+    }
+    return parsePost(fileName, entry.getData().toString('utf8'));
+  });
+};
+
+module.exports = {
+  parse,
+};
@@ -0,0 +1,156 @@
+/**
+ * WordPress Importer
+ *
+ * Reads WordPress eXtended RSS (WXR) files, as produced by
+ * Tools > Export in the WordPress admin. Posts keep their publication
+ * date, tags and first category; the featured image becomes the cover
+ * image. Classic-editor content is split into paragraphs the way
+ * WordPress renders it, and layout shortcodes are removed.
+ *
+ * @module services/importers/wordpress
+ * @requires fast-xml-parser
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { InvalidImportFileError } = require('./errors');
+
+/**
+ * XML parser configured for WXR
+ * @type {XMLParser}
+ */
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ['item', 'category', 'wp:postmeta'].includes(name),
+});
+
+/**
+ * Shortcodes that only wrap or lay out content
+ * @type {RegExp}
+ */
+const SHORTCODE_REGEX = /\[\/?(?:caption|gallery|embed|video|audio|playlist)\b[^\]]*\]/g;
+
+/**
+ * Matches chunks of content that already are block-level HTML
+ * @type {RegExp}
+ */
+const BLOCK_REGEX = /^<\/?(?:p|h[1-6]|ul|ol|li|pre|blockquote|figure|div|table|hr|!--)\b/i;
+
+/**
+ * Text of an XML node (plain string, or object with attributes)
+ *
+ * @param {*} value - Parsed node
+ * @returns {string} Text content
+ * @private
+ */
+const text = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '');
+  return String(value);
+};
+
+/**
+ * Parse a WXR date ('YYYY-MM-DD HH:MM:SS' in UTC)
+ *
+ * @param {string} value - Date string
+ * @returns {Date|null} Date, or null for empty / zero dates
+ * @private
+ */
+const parseDate = (value) => {
+  if (!value || value.startsWith('0000')) return null;
+  const date = new Date(`${value.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Wrap classic-editor text in paragraphs
+ * Blank lines separate paragraphs and single newlines are line breaks.
+ * Content that already has paragraphs (block editor) is left as is.
+ *
+ * @param {string} html - Post content
+ * @returns {string} HTML
+ * @private
+ */
+const autop = (html) => {
+  if (/<p[\s>]/i.test(html)) return html;
+  return html
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => (BLOCK_REGEX.test(chunk) ? chunk : `<p>${chunk.replace(/\n/g, '<br>')}</p>`))
+    .join('\n');
+};
+
+/**
+ * Map a WordPress post status
+ *
+ * @param {string} status - WXR status ('publish', 'future', 'draft', ...)
+ * @returns {string} 'published' or 'draft'
+ * @private
+ */
+const mapStatus = (status) => (status === 'publish' || status === 'future' ? 'published' : 'draft');
+
+/**
+ * Parse a WXR export
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Object[]} Normalized posts (see services/importers)
+ * @throws {InvalidImportFileError} If the file is not a WXR export
+ */
+const parse = (buffer) => {
+  let document;
+  try {
+    document = parser.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new InvalidImportFileError(`Invalid WordPress export: ${error.message}`);
+  }
+
+  const channel = document && document.rss && document.rss.channel;
+  if (!channel) {
+    throw new InvalidImportFileError('Invalid WordPress export: no <rss><channel> element');
+  }
+  const entries = channel.item || [];
+
+  // Featured images reference attachments by post ID
+  const attachmentUrls = new Map();
+  entries
+    .filter(entry => text(entry['wp:post_type']) === 'attachment')
+    .forEach(entry => attachmentUrls.set(text(entry['wp:post_id']), text(entry['wp:attachment_url'])));
+
+  return entries
+    .filter(entry => ['post', 'page'].includes(text(entry['wp:post_type'])))
+    .map(entry => {
+      const type = text(entry['wp:post_type']);
+      const wpStatus = text(entry['wp:status']);
+      const categories = entry.category || [];
+      const meta = entry['wp:postmeta'] || [];
+      const thumbnail = meta.find(item => text(item['wp:meta_key']) === '_thumbnail_id');
+
+      let skipReason = null;
+      if (type === 'page') skipReason = 'Pages are not imported';
+      else if (wpStatus === 'trash') skipReason = 'Post is in the trash';
+      else if (wpStatus === 'auto-draft') skipReason = 'Post is an unsaved auto-draft';
+
+      return {
+        sourceId: `wordpress:${text(entry.guid) || text(entry['wp:post_id'])}`,
+        title: text(entry.title).trim(),
+        content: autop(text(entry['content:encoded']).replace(SHORTCODE_REGEX, '')),
+        excerpt: text(entry['excerpt:encoded']).trim() || null,
+        status: mapStatus(wpStatus),
+        publishedAt: parseDate(text(entry['wp:post_date_gmt'])) || parseDate(text(entry['wp:post_date'])),
+        tags: categories.filter(item => item.domain === 'post_tag').map(text),
+        category: categories
+          .filter(item => item.domain === 'category' && item.nicename !== 'uncategorized')
+          .map(text)[0] || null,
+        coverImage: thumbnail ? attachmentUrls.get(text(thumbnail['wp:meta_value'])) || null : null,
+        skipReason,
+      };
+    });
+};
+
+module.exports = {
+  parse,
+};
@@ -0,0 +1,229 @@
+/**
+ * Markdown Service
+ *
+ * Converts between Markdown files and the HTML the blog editor stores in
+ * `Blog.content`. Markdown files carry the post's metadata in YAML front
+ * matter:
+ *
+ *   ---
+ *   title: My Post
+ *   date: 2024-05-01
+ *   category: Technology
+ *   tags: [javascript, node]
+ *   language: en
+ *   ---
+ *
+ * Conversion covers what the TipTap editor produces (headings 1-3, bold,
+ * italic, strikethrough, inline code, code blocks with a language, lists,
+ * blockquotes, rules, links and images), so a post survives an export and
+ * re-import unchanged. Imported HTML is sanitized by the Blog model on save.
+ *
+ * @module services/markdownService
+ * @requires marked
+ * @requires turndown
+ * @requires js-yaml
+ */
+
+const { Marked } = require('marked');
+const TurndownService = require('turndown');
+const yaml = require('js-yaml');
+
+/**
+ * Matches a YAML front matter block at the start of a file
+ * @type {RegExp}
+ */
+const FRONT_MATTER_REGEX = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Highest heading level the editor supports
+ * @type {number}
+ */
+const MAX_HEADING_LEVEL = 3;
+
+/**
+ * Custom error class for Markdown files that cannot be imported
+ */
+class InvalidMarkdownError extends Error {
+  constructor(message = 'Invalid Markdown file') {
+    super(message);
+    this.name = 'InvalidMarkdownError';
+    this.code = 'INVALID_MARKDOWN';
+  }
+}
+
+/**
+ * Markdown to HTML converter (GitHub-flavored Markdown)
+ * Deeper headings are folded into the editor's lowest level.
+ * @type {Marked}
+ */
+const marked = new Marked({
+  gfm: true,
+  breaks: false,
+  async: false,
+  walkTokens: (token) => {
+    if (token.type === 'heading') {
+      token.depth = Math.min(token.depth, MAX_HEADING_LEVEL);
+    }
+  },
+});
+
+/**
+ * HTML to Markdown converter
+ * @type {TurndownService}
+ */
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  hr: '---',
+  bulletListMarker: '-',
+  codeBlockStyle: 'fenced',
+  emDelimiter: '*',
+  strongDelimiter: '**',
+});
+
+// Markdown has no underline, highlight or sub/superscript; keep them as inline HTML
+turndown.keep(['u', 'mark', 'sub', 'sup']);
+
+turndown.addRule('strikethrough', {
+  filter: ['s', 'del', 'strike'],
+  replacement: (content) => `~~${content}~~`,
+});
+
+// Single space after list markers instead of Turndown's default padding
+turndown.addRule('listItem', {
+  filter: 'li',
+  replacement: (content, node, options) => {
+    const parent = node.parentNode;
+    let prefix = `${options.bulletListMarker} `;
+    if (parent.nodeName === 'OL') {
+      const start = parseInt(parent.getAttribute('start')) || 1;
+      prefix = `${start + Array.prototype.indexOf.call(parent.children, node)}. `;
+    }
+    const body = content
+      .replace(/^\n+/, '')
+      .replace(/\n+$/, '\n')
+      // Keep nested lists tight
+      .replace(/\n{2,}(?=(?:-|\d+\.) )/g, '\n')
+      .replace(/\n(?=[^\n])/g, `\n${' '.repeat(prefix.length)}`);
+    return prefix + body + (node.nextSibling && !body.endsWith('\n') ? '\n' : '');
+  },
+});
+
+/**
+ * Convert Markdown to HTML
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML (not yet sanitized)
+ */
+const markdownToHtml = (markdown) => marked.parse(String(markdown || '')).trim();
+
+/**
+ * Convert editor HTML to Markdown
+ *
+ * @param {string} html - Blog HTML content
+ * @returns {string} Markdown
+ */
+const htmlToMarkdown = (html) => turndown.turndown(String(html || ''));
+
+/**
+ * Read the metadata of a front matter block
+ *
+ * @param {Object} data - Parsed YAML
+ * @returns {Object} { title, summary, category, tags, language, date } (missing keys omitted)
+ * @throws {InvalidMarkdownError} If a field has the wrong type
+ * @private
+ */
+const readFrontMatter = (data) => {
+  const meta = {};
+
+  ['title', 'summary', 'category', 'language'].forEach(key => {
+    if (data[key] === undefined || data[key] === null) return;
+    if (typeof data[key] !== 'string' && typeof data[key] !== 'number') {
+      throw new InvalidMarkdownError(`Front matter "${key}" must be text`);
+    }
+    meta[key] = String(data[key]).trim();
+  });
+
+  if (data.tags !== undefined && data.tags !== null) {
+    const tags = typeof data.tags === 'string' ? data.tags.split(',') : data.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' && typeof tag !== 'number')) {
+      throw new InvalidMarkdownError('Front matter "tags" must be a list or a comma-separated string');
+    }
+    meta.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+
+  if (data.date !== undefined && data.date !== null) {
+    const date = data.date instanceof Date ? data.date : new Date(String(data.date));
+    if (isNaN(date.getTime())) {
+      throw new InvalidMarkdownError('Front matter "date" must be a valid date');
+    }
+    meta.date = date;
+  }
+
+  return meta;
+};
+
+/**
+ * Parse a Markdown file into blog fields
+ *
+ * @param {string} source - File contents
+ * @returns {Object} { meta: Object, content: string }
+ *   meta holds the front matter fields, content the post body as HTML
+ * @throws {InvalidMarkdownError} If the front matter is malformed or the body is empty
+ */
+const parseMarkdownFile = (source) => {
+  const text = String(source || '').replace(/^\uFEFF/, '');
+  const match = text.match(FRONT_MATTER_REGEX);
+
+  let data = {};
+  if (match) {
+    try {
+      data = yaml.load(match[1]) || {};
+    } catch (error) {
+      throw new InvalidMarkdownError(`Invalid front matter: ${error.reason || error.message}`);
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new InvalidMarkdownError('Front matter must be a set of key: value pairs');
+    }
+  }
+
+  const body = match ? text.slice(match[0].length) : text;
+  if (!body.trim()) {
+    throw new InvalidMarkdownError('The Markdown file has no content');
+  }
+
+  return {
+    meta: readFrontMatter(data),
+    content: markdownToHtml(body),
+  };
+};
+
+/**
+ * Build a Markdown file for a blog post
+ *
+ * @param {Object} blog - Blog instance
+ * @returns {string} Markdown with YAML front matter
+ */
+const buildMarkdownFile = (blog) => {
+  const frontMatter = {
+    title: blog.title || undefined,
+    summary: blog.summary || undefined,
+    date: blog.publishedAt || blog.createdAt || undefined,
+    category: blog.category || undefined,
+    tags: blog.tags && blog.tags.length > 0 ? blog.tags : undefined,
+    language: blog.language || undefined,
+  };
+  Object.keys(frontMatter).forEach(key => frontMatter[key] === undefined && delete frontMatter[key]);
+
+  const header = Object.keys(frontMatter).length > 0
+    ? `---\n${yaml.dump(frontMatter, { lineWidth: -1 })}---\n\n`
+    : '';
+  return `${header}${htmlToMarkdown(blog.content)}\n`;
+};
+
+module.exports = {
+  InvalidMarkdownError,
+  markdownToHtml,
+  htmlToMarkdown,
+  parseMarkdownFile,
+  buildMarkdownFile,
+};
@@ -0,0 +1,165 @@
+/**
+ * Media Cleanup Service
+ *
+ * Periodic job that removes uploads no blog post uses anymore. Each run
+ * scans every post's content (`<img>` sources) and media URLs:
+ * - Unreferenced uploads are marked with `orphanedAt`
+ * - Marked uploads that are referenced again are unmarked
+ * - Uploads marked longer than the grace period are deleted, files included
+ *
+ * The grace period gives authors time to use a fresh upload in a post and
+ * to undo edits that dropped an image.
+ *
+ * @module services/mediaCleanup
+ * @requires ../models
+ */
+
+const { Op } = require('sequelize');
+const { Blog, Upload } = require('../models');
+
+/**
+ * Time between cleanup runs (6 hours)
+ * @type {number}
+ */
+const CLEANUP_INTERVAL = 6 * 60 * 60 * 1000;
+
+/**
+ * Days an upload stays unreferenced before it is deleted
+ * @type {number}
+ */
+const GRACE_PERIOD_DAYS = parseInt(process.env.MEDIA_ORPHAN_GRACE_DAYS) || 7;
+
+/**
+ * Rows loaded per query while scanning
+ * @type {number}
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * Active interval timer
+ * @type {NodeJS.Timeout|null}
+ */
+let timer = null;
+
+/**
+ * Whether a run is in progress
+ * @type {boolean}
+ */
+let running = false;
+
+/**
+ * Collect the IDs of every upload referenced by a blog post
+ *
+ * @async
+ * @returns {Promise<Set<string>>} Referenced upload IDs
+ * @private
+ */
+const findReferencedUploadIds = async () => {
+  const referenced = new Set();
+  let lastId = null;
+
+  for (;;) {
+    const blogs = await Blog.findAll({
+      where: lastId ? { id: { [Op.gt]: lastId } } : {},
+      attributes: ['id', 'content', 'media'],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+    });
+    if (blogs.length === 0) break;
+    lastId = blogs[blogs.length - 1].id;
+
+    blogs.forEach(blog => {
+      Upload.extractUploadIds(blog.content, blog.media).forEach(id => referenced.add(id));
+    });
+  }
+
+  return referenced;
+};
+
+/**
+ * Run the cleanup once
+ *
+ * @async
+ * @returns {Promise<Object>} { marked, restored, removed } counts
+ */
+const runCleanup = async () => {
+  const stats = { marked: 0, restored: 0, removed: 0 };
+  if (running) return stats;
+  running = true;
+
+  try {
+    const referenced = await findReferencedUploadIds();
+    const now = new Date();
+    const expiredBefore = new Date(now.getTime() - GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    let lastId = null;
+
+    for (;;) {
+      const uploads = await Upload.findAll({
+        where: lastId ? { id: { [Op.gt]: lastId } } : {},
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE,
+      });
+      if (uploads.length === 0) break;
+      lastId = uploads[uploads.length - 1].id;
+
+      for (const upload of uploads) {
+        try {
+          if (referenced.has(upload.id)) {
+            if (upload.orphanedAt) {
+              await upload.update({ orphanedAt: null }, { silent: true });
+              stats.restored++;
+            }
+          } else if (!upload.orphanedAt) {
+            await upload.update({ orphanedAt: now }, { silent: true });
+            stats.marked++;
+          } else if (upload.orphanedAt <= expiredBefore) {
+            await upload.purge();
+            stats.removed++;
+          }
+        } catch (error) {
+          console.error(`✗ Media cleanup failed for upload ${upload.id}:`, error.message);
+        }
+      }
+    }
+
+    if (stats.marked + stats.restored + stats.removed > 0) {
+      console.log(`✓ Media cleanup: ${stats.removed} removed, ${stats.marked} marked unused, ${stats.restored} in use again`);
+    }
+  } catch (error) {
+    console.error('✗ Media cleanup failed:', error.message);
+  } finally {
+    running = false;
+  }
+
+  return stats;
+};
+
+/**
+ * Start the cleanup job
+ * Runs once right away, then every CLEANUP_INTERVAL. Must be called after
+ * models are initialized and the database is synced.
+ */
+const startCleanup = () => {
+  if (timer) return;
+  runCleanup();
+  timer = setInterval(runCleanup, CLEANUP_INTERVAL);
+  // Do not keep the process alive just for the cleanup job
+  timer.unref();
+};
+
+/**
+ * Stop the cleanup job (used during graceful shutdown)
+ */
+const stopCleanup = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  runCleanup,
+  startCleanup,
+  stopCleanup,
+};
@@ -0,0 +1,163 @@
+/**
+ * Media Storage Service
+ *
+ * Stores uploaded files behind a small storage interface so the backend
+ * can move from local disk to an object store without touching the upload
+ * routes. A storage driver implements:
+ * - save(key, buffer, contentType): write a file
+ * - read(key): contents of a file, as a Buffer
+ * - remove(key): delete a file (missing files are ignored)
+ * - getUrl(key): public URL of a file
+ * - getKeyFromUrl(url): the key behind one of its URLs, or null
+ *
+ * The driver is picked with MEDIA_STORAGE (default: 'local'). The local
+ * driver writes under UPLOAD_DIR and the server serves it at /uploads.
+ *
+ * @module services/mediaStorage
+ * @requires fs
+ * @requires path
+ * @requires express
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+/**
+ * URL path the local driver's files are served from
+ * @type {string}
+ */
+const LOCAL_MEDIA_PATH = '/uploads';
+
+/**
+ * Local Disk Storage
+ * Keeps files in a directory on the server's disk
+ */
+class LocalDiskStorage {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.directory - Directory to store files in
+   * @param {string} options.baseUrl - Public URL the directory is served at
+   */
+  constructor({ directory, baseUrl }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Resolve a key to a path inside the storage directory
+   *
+   * @param {string} key - Storage key (e.g. 'userId/uploadId/original.jpg')
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key points outside the storage directory
+   * @private
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  getKeyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.substring(prefix.length) : null;
+  }
+}
+
+/**
+ * Storage driver factories keyed by MEDIA_STORAGE value
+ * @type {Object<string, Function>}
+ */
+const drivers = {
+  local: () => new LocalDiskStorage({
+    directory: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+    baseUrl: process.env.MEDIA_BASE_URL ||
+      `${process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`}${LOCAL_MEDIA_PATH}`,
+  }),
+};
+
+/**
+ * Active storage driver, created on first use
+ * @type {Object|null}
+ */
+let storage = null;
+
+/**
+ * Register a storage driver
+ * Lets deployments add drivers (e.g. S3) without changing this module.
+ *
+ * @param {string} name - Value of MEDIA_STORAGE that selects the driver
+ * @param {Function} factory - () => driver implementing the storage interface
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the configured storage driver
+ *
+ * @returns {Object} Storage driver
+ * @throws {Error} If MEDIA_STORAGE names an unknown driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown media storage driver: ${name}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+/**
+ * Express middleware serving files stored by the local driver
+ * Does nothing when another driver is configured.
+ *
+ * @returns {Function} Express middleware
+ */
+const serveLocalMedia = () => {
+  const active = getStorage();
+  if (!(active instanceof LocalDiskStorage)) {
+    return (req, res, next) => next();
+  }
+  return express.static(active.directory, {
+    index: false,
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+  });
+};
+
+module.exports = {
+  LOCAL_MEDIA_PATH,
+  LocalDiskStorage,
+  registerDriver,
+  getStorage,
+  serveLocalMedia,
+};
@@ -0,0 +1,305 @@
+/**
+ * Notification Service
+ *
+ * Records notifications and pushes them to connected clients.
+ * Browsers subscribe through a Server-Sent Events stream; each open
+ * connection is kept in memory by user ID, so live updates only reach
+ * clients connected to this server process. Clients that are not
+ * connected pick notifications up through the REST endpoints.
+ *
+ * EventSource can't send headers, so the stream URL carries a short-lived,
+ * single-use ticket instead of the access token, which would end up in
+ * access logs. Like the open streams, used tickets are remembered by this
+ * server process only.
+ *
+ * @module services/notificationService
+ * @requires jsonwebtoken
+ * @requires ../models
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Notification, User, Blog } = require('../models');
+
+/**
+ * Purpose claim of stream tickets
+ * @type {string}
+ */
+const STREAM_TICKET_PURPOSE = 'notification-stream';
+
+/**
+ * How long a stream ticket can be used to connect
+ * @type {string}
+ */
+const STREAM_TICKET_EXPIRES_IN = '60s';
+
+/**
+ * Interval between keep-alive comments on open streams, so proxies
+ * do not close idle connections
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Notification types that are only sent once per actor and post,
+ * so liking and unliking (or following and unfollowing) again does not
+ * notify the recipient again
+ * @type {string[]}
+ */
+const ONCE_PER_ACTOR_TYPES = ['like', 'follow'];
+
+/**
+ * Associations loaded with every notification sent to clients
+ * @type {Object[]}
+ */
+const NOTIFICATION_INCLUDE = [
+  {
+    model: User,
+    as: 'actor',
+    attributes: ['id', 'name', 'nickname'],
+  },
+  {
+    model: Blog,
+    as: 'blog',
+    attributes: ['id', 'title', 'slug'],
+  },
+];
+
+/**
+ * Open streams keyed by user ID; each entry holds the response and the
+ * session that opened it
+ * @type {Map<string, Set<{res: Object, sessionId: string}>>}
+ */
+const connections = new Map();
+
+/**
+ * IDs (jti) of redeemed stream tickets, with the time they expire
+ * @type {Map<string, number>}
+ */
+const redeemedTickets = new Map();
+
+/**
+ * Write an event to a stream
+ *
+ * @param {Object} res - Express response of the stream
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload (sent as JSON)
+ * @private
+ */
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send an event to every open stream of a user
+ *
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @private
+ */
+const broadcast = (userId, event, data) => {
+  const streams = connections.get(String(userId));
+  if (!streams) return;
+  streams.forEach(({ res }) => sendEvent(res, event, data));
+};
+
+/**
+ * Subscribe a response to a user's notifications
+ * Writes the SSE headers and the current unread count, and keeps the
+ * connection open until the client disconnects.
+ *
+ * @async
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request of the stream
+ * @param {Object} res - Express response of the stream
+ * @param {string} sessionId - Session the stream belongs to (closed with it)
+ * @returns {Promise<void>}
+ */
+const subscribe = async (userId, req, res, sessionId) => {
+  const key = String(userId);
+  const stream = { res, sessionId: String(sessionId) };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  if (!connections.has(key)) {
+    connections.set(key, new Set());
+  }
+  connections.get(key).add(stream);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  if (heartbeat.unref) heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = connections.get(key);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) connections.delete(key);
+    }
+  });
+
+  sendEvent(res, 'unread', { unreadCount: await Notification.countUnread(userId) });
+};
+
+/**
+ * Send the current unread count to a user's open streams
+ * Called after notifications are marked read, so other tabs stay in sync.
+ *
+ * @async
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const pushUnreadCount = async (userId) => {
+  if (!connections.has(String(userId))) return;
+  broadcast(userId, 'unread', { unreadCount: await Notification.countUnread(userId) });
+};
+
+/**
+ * Record a notification and push it to the recipient
+ * Users are never notified about their own actions. Failures are logged
+ * and swallowed so that notifying never breaks the action that caused it.
+ *
+ * @async
+ * @param {Object} event - Notification data
+ * @param {string} event.type - One of NOTIFICATION_TYPES
+ * @param {string} event.recipientId - User to notify
+ * @param {string} [event.actorId] - User who caused the notification
+ * @param {string} [event.blogId] - Blog post it is about
+ * @param {string} [event.commentId] - Comment it is about
+ * @returns {Promise<Object|null>} Notification, or null if none was created
+ */
+const notify = async ({ type, recipientId, actorId = null, blogId = null, commentId = null }) => {
+  if (!recipientId || (actorId && String(actorId) === String(recipientId))) {
+    return null;
+  }
+
+  try {
+    const values = { type, recipientId, actorId, blogId, commentId };
+
+    if (ONCE_PER_ACTOR_TYPES.includes(type)) {
+      const existing = await Notification.findOne({
+        where: { type, recipientId, actorId, blogId },
+        attributes: ['id'],
+      });
+      if (existing) return null;
+    }
+
+    const created = await Notification.create(values);
+
+    if (connections.has(String(recipientId))) {
+      const notification = await Notification.findByPk(created.id, { include: NOTIFICATION_INCLUDE });
+      broadcast(recipientId, 'notification', {
+        notification,
+        unreadCount: await Notification.countUnread(recipientId),
+      });
+    }
+
+    return created;
+  } catch (error) {
+    console.error(`✗ Failed to record ${type} notification:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Close a user's open streams when their sessions are revoked
+ * Clients reconnect with a new ticket, which revoked sessions can't get.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Which streams to close (default: all of the user's)
+ * @param {string} [options.sessionId] - Only the streams of this session
+ * @param {string} [options.exceptSessionId] - Keep the streams of this session
+ * @returns {number} Number of streams closed
+ */
+const closeStreams = (userId, { sessionId, exceptSessionId } = {}) => {
+  const streams = connections.get(String(userId));
+  if (!streams) return 0;
+
+  let closed = 0;
+  streams.forEach((stream) => {
+    if (sessionId && stream.sessionId !== String(sessionId)) return;
+    if (exceptSessionId && stream.sessionId === String(exceptSessionId)) return;
+    streams.delete(stream);
+    stream.res.end();
+    closed += 1;
+  });
+  if (streams.size === 0) connections.delete(String(userId));
+  return closed;
+};
+
+/**
+ * Close every open stream (used during graceful shutdown)
+ */
+const closeAll = () => {
+  connections.forEach((streams) => streams.forEach(({ res }) => res.end()));
+  connections.clear();
+};
+
+/**
+ * Get number of users with an open stream
+ * @returns {number}
+ */
+const getConnectionCount = () => connections.size;
+
+/**
+ * Issue a ticket for opening the notification stream
+ *
+ * @param {string} userId - User's database ID
+ * @param {string} sessionId - Session of the access token that asked for it
+ * @returns {string} JWT ticket (valid once, for STREAM_TICKET_EXPIRES_IN)
+ */
+const createStreamTicket = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId, purpose: STREAM_TICKET_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TICKET_EXPIRES_IN, issuer: 'blogging-app', jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Check a ticket from createStreamTicket and mark it used
+ *
+ * @param {string} ticket - Stream ticket
+ * @returns {Object|null} { id, sid }, or null if the ticket is invalid, expired or already used
+ */
+const redeemStreamTicket = (ticket) => {
+  if (!ticket || typeof ticket !== 'string') return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, process.env.JWT_SECRET, { issuer: 'blogging-app' });
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== STREAM_TICKET_PURPOSE || !decoded.id || !decoded.sid || !decoded.jti) {
+    return null;
+  }
+
+  // Forget tickets that have expired anyway
+  const now = Date.now();
+  redeemedTickets.forEach((expiresAt, jti) => {
+    if (expiresAt <= now) redeemedTickets.delete(jti);
+  });
+
+  if (redeemedTickets.has(decoded.jti)) return null;
+  redeemedTickets.set(decoded.jti, decoded.exp * 1000);
+
+  return { id: decoded.id, sid: decoded.sid };
+};
+
+module.exports = {
+  NOTIFICATION_INCLUDE,
+  createStreamTicket,
+  redeemStreamTicket,
+  subscribe,
+  pushUnreadCount,
+  notify,
+  closeStreams,
+  closeAll,
+  getConnectionCount,
+};
@@ -0,0 +1,175 @@
+/**
+ * Publish Scheduler Service
+ *
+ * In-process scheduler that publishes blog posts at their `publishAt` time.
+ * Pending posts are stored in PostgreSQL (status 'scheduled'), so the
+ * scheduler rebuilds its timers from the database when the server boots.
+ *
+ * @module services/publishScheduler
+ * @requires ../models
+ * @requires ./notificationService
+ */
+
+const { Op } = require('sequelize');
+const { Blog } = require('../models');
+const notificationService = require('./notificationService');
+
+/**
+ * Longest delay Node.js timers support (~24.8 days).
+ * Posts scheduled further out are re-armed when this delay elapses.
+ * @type {number}
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Active timers keyed by blog ID
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const timers = new Map();
+
+/**
+ * Publish a scheduled blog post
+ * Only transitions posts that are still scheduled, so a post that was
+ * cancelled or published manually in the meantime is left untouched.
+ *
+ * @async
+ * @param {string} blogId - Blog post ID
+ * @returns {Promise<boolean>} True if the post was published
+ * @private
+ */
+const publishScheduledPost = async (blogId) => {
+  timers.delete(blogId);
+
+  try {
+    const blog = await Blog.findByPk(blogId);
+    if (!blog || blog.status !== 'scheduled') {
+      return false;
+    }
+
+    const [updated] = await Blog.update(
+      {
+        status: 'published',
+        publishedAt: blog.publishAt || new Date(),
+        publishAt: null,
+      },
+      { where: { id: blogId, status: 'scheduled' } }
+    );
+
+    if (updated > 0) {
+      console.log(`✓ Scheduled blog post ${blogId} published`);
+      await notificationService.notify({
+        type: 'post_published',
+        recipientId: blog.authorId,
+        blogId,
+      });
+    }
+    return updated > 0;
+  } catch (error) {
+    console.error(`✗ Failed to publish scheduled blog post ${blogId}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Arm a timer for a blog post
+ *
+ * @param {string} blogId - Blog post ID
+ * @param {Date} publishAt - Time at which the post should go live
+ * @private
+ */
+const armTimer = (blogId, publishAt) => {
+  const delay = new Date(publishAt).getTime() - Date.now();
+
+  if (delay <= 0) {
+    // Overdue (e.g. server was down at publish time): publish right away
+    const timer = setTimeout(() => publishScheduledPost(blogId), 0);
+    timers.set(blogId, timer);
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    if (delay > MAX_TIMER_DELAY) {
+      armTimer(blogId, publishAt);
+    } else {
+      publishScheduledPost(blogId);
+    }
+  }, Math.min(delay, MAX_TIMER_DELAY));
+
+  // Do not keep the process alive just for pending publications
+  if (timer.unref) timer.unref();
+  timers.set(blogId, timer);
+};
+
+/**
+ * Cancel the pending timer for a blog post
+ * Does not change the post itself.
+ *
+ * @param {string} blogId - Blog post ID
+ * @returns {boolean} True if a timer was cleared
+ */
+const cancel = (blogId) => {
+  const timer = timers.get(blogId);
+  if (!timer) {
+    return false;
+  }
+  clearTimeout(timer);
+  timers.delete(blogId);
+  return true;
+};
+
+/**
+ * Schedule (or reschedule) a blog post
+ * The post must already be saved with status 'scheduled' and a `publishAt`.
+ *
+ * @param {Object} blog - Blog instance
+ */
+const schedule = (blog) => {
+  cancel(blog.id);
+  if (blog.status === 'scheduled' && blog.publishAt) {
+    armTimer(blog.id, blog.publishAt);
+  }
+};
+
+/**
+ * Initialize the scheduler
+ * Loads every pending scheduled post from the database and arms its timer.
+ * Must be called after models are initialized and the database is synced.
+ *
+ * @async
+ * @returns {Promise<number>} Number of posts scheduled
+ */
+const initScheduler = async () => {
+  const pending = await Blog.findAll({
+    where: {
+      status: 'scheduled',
+      publishAt: { [Op.ne]: null },
+    },
+    attributes: ['id', 'status', 'publishAt'],
+  });
+
+  pending.forEach(schedule);
+  return pending.length;
+};
+
+/**
+ * Stop the scheduler
+ * Clears all pending timers (used during graceful shutdown).
+ */
+const stopScheduler = () => {
+  timers.forEach((timer) => clearTimeout(timer));
+  timers.clear();
+};
+
+/**
+ * Get number of posts waiting to be published
+ * @returns {number}
+ */
+const getPendingCount = () => timers.size;
+
+module.exports = {
+  schedule,
+  cancel,
+  initScheduler,
+  stopScheduler,
+  getPendingCount,
+};
@@ -0,0 +1,194 @@
+/**
+ * SEO Service
+ *
+ * Builds the documents crawlers and link unfurlers read, since the
+ * frontend is a single-page app that ships an empty `index.html`:
+ * - sitemap.xml listing the site's pages and published posts
+ * - A pre-rendered HTML page per post with OpenGraph, Twitter card and
+ *   JSON-LD `BlogPosting` metadata
+ *
+ * @module services/seoService
+ * @requires ./htmlSanitizer
+ * @requires ./feedService
+ */
+
+const { sanitizeContent, htmlToPlainText } = require('./htmlSanitizer');
+const { getPostUrl } = require('./feedService');
+
+/**
+ * Maximum length of page descriptions
+ * @type {number}
+ */
+const DESCRIPTION_LENGTH = 200;
+
+/**
+ * Escape text for use in HTML or XML (content and attribute values)
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Serialize JSON-LD so it cannot close its <script> element early
+ *
+ * @param {Object} data - Structured data
+ * @returns {string} JSON safe to embed in HTML
+ * @private
+ */
+const toJsonLd = (data) => JSON.stringify(data, null, 2)
+  .replace(/</g, '\\u003c')
+  .replace(/>/g, '\\u003e')
+  .replace(/&/g, '\\u0026');
+
+/**
+ * Plain-text description of a post
+ * Uses the stored summary, falling back to the start of the content.
+ *
+ * @param {Object} blog - Blog instance
+ * @returns {string} Description
+ */
+const getDescription = (blog) => {
+  const text = blog.summary && blog.summary.trim()
+    ? blog.summary.trim()
+    : htmlToPlainText(blog.getSummary(DESCRIPTION_LENGTH * 2));
+
+  if (text.length <= DESCRIPTION_LENGTH) {
+    return text;
+  }
+  return text.substring(0, DESCRIPTION_LENGTH - 3).trimEnd() + '...';
+};
+
+/**
+ * Build a sitemap
+ *
+ * @param {string} siteUrl - Frontend base URL
+ * @param {Object[]} blogs - Published blogs (id, slug, updatedAt)
+ * @returns {string} Sitemap XML
+ */
+const buildSitemap = (siteUrl, blogs) => {
+  const pages = [
+    { loc: `${siteUrl}/`, changefreq: 'daily', priority: '1.0' },
+    { loc: `${siteUrl}/blogs`, changefreq: 'hourly', priority: '0.8' },
+  ];
+
+  const posts = blogs.map(blog => ({
+    loc: getPostUrl(siteUrl, blog),
+    lastmod: new Date(blog.updatedAt).toISOString(),
+    changefreq: 'weekly',
+    priority: '0.6',
+  }));
+
+  const entries = [...pages, ...posts].map(page => [
+    '  <url>',
+    `    <loc>${escapeHtml(page.loc)}</loc>`,
+    ...(page.lastmod ? [`    <lastmod>${page.lastmod}</lastmod>`] : []),
+    `    <changefreq>${page.changefreq}</changefreq>`,
+    `    <priority>${page.priority}</priority>`,
+    '  </url>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build the pre-rendered HTML page for a post
+ * Contains the metadata in <head>, the sanitized article for crawlers that
+ * read the body, and a script that sends visitors on to the frontend.
+ *
+ * @param {Object} page - Page context
+ * @param {string} page.siteName - Site name
+ * @param {string} page.siteUrl - Frontend base URL
+ * @param {Object} blog - Published blog instance with author
+ * @returns {string} HTML document
+ */
+const buildPostPage = ({ siteName, siteUrl }, blog) => {
+  const url = getPostUrl(siteUrl, blog);
+  const title = blog.title || 'Untitled Post';
+  const description = getDescription(blog);
+  const image = (blog.media || [])[0] || null;
+  const authorName = blog.author?.name || blog.author?.nickname || 'Anonymous';
+  const published = new Date(blog.publishedAt || blog.createdAt).toISOString();
+  const modified = new Date(blog.updatedAt || blog.publishedAt || blog.createdAt).toISOString();
+  const tags = blog.tags || [];
+
+  const meta = (attr, key, content) => `    <meta ${attr}="${key}" content="${escapeHtml(content)}" />`;
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: title,
+    description,
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    datePublished: published,
+    dateModified: modified,
+    author: { '@type': 'Person', name: authorName },
+    publisher: { '@type': 'Organization', name: siteName, url: siteUrl },
+    inLanguage: blog.language || 'en',
+    ...(image && { image: [image] }),
+    ...(blog.category && { articleSection: blog.category }),
+    ...(tags.length > 0 && { keywords: tags.join(', ') }),
+  };
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(blog.language || 'en')}">`,
+    '  <head>',
+    '    <meta charset="utf-8" />',
+    '    <meta name="viewport" content="width=device-width, initial-scale=1" />',
+    `    <title>${escapeHtml(`${title} | ${siteName}`)}</title>`,
+    meta('name', 'description', description),
+    meta('name', 'author', authorName),
+    ...(tags.length > 0 ? [meta('name', 'keywords', tags.join(', '))] : []),
+    `    <link rel="canonical" href="${escapeHtml(url)}" />`,
+    meta('property', 'og:type', 'article'),
+    meta('property', 'og:site_name', siteName),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', url),
+    ...(image ? [meta('property', 'og:image', image)] : []),
+    meta('property', 'article:published_time', published),
+    meta('property', 'article:modified_time', modified),
+    meta('property', 'article:author', authorName),
+    ...(blog.category ? [meta('property', 'article:section', blog.category)] : []),
+    ...tags.map(tag => meta('property', 'article:tag', tag)),
+    meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    ...(image ? [meta('name', 'twitter:image', image)] : []),
+    '    <script type="application/ld+json">',
+    toJsonLd(jsonLd),
+    '    </script>',
+    `    <script>window.location.replace(${toJsonLd(url)});</script>`,
+    '  </head>',
+    '  <body>',
+    '    <article>',
+    `      <h1>${escapeHtml(title)}</h1>`,
+    `      <p>By ${escapeHtml(authorName)} &middot; <time datetime="${published}">${published.substring(0, 10)}</time></p>`,
+    sanitizeContent(blog.content),
+    '    </article>',
+    `    <p><a href="${escapeHtml(url)}">Read this post on ${escapeHtml(siteName)}</a></p>`,
+    '  </body>',
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  getDescription,
+  buildSitemap,
+  buildPostPage,
+};
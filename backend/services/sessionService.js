@@ -0,0 +1,289 @@
+/**
+ * Session Service
+ *
+ * Issues and rotates login credentials. Signing in creates a Session (one
+ * per device) and returns two tokens:
+ * - an access token: a short-lived JWT (ACCESS_TOKEN_EXPIRES_IN, default
+ *   15m) sent as the Bearer token, carrying the session ID in `sid`
+ * - a refresh token: a random string, stored only as a hash, exchanged at
+ *   POST /api/auth/refresh for a new pair (REFRESH_TOKEN_TTL_DAYS, default 30)
+ *
+ * Every refresh replaces the refresh token. If an old refresh token is
+ * presented again it must have been copied, so the whole session is revoked.
+ * Revoking a session signs the device out on its next request and closes
+ * its notification streams.
+ *
+ * @module services/sessionService
+ * @requires jsonwebtoken
+ * @requires ../models
+ * @requires ./notificationService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+const notificationService = require('./notificationService');
+
+/**
+ * Lifetime of access tokens (jsonwebtoken `expiresIn` format)
+ * @type {string}
+ */
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+/**
+ * Days a session can go unused before its refresh token expires
+ * @type {number}
+ */
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * How long a replaced refresh token is tolerated (30 seconds)
+ * Two tabs of the same browser may refresh at the same moment with the same
+ * token; the slower one is refused but the session is not revoked.
+ * @type {number}
+ */
+const ROTATION_GRACE_PERIOD = 30 * 1000;
+
+/**
+ * Error thrown when a refresh token cannot be used
+ * The route answers 401 and the client has to log in again.
+ */
+class InvalidRefreshTokenError extends Error {
+  constructor(message = 'Invalid refresh token') {
+    super(message);
+    this.name = 'InvalidRefreshTokenError';
+    this.code = 'INVALID_REFRESH_TOKEN';
+  }
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ *
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 hash
+ * @private
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Expiry of a refresh token issued now
+ *
+ * @returns {Date} Expiry date
+ * @private
+ */
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Describe the device behind a User-Agent header, e.g. "Firefox on macOS"
+ *
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} Device name
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  // Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Firefox', /Firefox\/|FxiOS/],
+    ['Chrome', /Chrome\/|CriOS/],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Sign an access token for a session
+ *
+ * @param {string} userId - User's database ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT access token
+ */
+const generateAccessToken = (userId, sessionId) => {
+  const payload = { id: userId, sid: sessionId };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    issuer: 'blogging-app',
+  });
+};
+
+/**
+ * Start a session for a user who just signed in
+ * Also clears the user's expired sessions.
+ *
+ * @async
+ * @param {string} userId - User's database ID
+ * @param {Object} req - Express request object (for the device and IP)
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const createSession = async (userId, req) => {
+  await Session.destroy({
+    where: { userId, expiresAt: { [Op.lte]: new Date() } },
+  });
+
+  const userAgent = (req.get('User-Agent') || '').substring(0, 500) || null;
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.ip || null,
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    token: generateAccessToken(userId, session.id),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * @async
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request object (for the IP)
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ * @throws {InvalidRefreshTokenError} If the token is unknown, reused or expired
+ */
+const refreshSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new InvalidRefreshTokenError('Refresh token is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ where: { tokenHash } });
+
+  if (!session) {
+    // A replaced token was presented: someone else may hold the current one
+    const reused = await Session.findOne({ where: { previousTokenHash: tokenHash } });
+    if (reused && Date.now() - reused.lastUsedAt.getTime() > ROTATION_GRACE_PERIOD) {
+      await reused.destroy();
+      notificationService.closeStreams(reused.userId, { sessionId: reused.id });
+      console.warn(`Refresh token reuse detected; revoked session ${reused.id} of user ${reused.userId}`);
+    }
+    throw new InvalidRefreshTokenError('Invalid or revoked refresh token');
+  }
+
+  if (!session.isActive()) {
+    await session.destroy();
+    throw new InvalidRefreshTokenError('Session has expired. Please log in again.');
+  }
+
+  // Rotate only if the token is still current, so that two requests
+  // presenting the same token can't both get a new one
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const [rotated] = await Session.update({
+    previousTokenHash: tokenHash,
+    tokenHash: hashToken(nextToken),
+    ipAddress: req.ip || session.ipAddress,
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  }, {
+    where: { id: session.id, tokenHash },
+  });
+
+  if (rotated === 0) {
+    throw new InvalidRefreshTokenError('Invalid or revoked refresh token');
+  }
+  await session.reload();
+
+  return {
+    token: generateAccessToken(session.userId, session.id),
+    refreshToken: nextToken,
+    session,
+  };
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ *
+ * @async
+ * @param {string} userId - User's database ID
+ * @returns {Promise<Object[]>} Session instances
+ */
+const listSessions = (userId) => Session.findAll({
+  where: { userId, expiresAt: { [Op.gt]: new Date() } },
+  order: [['lastUsedAt', 'DESC']],
+});
+
+/**
+ * Revoke one of a user's sessions
+ *
+ * @async
+ * @param {string} userId - User's database ID
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<boolean>} True if the session existed
+ */
+const revokeSession = async (userId, sessionId) => {
+  const deleted = await Session.destroy({ where: { id: sessionId, userId } });
+  notificationService.closeStreams(userId, { sessionId });
+  return deleted > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ *
+ * @async
+ * @param {string} userId - User's database ID
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  const revoked = await Session.destroy({
+    where: exceptSessionId
+      ? { userId, id: { [Op.ne]: exceptSessionId } }
+      : { userId },
+  });
+  notificationService.closeStreams(userId, { exceptSessionId });
+  return revoked;
+};
+
+/**
+ * Check that the session of an access token has not been revoked
+ *
+ * @async
+ * @param {string} sessionId - `sid` claim of the access token
+ * @param {string} userId - `id` claim of the access token
+ * @returns {Promise<boolean>} True if the session is still active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findByPk(sessionId, {
+    attributes: ['id', 'userId', 'expiresAt'],
+  });
+  return !!session && String(session.userId) === String(userId) && session.isActive();
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  InvalidRefreshTokenError,
+  describeDevice,
+  generateAccessToken,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
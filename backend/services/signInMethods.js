@@ -0,0 +1,235 @@
+/**
+ * Sign-in Methods Service
+ *
+ * Lists how an account can log in and connects Google to an account on
+ * request. Google is never attached to an existing account just because the
+ * email addresses match: the user starts the link from their profile while
+ * logged in. The request is kept in that browser's server-side session and
+ * the OAuth `state` carries a random nonce that has to match it, so a link
+ * URL started by someone else can't attach their account to your Google.
+ *
+ * An account always keeps a password or a Google account; emailed sign-in
+ * links work for every account on top of those.
+ *
+ * @module services/signInMethods
+ * @requires crypto
+ * @requires ../models
+ */
+
+const crypto = require('crypto');
+const { User } = require('../models');
+
+/**
+ * Prefix of the OAuth state for Google link requests
+ * @type {string}
+ */
+const LINK_STATE_PREFIX = 'link:';
+
+/**
+ * How long the user has to finish connecting Google (10 minutes)
+ * @type {number}
+ */
+const LINK_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * OAuth state for Google re-authentication; actions are appended as `reauth:<action>`
+ * @type {string}
+ */
+const REAUTH_STATE = 'reauth';
+
+/**
+ * Actions other than account deletion that can ask for a Google confirmation
+ * @type {string[]}
+ */
+const REAUTH_ACTIONS = ['set-password'];
+
+/**
+ * Error thrown when Google cannot be connected or disconnected
+ * The message is shown to the user.
+ */
+class SignInMethodError extends Error {
+  constructor(message = 'Could not update sign-in methods') {
+    super(message);
+    this.name = 'SignInMethodError';
+    this.code = 'SIGN_IN_METHOD_ERROR';
+  }
+}
+
+/**
+ * Remember a request to connect Google in the browser's session
+ * Replaces any earlier request from the same browser.
+ *
+ * @param {Object} session - express-session session of the request
+ * @param {string} userId - Signed-in user who asked to connect Google
+ */
+const createLinkRequest = (session, userId) => {
+  session.googleLink = {
+    userId,
+    nonce: crypto.randomBytes(32).toString('hex'),
+    expiresAt: Date.now() + LINK_REQUEST_TTL_MS,
+  };
+};
+
+/**
+ * OAuth state for the session's pending link request
+ *
+ * @param {Object} session - express-session session of the request
+ * @returns {string|null} State to send to Google, or null if there is no
+ *   pending request or it has expired
+ */
+const getLinkState = (session) => {
+  const request = session && session.googleLink;
+  if (!request || request.expiresAt < Date.now()) return null;
+  return `${LINK_STATE_PREFIX}${request.nonce}`;
+};
+
+/**
+ * Whether an OAuth callback belongs to a link request rather than a login
+ *
+ * @param {string} state - OAuth state from the callback
+ * @returns {boolean} True for link requests
+ */
+const isLinkState = (state) => typeof state === 'string' && state.startsWith(LINK_STATE_PREFIX);
+
+/**
+ * Finish the session's link request
+ * The request is removed either way, so a state can only be used once.
+ *
+ * @param {Object} session - express-session session of the callback
+ * @param {string} state - OAuth state from the callback
+ * @returns {string|null} ID of the user who started the request, or null if
+ *   the state doesn't match this browser's pending request
+ */
+const consumeLinkRequest = (session, state) => {
+  const expected = getLinkState(session);
+  const userId = expected ? session.googleLink.userId : null;
+  if (session) delete session.googleLink;
+  if (!expected || !isLinkState(state)) return null;
+
+  const received = Buffer.from(state);
+  const pending = Buffer.from(expected);
+  return received.length === pending.length && crypto.timingSafeEqual(received, pending) ? userId : null;
+};
+
+/**
+ * OAuth state for confirming the user's identity with Google
+ *
+ * @param {string} [action] - One of REAUTH_ACTIONS; anything else means account deletion
+ * @returns {string} State to send to Google
+ */
+const toReauthState = (action) => (
+  REAUTH_ACTIONS.includes(action) ? `${REAUTH_STATE}:${action}` : REAUTH_STATE
+);
+
+/**
+ * Read the action from a re-authentication state
+ *
+ * @param {string} state - OAuth state from the callback
+ * @returns {string|null} The action, '' for account deletion, or null if the
+ *   callback is not a re-authentication
+ */
+const getReauthAction = (state) => {
+  if (state === REAUTH_STATE) return '';
+  const action = typeof state === 'string' && state.startsWith(`${REAUTH_STATE}:`)
+    ? state.slice(REAUTH_STATE.length + 1)
+    : null;
+  return REAUTH_ACTIONS.includes(action) ? action : null;
+};
+
+/**
+ * List the ways an account can log in
+ *
+ * @param {Object} user - User instance (loaded with all attributes)
+ * @returns {Object[]} [{ id, connected, removable }] for password, google and email-link
+ */
+const listSignInMethods = (user) => [
+  {
+    id: 'password',
+    connected: !!user.password,
+    removable: false,
+  },
+  {
+    id: 'google',
+    connected: !!user.googleId,
+    // Only with a password to fall back on
+    removable: !!user.googleId && !!user.password,
+  },
+  {
+    id: 'email-link',
+    connected: true,
+    removable: false,
+  },
+];
+
+/**
+ * Connect a Google account to a user
+ *
+ * @async
+ * @param {string} userId - User who started the link request
+ * @param {Object} profile - Google profile from passport
+ * @returns {Promise<Object>} Updated user
+ * @throws {SignInMethodError} If the Google account belongs to someone else or
+ *   the user already has a different one
+ */
+const linkGoogleAccount = async (userId, profile) => {
+  const owner = await User.findOne({ where: { googleId: profile.id } });
+  if (owner && owner.id !== userId) {
+    throw new SignInMethodError('This Google account is already connected to another account.');
+  }
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new SignInMethodError('Your account could not be found.');
+  }
+
+  if (user.googleId && user.googleId !== profile.id) {
+    throw new SignInMethodError('Disconnect your current Google account before connecting another one.');
+  }
+
+  user.googleId = profile.id;
+
+  // Google has verified the address, so it counts as verified here too
+  const googleEmails = (profile.emails || []).map(entry => entry.value.toLowerCase());
+  if (!user.emailVerified && googleEmails.includes(user.email)) {
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+  }
+
+  await user.save();
+  return user;
+};
+
+/**
+ * Disconnect Google from a user
+ *
+ * @async
+ * @param {Object} user - User instance (loaded with all attributes)
+ * @returns {Promise<Object>} Updated user
+ * @throws {SignInMethodError} If Google is not connected or is the only way to log in
+ */
+const unlinkGoogleAccount = async (user) => {
+  if (!user.googleId) {
+    throw new SignInMethodError('No Google account is connected.');
+  }
+
+  if (!user.password) {
+    throw new SignInMethodError('Set a password before disconnecting Google, so you can still log in.');
+  }
+
+  await user.update({ googleId: null });
+  return user;
+};
+
+module.exports = {
+  SignInMethodError,
+  createLinkRequest,
+  getLinkState,
+  isLinkState,
+  consumeLinkRequest,
+  toReauthState,
+  getReauthAction,
+  listSignInMethods,
+  linkGoogleAccount,
+  unlinkGoogleAccount,
+};
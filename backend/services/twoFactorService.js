@@ -0,0 +1,196 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Time-based one-time passwords (TOTP, RFC 6238) for email/password
+ * accounts. Enrollment stores a secret and shows it as an otpauth:// URI
+ * and QR code for authenticator apps; 2FA is only enabled once the user
+ * has entered a valid code. Enabling it also issues one-time recovery
+ * codes, stored as hashes, for when the authenticator is lost.
+ *
+ * When 2FA is enabled, a correct password only earns a short-lived
+ * challenge token, which is exchanged for a session together with a code
+ * at POST /api/auth/login/2fa.
+ *
+ * @module services/twoFactorService
+ * @requires otplib
+ * @requires qrcode
+ * @requires jsonwebtoken
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator: defaultAuthenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { SITE_NAME } = require('../config/site');
+
+/**
+ * TOTP settings: 6 digits every 30 seconds, accepting the previous and next
+ * code to allow for clock drift
+ */
+const authenticator = defaultAuthenticator.clone({ window: 1 });
+
+/**
+ * Number of recovery codes issued at a time
+ * @type {number}
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Purpose claim of login challenge tokens
+ * @type {string}
+ */
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+/**
+ * How long the user has to enter their code after the password
+ * @type {string}
+ */
+const CHALLENGE_EXPIRES_IN = '5m';
+
+/**
+ * Hash a recovery code for storage and lookup
+ * Codes are random, so a plain SHA-256 is enough.
+ *
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 hash
+ * @private
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate a new TOTP secret
+ *
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => authenticator.generateSecret(20);
+
+/**
+ * Build what an authenticator app needs to add the account
+ *
+ * @async
+ * @param {string} email - Account email, shown as the label in the app
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+ */
+const getProvisioning = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, SITE_NAME, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Check a TOTP code against the user's secret
+ * Each code is accepted once: the time step of the last accepted code is
+ * saved on the user, so the user must be loaded with all attributes.
+ *
+ * @async
+ * @param {Object} user - User instance with a twoFactorSecret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<boolean>} True if the code is valid and unused
+ */
+const verifyCode = async (user, code) => {
+  if (!user.twoFactorSecret || typeof code !== 'string') return false;
+
+  const token = code.replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token)) return false;
+
+  const delta = authenticator.checkDelta(token, user.twoFactorSecret);
+  if (delta === null) return false;
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  if (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep) {
+    return false;
+  }
+
+  await user.update({ twoFactorLastUsedStep: step });
+  return true;
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ *
+ * @returns {Object} { codes: string[], hashes: string[] } - show codes to the
+ *   user once, store only the hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Use up one of the user's recovery codes
+ *
+ * @async
+ * @param {Object} user - User instance (loaded with all attributes)
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} True if the code was valid; it cannot be used again
+ */
+const useRecoveryCode = async (user, code) => {
+  if (typeof code !== 'string' || !code.trim()) return false;
+
+  const hash = hashRecoveryCode(code);
+  const remaining = user.twoFactorRecoveryCodes || [];
+  if (!remaining.includes(hash)) return false;
+
+  await user.update({ twoFactorRecoveryCodes: remaining.filter(h => h !== hash) });
+  return true;
+};
+
+/**
+ * Check the second factor of a login or a sensitive action
+ *
+ * @async
+ * @param {Object} user - User instance (loaded with all attributes)
+ * @param {Object} factor - { code } from the authenticator app or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery' if accepted, null otherwise
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code && await verifyCode(user, code)) return 'totp';
+  if (recoveryCode && await useRecoveryCode(user, recoveryCode)) return 'recovery';
+  return null;
+};
+
+/**
+ * Issue a challenge token after a correct password
+ *
+ * @param {string} userId - User's database ID
+ * @returns {string} JWT challenge token (valid for CHALLENGE_EXPIRES_IN)
+ */
+const createChallengeToken = (userId) => jwt.sign(
+  { id: userId, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN, issuer: 'blogging-app' }
+);
+
+/**
+ * Check a challenge token from createChallengeToken
+ *
+ * @param {string} token - Challenge token
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { issuer: 'blogging-app' });
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  getProvisioning,
+  verifyCode,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+};
@@ -0,0 +1,81 @@
+/**
+ * Upload Service
+ *
+ * Turns an image into an Upload record: processes it (EXIF removal,
+ * resized variants), writes every file through the media storage driver,
+ * then records the upload. Used by the media endpoint and the blog
+ * importer, which copies images from imported posts.
+ *
+ * @module services/uploadService
+ * @requires ../models
+ * @requires ./imageProcessor
+ * @requires ./mediaStorage
+ */
+
+const crypto = require('crypto');
+const { Upload } = require('../models');
+const { buildStorageKey } = require('../models/Upload');
+const { processImage } = require('./imageProcessor');
+const mediaStorage = require('./mediaStorage');
+
+/**
+ * Process, store and record an image
+ * Files written before a failure are removed again.
+ *
+ * @async
+ * @param {Object} params - Image details
+ * @param {string} params.ownerId - Uploader's user ID
+ * @param {Buffer} params.buffer - Image data
+ * @param {string} params.mimeType - Declared MIME type
+ * @param {string} [params.originalName] - File name on the uploader's device
+ * @returns {Promise<Object>} Created Upload
+ * @throws {InvalidImageError} If the image is unsupported or unreadable
+ */
+const createUpload = async ({ ownerId, buffer, mimeType, originalName }) => {
+  const storage = mediaStorage.getStorage();
+  const savedKeys = [];
+
+  try {
+    const image = await processImage(buffer, mimeType);
+
+    const id = crypto.randomUUID();
+    const files = [
+      { name: 'original', ...image },
+      ...image.variants,
+    ].map(file => ({ ...file, key: buildStorageKey(ownerId, id, file.name, image.extension) }));
+
+    for (const file of files) {
+      await storage.save(file.key, file.buffer, image.contentType);
+      savedKeys.push(file.key);
+    }
+
+    const [original, ...variants] = files;
+    return await Upload.create({
+      id,
+      ownerId,
+      originalName: (originalName || '').substring(0, 255) || null,
+      mimeType: image.contentType,
+      size: original.size,
+      width: original.width,
+      height: original.height,
+      storageKey: original.key,
+      url: storage.getUrl(original.key),
+      variants: variants.map(variant => ({
+        name: variant.name,
+        key: variant.key,
+        url: storage.getUrl(variant.key),
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+      })),
+    });
+  } catch (error) {
+    // Do not leave files behind for an upload that was not recorded
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+};
+
+module.exports = {
+  createUpload,
+};
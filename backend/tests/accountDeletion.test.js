@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { createApp, request, buildUser, signIn } = require('./helpers');
+const authRoutes = require('../routes/auth');
+
+const app = createApp('/api/auth', authRoutes);
+
+const deleteAccount = (authorization, body) => request(app, 'DELETE', '/api/auth/account', {
+  headers: { Authorization: authorization },
+  body,
+});
+
+test('DELETE /api/auth/account asks what happens to the posts', async (t) => {
+  const { authorization } = signIn(t, buildUser(t, { password: bcrypt.hashSync('secret password', 4) }));
+
+  for (const contentMode of [undefined, 'keep', ['delete']]) {
+    const res = await deleteAccount(authorization, { password: 'secret password', contentMode });
+    assert.equal(res.status, 400, JSON.stringify(contentMode));
+  }
+});
+
+test('DELETE /api/auth/account needs the password as a string', async (t) => {
+  const user = buildUser(t, { password: bcrypt.hashSync('secret password', 4) });
+  const { authorization } = signIn(t, user);
+
+  for (const password of [undefined, ['secret password'], { length: 8 }, 12345678]) {
+    const res = await deleteAccount(authorization, { password, contentMode: 'delete' });
+    assert.equal(res.status, 400, JSON.stringify(password));
+  }
+  const wrong = await deleteAccount(authorization, { password: 'wrong password', contentMode: 'delete' });
+
+  assert.equal(wrong.status, 403);
+  assert.equal(user.isPendingDeletion(), false);
+});
+
+test('DELETE /api/auth/account needs a Google confirmation without a password', async (t) => {
+  const { authorization } = signIn(t, buildUser(t, { googleId: '1234567890' }));
+
+  const missing = await deleteAccount(authorization, { contentMode: 'anonymize' });
+  const forged = await deleteAccount(authorization, { contentMode: 'anonymize', reauthToken: 'forged' });
+
+  assert.equal(missing.status, 400);
+  assert.equal(forged.status, 403);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { createApp, request, buildUser, mockSessionStore } = require('./helpers');
+const { User } = require('../models');
+const authRoutes = require('../routes/auth');
+const accountLockout = require('../services/accountLockout');
+
+const app = createApp('/api/auth', authRoutes);
+
+const PASSWORD = 'correct horse battery';
+
+const login = (user, password) => request(app, 'POST', '/api/auth/login', {
+  body: { email: user.email, password },
+});
+
+test('repeated wrong passwords lock the account, even for the right password', async (t) => {
+  const user = buildUser(t, { email: 'locked@example.com', password: bcrypt.hashSync(PASSWORD, 4) });
+  t.mock.method(User, 'findOne', async () => user);
+
+  for (let attempt = 1; attempt < accountLockout.LOCKOUT_THRESHOLD; attempt += 1) {
+    assert.equal((await login(user, 'wrong password')).status, 401);
+  }
+  const locking = await login(user, 'wrong password');
+  const afterwards = await login(user, PASSWORD);
+
+  assert.equal(locking.status, 429);
+  assert.equal(locking.body.error, 'ACCOUNT_LOCKED');
+  assert.ok(Number(locking.headers.get('retry-after')) > 0);
+  assert.equal(afterwards.status, 429);
+  assert.equal(afterwards.body.error, 'ACCOUNT_LOCKED');
+});
+
+test('a successful login clears the failure count', async (t) => {
+  mockSessionStore(t);
+  const user = buildUser(t, { email: 'unlucky@example.com', password: bcrypt.hashSync(PASSWORD, 4) });
+  t.mock.method(User, 'findOne', async () => user);
+
+  await login(user, 'wrong password');
+  await login(user, 'wrong password');
+  assert.equal(user.failedLoginAttempts, 2);
+
+  assert.equal((await login(user, PASSWORD)).status, 200);
+  assert.equal(user.failedLoginAttempts, 0);
+});
+
+test('failures after a lockout ran out start a new count', async (t) => {
+  const user = buildUser(t, {
+    failedLoginAttempts: 0,
+    lockedUntil: new Date(Date.now() - 1000),
+  });
+
+  assert.equal(accountLockout.getLockoutRemaining(user), 0);
+  assert.equal(await accountLockout.recordFailedLogin(user), 0);
+  assert.equal(user.failedLoginAttempts, 1);
+  assert.equal(user.lockedUntil, null);
+});
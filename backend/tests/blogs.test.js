@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { createApp, request, buildUser, signIn } = require('./helpers');
+const { Blog } = require('../models');
+const blogRoutes = require('../routes/blogs');
+
+const app = createApp('/api/blogs', blogRoutes);
+
+const CONTENT = '<p>A post about JavaScript.</p>';
+
+test('POST /api/blogs rejects an unknown status', async (t) => {
+  const { authorization } = signIn(t, buildUser(t));
+
+  const res = await request(app, 'POST', '/api/blogs', {
+    headers: { Authorization: authorization },
+    body: { content: CONTENT, status: 'hidden' },
+  });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.errors.join(), /Status must be one of/);
+});
+
+test('POST /api/blogs needs a future publish time to schedule a post', async (t) => {
+  const { authorization } = signIn(t, buildUser(t));
+
+  const missing = await request(app, 'POST', '/api/blogs', {
+    headers: { Authorization: authorization },
+    body: { content: CONTENT, status: 'scheduled' },
+  });
+  const past = await request(app, 'POST', '/api/blogs', {
+    headers: { Authorization: authorization },
+    body: { content: CONTENT, publishAt: '2000-01-01T00:00:00Z' },
+  });
+
+  assert.equal(missing.status, 400);
+  assert.equal(past.status, 400);
+  assert.match(past.body.errors.join(), /must be in the future/);
+});
+
+test('POST /api/blogs answers malformed fields with 400', async (t) => {
+  const { authorization } = signIn(t, buildUser(t));
+  const bodies = [
+    { content: 42 },
+    { content: CONTENT, tags: 'a,b' },
+    { content: CONTENT, tags: {} },
+    { content: CONTENT, tags: ['ok', 7] },
+    { content: CONTENT, title: 42 },
+    { content: CONTENT, summary: ['x'] },
+    { content: CONTENT, category: { name: 'x' } },
+  ];
+
+  for (const body of bodies) {
+    const res = await request(app, 'POST', '/api/blogs', {
+      headers: { Authorization: authorization },
+      body,
+    });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.message, 'Validation failed');
+  }
+});
+
+test('PUT /api/blogs/:id answers malformed fields with 400', async (t) => {
+  const user = buildUser(t);
+  const { authorization } = signIn(t, user);
+  const blog = Blog.build({ id: '6f1d7c1e-5b7e-4b8e-9d3a-1c2b3d4e5f60', authorId: user.id, content: CONTENT });
+  t.mock.method(Blog, 'findByPk', async () => blog);
+
+  for (const body of [{ tags: 'a,b' }, { title: 42 }, { content: 42 }]) {
+    const res = await request(app, 'PUT', `/api/blogs/${blog.id}`, {
+      headers: { Authorization: authorization },
+      body,
+    });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
+
+test('Blog.search matches tags case-insensitively', async (t) => {
+  let where;
+  t.mock.method(Blog, 'count', async (options) => {
+    where = options.where;
+    return 0;
+  });
+  t.mock.method(Blog, 'findAll', async () => []);
+
+  await Blog.search({ tags: ['JavaScript', ' javascript ', 'Node'] });
+
+  const tagCondition = where[Op.and].find(condition => condition.tags);
+  assert.deepEqual(tagCondition.tags[Op.contains], ['javascript', 'node']);
+});
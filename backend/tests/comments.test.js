@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, buildUser, signIn } = require('./helpers');
+const { Blog, Comment } = require('../models');
+const commentRoutes = require('../routes/comments');
+
+const app = createApp('/api/blogs/:id/comments', commentRoutes);
+
+const BLOG_ID = '0b6c2f4e-8d1a-4c3b-9e5f-7a6b5c4d3e2f';
+
+const publishedBlog = () => Blog.build({ id: BLOG_ID, content: '<p>Post</p>', status: 'published' });
+
+test('POST /api/blogs/:id/comments rejects empty and non-string comments', async (t) => {
+  const { authorization } = signIn(t, buildUser(t));
+  t.mock.method(Blog, 'findByPk', async () => publishedBlog());
+
+  for (const content of [undefined, '   ', 42, ['hi'], 'x'.repeat(5001)]) {
+    const res = await request(app, 'POST', `/api/blogs/${BLOG_ID}/comments`, {
+      headers: { Authorization: authorization },
+      body: { content },
+    });
+    assert.equal(res.status, 400, JSON.stringify(content)?.slice(0, 20));
+  }
+});
+
+test('POST /api/blogs/:id/comments only replies to comments on the same post', async (t) => {
+  const { authorization } = signIn(t, buildUser(t));
+  t.mock.method(Blog, 'findByPk', async () => publishedBlog());
+  const findOne = t.mock.method(Comment, 'findOne', async () => null);
+
+  const res = await request(app, 'POST', `/api/blogs/${BLOG_ID}/comments`, {
+    headers: { Authorization: authorization },
+    body: { content: 'Nice post', parentId: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d' },
+  });
+
+  assert.equal(res.status, 404);
+  assert.equal(findOne.mock.calls[0].arguments[0].where.blogId, BLOG_ID);
+});
+
+test('POST /api/blogs/:id/comments hides unpublished posts', async (t) => {
+  const { authorization } = signIn(t, buildUser(t));
+  t.mock.method(Blog, 'findByPk', async () => Blog.build({ id: BLOG_ID, content: '<p>Post</p>', status: 'draft' }));
+
+  const res = await request(app, 'POST', `/api/blogs/${BLOG_ID}/comments`, {
+    headers: { Authorization: authorization },
+    body: { content: 'First!' },
+  });
+
+  assert.equal(res.status, 404);
+});
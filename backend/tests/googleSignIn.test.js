@@ -0,0 +1,183 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const passport = require('passport');
+const { createApp, request, buildUser, signIn, mockSessionStore } = require('./helpers');
+const { User } = require('../models');
+const authRoutes = require('../routes/auth');
+
+const app = createApp('/api/auth', authRoutes);
+
+const GOOGLE_ID = '1234567890';
+
+/**
+ * Stand-in for the Google strategy: every callback succeeds
+ * Like config/passport.js, it answers with the user for logins and with the
+ * bare profile for confirmations.
+ */
+let googleUser = null;
+passport.use('google', {
+  authenticate(req) {
+    this.success(req.query.state ? { googleProfile: { id: GOOGLE_ID } } : googleUser);
+  },
+});
+
+/**
+ * Keep one user row in memory, behind User.findOne and User.update
+ * Each lookup returns a new instance, like a query would.
+ */
+const mockUserTable = (t, values = {}) => {
+  const row = {
+    id: crypto.randomUUID(),
+    name: 'Google User',
+    email: 'google@example.com',
+    emailVerified: true,
+    googleId: GOOGLE_ID,
+    ...values,
+  };
+  const matches = (where) => Object.entries(where).every(([key, value]) => String(row[key]) === String(value));
+  const load = () => {
+    const user = User.build(row);
+    t.mock.method(user, 'save', async function save() {
+      Object.assign(row, this.get());
+      return this;
+    });
+    return user;
+  };
+
+  t.mock.method(User, 'findOne', async ({ where }) => (matches(where) ? load() : null));
+  t.mock.method(User, 'update', async (changes, { where }) => {
+    if (!matches(where)) return [0];
+    Object.assign(row, changes);
+    return [1];
+  });
+  return { row, load };
+};
+
+/**
+ * Follow the Google callback and return the redirect URL
+ */
+const googleCallback = async (state) => {
+  const res = await request(app, 'GET', `/api/auth/google/callback${state ? `?state=${state}` : ''}`);
+  assert.equal(res.status, 302);
+  return new URL(res.headers.get('location'));
+};
+
+test('the Google callback hands over a one-time code, not tokens', async (t) => {
+  mockSessionStore(t);
+  const { load } = mockUserTable(t);
+  googleUser = load();
+
+  const redirect = await googleCallback();
+  const code = redirect.searchParams.get('code');
+
+  assert.equal(redirect.pathname, '/auth/callback');
+  assert.deepEqual([...redirect.searchParams.keys()], ['code']);
+
+  const exchanged = await request(app, 'POST', '/api/auth/google/exchange', { body: { code } });
+  const replayed = await request(app, 'POST', '/api/auth/google/exchange', { body: { code } });
+
+  assert.equal(exchanged.status, 200);
+  assert.ok(exchanged.body.token);
+  assert.ok(exchanged.body.refreshToken);
+  assert.equal(replayed.status, 400);
+  assert.equal(replayed.body.error, 'INVALID_GOOGLE_CODE');
+});
+
+test('an expired Google code is refused', async (t) => {
+  const createSession = mockSessionStore(t);
+  const { row, load } = mockUserTable(t);
+  googleUser = load();
+
+  const code = (await googleCallback()).searchParams.get('code');
+  row.googleLoginCodeExpires = new Date(Date.now() - 1000);
+  const res = await request(app, 'POST', '/api/auth/google/exchange', { body: { code } });
+
+  assert.equal(res.status, 400);
+  assert.equal(createSession.mock.callCount(), 0);
+});
+
+test('POST /api/auth/google/exchange refuses malformed codes', async (t) => {
+  mockUserTable(t);
+
+  for (const code of [undefined, 42, { $ne: null }, 'unknown']) {
+    const res = await request(app, 'POST', '/api/auth/google/exchange', { body: { code } });
+    assert.equal(res.status, 400, JSON.stringify(code));
+  }
+});
+
+test('a Google confirmation hands over a one-time code, not a reauth token', async (t) => {
+  mockUserTable(t);
+
+  const redirect = await googleCallback('reauth:set-password');
+  const code = redirect.searchParams.get('reauthCode');
+  const asLogin = await request(app, 'POST', '/api/auth/google/exchange', { body: { code } });
+
+  assert.equal(redirect.pathname, '/profile');
+  assert.deepEqual([...redirect.searchParams.keys()], ['reauthCode', 'action']);
+  assert.equal(redirect.searchParams.get('action'), 'set-password');
+  assert.equal(asLogin.status, 400);
+});
+
+test('a confirmation code only works for the account that confirmed', async (t) => {
+  mockUserTable(t);
+  const code = (await googleCallback('reauth')).searchParams.get('reauthCode');
+  const { authorization } = signIn(t, buildUser(t, { email: 'other@example.com' }));
+
+  const res = await request(app, 'POST', '/api/auth/google/reauth/exchange', {
+    headers: { Authorization: authorization },
+    body: { code },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'INVALID_GOOGLE_CODE');
+});
+
+test('a confirmation code is exchanged once for a token that sets a password', async (t) => {
+  const { row, load } = mockUserTable(t);
+  const code = (await googleCallback('reauth:set-password')).searchParams.get('reauthCode');
+  const { authorization } = signIn(t, load());
+  const exchange = () => request(app, 'POST', '/api/auth/google/reauth/exchange', {
+    headers: { Authorization: authorization },
+    body: { code },
+  });
+
+  const exchanged = await exchange();
+  const replayed = await exchange();
+  const passwordSet = await request(app, 'POST', '/api/auth/password/set', {
+    headers: { Authorization: authorization },
+    body: { password: 'a new password', reauthToken: exchanged.body.reauthToken },
+  });
+
+  assert.equal(exchanged.status, 200);
+  assert.ok(exchanged.body.reauthToken);
+  assert.equal(replayed.status, 400);
+  assert.equal(passwordSet.status, 200);
+  assert.ok(row.password);
+});
+
+test('POST /api/auth/password/set rejects a non-string password', async (t) => {
+  const { authorization } = signIn(t, buildUser(t, { googleId: GOOGLE_ID }));
+
+  for (const password of [['a', 'b', 'c', 'd', 'e', 'f'], { length: 8 }, 12345678]) {
+    const res = await request(app, 'POST', '/api/auth/password/set', {
+      headers: { Authorization: authorization },
+      body: { password, reauthToken: 'token' },
+    });
+    assert.equal(res.status, 400, JSON.stringify(password));
+  }
+});
+
+test('DELETE /api/auth/google rejects a non-string password', async (t) => {
+  const user = buildUser(t, { googleId: GOOGLE_ID, password: 'hash' });
+  const { authorization } = signIn(t, user);
+
+  for (const password of [['secret'], { length: 8 }, 12345678]) {
+    const res = await request(app, 'DELETE', '/api/auth/google', {
+      headers: { Authorization: authorization },
+      body: { password },
+    });
+    assert.equal(res.status, 400, JSON.stringify(password));
+  }
+  assert.equal(user.googleId, GOOGLE_ID);
+});
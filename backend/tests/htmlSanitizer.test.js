@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeContent, findDisallowedMarkup, htmlToPlainText } = require('../services/htmlSanitizer');
+
+test('sanitizeContent keeps the markup the editor produces', () => {
+  const html = '<h2>Title</h2><p>Some <strong>bold</strong> and <a href="https://example.com">a link</a></p>'
+    + '<pre><code class="language-js">let a = 1;</code></pre><img src="https://example.com/a.png" alt="A" />';
+
+  assert.equal(sanitizeContent(html), html);
+});
+
+test('sanitizeContent removes scripts, iframes, event handlers and inline styles', () => {
+  const html = '<p onclick="steal()" style="color:red">Hi</p><script>steal()</script>'
+    + '<iframe src="https://evil.example"></iframe><img src="https://example.com/a.png" onerror="steal()">';
+
+  assert.equal(sanitizeContent(html), '<p>Hi</p><img src="https://example.com/a.png" />');
+});
+
+test('sanitizeContent drops javascript: and protocol-relative URLs', () => {
+  assert.equal(sanitizeContent('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(sanitizeContent('<a href="//evil.example">x</a>'), '<a>x</a>');
+  assert.equal(sanitizeContent('<img src="javascript:alert(1)">'), '<img />');
+});
+
+test('sanitizeContent adds rel="noopener" to links that open a new tab', () => {
+  assert.equal(
+    sanitizeContent('<a href="https://example.com" target="_blank">x</a>'),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">x</a>'
+  );
+});
+
+test('sanitizeContent only keeps language classes on code', () => {
+  assert.equal(sanitizeContent('<code class="language-js evil">x</code>'), '<code class="language-js">x</code>');
+  assert.equal(sanitizeContent('<p class="evil">x</p>'), '<p>x</p>');
+});
+
+test('sanitizeContent returns an empty string for non-strings', () => {
+  assert.equal(sanitizeContent(undefined), '');
+  assert.equal(sanitizeContent({ html: '<p>x</p>' }), '');
+});
+
+test('findDisallowedMarkup counts removed tags and attributes', () => {
+  const removed = findDisallowedMarkup('<p onclick="x()">a</p><script>b</script><script>c</script>');
+
+  assert.deepEqual(removed, { tags: { script: 2 }, attributes: { 'p[onclick]': 1 } });
+});
+
+test('htmlToPlainText strips tags and decodes entities', () => {
+  assert.equal(htmlToPlainText('<p>Fish &amp; chips</p>\n<p>&lt;tasty&gt;</p>'), 'Fish & chips <tasty>');
+});
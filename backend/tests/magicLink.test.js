@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createApp, request, buildUser, mockSessionStore } = require('./helpers');
+const { User } = require('../models');
+const authRoutes = require('../routes/auth');
+
+const app = createApp('/api/auth', authRoutes);
+
+const TOKEN = crypto.randomBytes(32).toString('hex');
+const TOKEN_HASH = crypto.createHash('sha256').update(TOKEN).digest('hex');
+
+const buildLinkUser = (t, values = {}) => buildUser(t, {
+  magicLinkToken: TOKEN_HASH,
+  magicLinkExpires: new Date(Date.now() + 10 * 60 * 1000),
+  ...values,
+});
+
+const verify = (token) => request(app, 'POST', '/api/auth/magic-link/verify', { body: { token } });
+
+test('POST /api/auth/magic-link rejects a missing or non-string email', async () => {
+  for (const email of [undefined, '', 42, ['a@example.com'], { email: 'a@example.com' }]) {
+    const res = await request(app, 'POST', '/api/auth/magic-link', { body: { email } });
+    assert.equal(res.status, 400, JSON.stringify(email));
+  }
+});
+
+test('a sign-in link logs in and verifies the email', async (t) => {
+  mockSessionStore(t);
+  const user = buildLinkUser(t, { emailVerified: false });
+  t.mock.method(User, 'findOne', async () => user);
+  const update = t.mock.method(User, 'update', async () => [1]);
+
+  const res = await verify(TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.equal(user.emailVerified, true);
+  const [values, { where }] = update.mock.calls[0].arguments;
+  assert.deepEqual(values, { magicLinkToken: null, magicLinkExpires: null });
+  assert.deepEqual(where, { id: user.id, magicLinkToken: TOKEN_HASH });
+});
+
+test('a sign-in link works only once', async (t) => {
+  const createSession = mockSessionStore(t);
+  t.mock.method(User, 'findOne', async () => buildLinkUser(t));
+  // Another request consumed the link between the lookup and the update
+  t.mock.method(User, 'update', async () => [0]);
+
+  const res = await verify(TOKEN);
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'INVALID_MAGIC_LINK');
+  assert.equal(createSession.mock.callCount(), 0);
+});
+
+test('an expired sign-in link is refused and used up', async (t) => {
+  const createSession = mockSessionStore(t);
+  t.mock.method(User, 'findOne', async () => buildLinkUser(t, { magicLinkExpires: new Date(Date.now() - 1000) }));
+  const update = t.mock.method(User, 'update', async () => [1]);
+
+  const res = await verify(TOKEN);
+
+  assert.equal(res.status, 400);
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(createSession.mock.callCount(), 0);
+});
+
+test('an unknown or malformed token is refused', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+
+  for (const token of [undefined, 42, { $ne: null }, 'unknown']) {
+    const res = await verify(token);
+    assert.equal(res.status, 400, JSON.stringify(token));
+  }
+});
+
+test('a sign-in link of an account with 2FA ends in a challenge', async (t) => {
+  const createSession = mockSessionStore(t);
+  t.mock.method(User, 'findOne', async () => buildLinkUser(t, { twoFactorEnabled: true }));
+  t.mock.method(User, 'update', async () => [1]);
+
+  const res = await verify(TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.twoFactorRequired, true);
+  assert.equal(res.body.token, undefined);
+  assert.equal(createSession.mock.callCount(), 0);
+});
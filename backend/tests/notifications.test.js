@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('./helpers');
+const { createStreamTicket, redeemStreamTicket } = require('../services/notificationService');
+const { generateAccessToken } = require('../services/sessionService');
+
+const USER_ID = crypto.randomUUID();
+const SESSION_ID = crypto.randomUUID();
+
+test('a stream ticket can only be redeemed once', () => {
+  const ticket = createStreamTicket(USER_ID, SESSION_ID);
+
+  assert.deepEqual(redeemStreamTicket(ticket), { id: USER_ID, sid: SESSION_ID });
+  assert.equal(redeemStreamTicket(ticket), null);
+});
+
+test('each stream ticket is distinct', () => {
+  const first = createStreamTicket(USER_ID, SESSION_ID);
+  const second = createStreamTicket(USER_ID, SESSION_ID);
+
+  assert.notEqual(first, second);
+  assert.ok(redeemStreamTicket(first));
+  assert.ok(redeemStreamTicket(second));
+});
+
+test('expired stream tickets and access tokens are refused', () => {
+  const expired = jwt.sign(
+    { id: USER_ID, sid: SESSION_ID, purpose: 'notification-stream' },
+    process.env.JWT_SECRET,
+    { expiresIn: -1, issuer: 'blogging-app', jwtid: crypto.randomUUID() }
+  );
+
+  assert.equal(redeemStreamTicket(expired), null);
+  assert.equal(redeemStreamTicket(generateAccessToken(USER_ID, SESSION_ID)), null);
+  assert.equal(redeemStreamTicket(undefined), null);
+  assert.equal(redeemStreamTicket(['ticket']), null);
+});
@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+require('./helpers');
+const { Session, Notification } = require('../models');
+const sessionService = require('../services/sessionService');
+const notificationService = require('../services/notificationService');
+
+const USER_ID = crypto.randomUUID();
+const req = { ip: '127.0.0.1', get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/130.0' };
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A stored session whose current refresh token is `token`
+ */
+const storedSession = (t, token, values = {}) => {
+  const session = Session.build({
+    id: crypto.randomUUID(),
+    userId: USER_ID,
+    tokenHash: hash(token),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...values,
+  });
+  t.mock.method(session, 'destroy', async () => {});
+  t.mock.method(session, 'reload', async () => session);
+  return session;
+};
+
+/**
+ * Mock Session.findOne to find `session` by its current or previous token hash
+ */
+const mockFindOne = (t, session) => t.mock.method(Session, 'findOne', async ({ where }) => {
+  if (where.tokenHash && where.tokenHash === session.tokenHash) return session;
+  if (where.previousTokenHash && where.previousTokenHash === session.previousTokenHash) return session;
+  return null;
+});
+
+/**
+ * Open a fake notification stream for a session
+ */
+const openStream = async (sessionId) => {
+  const res = {
+    ended: false,
+    set() {},
+    flushHeaders() {},
+    write() {},
+    end() { this.ended = true; },
+  };
+  await notificationService.subscribe(USER_ID, new EventEmitter(), res, sessionId);
+  return res;
+};
+
+test('refreshSession replaces the refresh token', async (t) => {
+  const session = storedSession(t, 'current');
+  mockFindOne(t, session);
+  const update = t.mock.method(Session, 'update', async () => [1]);
+
+  const result = await sessionService.refreshSession('current', req);
+
+  assert.ok(result.token);
+  assert.notEqual(result.refreshToken, 'current');
+  const [values, { where }] = update.mock.calls[0].arguments;
+  assert.equal(values.previousTokenHash, hash('current'));
+  assert.equal(values.tokenHash, hash(result.refreshToken));
+  assert.deepEqual(where, { id: session.id, tokenHash: hash('current') });
+});
+
+test('refreshSession refuses a token that another request rotated first', async (t) => {
+  mockFindOne(t, storedSession(t, 'current'));
+  t.mock.method(Session, 'update', async () => [0]);
+
+  await assert.rejects(
+    sessionService.refreshSession('current', req),
+    sessionService.InvalidRefreshTokenError
+  );
+});
+
+test('reusing a replaced refresh token revokes the session', async (t) => {
+  const session = storedSession(t, 'next', {
+    previousTokenHash: hash('stolen'),
+    lastUsedAt: new Date(Date.now() - 60 * 1000),
+  });
+  mockFindOne(t, session);
+
+  await assert.rejects(
+    sessionService.refreshSession('stolen', req),
+    sessionService.InvalidRefreshTokenError
+  );
+  assert.equal(session.destroy.mock.callCount(), 1);
+});
+
+test('reusing a token just replaced by another tab keeps the session', async (t) => {
+  const session = storedSession(t, 'next', { previousTokenHash: hash('current') });
+  mockFindOne(t, session);
+
+  await assert.rejects(
+    sessionService.refreshSession('current', req),
+    sessionService.InvalidRefreshTokenError
+  );
+  assert.equal(session.destroy.mock.callCount(), 0);
+});
+
+test('refreshSession refuses and removes an expired session', async (t) => {
+  const session = storedSession(t, 'current', { expiresAt: new Date(Date.now() - 1000) });
+  mockFindOne(t, session);
+  const update = t.mock.method(Session, 'update', async () => [1]);
+
+  await assert.rejects(
+    sessionService.refreshSession('current', req),
+    /Session has expired/
+  );
+  assert.equal(session.destroy.mock.callCount(), 1);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('refreshSession requires a string token', async () => {
+  for (const token of [undefined, '', 42, { token: 'x' }]) {
+    await assert.rejects(
+      sessionService.refreshSession(token, req),
+      sessionService.InvalidRefreshTokenError
+    );
+  }
+});
+
+test('revoking a session closes its notification streams', async (t) => {
+  t.mock.method(Notification, 'countUnread', async () => 0);
+  t.mock.method(Session, 'destroy', async () => 1);
+  const [revoked, other] = [crypto.randomUUID(), crypto.randomUUID()];
+  const revokedStream = await openStream(revoked);
+  const otherStream = await openStream(other);
+
+  assert.equal(await sessionService.revokeSession(USER_ID, revoked), true);
+
+  assert.equal(revokedStream.ended, true);
+  assert.equal(otherStream.ended, false);
+  notificationService.closeAll();
+});
+
+test('revoking the other sessions keeps the current session\'s streams', async (t) => {
+  t.mock.method(Notification, 'countUnread', async () => 0);
+  t.mock.method(Session, 'destroy', async () => 2);
+  const [current, first, second] = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+  const currentStream = await openStream(current);
+  const streams = [await openStream(first), await openStream(second)];
+
+  assert.equal(await sessionService.revokeAllSessions(USER_ID, current), 2);
+
+  assert.deepEqual(streams.map(stream => stream.ended), [true, true]);
+  assert.equal(currentStream.ended, false);
+  notificationService.closeAll();
+});
+
+test('describeDevice names the browser and system', () => {
+  assert.equal(sessionService.describeDevice(req.get()), 'Firefox on Linux');
+  assert.equal(
+    sessionService.describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Mobile Safari/604.1'),
+    'Safari on iOS'
+  );
+  assert.equal(sessionService.describeDevice(undefined), 'Unknown device');
+});
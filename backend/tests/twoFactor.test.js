@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { authenticator } = require('otplib');
+const { createApp, request, buildUser, signIn, mockSessionStore } = require('./helpers');
+const { User } = require('../models');
+const authRoutes = require('../routes/auth');
+
+const app = createApp('/api/auth', authRoutes);
+
+const PASSWORD = 'correct horse battery';
+const SECRET = authenticator.generateSecret(20);
+
+const buildTwoFactorUser = (t, values = {}) => buildUser(t, {
+  password: bcrypt.hashSync(PASSWORD, 4),
+  twoFactorEnabled: true,
+  twoFactorSecret: SECRET,
+  twoFactorRecoveryCodes: [],
+  ...values,
+});
+
+/**
+ * A code from the authenticator, off by half the code space
+ */
+const wrongCode = () => String((Number(authenticator.generate(SECRET)) + 500000) % 1000000).padStart(6, '0');
+
+/**
+ * Log in with the password and return the 2FA challenge token
+ */
+const passwordStep = async (t, user) => {
+  t.mock.method(User, 'findOne', async () => user);
+  const res = await request(app, 'POST', '/api/auth/login', {
+    body: { email: user.email, password: PASSWORD },
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+
+test('the password alone does not log in an account with 2FA', async (t) => {
+  const createSession = mockSessionStore(t);
+
+  const body = await passwordStep(t, buildTwoFactorUser(t));
+
+  assert.equal(body.twoFactorRequired, true);
+  assert.ok(body.challengeToken);
+  assert.equal(body.token, undefined);
+  assert.equal(body.refreshToken, undefined);
+  assert.equal(createSession.mock.callCount(), 0);
+});
+
+test('a wrong code is refused and counts as a failed login', async (t) => {
+  const createSession = mockSessionStore(t);
+  const user = buildTwoFactorUser(t);
+  const { challengeToken } = await passwordStep(t, user);
+  t.mock.method(User, 'findByPk', async () => user);
+
+  const res = await request(app, 'POST', '/api/auth/login/2fa', {
+    body: { challengeToken, code: wrongCode() },
+  });
+
+  assert.equal(res.status, 403);
+  assert.equal(user.failedLoginAttempts, 1);
+  assert.equal(createSession.mock.callCount(), 0);
+});
+
+test('the right code completes the login, once', async (t) => {
+  mockSessionStore(t);
+  const user = buildTwoFactorUser(t);
+  const { challengeToken } = await passwordStep(t, user);
+  t.mock.method(User, 'findByPk', async () => user);
+  const code = authenticator.generate(SECRET);
+
+  const res = await request(app, 'POST', '/api/auth/login/2fa', { body: { challengeToken, code } });
+  const replay = await request(app, 'POST', '/api/auth/login/2fa', { body: { challengeToken, code } });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.ok(res.body.refreshToken);
+  assert.equal(replay.status, 403);
+});
+
+test('a challenge token is not an access token, and vice versa', async (t) => {
+  const user = buildTwoFactorUser(t);
+  const { challengeToken } = await passwordStep(t, user);
+  t.mock.method(User, 'findByPk', async () => user);
+
+  const asAccessToken = await request(app, 'GET', '/api/auth/user', {
+    headers: { Authorization: `Bearer ${challengeToken}` },
+  });
+  const forged = await request(app, 'POST', '/api/auth/login/2fa', {
+    body: { challengeToken: 'not-a-token', code: authenticator.generate(SECRET) },
+  });
+
+  assert.equal(asAccessToken.status, 401);
+  assert.equal(forged.status, 400);
+});
+
+test('Google sign-in of an account with 2FA ends in a challenge', async (t) => {
+  const createSession = mockSessionStore(t);
+  const user = buildTwoFactorUser(t, { googleLoginCodeExpires: new Date(Date.now() + 60 * 1000) });
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(User, 'update', async () => [1]);
+
+  const res = await request(app, 'POST', '/api/auth/google/exchange', { body: { code: 'abc' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.twoFactorRequired, true);
+  assert.ok(res.body.challengeToken);
+  assert.equal(res.body.token, undefined);
+  assert.equal(createSession.mock.callCount(), 0);
+});
+
+test('turning off 2FA needs the password as a string and a valid code', async (t) => {
+  const user = buildTwoFactorUser(t);
+  const { authorization } = signIn(t, user);
+  const disable = (body) => request(app, 'POST', '/api/auth/2fa/disable', {
+    headers: { Authorization: authorization },
+    body,
+  });
+
+  for (const password of [undefined, [PASSWORD], { length: 8 }]) {
+    const res = await disable({ password, code: authenticator.generate(SECRET) });
+    assert.equal(res.status, 400, JSON.stringify(password));
+  }
+  assert.equal((await disable({ password: PASSWORD, code: wrongCode() })).status, 403);
+  assert.equal(user.twoFactorEnabled, true);
+});
@@ -13,14 +13,20 @@ import BlogPage from './pages/BlogPage';
 import CreateBlogPage from './pages/CreateBlogPage';
 import EditBlogPage from './pages/EditBlogPage';
 import MyBlogsPage from './pages/MyBlogsPage';
+import ImportPage from './pages/ImportPage';
 import ProfilePage from './pages/ProfilePage';
+import ReadingListsPage from './pages/ReadingListsPage';
+import ReadingListPage from './pages/ReadingListPage';
 import ForgotPasswordPage from './pages/ForgotPasswordPage';
 import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 
 // Auth
 import LoginForm from './components/auth/LoginForm';
 import RegisterForm from './components/auth/RegisterForm';
 import AuthCallback from './components/auth/AuthCallback';
+import MagicLinkCallback from './components/auth/MagicLinkCallback';
+import EmailVerificationBanner from './components/auth/EmailVerificationBanner';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -59,12 +65,14 @@ function App() {
     <ErrorBoundary>
       <div className="min-h-screen flex flex-col bg-gray-50 dark:bg-gray-900">
         <Header />
+        <EmailVerificationBanner />
         <main className="flex-1">
           <Routes>
             {/* Public Routes */}
             <Route path="/" element={<HomePage />} />
             <Route path="/blogs" element={<BlogsPage />} />
             <Route path="/blog/:id" element={<BlogPage />} />
+            <Route path="/reading-lists/:id" element={<ReadingListPage />} />
             
             {/* Auth Routes */}
             <Route 
@@ -100,6 +108,9 @@ function App() {
               } 
             />
             <Route path="/auth/callback" element={<AuthCallback />} />
+            <Route path="/auth/magic" element={<MagicLinkCallback />} />
+            {/* Works signed in or out: the link is opened from an email */}
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
             
             {/* Protected Routes */}
             <Route 
@@ -126,6 +137,14 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/import" 
+              element={
+                <ProtectedRoute>
+                  <ImportPage />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/profile" 
               element={
@@ -134,6 +153,14 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/reading-lists" 
+              element={
+                <ProtectedRoute>
+                  <ReadingListsPage />
+                </ProtectedRoute>
+              } 
+            />
             
             {/* Catch all - 404 */}
             <Route 
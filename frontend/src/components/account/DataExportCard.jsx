@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Download, Loader2, Archive, RefreshCw } from 'lucide-react';
+import { format } from 'date-fns';
+import { useAccountExport, useRefreshAccountExport } from '../../hooks/useAccount';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const DataExportCard = () => {
+  const [requested, setRequested] = useState(false);
+  const { data: accountExport, isFetching, isError } = useAccountExport(requested);
+  const refreshExport = useRefreshAccountExport();
+
+  const isBuilding = accountExport && (accountExport.status === 'pending' || accountExport.status === 'running');
+  const isReady = accountExport?.status === 'completed' && accountExport.downloadUrl;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="card p-6 mt-8"
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <Archive className="w-5 h-5 text-purple-500" />
+            Download Your Data
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Get a zip archive with your profile, all your posts as Markdown and HTML, your comments,
+            bookmarks and uploaded images.
+          </p>
+        </div>
+        {!requested && (
+          <button
+            onClick={() => setRequested(true)}
+            className="btn-secondary inline-flex items-center gap-2 shrink-0"
+          >
+            <Download className="w-4 h-4" />
+            Request Export
+          </button>
+        )}
+      </div>
+
+      {requested && (
+        <div className="mt-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm">
+          {isError && (
+            <p className="text-red-600 dark:text-red-400">
+              Your export could not be started. Please try again later.
+            </p>
+          )}
+
+          {(isBuilding || (isFetching && !accountExport)) && (
+            <p className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Preparing your archive. You can leave this page; we will email you a download link.
+            </p>
+          )}
+
+          {accountExport?.status === 'failed' && (
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-red-600 dark:text-red-400">{accountExport.error}</p>
+              <button
+                onClick={() => refreshExport.mutate()}
+                disabled={refreshExport.isPending}
+                className="btn-secondary shrink-0"
+              >
+                Try Again
+              </button>
+            </div>
+          )}
+
+          {isReady && (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div className="text-gray-700 dark:text-gray-300">
+                <p>
+                  Created {format(new Date(accountExport.finishedAt), 'PPp')}
+                  {accountExport.size ? ` · ${formatSize(accountExport.size)}` : ''}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {accountExport.counts.posts} posts, {accountExport.counts.comments} comments,{' '}
+                  {accountExport.counts.bookmarks} bookmarks, {accountExport.counts.media} images ·
+                  link expires {format(new Date(accountExport.expiresAt), 'PPp')}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  onClick={() => refreshExport.mutate()}
+                  disabled={refreshExport.isPending}
+                  className="btn-secondary inline-flex items-center gap-2"
+                  title="Build a new archive with your latest data"
+                >
+                  <RefreshCw className={`w-4 h-4 ${refreshExport.isPending ? 'animate-spin' : ''}`} />
+                  Refresh
+                </button>
+                <a href={accountExport.downloadUrl} className="btn-primary inline-flex items-center gap-2">
+                  <Download className="w-4 h-4" />
+                  Download
+                </a>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default DataExportCard;
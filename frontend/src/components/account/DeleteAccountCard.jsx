@@ -0,0 +1,204 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Trash2, AlertTriangle, Check, Loader2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuthStore } from '../../stores/authStore';
+import { authAPI } from '../../lib/api';
+
+const CONTENT_MODES = [
+  {
+    value: 'anonymize',
+    label: 'Keep my published posts',
+    description: 'They stay up, credited to "Deleted User". Drafts are deleted.',
+  },
+  {
+    value: 'delete',
+    label: 'Delete all my posts',
+    description: 'Every post you wrote is deleted with your account.',
+  },
+];
+
+const DeleteAccountCard = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, deleteAccount, isLoading } = useAuthStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [contentMode, setContentMode] = useState('anonymize');
+  const [password, setPassword] = useState('');
+  const [reauthToken, setReauthToken] = useState(null);
+  // The code from Google works once, so never send it twice
+  const exchangedReauthCode = useRef(false);
+
+  // Accounts without a password come back here from Google with a code for a reauth token
+  const usesGoogleOnly = user?.hasPassword === false;
+
+  useEffect(() => {
+    const code = searchParams.get('reauthCode');
+    // Confirmations for other actions (such as setting a password) are handled elsewhere
+    if (!code || searchParams.get('action') || exchangedReauthCode.current) return;
+
+    exchangedReauthCode.current = true;
+    setSearchParams({}, { replace: true });
+    authAPI.exchangeGoogleReauthCode(code)
+      .then((response) => {
+        setReauthToken(response.data.reauthToken);
+        setIsOpen(true);
+      })
+      .catch((error) => {
+        toast.error(error.response?.data?.message || 'Google confirmation has expired. Please confirm again.');
+      });
+  }, [searchParams, setSearchParams]);
+
+  const handleClose = () => {
+    setIsOpen(false);
+    setPassword('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const result = await deleteAccount(
+      usesGoogleOnly ? { contentMode, reauthToken } : { contentMode, password }
+    );
+    if (result.success) {
+      navigate('/');
+    }
+  };
+
+  const canSubmit = usesGoogleOnly ? !!reauthToken : password.length > 0;
+
+  return (
+    <>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.4 }}
+        className="card p-6 mt-8 border border-red-200 dark:border-red-900/50"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-red-600 dark:text-red-400 flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5" />
+              Delete Account
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Your account is deleted after a grace period. Logging in again before then cancels the deletion.
+              Consider downloading your data first.
+            </p>
+          </div>
+          <button
+            onClick={() => setIsOpen(true)}
+            className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white font-medium inline-flex items-center gap-2 shrink-0 transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete Account
+          </button>
+        </div>
+      </motion.div>
+
+      {isOpen && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white dark:bg-gray-800 rounded-xl max-w-md w-full p-6 shadow-xl"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                Delete your account?
+              </h3>
+              <button
+                onClick={handleClose}
+                className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 rounded"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <fieldset className="space-y-2">
+                <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  What should happen to your posts?
+                </legend>
+                {CONTENT_MODES.map(mode => (
+                  <label
+                    key={mode.value}
+                    className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                      contentMode === mode.value
+                        ? 'border-red-500 bg-red-50 dark:bg-red-900/20'
+                        : 'border-gray-200 dark:border-gray-700'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="contentMode"
+                      value={mode.value}
+                      checked={contentMode === mode.value}
+                      onChange={(e) => setContentMode(e.target.value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-900 dark:text-white">{mode.label}</span>
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">{mode.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </fieldset>
+
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Your comments stay in their threads without your name. Likes, bookmarks, follows,
+                reading lists and uploaded images are deleted.
+              </p>
+
+              {usesGoogleOnly ? (
+                reauthToken ? (
+                  <p className="flex items-center gap-2 text-sm text-green-600 dark:text-green-400">
+                    <Check className="w-4 h-4" />
+                    Confirmed with Google
+                  </p>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => { window.location.href = authAPI.googleReauthUrl(); }}
+                    className="btn-secondary w-full"
+                  >
+                    Confirm with Google
+                  </button>
+                )
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Enter your password to confirm
+                  </label>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    className="input"
+                  />
+                </div>
+              )}
+
+              <div className="flex justify-end gap-3 pt-2">
+                <button type="button" onClick={handleClose} className="btn-secondary">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!canSubmit || isLoading}
+                  className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium inline-flex items-center gap-2 transition-colors"
+                >
+                  {isLoading && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Delete My Account
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DeleteAccountCard;
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { ShieldCheck, ShieldOff, KeyRound, Copy, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuthStore } from '../../stores/authStore';
+import {
+  useSetupTwoFactor,
+  useEnableTwoFactor,
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes,
+} from '../../hooks/useAccount';
+
+// Shown once after enabling 2FA or generating new codes
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  return (
+    <div className="mt-4 rounded-lg border border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-900/20 p-4">
+      <p className="text-sm text-amber-800 dark:text-amber-300 mb-3">
+        Save these recovery codes somewhere safe. Each one lets you log in once if you lose your
+        authenticator, and they won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-white mb-4">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-2">
+        <button onClick={handleCopy} className="btn-secondary inline-flex items-center gap-2">
+          <Copy className="w-4 h-4" />
+          Copy
+        </button>
+        <button onClick={onDone} className="btn-primary">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SecurityCard = () => {
+  const { user, setUser } = useAuthStore();
+  const setup = useSetupTwoFactor();
+  const enable = useEnableTwoFactor();
+  const disable = useDisableTwoFactor();
+  const regenerate = useRegenerateRecoveryCodes();
+
+  // null, 'disable' or 'recovery' while one of those forms is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const isEnabled = !!user?.twoFactorEnabled;
+  const provisioning = setup.data;
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    enable.mutate(code.replace(/\s/g, ''), {
+      onSuccess: (data) => {
+        setRecoveryCodes(data.recoveryCodes);
+        setUser({ ...user, twoFactorEnabled: true });
+        setup.reset();
+        resetForm();
+      },
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    disable.mutate({ password, code: code.replace(/\s/g, '') }, {
+      onSuccess: () => {
+        setUser({ ...user, twoFactorEnabled: false });
+        resetForm();
+      },
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    regenerate.mutate(code.replace(/\s/g, ''), {
+      onSuccess: (data) => {
+        setRecoveryCodes(data.recoveryCodes);
+        resetForm();
+      },
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className="input max-w-[10rem] tracking-widest"
+      placeholder="123456"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+    />
+  );
+
+  const renderContent = () => {
+    if (user?.hasPassword === false) {
+      return (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Two-factor authentication is available for accounts that log in with a password.
+          Your account is protected by your Google sign-in.
+        </p>
+      );
+    }
+
+    if (isEnabled) {
+      return (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <p className="text-sm font-medium text-green-600 dark:text-green-400 flex items-center gap-2">
+              <ShieldCheck className="w-4 h-4" />
+              Two-factor authentication is on
+            </p>
+            {!action && (
+              <div className="flex gap-2">
+                <button onClick={() => setAction('recovery')} className="btn-secondary inline-flex items-center gap-2">
+                  <KeyRound className="w-4 h-4" />
+                  New Recovery Codes
+                </button>
+                <button
+                  onClick={() => setAction('disable')}
+                  className="px-4 py-2 rounded-lg border border-red-300 dark:border-red-800 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 inline-flex items-center gap-2 transition-colors"
+                >
+                  <ShieldOff className="w-4 h-4" />
+                  Disable
+                </button>
+              </div>
+            )}
+          </div>
+
+          {action === 'recovery' && (
+            <form onSubmit={handleRegenerate} className="mt-4 space-y-3">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Enter a code from your authenticator app. Your current recovery codes will stop working.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {codeInput}
+                <button type="submit" disabled={!code || regenerate.isPending} className="btn-primary">
+                  Generate
+                </button>
+                <button type="button" onClick={resetForm} className="btn-secondary">Cancel</button>
+              </div>
+            </form>
+          )}
+
+          {action === 'disable' && (
+            <form onSubmit={handleDisable} className="mt-4 space-y-3">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Confirm with your password and a code from your authenticator app.
+              </p>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input max-w-xs"
+                placeholder="Current password"
+                autoComplete="current-password"
+              />
+              <div className="flex flex-wrap gap-2">
+                {codeInput}
+                <button
+                  type="submit"
+                  disabled={!password || !code || disable.isPending}
+                  className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white font-medium disabled:opacity-50 transition-colors"
+                >
+                  Disable 2FA
+                </button>
+                <button type="button" onClick={resetForm} className="btn-secondary">Cancel</button>
+              </div>
+            </form>
+          )}
+        </>
+      );
+    }
+
+    if (provisioning) {
+      return (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy,
+            then enter the 6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 items-start">
+            <img
+              src={provisioning.qrCode}
+              alt="QR code for your authenticator app"
+              className="w-40 h-40 rounded-lg bg-white p-2"
+            />
+            <div className="text-sm min-w-0">
+              <p className="text-gray-600 dark:text-gray-400">Can't scan it? Enter this key instead:</p>
+              <code className="block mt-1 font-mono break-all text-gray-900 dark:text-white">
+                {provisioning.secret}
+              </code>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {codeInput}
+            <button type="submit" disabled={!code || enable.isPending} className="btn-primary">
+              {enable.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Enable'}
+            </button>
+            <button type="button" onClick={() => { setup.reset(); resetForm(); }} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Ask for a code from an authenticator app whenever you log in with your password.
+        </p>
+        <button
+          onClick={() => setup.mutate()}
+          disabled={setup.isPending}
+          className="btn-primary inline-flex items-center gap-2 shrink-0"
+        >
+          {setup.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+          Set Up 2FA
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+      className="card p-6 mt-8"
+    >
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2 mb-4">
+        <ShieldCheck className="w-5 h-5 text-purple-500" />
+        Security
+      </h2>
+      {renderContent()}
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+    </motion.div>
+  );
+};
+
+export default SecurityCard;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Monitor, Smartphone, LogOut, Loader2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useSessions, useRevokeSession } from '../../hooks/useAccount';
+import { useAuthStore } from '../../stores/authStore';
+
+const isMobile = (device) => /iOS|Android/.test(device);
+
+const SessionsCard = () => {
+  const navigate = useNavigate();
+  const { logoutAll } = useAuthStore();
+  const { data: sessions, isLoading } = useSessions();
+  const revokeSession = useRevokeSession();
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+    const result = await logoutAll();
+    if (result.success) {
+      navigate('/login');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="card p-6 mt-8"
+    >
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <Monitor className="w-5 h-5 text-purple-500" />
+            Signed-in Devices
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Log out devices you don't recognize. Changing your password also logs out every other device.
+          </p>
+        </div>
+        <button
+          onClick={handleLogoutAll}
+          className="btn-secondary inline-flex items-center gap-2 shrink-0"
+        >
+          <LogOut className="w-4 h-4" />
+          Log Out Everywhere
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {sessions?.map(session => {
+            const DeviceIcon = isMobile(session.device) ? Smartphone : Monitor;
+            return (
+              <li key={session.id} className="flex items-center justify-between gap-4 py-3">
+                <div className="flex items-center gap-3 min-w-0">
+                  <DeviceIcon className="w-5 h-5 text-gray-400 shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      {session.device}
+                      {session.current && (
+                        <span className="ml-2 text-xs font-normal text-green-600 dark:text-green-400">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {session.ipAddress ? `${session.ipAddress} · ` : ''}
+                      Active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession.mutate(session.id)}
+                    disabled={revokeSession.isPending}
+                    className="text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-50 shrink-0"
+                  >
+                    Log out
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default SessionsCard;
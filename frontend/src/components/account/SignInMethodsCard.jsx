@@ -0,0 +1,263 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { LogIn, KeyRound, Mail, Link2, Unlink, Loader2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../lib/api';
+import {
+  useSignInMethods,
+  useStartGoogleLink,
+  useUnlinkGoogle,
+  useSetPassword,
+} from '../../hooks/useAccount';
+
+const GoogleIcon = () => (
+  <svg className="w-5 h-5" viewBox="0 0 24 24">
+    <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" />
+    <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" />
+    <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" />
+    <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" />
+  </svg>
+);
+
+const METHODS = {
+  password: {
+    label: 'Password',
+    description: 'Log in with your email and password.',
+    icon: <KeyRound className="w-5 h-5 text-gray-500" />,
+  },
+  google: {
+    label: 'Google',
+    description: 'Log in with your Google account.',
+    icon: <GoogleIcon />,
+  },
+  'email-link': {
+    label: 'Email link',
+    description: 'Get a single-use sign-in link by email. Always available.',
+    icon: <Mail className="w-5 h-5 text-gray-500" />,
+  },
+};
+
+const SignInMethodsCard = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { data: methods, isLoading } = useSignInMethods();
+  const startGoogleLink = useStartGoogleLink();
+  const unlinkGoogle = useUnlinkGoogle();
+  const setPassword = useSetPassword();
+
+  const [isUnlinking, setIsUnlinking] = useState(false);
+  const [unlinkPassword, setUnlinkPassword] = useState('');
+  // Google-only accounts come back from Google with a code for a token that allows setting a password
+  const [reauthToken, setReauthToken] = useState(null);
+  const exchangedReauthCode = useRef(false);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  useEffect(() => {
+    const linked = searchParams.get('googleLinked');
+    // Google confirmations that matched no account come back with reauthError
+    const linkError = searchParams.get('linkError') || searchParams.get('reauthError');
+    const reauthCode = searchParams.get('action') === 'set-password' && searchParams.get('reauthCode');
+    if (!linked && !linkError && !reauthCode) return;
+
+    if (linked) toast.success('Google account connected');
+    if (linkError) toast.error(linkError);
+    // The code works once, so never send it twice
+    if (reauthCode && !exchangedReauthCode.current) {
+      exchangedReauthCode.current = true;
+      authAPI.exchangeGoogleReauthCode(reauthCode)
+        .then((response) => setReauthToken(response.data.reauthToken))
+        .catch((error) => {
+          toast.error(error.response?.data?.message || 'Google confirmation has expired. Please confirm again.');
+        });
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const hasPassword = methods?.find(method => method.id === 'password')?.connected;
+
+  const handleUnlink = (e) => {
+    e.preventDefault();
+    unlinkGoogle.mutate(unlinkPassword, {
+      onSuccess: () => {
+        setIsUnlinking(false);
+        setUnlinkPassword('');
+      },
+    });
+  };
+
+  const handleSetPassword = (e) => {
+    e.preventDefault();
+    if (newPassword.length < 6) {
+      toast.error('Password must be at least 6 characters long');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    setPassword.mutate({ password: newPassword, reauthToken }, {
+      onSuccess: () => {
+        setReauthToken(null);
+        setNewPassword('');
+        setConfirmPassword('');
+      },
+    });
+  };
+
+  const renderAction = (method) => {
+    if (method.id === 'google') {
+      if (!method.connected) {
+        return (
+          <button
+            onClick={() => startGoogleLink.mutate()}
+            disabled={startGoogleLink.isPending}
+            className="btn-secondary inline-flex items-center gap-2 shrink-0"
+          >
+            {startGoogleLink.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2 className="w-4 h-4" />}
+            Connect
+          </button>
+        );
+      }
+      return (
+        <button
+          onClick={() => setIsUnlinking(true)}
+          disabled={!method.removable}
+          title={method.removable ? undefined : 'Set a password first so you can still log in'}
+          className="btn-secondary inline-flex items-center gap-2 shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Unlink className="w-4 h-4" />
+          Disconnect
+        </button>
+      );
+    }
+
+    if (method.id === 'password' && !method.connected) {
+      return (
+        <a href={authAPI.googleReauthUrl('set-password')} className="btn-secondary shrink-0">
+          Set Password
+        </a>
+      );
+    }
+
+    return method.connected ? (
+      <span className="text-sm text-green-600 dark:text-green-400 shrink-0">Connected</span>
+    ) : null;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.22 }}
+      className="card p-6 mt-8"
+    >
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+        <LogIn className="w-5 h-5 text-blue-500" />
+        Sign-in Methods
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 mb-4">
+        Choose how you log in. Your account always keeps a password or Google, so you can't lock yourself out.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {methods?.map(method => (
+            <li key={method.id} className="flex items-center justify-between gap-4 py-3">
+              <div className="flex items-center gap-3">
+                {METHODS[method.id].icon}
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">{METHODS[method.id].label}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {method.id === 'google' && method.connected && !method.removable
+                      ? 'Your only way to log in besides email links. Set a password to disconnect it.'
+                      : METHODS[method.id].description}
+                  </p>
+                </div>
+              </div>
+              {renderAction(method)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {reauthToken && !hasPassword && (
+        <form onSubmit={handleSetPassword} className="mt-4 space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Google confirmed it's you. Choose a password to log in with your email too.
+          </p>
+          <input
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            className="input"
+            placeholder="New password"
+            autoComplete="new-password"
+            autoFocus
+          />
+          <input
+            type="password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            className="input"
+            placeholder="Confirm new password"
+            autoComplete="new-password"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={setPassword.isPending || !newPassword}
+              className="btn-primary inline-flex items-center gap-2"
+            >
+              {setPassword.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+              Set Password
+            </button>
+            <button type="button" onClick={() => setReauthToken(null)} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isUnlinking && (
+        <form onSubmit={handleUnlink} className="mt-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Enter your password to disconnect Google. You'll log in with your email and password afterwards.
+            </p>
+            <button
+              type="button"
+              onClick={() => { setIsUnlinking(false); setUnlinkPassword(''); }}
+              className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 rounded"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <input
+            type="password"
+            value={unlinkPassword}
+            onChange={(e) => setUnlinkPassword(e.target.value)}
+            className="input"
+            placeholder="Current password"
+            autoComplete="current-password"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={unlinkGoogle.isPending || !unlinkPassword}
+            className="btn-primary inline-flex items-center gap-2"
+          >
+            {unlinkGoogle.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+            Disconnect Google
+          </button>
+        </form>
+      )}
+    </motion.div>
+  );
+};
+
+export default SignInMethodsCard;
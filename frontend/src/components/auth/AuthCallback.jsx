@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
@@ -10,9 +10,14 @@ const AuthCallback = () => {
   const { handleOAuthCallback } = useAuthStore();
   const [status, setStatus] = useState('loading'); // loading, success, error
   const [errorMessage, setErrorMessage] = useState('');
+  // The code works once, so never send it twice
+  const attempted = useRef(false);
 
   useEffect(() => {
-    const token = searchParams.get('token');
+    if (attempted.current) return;
+    attempted.current = true;
+
+    const code = searchParams.get('code');
     const error = searchParams.get('error');
 
     if (error) {
@@ -22,19 +27,23 @@ const AuthCallback = () => {
       return;
     }
 
-    if (token) {
-      const success = handleOAuthCallback(token);
-      if (success) {
-        setStatus('success');
-        setTimeout(() => navigate('/blogs'), 1500);
-      } else {
-        setStatus('error');
-        setErrorMessage('Failed to process authentication');
-        setTimeout(() => navigate('/login'), 3000);
-      }
+    if (code) {
+      handleOAuthCallback(code).then((result) => {
+        if (result.success) {
+          setStatus('success');
+          setTimeout(() => navigate('/blogs'), 1500);
+        } else if (result.twoFactorRequired) {
+          // The login page asks for the authenticator code; the challenge stays out of the URL
+          navigate('/login', { replace: true, state: { twoFactorChallenge: result.challengeToken } });
+        } else {
+          setStatus('error');
+          setErrorMessage('Failed to process authentication');
+          setTimeout(() => navigate('/login'), 3000);
+        }
+      });
     } else {
       setStatus('error');
-      setErrorMessage('No authentication token received');
+      setErrorMessage('No sign-in code received');
       setTimeout(() => navigate('/login'), 3000);
     }
   }, [searchParams, handleOAuthCallback, navigate]);
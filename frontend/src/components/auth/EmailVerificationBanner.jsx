@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { MailWarning, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../lib/api';
+import { useAuthStore } from '../../stores/authStore';
+
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated } = useAuthStore();
+  const [isSending, setIsSending] = useState(false);
+
+  // Users loaded before the flag existed have no emailVerified at all
+  if (!isAuthenticated || !user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-amber-50 dark:bg-amber-900/20 border-b border-amber-200 dark:border-amber-800">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm">
+        <p className="flex items-center gap-2 text-amber-800 dark:text-amber-200">
+          <MailWarning className="w-4 h-4 shrink-0" />
+          Verify your email address ({user.email}) to publish posts and use the AI tools.
+        </p>
+        <button
+          onClick={handleResend}
+          disabled={isSending}
+          className="inline-flex items-center gap-1 font-medium text-amber-900 dark:text-amber-100 hover:underline disabled:opacity-50 shrink-0"
+        >
+          {isSending && <Loader2 className="w-4 h-4 animate-spin" />}
+          Resend verification email
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
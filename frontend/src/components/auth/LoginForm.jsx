@@ -1,12 +1,15 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Eye, EyeOff, LogIn, Sparkles } from 'lucide-react';
+import { Eye, EyeOff, LogIn, Sparkles, Lock, Mail } from 'lucide-react';
 import { useAuthStore } from '../../stores/authStore';
 import { LoadingSpinner } from '../common/LoadingSpinner';
+import TwoFactorForm from './TwoFactorForm';
+import MagicLinkForm from './MagicLinkForm';
 
 const LoginForm = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { login, loginWithGoogle, isLoading, error, clearError } = useAuthStore();
   
   const [formData, setFormData] = useState({
@@ -15,6 +18,11 @@ const LoginForm = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set once the password is accepted for an account with 2FA; Google sign-in passes it in the router state
+  const [challengeToken, setChallengeToken] = useState(location.state?.twoFactorChallenge || null);
+  // Too many failed attempts; the account opens again later or after a password reset
+  const [isLocked, setIsLocked] = useState(false);
+  const [showMagicLink, setShowMagicLink] = useState(false);
 
   const validateForm = () => {
     const newErrors = {};
@@ -46,6 +54,19 @@ const LoginForm = () => {
     const result = await login(formData);
     if (result.success) {
       navigate('/blogs');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else {
+      setIsLocked(!!result.locked);
+    }
+  };
+
+  const handleTwoFactorCancel = (locked = false) => {
+    setChallengeToken(null);
+    setIsLocked(locked);
+    setFormData((prev) => ({ ...prev, password: '' }));
+    if (location.state?.twoFactorChallenge) {
+      navigate(location.pathname, { replace: true, state: null });
     }
   };
 
@@ -53,6 +74,32 @@ const LoginForm = () => {
     loginWithGoogle();
   };
 
+  // The second factor and the email-link form replace the password form
+  if (challengeToken || showMagicLink) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 px-4 py-12">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card p-8 w-full max-w-md"
+        >
+          {challengeToken ? (
+            <TwoFactorForm
+              challengeToken={challengeToken}
+              onSuccess={() => navigate('/blogs')}
+              onCancel={handleTwoFactorCancel}
+            />
+          ) : (
+            <MagicLinkForm
+              initialEmail={formData.email}
+              onCancel={() => setShowMagicLink(false)}
+            />
+          )}
+        </motion.div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 px-4 py-12">
       <motion.div
@@ -112,6 +159,19 @@ const LoginForm = () => {
             </div>
           </div>
 
+          {isLocked && (
+            <div className="mb-5 flex gap-3 rounded-lg border border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-900/20 p-4 text-sm text-amber-800 dark:text-amber-300">
+              <Lock className="w-5 h-5 shrink-0" />
+              <p>
+                This account is temporarily locked after too many failed attempts.{' '}
+                <Link to="/forgot-password" className="font-medium underline">
+                  Reset your password
+                </Link>{' '}
+                to unlock it now.
+              </p>
+            </div>
+          )}
+
           {/* Login Form */}
           <form onSubmit={handleSubmit} className="space-y-5">
             {/* Email */}
@@ -184,6 +244,16 @@ const LoginForm = () => {
                 </>
               )}
             </button>
+
+            <button
+              type="button"
+              onClick={() => setShowMagicLink(true)}
+              className="w-full flex items-center justify-center gap-2 text-sm text-primary-600 hover:text-primary-700"
+              data-testid="magic-link-btn"
+            >
+              <Mail className="w-4 h-4" />
+              Email me a sign-in link instead
+            </button>
           </form>
 
           {/* Register Link */}
@@ -0,0 +1,106 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { useAuthStore } from '../../stores/authStore';
+
+// Opened from the sign-in link email; exchanges the link's token for a login
+const MagicLinkCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { loginWithMagicLink } = useAuthStore();
+  const [status, setStatus] = useState('loading'); // loading, success, error
+  const [errorMessage, setErrorMessage] = useState('');
+  // Links are single-use, so never send the same token twice
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (attempted.current) return;
+    attempted.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setStatus('error');
+      setErrorMessage('This sign-in link is incomplete.');
+      return;
+    }
+
+    loginWithMagicLink(token).then((result) => {
+      if (result.success) {
+        setStatus('success');
+        setTimeout(() => navigate('/blogs'), 1500);
+      } else if (result.twoFactorRequired) {
+        // The login page asks for the authenticator code; the challenge stays out of the URL
+        navigate('/login', { replace: true, state: { twoFactorChallenge: result.challengeToken } });
+      } else {
+        setStatus('error');
+        setErrorMessage(result.error);
+      }
+    });
+  }, [searchParams, loginWithMagicLink, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 px-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="card p-8 max-w-md w-full text-center"
+      >
+        {status === 'loading' && (
+          <>
+            <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+              <Loader2 className="w-8 h-8 text-primary-600 animate-spin" />
+            </div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              Signing you in...
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              Please wait while we check your sign-in link.
+            </p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <motion.div
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              className="w-16 h-16 mx-auto mb-4 rounded-full bg-green-100 dark:bg-green-900/30 flex items-center justify-center"
+            >
+              <CheckCircle className="w-8 h-8 text-green-600" />
+            </motion.div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              Welcome!
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              You're signed in. Redirecting you...
+            </p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <motion.div
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              className="w-16 h-16 mx-auto mb-4 rounded-full bg-red-100 dark:bg-red-900/30 flex items-center justify-center"
+            >
+              <XCircle className="w-8 h-8 text-red-600" />
+            </motion.div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              Sign-in Link Not Valid
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
+              {errorMessage}
+            </p>
+            <Link to="/login" className="btn-primary inline-block">
+              Back to Login
+            </Link>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default MagicLinkCallback;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Mail, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../lib/api';
+import { LoadingSpinner } from '../common/LoadingSpinner';
+
+// Passwordless login: emails a single-use link that opens /auth/magic
+const MagicLinkForm = ({ initialEmail = '', onCancel }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await authAPI.requestMagicLink(email);
+      setIsSent(true);
+    } catch (err) {
+      const message = err.response?.data?.message || 'Failed to send sign-in link. Please try again.';
+      setError(message);
+      toast.error(message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const backButton = (
+    <button
+      type="button"
+      onClick={onCancel}
+      className="inline-flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+    >
+      <ArrowLeft className="w-4 h-4" />
+      Back to login
+    </button>
+  );
+
+  if (isSent) {
+    return (
+      <div className="text-center space-y-4">
+        <div className="w-16 h-16 mx-auto rounded-full bg-green-100 dark:bg-green-900/30 flex items-center justify-center">
+          <Mail className="w-8 h-8 text-green-600 dark:text-green-400" />
+        </div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Check your inbox</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          If an account exists for <strong>{email}</strong>, we've sent it a sign-in link.
+          The link works once and expires in a few minutes.
+        </p>
+        {backButton}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Sign in without a password</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+          We'll email you a link that signs you in.
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Email
+        </label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className={`input ${error ? 'input-error' : ''}`}
+          placeholder="you@example.com"
+          autoFocus
+          data-testid="magic-link-email-input"
+        />
+        {error && <p className="mt-1 text-sm text-red-500">{error}</p>}
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="w-full btn-primary flex items-center justify-center gap-2 py-3"
+        data-testid="magic-link-submit-btn"
+      >
+        {isLoading ? (
+          <LoadingSpinner size="sm" className="text-white" />
+        ) : (
+          <>
+            <Mail className="w-5 h-5" />
+            Email Me a Link
+          </>
+        )}
+      </button>
+
+      {backButton}
+    </form>
+  );
+};
+
+export default MagicLinkForm;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { ShieldCheck, ArrowLeft } from 'lucide-react';
+import { useAuthStore } from '../../stores/authStore';
+import { LoadingSpinner } from '../common/LoadingSpinner';
+
+// Second login step for accounts with two-factor authentication
+const TwoFactorForm = ({ challengeToken, onSuccess, onCancel }) => {
+  const { completeTwoFactorLogin, isLoading } = useAuthStore();
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [value, setValue] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    const result = await completeTwoFactorLogin(
+      useRecovery
+        ? { challengeToken, recoveryCode: value.trim() }
+        : { challengeToken, code: value.replace(/\s/g, '') }
+    );
+    if (result.success) {
+      onSuccess();
+    } else if (result.expired || result.locked) {
+      onCancel(result.locked);
+    } else {
+      setValue('');
+    }
+  };
+
+  const toggleRecovery = () => {
+    setUseRecovery(!useRecovery);
+    setValue('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <div className="text-center">
+        <ShieldCheck className="w-10 h-10 text-primary-600 mx-auto mb-2" />
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Two-factor authentication</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+          {useRecovery
+            ? 'Enter one of your recovery codes. Each code works only once.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        className="input text-center tracking-widest"
+        placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecovery ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        autoFocus
+        data-testid="two-factor-input"
+      />
+
+      <button
+        type="submit"
+        disabled={isLoading || !value.trim()}
+        className="w-full btn-primary flex items-center justify-center gap-2 py-3"
+        data-testid="two-factor-submit-btn"
+      >
+        {isLoading ? <LoadingSpinner size="sm" className="text-white" /> : 'Verify'}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={() => onCancel()}
+          className="inline-flex items-center gap-1 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          Back to login
+        </button>
+        <button
+          type="button"
+          onClick={toggleRecovery}
+          className="text-primary-600 hover:text-primary-700"
+        >
+          {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorForm;
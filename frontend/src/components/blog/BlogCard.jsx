@@ -3,6 +3,23 @@ import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Calendar, Tag, ArrowRight, Clock, Sparkles } from 'lucide-react';
 import { format } from 'date-fns';
+import { getBlogPath } from '../../lib/blogUrl';
+import BlogReactions from './BlogReactions';
+
+// Render a search snippet, turning the server's <mark> tags into elements
+// without injecting any other markup
+const renderHighlight = (snippet) =>
+  snippet.split(/(<mark>.*?<\/mark>)/g).map((part, i) => {
+    const match = part.match(/^<mark>(.*?)<\/mark>$/);
+    if (match) {
+      return (
+        <mark key={i} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded px-0.5">
+          {match[1]}
+        </mark>
+      );
+    }
+    return <React.Fragment key={i}>{part.replace(/<[^>]*>/g, '')}</React.Fragment>;
+  });
 
 const BlogCard = ({ blog, index = 0 }) => {
   const {
@@ -16,6 +33,8 @@ const BlogCard = ({ blog, index = 0 }) => {
     createdAt,
     aiGenerated,
     category,
+    titleHighlight,
+    contentHighlight,
   } = blog;
 
   const blogId = _id || id;
@@ -40,7 +59,7 @@ const BlogCard = ({ blog, index = 0 }) => {
       className="card card-hover overflow-hidden group"
       data-testid={`blog-card-${blogId}`}
     >
-      <Link to={`/blog/${blogId}`} className="block p-6">
+      <Link to={getBlogPath(blog)} className="block p-6">
         {/* Category & AI Badge */}
         <div className="flex items-center gap-2 mb-3">
           {category && (
@@ -56,12 +75,16 @@ const BlogCard = ({ blog, index = 0 }) => {
 
         {/* Title */}
         <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-2 group-hover:text-primary-600 dark:group-hover:text-primary-400 transition-colors line-clamp-2">
-          {title || 'Untitled Post'}
+          {titleHighlight && titleHighlight.includes('<mark>')
+            ? renderHighlight(titleHighlight)
+            : title || 'Untitled Post'}
         </h3>
 
-        {/* Preview */}
+        {/* Preview (search match snippet when available) */}
         <p className="text-gray-600 dark:text-gray-400 mb-4 line-clamp-3">
-          {preview}
+          {contentHighlight && contentHighlight.includes('<mark>')
+            ? renderHighlight(contentHighlight)
+            : preview}
         </p>
 
         {/* Tags */}
@@ -95,6 +118,8 @@ const BlogCard = ({ blog, index = 0 }) => {
           </div>
 
           <div className="flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+            {/* Likes & Bookmarks */}
+            <BlogReactions blog={blog} />
             {/* Date */}
             <span className="flex items-center gap-1">
               <Calendar className="w-3 h-3" />
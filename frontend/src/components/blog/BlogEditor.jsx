@@ -1,4 +1,4 @@
-import React, { useEffect, useCallback, useState } from 'react';
+import React, { useEffect, useCallback, useState, useRef } from 'react';
 import { useEditor, EditorContent } from '@tiptap/react';
 import StarterKit from '@tiptap/starter-kit';
 import Placeholder from '@tiptap/extension-placeholder';
@@ -7,11 +7,32 @@ import Image from '@tiptap/extension-image';
 import { 
   Bold, Italic, Strikethrough, Code, List, ListOrdered, 
   Quote, Undo, Redo, Link as LinkIcon, Image as ImageIcon,
-  Heading1, Heading2, Heading3, Minus, Sparkles
+  Heading1, Heading2, Heading3, Minus, Sparkles, ImagePlus, Loader2, FolderOpen
 } from 'lucide-react';
 import AIWritingAssistant from '../ai/AIWritingAssistant';
+import MediaLibraryModal from './MediaLibraryModal';
+import { useUploadMedia, getImageFiles, ACCEPTED_IMAGE_TYPES } from '../../hooks/useMedia';
 
-const MenuBar = ({ editor }) => {
+// Upload images one by one and insert each at `pos` as soon as it is ready
+const uploadImagesAt = async (view, files, pos, upload) => {
+  let insertAt = pos;
+  for (const file of files) {
+    try {
+      const uploaded = await upload({ file });
+      const node = view.state.schema.nodes.image.create({
+        src: uploaded.url,
+        alt: uploaded.altText || uploaded.originalName || '',
+      });
+      insertAt = Math.min(insertAt, view.state.doc.content.size);
+      view.dispatch(view.state.tr.insert(insertAt, node));
+      insertAt += node.nodeSize;
+    } catch (error) {
+      // useUploadMedia already reported the error
+    }
+  }
+};
+
+const MenuBar = ({ editor, onUploadImage, onOpenMediaLibrary, isUploading }) => {
   const addLink = () => {
     const url = window.prompt('Enter URL:');
     if (url && editor) {
@@ -44,7 +65,9 @@ const MenuBar = ({ editor }) => {
     { icon: Minus, action: () => editor.chain().focus().setHorizontalRule().run(), title: 'Horizontal Rule' },
     { type: 'divider' },
     { icon: LinkIcon, action: addLink, active: editor.isActive('link'), title: 'Add Link' },
-    { icon: ImageIcon, action: addImage, title: 'Add Image' },
+    { icon: ImageIcon, action: addImage, title: 'Add Image from URL' },
+    { icon: isUploading ? Loader2 : ImagePlus, action: onUploadImage, disabled: isUploading, title: 'Upload Image' },
+    { icon: FolderOpen, action: onOpenMediaLibrary, title: 'Media Library' },
     { type: 'divider' },
     { icon: Undo, action: () => editor.chain().focus().undo().run(), disabled: !editor.can().undo(), title: 'Undo' },
     { icon: Redo, action: () => editor.chain().focus().redo().run(), disabled: !editor.can().redo(), title: 'Redo' },
@@ -81,6 +104,14 @@ const BlogEditor = ({ content, onChange, placeholder = 'Start writing your blog
   const [showAIAssistant, setShowAIAssistant] = useState(false);
   const [selectedText, setSelectedText] = useState('');
   const [aiPosition, setAiPosition] = useState({ x: 0, y: 0 });
+  const [showMediaLibrary, setShowMediaLibrary] = useState(false);
+  const fileInputRef = useRef(null);
+  const uploadMedia = useUploadMedia();
+
+  // The editor's drop/paste handlers are created once, so they read the
+  // latest upload function through a ref
+  const uploadRef = useRef(uploadMedia.mutateAsync);
+  uploadRef.current = uploadMedia.mutateAsync;
 
   const editor = useEditor({
     extensions: [
@@ -121,9 +152,44 @@ const BlogEditor = ({ content, onChange, placeholder = 'Start writing your blog
       attributes: {
         class: 'prose prose-lg dark:prose-invert max-w-none focus:outline-none min-h-[400px] p-4',
       },
+      // Upload images dropped or pasted into the editor
+      handleDrop: (view, event, slice, moved) => {
+        const files = getImageFiles(event.dataTransfer);
+        if (moved || files.length === 0) return false;
+        event.preventDefault();
+        const target = view.posAtCoords({ left: event.clientX, top: event.clientY });
+        uploadImagesAt(view, files, target ? target.pos : view.state.selection.from, uploadRef.current);
+        return true;
+      },
+      handlePaste: (view, event) => {
+        const files = getImageFiles(event.clipboardData);
+        if (files.length === 0) return false;
+        event.preventDefault();
+        uploadImagesAt(view, files, view.state.selection.from, uploadRef.current);
+        return true;
+      },
     },
   });
 
+  // Upload images picked with the toolbar button at the cursor
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (editor && files.length > 0) {
+      uploadImagesAt(editor.view, files, editor.state.selection.from, uploadMedia.mutateAsync);
+    }
+  };
+
+  // Insert an image picked in the media library at the cursor
+  const handleMediaSelect = (upload) => {
+    if (!editor) return;
+    editor.chain().focus().setImage({
+      src: upload.url,
+      alt: upload.altText || '',
+      title: upload.caption || undefined,
+    }).run();
+  };
+
   // Update editor content when prop changes (for edit mode)
   useEffect(() => {
     if (editor && content !== editor.getHTML()) {
@@ -165,7 +231,20 @@ const BlogEditor = ({ content, onChange, placeholder = 'Start writing your blog
   return (
     <div className="relative">
       <div className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden bg-white dark:bg-gray-900">
-        <MenuBar editor={editor} />
+        <MenuBar
+          editor={editor}
+          onUploadImage={() => fileInputRef.current?.click()}
+          onOpenMediaLibrary={() => setShowMediaLibrary(true)}
+          isUploading={uploadMedia.isPending}
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_IMAGE_TYPES.join(',')}
+          multiple
+          onChange={handleFileSelect}
+          className="hidden"
+        />
         
         {/* AI Assistant Trigger Button */}
         {selectedText.length > 10 && !showAIAssistant && (
@@ -187,7 +266,17 @@ const BlogEditor = ({ content, onChange, placeholder = 'Start writing your blog
         )}
         
         <EditorContent editor={editor} />
+
+        {uploadMedia.isPending && (
+          <div className="flex items-center gap-2 px-4 py-2 text-sm text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Uploading image...
+          </div>
+        )}
       </div>
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        Drag and drop or paste images to upload them (JPEG, PNG, WebP or GIF, up to 10 MB).
+      </p>
       
       {/* AI Writing Assistant */}
       {showAIAssistant && selectedText && (
@@ -198,6 +287,13 @@ const BlogEditor = ({ content, onChange, placeholder = 'Start writing your blog
           onClose={() => setShowAIAssistant(false)}
         />
       )}
+
+      {/* Media Library */}
+      <MediaLibraryModal
+        isOpen={showMediaLibrary}
+        onClose={() => setShowMediaLibrary(false)}
+        onSelect={handleMediaSelect}
+      />
     </div>
   );
 };
@@ -4,7 +4,13 @@ import { FileText, AlertCircle } from 'lucide-react';
 import BlogCard from './BlogCard';
 import { PageLoader } from '../common/LoadingSpinner';
 
-const BlogList = ({ blogs, isLoading, error, emptyMessage = 'No blogs found' }) => {
+const BlogList = ({
+  blogs,
+  isLoading,
+  error,
+  emptyMessage = 'No blogs found',
+  emptyHint = 'Be the first to share your thoughts and ideas!',
+}) => {
   if (isLoading) {
     return <PageLoader />;
   }
@@ -40,7 +46,7 @@ const BlogList = ({ blogs, isLoading, error, emptyMessage = 'No blogs found' })
           {emptyMessage}
         </h3>
         <p className="text-gray-600 dark:text-gray-400 text-center max-w-md">
-          Be the first to share your thoughts and ideas!
+          {emptyHint}
         </p>
       </motion.div>
     );
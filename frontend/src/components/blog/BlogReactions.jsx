@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { Heart, Bookmark } from 'lucide-react';
+import { useAuthStore } from '../../stores/authStore';
+import { useToggleReaction } from '../../hooks/useBlogs';
+import toast from 'react-hot-toast';
+
+const SIZES = {
+  sm: { icon: 'w-4 h-4', text: 'text-xs', button: 'px-2 py-1' },
+  md: { icon: 'w-5 h-5', text: 'text-sm', button: 'px-3 py-2' },
+};
+
+// Like and bookmark toggles with counts. Safe to render inside a <Link>.
+const BlogReactions = ({ blog, size = 'sm' }) => {
+  const { isAuthenticated } = useAuthStore();
+  const toggleReaction = useToggleReaction();
+  const blogId = blog._id || blog.id;
+  const styles = SIZES[size] || SIZES.sm;
+
+  const [state, setState] = useState({
+    liked: !!blog.liked,
+    likesCount: blog.likesCount || 0,
+    bookmarked: !!blog.bookmarked,
+    bookmarksCount: blog.bookmarksCount || 0,
+  });
+
+  // Keep in sync when the post is refetched
+  useEffect(() => {
+    setState({
+      liked: !!blog.liked,
+      likesCount: blog.likesCount || 0,
+      bookmarked: !!blog.bookmarked,
+      bookmarksCount: blog.bookmarksCount || 0,
+    });
+  }, [blog.liked, blog.likesCount, blog.bookmarked, blog.bookmarksCount]);
+
+  const handleToggle = async (e, type) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!isAuthenticated) {
+      toast.error(`Please log in to ${type} posts`);
+      return;
+    }
+
+    const flag = type === 'like' ? 'liked' : 'bookmarked';
+    const counter = type === 'like' ? 'likesCount' : 'bookmarksCount';
+    const active = !state[flag];
+    const previous = state;
+
+    // Update right away and roll back if the request fails
+    setState((current) => ({
+      ...current,
+      [flag]: active,
+      [counter]: Math.max(0, current[counter] + (active ? 1 : -1)),
+    }));
+
+    try {
+      const result = await toggleReaction.mutateAsync({ id: blogId, type, active });
+      setState((current) => ({ ...current, [flag]: result[flag], [counter]: result[counter] }));
+    } catch (error) {
+      setState(previous);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1" data-testid="blog-reactions">
+      <button
+        type="button"
+        onClick={(e) => handleToggle(e, 'like')}
+        className={`inline-flex items-center gap-1 rounded-lg transition-colors ${styles.button} ${styles.text} ${
+          state.liked
+            ? 'text-red-600 dark:text-red-400'
+            : 'text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400'
+        }`}
+        aria-pressed={state.liked}
+        title={state.liked ? 'Unlike' : 'Like'}
+        data-testid="like-btn"
+      >
+        <Heart className={`${styles.icon} ${state.liked ? 'fill-current' : ''}`} />
+        {state.likesCount}
+      </button>
+      <button
+        type="button"
+        onClick={(e) => handleToggle(e, 'bookmark')}
+        className={`inline-flex items-center gap-1 rounded-lg transition-colors ${styles.button} ${styles.text} ${
+          state.bookmarked
+            ? 'text-primary-600 dark:text-primary-400'
+            : 'text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400'
+        }`}
+        aria-pressed={state.bookmarked}
+        title={state.bookmarked ? 'Remove bookmark' : 'Bookmark'}
+        data-testid="bookmark-btn"
+      >
+        <Bookmark className={`${styles.icon} ${state.bookmarked ? 'fill-current' : ''}`} />
+        {state.bookmarksCount}
+      </button>
+    </div>
+  );
+};
+
+export default BlogReactions;
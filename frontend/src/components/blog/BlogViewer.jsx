@@ -16,6 +16,10 @@ import { format } from 'date-fns';
 import { useAuthStore } from '../../stores/authStore';
 import { useDeleteBlog } from '../../hooks/useBlogs';
 import { PageLoader } from '../common/LoadingSpinner';
+import CommentSection from './CommentSection';
+import BlogReactions from './BlogReactions';
+import SaveToListMenu from './SaveToListMenu';
+import FollowButton from './FollowButton';
 import toast from 'react-hot-toast';
 
 const BlogViewer = ({ blog, isLoading }) => {
@@ -152,6 +156,7 @@ const BlogViewer = ({ blog, isLoading }) => {
                 {author?.email}
               </p>
             </div>
+            <FollowButton authorId={authorId} />
           </div>
 
           <div className="flex-1" />
@@ -174,7 +179,9 @@ const BlogViewer = ({ blog, isLoading }) => {
         </div>
 
         {/* Action Buttons */}
-        <div className="flex items-center gap-3 mt-4">
+        <div className="flex flex-wrap items-center gap-3 mt-4">
+          <BlogReactions blog={blog} size="md" />
+          <SaveToListMenu blogId={blogId} />
           <button
             onClick={handleShare}
             className="btn-secondary flex items-center gap-2 text-sm"
@@ -228,6 +235,9 @@ const BlogViewer = ({ blog, isLoading }) => {
         </p>
       )}
 
+      {/* Comments */}
+      <CommentSection blogId={blogId} blogAuthorId={authorId} />
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-4">
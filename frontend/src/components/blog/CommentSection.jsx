@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { MessageCircle, Reply, Edit, Trash2, Send } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuthStore } from '../../stores/authStore';
+import {
+  useComments,
+  useCreateComment,
+  useUpdateComment,
+  useDeleteComment,
+} from '../../hooks/useComments';
+import { LoadingSpinner } from '../common/LoadingSpinner';
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const CommentForm = ({ initialValue = '', submitLabel, onSubmit, onCancel, isPending, autoFocus }) => {
+  const [content, setContent] = useState(initialValue);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    try {
+      await onSubmit(content.trim());
+      setContent('');
+    } catch (error) {
+      // Error toast is shown by the mutation
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder="Share your thoughts..."
+        className="input h-24 resize-none"
+        maxLength={MAX_COMMENT_LENGTH}
+        autoFocus={autoFocus}
+      />
+      <div className="flex items-center justify-end gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary text-sm">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={isPending || !content.trim()}
+          className="btn-primary text-sm inline-flex items-center gap-2 disabled:opacity-50"
+        >
+          {isPending ? <LoadingSpinner size="sm" className="text-white" /> : <Send className="w-4 h-4" />}
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, blogId, blogAuthorId }) => {
+  const { user } = useAuthStore();
+  const createComment = useCreateComment(blogId);
+  const updateComment = useUpdateComment(blogId);
+  const deleteComment = useDeleteComment(blogId);
+  const [isReplying, setIsReplying] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+
+  const userId = user?.id || user?._id;
+  const isDeleted = !!comment.deletedAt;
+  const isOwnComment = !!userId && String(comment.author?.id) === String(userId);
+  const isBlogAuthor = !!userId && String(blogAuthorId) === String(userId);
+  const authorName = comment.author?.nickname || comment.author?.name || 'Anonymous';
+
+  const handleReply = async (content) => {
+    await createComment.mutateAsync({ content, parentId: comment.id });
+    setIsReplying(false);
+  };
+
+  const handleEdit = async (content) => {
+    await updateComment.mutateAsync({ commentId: comment.id, content });
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this comment?')) {
+      deleteComment.mutate(comment.id);
+    }
+  };
+
+  return (
+    <li className="space-y-3" data-testid="comment">
+      <div className="flex gap-3">
+        <div className="w-8 h-8 shrink-0 bg-gradient-to-br from-primary-500 to-purple-600 rounded-full flex items-center justify-center text-white text-sm font-semibold">
+          {isDeleted ? '?' : authorName.charAt(0).toUpperCase()}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium text-gray-900 dark:text-white">
+              {isDeleted ? 'Deleted comment' : authorName}
+            </span>
+            {!isDeleted && String(comment.author?.id) === String(blogAuthorId) && (
+              <span className="badge badge-primary text-xs">Author</span>
+            )}
+            <span className="text-gray-500 dark:text-gray-400">
+              {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+            </span>
+            {comment.editedAt && !isDeleted && (
+              <span className="text-gray-400 dark:text-gray-500 text-xs">(edited)</span>
+            )}
+          </div>
+
+          {isEditing ? (
+            <div className="mt-2">
+              <CommentForm
+                initialValue={comment.content}
+                submitLabel="Save"
+                onSubmit={handleEdit}
+                onCancel={() => setIsEditing(false)}
+                isPending={updateComment.isPending}
+                autoFocus
+              />
+            </div>
+          ) : (
+            <p className={`mt-1 text-gray-700 dark:text-gray-300 whitespace-pre-wrap break-words ${isDeleted ? 'italic text-gray-400 dark:text-gray-500' : ''}`}>
+              {isDeleted ? 'This comment was deleted.' : comment.content}
+            </p>
+          )}
+
+          {!isDeleted && !isEditing && user && (
+            <div className="mt-2 flex items-center gap-4 text-sm">
+              <button
+                type="button"
+                onClick={() => setIsReplying(!isReplying)}
+                className="inline-flex items-center gap-1 text-gray-500 hover:text-primary-600 transition-colors"
+              >
+                <Reply className="w-4 h-4" />
+                Reply
+              </button>
+              {isOwnComment && (
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(true)}
+                  className="inline-flex items-center gap-1 text-gray-500 hover:text-primary-600 transition-colors"
+                >
+                  <Edit className="w-4 h-4" />
+                  Edit
+                </button>
+              )}
+              {(isOwnComment || isBlogAuthor) && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={deleteComment.isPending}
+                  className="inline-flex items-center gap-1 text-gray-500 hover:text-red-600 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+
+          {isReplying && (
+            <div className="mt-3">
+              <CommentForm
+                submitLabel="Reply"
+                onSubmit={handleReply}
+                onCancel={() => setIsReplying(false)}
+                isPending={createComment.isPending}
+                autoFocus
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {comment.replies?.length > 0 && (
+        <ul className="ml-5 pl-6 border-l border-gray-200 dark:border-gray-700 space-y-4">
+          {comment.replies.map((reply) => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              blogId={blogId}
+              blogAuthorId={blogAuthorId}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const CommentSection = ({ blogId, blogAuthorId }) => {
+  const { isAuthenticated } = useAuthStore();
+  const [sort, setSort] = useState('newest');
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useComments(blogId, { sort });
+  const createComment = useCreateComment(blogId);
+
+  const comments = data?.pages.flatMap((page) => page.comments) || [];
+  const totalComments = data?.pages[0]?.totalComments || 0;
+
+  return (
+    <section className="pt-8 mt-8 border-t border-gray-200 dark:border-gray-700" data-testid="comment-section">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-900 dark:text-white">
+          <MessageCircle className="w-5 h-5" />
+          Comments {totalComments > 0 && `(${totalComments})`}
+        </h2>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="input py-1 w-auto text-sm"
+        >
+          <option value="newest">Newest first</option>
+          <option value="oldest">Oldest first</option>
+        </select>
+      </div>
+
+      {isAuthenticated ? (
+        <div className="mb-8">
+          <CommentForm
+            submitLabel="Comment"
+            onSubmit={(content) => createComment.mutateAsync({ content })}
+            isPending={createComment.isPending}
+          />
+        </div>
+      ) : (
+        <p className="mb-8 text-sm text-gray-600 dark:text-gray-400">
+          <Link to="/login" className="text-primary-600 hover:underline">Log in</Link> to join the discussion.
+        </p>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-500">Failed to load comments</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No comments yet. Be the first to share your thoughts!
+        </p>
+      ) : (
+        <ul className="space-y-6">
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment.id}
+              comment={comment}
+              blogId={blogId}
+              blogAuthorId={blogAuthorId}
+            />
+          ))}
+        </ul>
+      )}
+
+      {hasNextPage && (
+        <div className="flex justify-center mt-6">
+          <button
+            type="button"
+            onClick={() => fetchNextPage()}
+            disabled={isFetchingNextPage}
+            className="btn-secondary text-sm"
+          >
+            {isFetchingNextPage ? 'Loading...' : 'Load more comments'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CommentSection;
@@ -0,0 +1,117 @@
+import React, { useRef, useState } from 'react';
+import { ImagePlus, Loader2, X } from 'lucide-react';
+import { useUploadMedia, getImageFiles, ACCEPTED_IMAGE_TYPES } from '../../hooks/useMedia';
+
+// Cover image picker: paste a URL, or drop, paste or choose an image to upload
+const CoverImageField = ({ value, onChange }) => {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const uploadMedia = useUploadMedia();
+
+  const uploadFile = async (file) => {
+    if (!file) return;
+    setProgress(0);
+    try {
+      const uploaded = await uploadMedia.mutateAsync({
+        file,
+        onUploadProgress: (event) => {
+          if (event.total) setProgress(Math.round((event.loaded / event.total) * 100));
+        },
+      });
+      onChange(uploaded.url);
+    } catch (error) {
+      // useUploadMedia already reported the error
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    uploadFile(getImageFiles(e.dataTransfer)[0]);
+  };
+
+  const handlePaste = (e) => {
+    const [file] = getImageFiles(e.clipboardData);
+    if (file) {
+      e.preventDefault();
+      uploadFile(file);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        Cover Image (optional)
+      </label>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`rounded-lg border-2 border-dashed p-3 transition-colors ${
+          isDragging
+            ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+            : 'border-gray-200 dark:border-gray-700'
+        }`}
+        data-testid="cover-image-dropzone"
+      >
+        <div className="flex gap-2">
+          <input
+            type="url"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            onPaste={handlePaste}
+            placeholder="https://example.com/image.jpg"
+            className="input flex-1"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploadMedia.isPending}
+            className="btn-secondary inline-flex items-center gap-2"
+          >
+            {uploadMedia.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <ImagePlus className="w-4 h-4" />}
+            {uploadMedia.isPending ? `${progress}%` : 'Upload'}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_IMAGE_TYPES.join(',')}
+            onChange={(e) => {
+              uploadFile(e.target.files?.[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+        </div>
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          Paste an image URL, or drop, paste or upload an image (JPEG, PNG, WebP or GIF, up to 10 MB).
+        </p>
+
+        {value && (
+          <div className="relative inline-block mt-2">
+            <img
+              src={value}
+              alt="Cover preview"
+              className="max-h-48 rounded-lg object-cover"
+              onError={(e) => e.target.style.display = 'none'}
+            />
+            <button
+              type="button"
+              onClick={() => onChange('')}
+              className="absolute top-2 right-2 p-1 rounded-full bg-black/60 text-white hover:bg-black/80"
+              title="Remove cover image"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoverImageField;
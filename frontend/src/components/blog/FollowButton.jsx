@@ -0,0 +1,53 @@
+import React from 'react';
+import { UserPlus, UserCheck } from 'lucide-react';
+import { useAuthStore } from '../../stores/authStore';
+import { useUserProfile, useToggleFollow } from '../../hooks/useUsers';
+import toast from 'react-hot-toast';
+
+// Follow toggle for an author, with their follower count
+const FollowButton = ({ authorId }) => {
+  const { user, isAuthenticated } = useAuthStore();
+  const { data } = useUserProfile(authorId);
+  const toggleFollow = useToggleFollow();
+
+  const userId = user?.id || user?._id;
+  if (!authorId || String(authorId) === String(userId)) {
+    return null;
+  }
+
+  const isFollowing = !!data?.isFollowing;
+  const followersCount = data?.user?.followersCount || 0;
+
+  const handleClick = () => {
+    if (!isAuthenticated) {
+      toast.error('Please log in to follow authors');
+      return;
+    }
+    toggleFollow.mutate({ id: authorId, follow: !isFollowing });
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={toggleFollow.isPending}
+        className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium transition-colors disabled:opacity-50 ${
+          isFollowing
+            ? 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            : 'bg-primary-600 text-white hover:bg-primary-700'
+        }`}
+        aria-pressed={isFollowing}
+        data-testid="follow-btn"
+      >
+        {isFollowing ? <UserCheck className="w-3 h-3" /> : <UserPlus className="w-3 h-3" />}
+        {isFollowing ? 'Following' : 'Follow'}
+      </button>
+      <span className="text-xs text-gray-500 dark:text-gray-400">
+        {followersCount} {followersCount === 1 ? 'follower' : 'followers'}
+      </span>
+    </div>
+  );
+};
+
+export default FollowButton;
@@ -0,0 +1,302 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X, Search, ImagePlus, Loader2, Trash2, ChevronLeft, ChevronRight, ImageOff
+} from 'lucide-react';
+import {
+  useMediaLibrary, useUploadMedia, useUpdateMedia, useDeleteMedia, ACCEPTED_IMAGE_TYPES
+} from '../../hooks/useMedia';
+
+const PAGE_SIZE = 24;
+
+const getThumbnailUrl = (upload) =>
+  upload.variants?.find(variant => variant.name === 'thumb')?.url || upload.url;
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Browse, search, upload and manage the current user's images.
+// `onSelect(upload)` is called with the chosen image when it is inserted.
+const MediaLibraryModal = ({ isOpen, onClose, onSelect }) => {
+  const fileInputRef = useRef(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [altText, setAltText] = useState('');
+  const [caption, setCaption] = useState('');
+
+  const { data, isLoading } = useMediaLibrary(
+    { page, limit: PAGE_SIZE, q: query || undefined },
+    { enabled: isOpen }
+  );
+  const uploadMedia = useUploadMedia();
+  const updateMedia = useUpdateMedia();
+  const deleteMedia = useDeleteMedia();
+
+  const uploads = data?.uploads || [];
+  const pagination = data?.pagination;
+
+  // Debounce the search box
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  useEffect(() => {
+    setAltText(selected?.altText || '');
+    setCaption(selected?.caption || '');
+  }, [selected]);
+
+  if (!isOpen) return null;
+
+  const handleFileSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    for (const file of files) {
+      try {
+        const uploaded = await uploadMedia.mutateAsync({ file });
+        setSelected(uploaded);
+      } catch (error) {
+        // useUploadMedia already reported the error
+      }
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      const upload = await updateMedia.mutateAsync({
+        id: selected.id,
+        data: { altText, caption },
+      });
+      setSelected(upload);
+    } catch (error) {
+      // useUpdateMedia already reported the error
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this image? This cannot be undone.')) return;
+    try {
+      await deleteMedia.mutateAsync({ id: selected.id });
+      setSelected(null);
+    } catch (error) {
+      if (error.response?.status !== 409) return;
+      const count = error.response.data.blogIds?.length || 0;
+      if (!window.confirm(`This image is used in ${count} post(s) and will break there. Delete anyway?`)) return;
+      try {
+        await deleteMedia.mutateAsync({ id: selected.id, force: true });
+        setSelected(null);
+      } catch (forceError) {
+        // useDeleteMedia already reported the error
+      }
+    }
+  };
+
+  const handleInsert = () => {
+    onSelect({ ...selected, altText: altText.trim(), caption: caption.trim() });
+    onClose();
+  };
+
+  return (
+    // The editor sits inside the post form, so keep Enter in the inputs
+    // from submitting it
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') e.preventDefault();
+      }}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white dark:bg-gray-800 rounded-xl max-w-4xl w-full max-h-[90vh] flex flex-col shadow-xl"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Media Library</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex gap-2 p-4">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by file name, alt text or caption"
+              className="input pl-9"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploadMedia.isPending}
+            className="btn-secondary inline-flex items-center gap-2"
+          >
+            {uploadMedia.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <ImagePlus className="w-4 h-4" />}
+            Upload
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_IMAGE_TYPES.join(',')}
+            multiple
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+        </div>
+
+        <div className="flex flex-1 min-h-0 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex-1 overflow-y-auto p-4">
+            {isLoading ? (
+              <div className="flex justify-center py-16">
+                <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+              </div>
+            ) : uploads.length === 0 ? (
+              <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+                <ImageOff className="w-10 h-10 mx-auto mb-2" />
+                {query ? 'No images match your search.' : 'You have not uploaded any images yet.'}
+              </div>
+            ) : (
+              <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+                {uploads.map(upload => (
+                  <button
+                    key={upload.id}
+                    type="button"
+                    onClick={() => setSelected(upload)}
+                    onDoubleClick={() => {
+                      onSelect(upload);
+                      onClose();
+                    }}
+                    className={`aspect-square rounded-lg overflow-hidden border-2 transition-colors ${
+                      selected?.id === upload.id
+                        ? 'border-primary-500'
+                        : 'border-transparent hover:border-gray-300 dark:hover:border-gray-600'
+                    }`}
+                    title={upload.altText || upload.originalName || ''}
+                  >
+                    <img
+                      src={getThumbnailUrl(upload)}
+                      alt={upload.altText || ''}
+                      loading="lazy"
+                      className="w-full h-full object-cover"
+                    />
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {pagination && pagination.totalPages > 1 && (
+              <div className="flex items-center justify-center gap-3 mt-4 text-sm text-gray-600 dark:text-gray-400">
+                <button
+                  type="button"
+                  onClick={() => setPage(p => p - 1)}
+                  disabled={!pagination.hasPrevPage}
+                  className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                  title="Previous page"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                Page {pagination.currentPage} of {pagination.totalPages}
+                <button
+                  type="button"
+                  onClick={() => setPage(p => p + 1)}
+                  disabled={!pagination.hasNextPage}
+                  className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                  title="Next page"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+
+          {selected && (
+            <div className="w-72 shrink-0 overflow-y-auto p-4 border-l border-gray-200 dark:border-gray-700 space-y-3">
+              <img
+                src={selected.url}
+                alt={altText}
+                className="w-full max-h-48 object-contain rounded-lg bg-gray-100 dark:bg-gray-900"
+              />
+              <div className="text-xs text-gray-500 dark:text-gray-400 break-all">
+                {selected.originalName && <p className="font-medium">{selected.originalName}</p>}
+                <p>{selected.width} × {selected.height} · {formatSize(selected.size)}</p>
+                <p>
+                  {selected.blogIds?.length > 0
+                    ? `Used in ${selected.blogIds.length} post(s)`
+                    : 'Not used in any post'}
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Alt text
+                </label>
+                <input
+                  type="text"
+                  value={altText}
+                  onChange={(e) => setAltText(e.target.value)}
+                  maxLength={500}
+                  placeholder="Describe the image"
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Caption
+                </label>
+                <textarea
+                  value={caption}
+                  onChange={(e) => setCaption(e.target.value)}
+                  maxLength={1000}
+                  rows={3}
+                  className="input"
+                />
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={updateMedia.isPending}
+                  className="btn-secondary flex-1"
+                >
+                  {updateMedia.isPending ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={deleteMedia.isPending}
+                  className="btn-secondary text-red-600 dark:text-red-400"
+                  title="Delete image"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <button
+                type="button"
+                onClick={handleInsert}
+                className="btn-primary w-full"
+              >
+                Insert Image
+              </button>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default MediaLibraryModal;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { History, RotateCcw, GitCompare, X } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useRevisions, useRevisionDiff, useRestoreRevision } from '../../hooks/useBlogs';
+import { LoadingSpinner } from '../common/LoadingSpinner';
+
+const SOURCE_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  baseline: 'Before history',
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  summary: 'Summary',
+  category: 'Category',
+  tags: 'Tags',
+  media: 'Cover image',
+  template: 'Template',
+  font: 'Font',
+  language: 'Language',
+};
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+  return value === null || value === '' ? '(none)' : String(value);
+};
+
+const RevisionDiff = ({ blogId, from, to }) => {
+  const { data, isLoading, error } = useRevisionDiff(blogId, from, to);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-500">Failed to load the comparison</p>;
+  }
+
+  const { fields = [], content = [], stats = {} } = data?.diff || {};
+
+  return (
+    <div className="space-y-4" data-testid="revision-diff">
+      <div className="flex items-center gap-3 text-xs">
+        <span className="text-green-600 dark:text-green-400">+{stats.wordsAdded || 0} words</span>
+        <span className="text-red-600 dark:text-red-400">-{stats.wordsRemoved || 0} words</span>
+      </div>
+
+      {fields.length > 0 && (
+        <ul className="space-y-2">
+          {fields.map((change) => (
+            <li key={change.field} className="text-sm">
+              <span className="font-medium text-gray-700 dark:text-gray-300">
+                {FIELD_LABELS[change.field] || change.field}:
+              </span>{' '}
+              <del className="bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300">
+                {formatValue(change.from)}
+              </del>{' '}
+              <ins className="bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300 no-underline">
+                {formatValue(change.to)}
+              </ins>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {stats.contentChanged ? (
+        <div className="max-h-96 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-700 p-4 text-sm leading-relaxed whitespace-pre-wrap text-gray-700 dark:text-gray-300">
+          {content.map((part, index) => {
+            if (part.added) {
+              return (
+                <ins key={index} className="bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300 no-underline">
+                  {part.value}
+                </ins>
+              );
+            }
+            if (part.removed) {
+              return (
+                <del key={index} className="bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300">
+                  {part.value}
+                </del>
+              );
+            }
+            return <span key={index}>{part.value}</span>;
+          })}
+        </div>
+      ) : (
+        fields.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No differences</p>
+        )
+      )}
+    </div>
+  );
+};
+
+const RevisionHistory = ({ blogId, onClose, onRestored }) => {
+  const { data, isLoading, error } = useRevisions(blogId, { limit: 50 });
+  const restoreRevision = useRestoreRevision();
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState('current');
+
+  const revisions = useMemo(() => data?.revisions || [], [data]);
+
+  // Select the latest revision once the list has loaded
+  useEffect(() => {
+    if (!selected && revisions.length > 0) {
+      setSelected(revisions[0].revisionNumber);
+    }
+  }, [revisions, selected]);
+
+  const handleRestore = async () => {
+    if (!selected) return;
+    if (!window.confirm(`Restore revision ${selected}? Your current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      const result = await restoreRevision.mutateAsync({ id: blogId, revision: selected });
+      setSelected(null);
+      setCompareTo('current');
+      onRestored?.(result?.blog);
+    } catch (error) {
+      // Error toast is shown by the mutation
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card p-6 mb-6"
+      data-testid="revision-history"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <History className="w-5 h-5 text-gray-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Revision History</h2>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 rounded-lg transition-colors"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-500">Failed to load revisions</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No revisions yet. A revision is saved every time you save changes.
+        </p>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-3">
+          {/* Revision list */}
+          <ul className="space-y-1 max-h-96 overflow-y-auto md:col-span-1">
+            {revisions.map((revision) => (
+              <li key={revision.id}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setSelected(revision.revisionNumber);
+                    setCompareTo('current');
+                  }}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                    selected === revision.revisionNumber
+                      ? 'bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300'
+                      : 'hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-700 dark:text-gray-300'
+                  }`}
+                >
+                  <div className="font-medium">
+                    #{revision.revisionNumber} · {SOURCE_LABELS[revision.source] || revision.source}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatDistanceToNow(new Date(revision.createdAt), { addSuffix: true })}
+                    {revision.editor && ` by ${revision.editor.nickname || revision.editor.name}`}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Comparison */}
+          <div className="md:col-span-2 space-y-4">
+            {selected && (
+              <>
+                <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <GitCompare className="w-4 h-4 text-gray-500" />
+                  <span>Revision #{selected} compared with</span>
+                  <select
+                    value={compareTo}
+                    onChange={(e) => setCompareTo(e.target.value)}
+                    className="input py-1 w-auto"
+                  >
+                    <option value="current">Current version</option>
+                    {revisions
+                      .filter((revision) => revision.revisionNumber !== selected)
+                      .map((revision) => (
+                        <option key={revision.id} value={revision.revisionNumber}>
+                          Revision #{revision.revisionNumber}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+
+                <RevisionDiff blogId={blogId} from={selected} to={compareTo} />
+
+                <div className="flex justify-end">
+                  <button
+                    type="button"
+                    onClick={handleRestore}
+                    disabled={restoreRevision.isPending}
+                    className="btn-secondary inline-flex items-center gap-2 disabled:opacity-50"
+                  >
+                    {restoreRevision.isPending ? (
+                      <LoadingSpinner size="sm" />
+                    ) : (
+                      <RotateCcw className="w-4 h-4" />
+                    )}
+                    Restore this revision
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default RevisionHistory;
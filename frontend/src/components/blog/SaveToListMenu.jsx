@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ListPlus, Plus, Lock, Globe } from 'lucide-react';
+import { useAuthStore } from '../../stores/authStore';
+import {
+  useReadingLists,
+  useCreateReadingList,
+  useAddToReadingList,
+} from '../../hooks/useReadingLists';
+import { LoadingSpinner } from '../common/LoadingSpinner';
+
+const SaveToListMenu = ({ blogId }) => {
+  const { isAuthenticated } = useAuthStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const { data: readingLists = [], isLoading } = useReadingLists({
+    enabled: isAuthenticated && isOpen,
+  });
+  const createReadingList = useCreateReadingList();
+  const addToReadingList = useAddToReadingList();
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  const handleAdd = (listId) => {
+    addToReadingList.mutate({ id: listId, blogId }, {
+      onSuccess: () => setIsOpen(false),
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+
+    try {
+      const data = await createReadingList.mutateAsync({ name: newListName.trim() });
+      setNewListName('');
+      handleAdd(data.readingList.id);
+    } catch (error) {
+      // Error toast is shown by the mutation
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="btn-secondary flex items-center gap-2 text-sm"
+        data-testid="save-to-list-btn"
+      >
+        <ListPlus className="w-4 h-4" />
+        Save to list
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+          <div className="absolute left-0 mt-2 w-64 z-20 card p-2 shadow-lg" data-testid="save-to-list-menu">
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <LoadingSpinner size="sm" />
+              </div>
+            ) : readingLists.length === 0 ? (
+              <p className="px-2 py-2 text-sm text-gray-500 dark:text-gray-400">
+                You have no reading lists yet.
+              </p>
+            ) : (
+              <ul className="max-h-60 overflow-y-auto">
+                {readingLists.map((list) => (
+                  <li key={list.id}>
+                    <button
+                      type="button"
+                      onClick={() => handleAdd(list.id)}
+                      disabled={addToReadingList.isPending}
+                      className="w-full flex items-center gap-2 px-2 py-2 rounded-lg text-sm text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800"
+                    >
+                      {list.isPublic ? (
+                        <Globe className="w-4 h-4 text-gray-400" />
+                      ) : (
+                        <Lock className="w-4 h-4 text-gray-400" />
+                      )}
+                      <span className="flex-1 truncate">{list.name}</span>
+                      <span className="text-xs text-gray-400">{list.itemCount}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <form onSubmit={handleCreate} className="flex items-center gap-2 pt-2 mt-2 border-t border-gray-200 dark:border-gray-700">
+              <input
+                type="text"
+                value={newListName}
+                onChange={(e) => setNewListName(e.target.value)}
+                placeholder="New list name"
+                maxLength={100}
+                className="input py-1 text-sm"
+              />
+              <button
+                type="submit"
+                disabled={createReadingList.isPending || !newListName.trim()}
+                className="btn-primary p-2 disabled:opacity-50"
+                title="Create list"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </form>
+
+            <Link
+              to="/reading-lists"
+              className="block px-2 pt-2 text-xs text-primary-600 hover:underline"
+            >
+              Manage reading lists
+            </Link>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SaveToListMenu;
@@ -12,8 +12,10 @@ import {
   Moon,
   Sparkles,
   ChevronDown,
+  Bookmark,
 } from 'lucide-react';
 import { useAuthStore } from '../../stores/authStore';
+import NotificationBell from './NotificationBell';
 
 const Header = () => {
   const location = useLocation();
@@ -97,6 +99,9 @@ const Header = () => {
 
             {isAuthenticated ? (
               <>
+                {/* Notifications */}
+                <NotificationBell />
+
                 {/* Create Blog Button */}
                 <Link
                   to="/create"
@@ -152,6 +157,15 @@ const Header = () => {
                             <PenSquare className="w-4 h-4" />
                             My Blogs
                           </Link>
+                          <Link
+                            to="/reading-lists"
+                            className="flex items-center gap-2 px-3 py-2 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                            onClick={() => setIsProfileOpen(false)}
+                            data-testid="reading-lists-link"
+                          >
+                            <Bookmark className="w-4 h-4" />
+                            Reading Lists
+                          </Link>
                           <button
                             onClick={handleLogout}
                             className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
@@ -221,14 +235,24 @@ const Header = () => {
                   );
                 })}
                 {isAuthenticated && (
-                  <Link
-                    to="/create"
-                    onClick={() => setIsMenuOpen(false)}
-                    className="flex items-center gap-3 px-4 py-2 text-ai-purple dark:text-ai-cyan font-medium hover:bg-gray-100 dark:hover:bg-gray-800 rounded-lg"
-                  >
-                    <PenSquare className="w-5 h-5" />
-                    Write New Blog
-                  </Link>
+                  <>
+                    <Link
+                      to="/reading-lists"
+                      onClick={() => setIsMenuOpen(false)}
+                      className="flex items-center gap-3 px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-lg"
+                    >
+                      <Bookmark className="w-5 h-5" />
+                      Reading Lists
+                    </Link>
+                    <Link
+                      to="/create"
+                      onClick={() => setIsMenuOpen(false)}
+                      className="flex items-center gap-3 px-4 py-2 text-ai-purple dark:text-ai-cyan font-medium hover:bg-gray-100 dark:hover:bg-gray-800 rounded-lg"
+                    >
+                      <PenSquare className="w-5 h-5" />
+                      Write New Blog
+                    </Link>
+                  </>
                 )}
               </nav>
             </motion.div>
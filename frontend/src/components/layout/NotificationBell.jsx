@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bell, MessageCircle, Reply, UserPlus, Heart, Send, CheckCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuthStore } from '../../stores/authStore';
+import {
+  useNotifications,
+  useUnreadCount,
+  useNotificationStream,
+  useMarkNotificationRead,
+  useMarkAllNotificationsRead,
+} from '../../hooks/useNotifications';
+import { getBlogPath } from '../../lib/blogUrl';
+import { LoadingSpinner } from '../common/LoadingSpinner';
+
+const NOTIFICATION_ICONS = {
+  comment: MessageCircle,
+  reply: Reply,
+  follow: UserPlus,
+  like: Heart,
+  post_published: Send,
+};
+
+const describeNotification = ({ type, actor, blog }) => {
+  const name = actor?.nickname || actor?.name || 'Someone';
+  const title = blog?.title ? `"${blog.title}"` : 'your post';
+
+  switch (type) {
+    case 'comment':
+      return `${name} commented on ${title}`;
+    case 'reply':
+      return `${name} replied to your comment on ${title}`;
+    case 'follow':
+      return `${name} started following you`;
+    case 'like':
+      return `${name} liked ${title}`;
+    case 'post_published':
+      return `Your scheduled post ${title} is now live`;
+    default:
+      return 'You have a new notification';
+  }
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const { token } = useAuthStore();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const isStreaming = useNotificationStream(token);
+  const { data: unreadCount = 0 } = useUnreadCount({ enabled: !!token, polling: !isStreaming });
+  const { data, isLoading } = useNotifications({ limit: 10 }, { enabled: isOpen });
+  const markRead = useMarkNotificationRead();
+  const markAllRead = useMarkAllNotificationsRead();
+
+  const notifications = data?.notifications || [];
+
+  const handleSelect = (notification) => {
+    if (!notification.readAt) {
+      markRead.mutate(notification.id);
+    }
+    setIsOpen(false);
+    if (notification.blog) {
+      navigate(getBlogPath(notification.blog));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        data-testid="notification-bell"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.125rem] h-[1.125rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <>
+            <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 10 }}
+              className="absolute right-0 mt-2 w-80 z-50 bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 overflow-hidden"
+              data-testid="notification-dropdown"
+            >
+              <div className="flex items-center justify-between p-3 border-b border-gray-200 dark:border-gray-700">
+                <p className="font-medium text-gray-900 dark:text-gray-100">Notifications</p>
+                {unreadCount > 0 && (
+                  <button
+                    onClick={() => markAllRead.mutate()}
+                    disabled={markAllRead.isPending}
+                    className="inline-flex items-center gap-1 text-xs text-primary-600 hover:underline"
+                  >
+                    <CheckCheck className="w-3 h-3" />
+                    Mark all as read
+                  </button>
+                )}
+              </div>
+
+              {isLoading ? (
+                <div className="flex justify-center py-6">
+                  <LoadingSpinner size="sm" />
+                </div>
+              ) : notifications.length === 0 ? (
+                <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                  You're all caught up.
+                </p>
+              ) : (
+                <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+                  {notifications.map((notification) => {
+                    const Icon = NOTIFICATION_ICONS[notification.type] || Bell;
+                    return (
+                      <li key={notification.id}>
+                        <button
+                          onClick={() => handleSelect(notification)}
+                          className={`w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors ${
+                            notification.readAt ? '' : 'bg-primary-50/60 dark:bg-primary-900/10'
+                          }`}
+                        >
+                          <Icon className="w-4 h-4 mt-0.5 shrink-0 text-primary-600 dark:text-primary-400" />
+                          <span className="flex-1 min-w-0">
+                            <span className="block text-sm text-gray-800 dark:text-gray-200">
+                              {describeNotification(notification)}
+                            </span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                              {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                            </span>
+                          </span>
+                          {!notification.readAt && (
+                            <span className="w-2 h-2 mt-1.5 shrink-0 rounded-full bg-primary-600" />
+                          )}
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -5,7 +5,10 @@ import toast from 'react-hot-toast';
 export const useAI = () => {
   const handleError = (error, action) => {
     const message = error.response?.data?.message || `Failed to ${action}`;
-    if (message.includes('not configured') || message.includes('GROQ_API_KEY')) {
+    if (error.response?.status === 429) {
+      // Hourly AI quota used up; the message says when it resets
+      toast.error(message, { duration: 6000 });
+    } else if (message.includes('not configured') || message.includes('GROQ_API_KEY')) {
       toast.error('AI service is not available. Please contact support.');
     } else if (message.includes('Content must be at least')) {
       toast.error(message);
@@ -0,0 +1,165 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { authAPI } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
+import toast from 'react-hot-toast';
+
+const POLL_INTERVAL = 3000;
+
+const isBuilding = (accountExport) =>
+  accountExport && (accountExport.status === 'pending' || accountExport.status === 'running');
+
+// Requesting the export starts one on the server, so only fetch once the user asks for it
+export const useAccountExport = (enabled) => {
+  return useQuery({
+    queryKey: ['account-export'],
+    queryFn: () => authAPI.exportAccount().then(res => res.data.export),
+    enabled,
+    refetchOnWindowFocus: false,
+    // Keep polling while the archive is being built
+    refetchInterval: (query) => (isBuilding(query.state.data) ? POLL_INTERVAL : false),
+  });
+};
+
+// Builds a new archive even if an older one can still be downloaded
+export const useRefreshAccountExport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => authAPI.exportAccount(true).then(res => res.data.export),
+    onSuccess: (accountExport) => {
+      queryClient.setQueryData(['account-export'], accountExport);
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to start export';
+      toast.error(message);
+    },
+  });
+};
+
+export const useSessions = () => {
+  return useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => authAPI.getSessions().then(res => res.data.sessions),
+  });
+};
+
+export const useRevokeSession = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id) => authAPI.revokeSession(id).then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast.success('Device logged out');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to log out device';
+      toast.error(message);
+    },
+  });
+};
+
+// Returns the secret and QR code; 2FA stays off until a code is confirmed
+export const useSetupTwoFactor = () => {
+  return useMutation({
+    mutationFn: () => authAPI.setupTwoFactor().then(res => res.data),
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to start two-factor setup';
+      toast.error(message);
+    },
+  });
+};
+
+export const useEnableTwoFactor = () => {
+  return useMutation({
+    mutationFn: (code) => authAPI.enableTwoFactor(code).then(res => res.data),
+    onSuccess: () => {
+      toast.success('Two-factor authentication enabled');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to enable two-factor authentication';
+      toast.error(message);
+    },
+  });
+};
+
+export const useDisableTwoFactor = () => {
+  return useMutation({
+    mutationFn: (data) => authAPI.disableTwoFactor(data).then(res => res.data),
+    onSuccess: () => {
+      toast.success('Two-factor authentication disabled');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to disable two-factor authentication';
+      toast.error(message);
+    },
+  });
+};
+
+export const useRegenerateRecoveryCodes = () => {
+  return useMutation({
+    mutationFn: (code) => authAPI.regenerateRecoveryCodes(code).then(res => res.data),
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to generate recovery codes';
+      toast.error(message);
+    },
+  });
+};
+
+export const useSignInMethods = () => {
+  return useQuery({
+    queryKey: ['sign-in-methods'],
+    queryFn: () => authAPI.getSignInMethods().then(res => res.data.methods),
+  });
+};
+
+// Connecting Google leaves the app; the request is remembered in this browser's session
+export const useStartGoogleLink = () => {
+  return useMutation({
+    mutationFn: () => authAPI.createGoogleLink().then(res => res.data),
+    onSuccess: () => {
+      window.location.href = authAPI.googleLinkUrl();
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to connect Google';
+      toast.error(message);
+    },
+  });
+};
+
+export const useUnlinkGoogle = () => {
+  const queryClient = useQueryClient();
+  const { fetchUser } = useAuthStore();
+
+  return useMutation({
+    mutationFn: (password) => authAPI.unlinkGoogle(password).then(res => res.data),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['sign-in-methods'], data.methods);
+      fetchUser();
+      toast.success('Google account disconnected');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to disconnect Google';
+      toast.error(message);
+    },
+  });
+};
+
+export const useSetPassword = () => {
+  const queryClient = useQueryClient();
+  const { fetchUser } = useAuthStore();
+
+  return useMutation({
+    mutationFn: (data) => authAPI.setPassword(data).then(res => res.data),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['sign-in-methods'], data.methods);
+      // Refreshes hasPassword, which other profile cards rely on
+      fetchUser();
+      toast.success('Password set');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to set password';
+      toast.error(message);
+    },
+  });
+};
@@ -1,7 +1,11 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { blogAPI } from '../lib/api';
+import { isBlogId } from '../lib/blogUrl';
 import toast from 'react-hot-toast';
 
+// Saving still works over the hourly AI quota, just without auto-tagging
+const AI_QUOTA_NOTICE = "Saved without AI tags and summary: you've reached your hourly limit for AI features.";
+
 export const useBlogs = (params = {}) => {
   return useQuery({
     queryKey: ['blogs', params],
@@ -18,11 +22,21 @@ export const useRecentBlogs = (limit = 5) => {
   });
 };
 
-export const useBlog = (id) => {
+export const useFeed = (params = {}, options = {}) => {
   return useQuery({
-    queryKey: ['blog', id],
-    queryFn: () => blogAPI.getOne(id).then(res => res.data),
-    enabled: !!id,
+    queryKey: ['blogs', 'feed', params],
+    queryFn: () => blogAPI.getFeed(params).then(res => res.data),
+    ...options,
+  });
+};
+
+// Accepts either a post ID or a slug
+export const useBlog = (idOrSlug) => {
+  return useQuery({
+    queryKey: ['blog', idOrSlug],
+    queryFn: () => (isBlogId(idOrSlug) ? blogAPI.getOne(idOrSlug) : blogAPI.getBySlug(idOrSlug))
+      .then(res => res.data),
+    enabled: !!idOrSlug,
   });
 };
 
@@ -46,13 +60,10 @@ export const useCreateBlog = () => {
 
   return useMutation({
     mutationFn: (data) => blogAPI.create(data).then(res => res.data),
-    onSuccess: () => {
+    // The create page reports success per status (draft, scheduled, published) and errors itself
+    onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['blogs'] });
-      toast.success('Blog post created successfully!');
-    },
-    onError: (error) => {
-      const message = error.response?.data?.message || 'Failed to create blog post';
-      toast.error(message);
+      if (data.aiQuotaExceeded) toast(AI_QUOTA_NOTICE);
     },
   });
 };
@@ -62,10 +73,12 @@ export const useUpdateBlog = () => {
 
   return useMutation({
     mutationFn: ({ id, data }) => blogAPI.update(id, data).then(res => res.data),
-    onSuccess: (_, variables) => {
+    onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['blogs'] });
-      queryClient.invalidateQueries({ queryKey: ['blog', variables.id] });
+      // Posts are cached by ID and by slug, so refresh every cached post
+      queryClient.invalidateQueries({ queryKey: ['blog'] });
       toast.success('Blog post updated successfully!');
+      if (data.aiQuotaExceeded) toast(AI_QUOTA_NOTICE);
     },
     onError: (error) => {
       const message = error.response?.data?.message || 'Failed to update blog post';
@@ -89,3 +102,161 @@ export const useDeleteBlog = () => {
     },
   });
 };
+
+const STATUS_ACTIONS = {
+  publish: { request: blogAPI.publish, success: 'Blog post published!' },
+  unpublish: { request: blogAPI.unpublish, success: 'Blog post moved to drafts' },
+  archive: { request: blogAPI.archive, success: 'Blog post archived' },
+};
+
+export const useChangeBlogStatus = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, action }) => STATUS_ACTIONS[action].request(id).then(res => res.data),
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['blog', variables.id] });
+      toast.success(STATUS_ACTIONS[variables.action].success);
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to update blog status';
+      toast.error(message);
+    },
+  });
+};
+
+export const useScheduleBlog = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, publishAt }) => blogAPI.schedule(id, publishAt).then(res => res.data),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['blog', variables.id] });
+      toast.success(data?.message || 'Blog post scheduled');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to schedule blog post';
+      toast.error(message);
+    },
+  });
+};
+
+export const useCancelSchedule = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id) => blogAPI.cancelSchedule(id).then(res => res.data),
+    onSuccess: (_, id) => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['blog', id] });
+      toast.success('Scheduled publication cancelled');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to cancel schedule';
+      toast.error(message);
+    },
+  });
+};
+
+export const useRevisions = (id, params = {}) => {
+  return useQuery({
+    queryKey: ['revisions', id, params],
+    queryFn: () => blogAPI.getRevisions(id, params).then(res => res.data),
+    enabled: !!id,
+  });
+};
+
+export const useRevisionDiff = (id, from, to = 'current') => {
+  return useQuery({
+    queryKey: ['revisions', id, 'compare', from, to],
+    queryFn: () => blogAPI.compareRevisions(id, from, to).then(res => res.data),
+    enabled: !!id && !!from,
+  });
+};
+
+export const useRestoreRevision = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, revision }) => blogAPI.restoreRevision(id, revision).then(res => res.data),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['blog'] });
+      queryClient.invalidateQueries({ queryKey: ['revisions', variables.id] });
+      toast.success(data?.message || 'Revision restored');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to restore revision';
+      toast.error(message);
+    },
+  });
+};
+
+export const useBookmarks = (params = {}) => {
+  return useQuery({
+    queryKey: ['blogs', 'bookmarks', params],
+    queryFn: () => blogAPI.getBookmarks(params).then(res => res.data),
+  });
+};
+
+const REACTION_ACTIONS = {
+  like: { add: blogAPI.like, remove: blogAPI.unlike, error: 'Failed to update like' },
+  bookmark: { add: blogAPI.bookmark, remove: blogAPI.removeBookmark, error: 'Failed to update bookmark' },
+};
+
+// Toggles a like or bookmark; resolves with the new state and count
+export const useToggleReaction = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, type, active }) => {
+      const action = REACTION_ACTIONS[type];
+      return (active ? action.add(id) : action.remove(id)).then(res => res.data);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['blog'] });
+    },
+    onError: (error, variables) => {
+      const message = error.response?.data?.message || REACTION_ACTIONS[variables.type].error;
+      toast.error(message);
+    },
+  });
+};
+
+// Creates a post from a .md file; resolves with the new blog
+export const useImportMarkdown = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ file, status }) => blogAPI.importMarkdown(file, status).then(res => res.data.blog),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      toast.success('Markdown imported successfully!');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to import Markdown';
+      toast.error(message);
+    },
+  });
+};
+
+// Downloads a post as a Markdown file
+export const useExportMarkdown = () => {
+  return useMutation({
+    mutationFn: async (blog) => {
+      const res = await blogAPI.exportMarkdown(blog.id);
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${blog.slug || blog.id}.md`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+    onError: () => {
+      toast.error('Failed to export blog post');
+    },
+  });
+};
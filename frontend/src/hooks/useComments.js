@@ -0,0 +1,64 @@
+import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { commentAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+export const useComments = (blogId, { sort = 'newest', limit = 20 } = {}) => {
+  return useInfiniteQuery({
+    queryKey: ['comments', blogId, sort],
+    queryFn: ({ pageParam }) =>
+      commentAPI.getAll(blogId, { page: pageParam, limit, sort }).then(res => res.data),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) =>
+      lastPage.pagination?.hasNextPage ? lastPage.pagination.currentPage + 1 : undefined,
+    enabled: !!blogId,
+  });
+};
+
+export const useCreateComment = (blogId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data) => commentAPI.create(blogId, data).then(res => res.data),
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['comments', blogId] });
+      toast.success(variables.parentId ? 'Reply posted!' : 'Comment posted!');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to post comment';
+      toast.error(message);
+    },
+  });
+};
+
+export const useUpdateComment = (blogId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ commentId, content }) =>
+      commentAPI.update(blogId, commentId, content).then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['comments', blogId] });
+      toast.success('Comment updated');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to update comment';
+      toast.error(message);
+    },
+  });
+};
+
+export const useDeleteComment = (blogId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (commentId) => commentAPI.delete(blogId, commentId).then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['comments', blogId] });
+      toast.success('Comment deleted');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to delete comment';
+      toast.error(message);
+    },
+  });
+};
@@ -0,0 +1,50 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { importAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+const POLL_INTERVAL = 2000;
+
+const isActive = (job) => job && (job.status === 'pending' || job.status === 'running');
+
+export const useImportJobs = () => {
+  return useQuery({
+    queryKey: ['imports'],
+    queryFn: () => importAPI.getAll().then(res => res.data.jobs),
+    // Keep polling while a job is still running
+    refetchInterval: (query) => (query.state.data?.some(isActive) ? POLL_INTERVAL : false),
+  });
+};
+
+export const useImportJob = (id) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ['imports', id],
+    queryFn: async () => {
+      const job = await importAPI.getOne(id).then(res => res.data.job);
+      if (!isActive(job)) {
+        // Imported posts show up in the author's lists once the job is done
+        queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      }
+      return job;
+    },
+    enabled: !!id,
+    refetchInterval: (query) => (isActive(query.state.data) ? POLL_INTERVAL : false),
+  });
+};
+
+export const useStartImport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ file, options }) => importAPI.start(file, options).then(res => res.data.job),
+    onSuccess: (job) => {
+      queryClient.invalidateQueries({ queryKey: ['imports'] });
+      toast.success(job.dryRun ? 'Dry run started' : 'Import started');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to start import';
+      toast.error(message);
+    },
+  });
+};
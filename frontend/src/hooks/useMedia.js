@@ -0,0 +1,78 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { mediaAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+// Image types the upload endpoint accepts, and its size limit
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+// Image files from a drop or paste event's DataTransfer
+export const getImageFiles = (dataTransfer) =>
+  Array.from(dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+
+export const useMediaLibrary = (params = {}, options = {}) => {
+  return useQuery({
+    queryKey: ['media', params],
+    queryFn: () => mediaAPI.getAll(params).then(res => res.data),
+    placeholderData: (previous) => previous,
+    ...options,
+  });
+};
+
+export const useUploadMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ file, onUploadProgress }) => {
+      if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+        return Promise.reject(new Error('Only JPEG, PNG, WebP and GIF images can be uploaded'));
+      }
+      if (file.size > MAX_UPLOAD_SIZE) {
+        return Promise.reject(new Error('Images must be 10 MB or smaller'));
+      }
+      return mediaAPI.upload(file, { onUploadProgress }).then(res => res.data.upload);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['media'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || error.message || 'Failed to upload image';
+      toast.error(message);
+    },
+  });
+};
+
+export const useUpdateMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, data }) => mediaAPI.update(id, data).then(res => res.data.upload),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['media'] });
+      toast.success('Image details saved');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to save image details';
+      toast.error(message);
+    },
+  });
+};
+
+// Deleting an image that posts still use fails with 409 unless `force` is set;
+// callers handle that case to ask for confirmation
+export const useDeleteMedia = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, force }) => mediaAPI.delete(id, { force }).then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['media'] });
+      toast.success('Image deleted');
+    },
+    onError: (error) => {
+      if (error.response?.status === 409) return;
+      const message = error.response?.data?.message || 'Failed to delete image';
+      toast.error(message);
+    },
+  });
+};
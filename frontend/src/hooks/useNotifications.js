@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { notificationAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+// Poll this often while the live stream is not connected
+const POLL_INTERVAL = 30000;
+
+// Wait this long before reconnecting a dropped stream
+const RECONNECT_DELAY = 5000;
+
+export const useNotifications = (params = {}, options = {}) => {
+  return useQuery({
+    queryKey: ['notifications', 'list', params],
+    queryFn: () => notificationAPI.getAll(params).then(res => res.data),
+    ...options,
+  });
+};
+
+export const useUnreadCount = ({ enabled = true, polling = true } = {}) => {
+  return useQuery({
+    queryKey: ['notifications', 'unread'],
+    queryFn: () => notificationAPI.getUnreadCount().then(res => res.data?.unreadCount || 0),
+    enabled,
+    refetchInterval: polling ? POLL_INTERVAL : false,
+  });
+};
+
+// Opens the Server-Sent Events stream and keeps the notification queries
+// up to date; returns whether the stream is currently connected
+export const useNotificationStream = (token) => {
+  const queryClient = useQueryClient();
+  const [isConnected, setIsConnected] = useState(false);
+
+  useEffect(() => {
+    if (!token || typeof window.EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const reconnectLater = () => {
+      retryTimer = setTimeout(connect, RECONNECT_DELAY);
+    };
+
+    // Each connection needs a fresh ticket; they work once and expire after a minute
+    const connect = async () => {
+      let ticket;
+      try {
+        ticket = await notificationAPI.getStreamTicket().then(res => res.data.ticket);
+      } catch (error) {
+        if (!stopped) reconnectLater();
+        return;
+      }
+      if (stopped) return;
+
+      source = new EventSource(notificationAPI.streamUrl(ticket));
+
+      source.onopen = () => setIsConnected(true);
+      // The browser would retry with the old, used ticket, so reconnect
+      // with a new one instead; poll until then
+      source.onerror = () => {
+        setIsConnected(false);
+        source.close();
+        reconnectLater();
+      };
+
+      source.addEventListener('unread', (event) => {
+        const { unreadCount } = JSON.parse(event.data);
+        queryClient.setQueryData(['notifications', 'unread'], unreadCount);
+      });
+
+      source.addEventListener('notification', (event) => {
+        const { unreadCount } = JSON.parse(event.data);
+        queryClient.setQueryData(['notifications', 'unread'], unreadCount);
+        queryClient.invalidateQueries({ queryKey: ['notifications', 'list'] });
+      });
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+      setIsConnected(false);
+    };
+  }, [token, queryClient]);
+
+  return isConnected;
+};
+
+export const useMarkNotificationRead = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id) => notificationAPI.markRead(id).then(res => res.data),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['notifications', 'unread'], data.unreadCount);
+      queryClient.invalidateQueries({ queryKey: ['notifications', 'list'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to update notification';
+      toast.error(message);
+    },
+  });
+};
+
+export const useMarkAllNotificationsRead = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => notificationAPI.markAllRead().then(res => res.data),
+    onSuccess: () => {
+      queryClient.setQueryData(['notifications', 'unread'], 0);
+      queryClient.invalidateQueries({ queryKey: ['notifications', 'list'] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to update notifications';
+      toast.error(message);
+    },
+  });
+};
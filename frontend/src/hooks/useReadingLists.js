@@ -0,0 +1,117 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { readingListAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+export const useReadingLists = (options = {}) => {
+  return useQuery({
+    queryKey: ['readingLists'],
+    queryFn: () => readingListAPI.getMine().then(res => res.data?.readingLists || []),
+    ...options,
+  });
+};
+
+export const useReadingList = (id) => {
+  return useQuery({
+    queryKey: ['readingList', id],
+    queryFn: () => readingListAPI.getOne(id).then(res => res.data),
+    enabled: !!id,
+  });
+};
+
+export const useCreateReadingList = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data) => readingListAPI.create(data).then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['readingLists'] });
+      toast.success('Reading list created!');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to create reading list';
+      toast.error(message);
+    },
+  });
+};
+
+export const useUpdateReadingList = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, data }) => readingListAPI.update(id, data).then(res => res.data),
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['readingLists'] });
+      queryClient.invalidateQueries({ queryKey: ['readingList', variables.id] });
+      toast.success('Reading list updated');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to update reading list';
+      toast.error(message);
+    },
+  });
+};
+
+export const useDeleteReadingList = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id) => readingListAPI.delete(id).then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['readingLists'] });
+      toast.success('Reading list deleted');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to delete reading list';
+      toast.error(message);
+    },
+  });
+};
+
+export const useAddToReadingList = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, blogId }) => readingListAPI.addItem(id, blogId).then(res => res.data),
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['readingLists'] });
+      queryClient.invalidateQueries({ queryKey: ['readingList', variables.id] });
+      toast.success(data?.message || 'Added to reading list');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to add to reading list';
+      toast.error(message);
+    },
+  });
+};
+
+export const useRemoveFromReadingList = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, blogId }) => readingListAPI.removeItem(id, blogId).then(res => res.data),
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['readingLists'] });
+      queryClient.invalidateQueries({ queryKey: ['readingList', variables.id] });
+      toast.success('Removed from reading list');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to remove from reading list';
+      toast.error(message);
+    },
+  });
+};
+
+export const useReorderReadingList = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, blogIds }) => readingListAPI.reorder(id, blogIds).then(res => res.data),
+    onSettled: (_, __, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['readingList', variables.id] });
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to reorder reading list';
+      toast.error(message);
+    },
+  });
+};
@@ -0,0 +1,32 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { userAPI } from '../lib/api';
+import toast from 'react-hot-toast';
+
+export const useUserProfile = (id) => {
+  return useQuery({
+    queryKey: ['user', id],
+    queryFn: () => userAPI.getProfile(id).then(res => res.data),
+    enabled: !!id,
+  });
+};
+
+// Follows or unfollows an author; resolves with { isFollowing, followersCount }
+export const useToggleFollow = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, follow }) =>
+      (follow ? userAPI.follow(id) : userAPI.unfollow(id)).then(res => res.data),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(['user', variables.id], (current) =>
+        current ? { ...current, ...data, user: { ...current.user, followersCount: data.followersCount } } : current
+      );
+      queryClient.invalidateQueries({ queryKey: ['blogs', 'feed'] });
+    },
+    onError: (error, variables) => {
+      const message = error.response?.data?.message ||
+        (variables.follow ? 'Failed to follow author' : 'Failed to unfollow author');
+      toast.error(message);
+    },
+  });
+};
@@ -25,18 +25,90 @@ api.interceptors.request.use(
   }
 );
 
+// The session is over: clear tokens and redirect to login
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// Requests that fail at the same time share one refresh
+let refreshRequest = null;
+
+// Lets the auth store keep its copy of the token current (e.g. for the notification stream)
+let tokenRefreshHandler = null;
+
+export const onTokenRefresh = (handler) => {
+  tokenRefreshHandler = handler;
+};
+
+const refreshTokens = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Plain axios, so a failed refresh doesn't go through this interceptor again
+    refreshRequest = axios
+      .post(`${API_URL}/api/auth/refresh`, { refreshToken }, { withCredentials: true })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        if (tokenRefreshHandler) tokenRefreshHandler(data.token);
+        return data.token;
+      })
+      .catch((error) => {
+        // Another tab may have refreshed with the same token a moment earlier
+        if (localStorage.getItem('refreshToken') !== refreshToken) {
+          const token = localStorage.getItem('token');
+          if (tokenRefreshHandler) tokenRefreshHandler(token);
+          return token;
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Clear token and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    // The API explains rate limits itself; cover 429s that come without a message (e.g. from a proxy)
+    if (response?.status === 429 && !response.data?.message) {
+      const retryAfter = parseInt(response.headers?.['retry-after'], 10);
+      const wait = retryAfter > 60 ? `${Math.ceil(retryAfter / 60)} minutes` : 'a minute';
+      response.data = {
+        ...(typeof response.data === 'object' ? response.data : {}),
+        message: `Too many requests. Please wait ${wait} and try again.`,
+      };
+    }
+
+    // Only the auth middleware's 401s carry an error code (TOKEN_EXPIRED, SESSION_REVOKED...);
+    // others, like a wrong current password, are ordinary errors
+    if (response?.status !== 401 || !response.data?.error) {
+      return Promise.reject(error);
+    }
+
+    // Renew the access token and retry once, so an expired token doesn't lose the user's work
+    if (localStorage.getItem('refreshToken') && !config._retried) {
+      try {
+        const token = await refreshTokens();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        endSession();
+        return Promise.reject(error);
       }
     }
+
+    endSession();
     return Promise.reject(error);
   }
 );
@@ -45,25 +117,164 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/api/auth/register', data),
   login: (data) => api.post('/api/auth/login', data),
+  // Second login step when 2FA is on: { challengeToken, code } or { challengeToken, recoveryCode }
+  loginTwoFactor: (data) => api.post('/api/auth/login/2fa', data),
+  // Passwordless login: emails a link to /auth/magic?token=<token>
+  requestMagicLink: (email) => api.post('/api/auth/magic-link', { email }),
+  verifyMagicLink: (token) => api.post('/api/auth/magic-link/verify', { token }),
+  logout: () => api.post('/api/auth/logout'),
+  logoutAll: () => api.post('/api/auth/logout-all'),
+  getSessions: () => api.get('/api/auth/sessions'),
+  revokeSession: (id) => api.delete(`/api/auth/sessions/${id}`),
+  setupTwoFactor: () => api.post('/api/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/api/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/api/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/api/auth/2fa/recovery-codes', { code }),
   getUser: () => api.get('/api/auth/user'),
   updateProfile: (data) => api.put('/api/auth/profile', data),
   changePassword: (data) => api.put('/api/auth/password', data),
   forgotPassword: (email) => api.post('/api/auth/forgot-password', { email }),
   resetPassword: (token, password) => api.post('/api/auth/reset-password', { token, password }),
   verifyResetToken: (token) => api.get(`/api/auth/verify-reset-token/${token}`),
+  verifyEmail: (token) => api.post('/api/auth/verify-email', { token }),
+  resendVerification: () => api.post('/api/auth/resend-verification'),
+  // Starts an export, or reports the latest one; poll until status is 'completed'
+  exportAccount: (refresh = false) => api.get('/api/auth/export', { params: refresh ? { refresh: true } : undefined }),
   googleAuthUrl: () => `${API_URL}/api/auth/google`,
+  // The Google callback comes back to /auth/callback?code=<code>; the code works once
+  exchangeGoogleCode: (code) => api.post('/api/auth/google/exchange', { code }),
+  // Confirms a Google-only account's identity; comes back to /profile?reauthCode=<code>[&action=<action>]
+  googleReauthUrl: (action) => `${API_URL}/api/auth/google/reauth${action ? `?action=${action}` : ''}`,
+  // Trades that code (single use) for { reauthToken }
+  exchangeGoogleReauthCode: (code) => api.post('/api/auth/google/reauth/exchange', { code }),
+  getSignInMethods: () => api.get('/api/auth/sign-in-methods'),
+  // Stores the request in this browser's session; then open googleLinkUrl in the same browser.
+  // Google comes back to /profile?googleLinked=true or ?linkError=
+  createGoogleLink: () => api.post('/api/auth/google/link'),
+  googleLinkUrl: () => `${API_URL}/api/auth/google/link`,
+  unlinkGoogle: (password) => api.delete('/api/auth/google', { data: { password } }),
+  // Google-only accounts: { password, reauthToken } after googleReauthUrl('set-password')
+  setPassword: (data) => api.post('/api/auth/password/set', data),
+  deleteAccount: (data) => api.delete('/api/auth/account', { data }),
 };
 
 // Blog API
 export const blogAPI = {
   getAll: (params) => api.get('/api/blogs', { params }),
   getRecent: (limit = 5) => api.get('/api/blogs/recent', { params: { limit } }),
+  getFeed: (params) => api.get('/api/blogs/feed', { params }),
   getOne: (id) => api.get(`/api/blogs/${id}`),
+  getBySlug: (slug) => api.get(`/api/blogs/slug/${encodeURIComponent(slug)}`),
   create: (data) => api.post('/api/blogs', data),
   update: (id, data) => api.put(`/api/blogs/${id}`, data),
   delete: (id) => api.delete(`/api/blogs/${id}`),
+  publish: (id) => api.post(`/api/blogs/${id}/publish`),
+  unpublish: (id) => api.post(`/api/blogs/${id}/unpublish`),
+  archive: (id) => api.post(`/api/blogs/${id}/archive`),
+  schedule: (id, publishAt) => api.post(`/api/blogs/${id}/schedule`, { publishAt }),
+  cancelSchedule: (id) => api.delete(`/api/blogs/${id}/schedule`),
+  getScheduled: () => api.get('/api/blogs/my/scheduled'),
   getUserBlogs: (userId, params) => api.get(`/api/blogs/user/${userId}`, { params }),
   getMyBlogs: (params) => api.get('/api/blogs/my/posts', { params }),
+  getRevisions: (id, params) => api.get(`/api/blogs/${id}/revisions`, { params }),
+  getRevision: (id, revision) => api.get(`/api/blogs/${id}/revisions/${revision}`),
+  compareRevisions: (id, from, to = 'current') =>
+    api.get(`/api/blogs/${id}/revisions/compare`, { params: { from, to } }),
+  restoreRevision: (id, revision) => api.post(`/api/blogs/${id}/revisions/${revision}/restore`),
+  like: (id) => api.post(`/api/blogs/${id}/like`),
+  unlike: (id) => api.delete(`/api/blogs/${id}/like`),
+  bookmark: (id) => api.post(`/api/blogs/${id}/bookmark`),
+  removeBookmark: (id) => api.delete(`/api/blogs/${id}/bookmark`),
+  getBookmarks: (params) => api.get('/api/blogs/my/bookmarks', { params }),
+  importMarkdown: (file, status = 'draft') => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('status', status);
+    return api.post('/api/blogs/import/markdown', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  exportMarkdown: (id) => api.get(`/api/blogs/${id}/export.md`, { responseType: 'blob' }),
+};
+
+// Reading List API
+export const readingListAPI = {
+  getMine: () => api.get('/api/reading-lists'),
+  getOne: (id) => api.get(`/api/reading-lists/${id}`),
+  create: (data) => api.post('/api/reading-lists', data),
+  update: (id, data) => api.put(`/api/reading-lists/${id}`, data),
+  delete: (id) => api.delete(`/api/reading-lists/${id}`),
+  addItem: (id, blogId) => api.post(`/api/reading-lists/${id}/items`, { blogId }),
+  removeItem: (id, blogId) => api.delete(`/api/reading-lists/${id}/items/${blogId}`),
+  reorder: (id, blogIds) => api.put(`/api/reading-lists/${id}/items/order`, { blogIds }),
+};
+
+// User API
+export const userAPI = {
+  getProfile: (id) => api.get(`/api/users/${id}`),
+  follow: (id) => api.post(`/api/users/${id}/follow`),
+  unfollow: (id) => api.delete(`/api/users/${id}/follow`),
+  getFollowers: (id, params) => api.get(`/api/users/${id}/followers`, { params }),
+  getFollowing: (id, params) => api.get(`/api/users/${id}/following`, { params }),
+};
+
+// Notification API
+export const notificationAPI = {
+  getAll: (params) => api.get('/api/notifications', { params }),
+  getUnreadCount: () => api.get('/api/notifications/unread-count'),
+  markRead: (id) => api.put(`/api/notifications/${id}/read`),
+  markAllRead: () => api.put('/api/notifications/read-all'),
+  // EventSource cannot send headers, so it connects with a short-lived ticket
+  getStreamTicket: () => api.post('/api/notifications/stream-ticket'),
+  streamUrl: (ticket) => `${API_URL}/api/notifications/stream?ticket=${encodeURIComponent(ticket)}`,
+};
+
+// Media API
+export const mediaAPI = {
+  upload: (file, { onUploadProgress } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/api/media', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress,
+    });
+  },
+  getAll: (params) => api.get('/api/media', { params }),
+  getOne: (id) => api.get(`/api/media/${id}`),
+  update: (id, data) => api.put(`/api/media/${id}`, data),
+  delete: (id, { force } = {}) => api.delete(`/api/media/${id}`, { params: force ? { force: true } : undefined }),
+};
+
+// Import API
+export const importAPI = {
+  start: (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') formData.append(key, String(value));
+    });
+    return api.post('/api/imports', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getAll: () => api.get('/api/imports'),
+  getOne: (id) => api.get(`/api/imports/${id}`),
+};
+
+// Feed URLs (RSS 2.0, Atom 1.0 and JSON Feed), served outside /api
+export const feedUrls = {
+  rss: `${API_URL}/feeds/rss.xml`,
+  atom: `${API_URL}/feeds/atom.xml`,
+  json: `${API_URL}/feeds/feed.json`,
+};
+
+// Comment API
+export const commentAPI = {
+  getAll: (blogId, params) => api.get(`/api/blogs/${blogId}/comments`, { params }),
+  create: (blogId, data) => api.post(`/api/blogs/${blogId}/comments`, data),
+  update: (blogId, commentId, content) =>
+    api.put(`/api/blogs/${blogId}/comments/${commentId}`, { content }),
+  delete: (blogId, commentId) => api.delete(`/api/blogs/${blogId}/comments/${commentId}`),
 };
 
 // AI API
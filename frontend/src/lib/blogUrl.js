@@ -0,0 +1,7 @@
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// True for post IDs, false for slugs
+export const isBlogId = (value) => UUID_REGEX.test(String(value || ''));
+
+// Public permalink for a post, preferring its readable slug
+export const getBlogPath = (blog) => `/blog/${blog.slug || blog._id || blog.id}`;
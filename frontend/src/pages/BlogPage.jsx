@@ -1,12 +1,22 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { useBlog } from '../hooks/useBlogs';
+import { getBlogPath } from '../lib/blogUrl';
 import BlogViewer from '../components/blog/BlogViewer';
 
 const BlogPage = () => {
+  // The route parameter is either a post ID or a slug
   const { id } = useParams();
+  const navigate = useNavigate();
   const { data: blog, isLoading } = useBlog(id);
 
+  // Canonicalize ID and old-slug URLs to the current slug
+  useEffect(() => {
+    if (blog?.slug && blog.slug !== id) {
+      navigate(getBlogPath(blog), { replace: true });
+    }
+  }, [blog, id, navigate]);
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -1,22 +1,44 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Search, SlidersHorizontal } from 'lucide-react';
-import { useBlogs } from '../hooks/useBlogs';
+import { Search, SlidersHorizontal, Compass, Users, Rss } from 'lucide-react';
+import { useBlogs, useFeed } from '../hooks/useBlogs';
+import { useAuthStore } from '../stores/authStore';
+import { feedUrls } from '../lib/api';
 import BlogList from '../components/blog/BlogList';
 
+const FEED_TABS = [
+  { value: 'all', label: 'All', icon: Compass },
+  { value: 'following', label: 'Following', icon: Users },
+];
+
 const BlogsPage = () => {
+  const { isAuthenticated } = useAuthStore();
+  const [feedTab, setFeedTab] = useState('all');
   const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [category, setCategory] = useState('');
   const [sortBy, setSortBy] = useState('createdAt');
   const [sortOrder, setSortOrder] = useState('desc');
 
+  // Wait for the user to stop typing before querying the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Relevance only applies once a search term has reached the server
+  const effectiveSortBy = sortBy === 'relevance' && !debouncedSearch ? 'createdAt' : sortBy;
+
   const { data, isLoading, error } = useBlogs({
-    search,
+    search: debouncedSearch || undefined,
     category: category || undefined,
-    sortBy,
+    sortBy: effectiveSortBy,
     sortOrder,
   });
 
+  const showFollowing = isAuthenticated && feedTab === 'following';
+  const feed = useFeed({ limit: 30 }, { enabled: showFollowing });
+
   const blogs = data?.blogs || data || [];
 
   const categories = [
@@ -45,81 +67,146 @@ const BlogsPage = () => {
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
           >
-            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-              Explore Blogs
-            </h1>
+            <div className="flex items-center justify-between gap-4 mb-2">
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+                Explore Blogs
+              </h1>
+              <a
+                href={feedUrls.rss}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-1.5 text-sm text-gray-600 dark:text-gray-400 hover:text-orange-500 transition-colors"
+                title="Subscribe in your feed reader"
+              >
+                <Rss className="w-4 h-4" />
+                RSS
+              </a>
+            </div>
             <p className="text-gray-600 dark:text-gray-400">
               Discover amazing content from our community
             </p>
           </motion.div>
 
-          {/* Search and Filters */}
-          <div className="mt-6 flex flex-col sm:flex-row gap-4">
-            {/* Search */}
-            <div className="relative flex-1">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Search blogs..."
-                value={search}
-                onChange={(e) => setSearch(e.target.value)}
-                className="input pl-10"
-              />
+          {/* Feed Tabs */}
+          {isAuthenticated && (
+            <div className="mt-6 flex gap-2" data-testid="feed-tabs">
+              {FEED_TABS.map((tab) => {
+                const Icon = tab.icon;
+                return (
+                  <button
+                    key={tab.value}
+                    onClick={() => setFeedTab(tab.value)}
+                    className={`px-4 py-1.5 rounded-lg text-sm font-medium transition-colors inline-flex items-center gap-2 ${
+                      feedTab === tab.value
+                        ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300'
+                        : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" />
+                    {tab.label}
+                  </button>
+                );
+              })}
             </div>
+          )}
 
-            {/* Sort */}
-            <div className="flex items-center gap-2">
-              <SlidersHorizontal className="w-5 h-5 text-gray-400" />
-              <select
-                value={`${sortBy}-${sortOrder}`}
-                onChange={(e) => {
-                  const [field, order] = e.target.value.split('-');
-                  setSortBy(field);
-                  setSortOrder(order);
-                }}
-                className="input py-2"
-              >
-                <option value="createdAt-desc">Newest First</option>
-                <option value="createdAt-asc">Oldest First</option>
-                <option value="title-asc">Title A-Z</option>
-                <option value="title-desc">Title Z-A</option>
-              </select>
-            </div>
-          </div>
-
-          {/* Category Filters */}
-          <div className="mt-4 flex flex-wrap gap-2">
-            {categories.map((cat) => (
-              <button
-                key={cat}
-                onClick={() => handleCategoryChange(cat)}
-                className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${
-                  (cat === 'All' && !category) || category === cat
-                    ? 'bg-primary-600 text-white'
-                    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
-                }`}
-              >
-                {cat}
-              </button>
-            ))}
-          </div>
+          {/* Search and Filters */}
+          {!showFollowing && (
+            <>
+              <div className="mt-6 flex flex-col sm:flex-row gap-4">
+                {/* Search */}
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="text"
+                    placeholder="Search blogs..."
+                    value={search}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      setSearch(value);
+                      // Rank by relevance while searching, back to newest when cleared
+                      if (value && sortBy === 'createdAt' && sortOrder === 'desc') {
+                        setSortBy('relevance');
+                      } else if (!value && sortBy === 'relevance') {
+                        setSortBy('createdAt');
+                        setSortOrder('desc');
+                      }
+                    }}
+                    className="input pl-10"
+                  />
+                </div>
+
+                {/* Sort */}
+                <div className="flex items-center gap-2">
+                  <SlidersHorizontal className="w-5 h-5 text-gray-400" />
+                  <select
+                    value={`${sortBy}-${sortOrder}`}
+                    onChange={(e) => {
+                      const [field, order] = e.target.value.split('-');
+                      setSortBy(field);
+                      setSortOrder(order);
+                    }}
+                    className="input py-2"
+                  >
+                    {search && <option value="relevance-desc">Most Relevant</option>}
+                    <option value="createdAt-desc">Newest First</option>
+                    <option value="createdAt-asc">Oldest First</option>
+                    <option value="likesCount-desc">Most Liked</option>
+                    <option value="title-asc">Title A-Z</option>
+                    <option value="title-desc">Title Z-A</option>
+                  </select>
+                </div>
+              </div>
+
+              {/* Category Filters */}
+              <div className="mt-4 flex flex-wrap gap-2">
+                {categories.map((cat) => (
+                  <button
+                    key={cat}
+                    onClick={() => handleCategoryChange(cat)}
+                    className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                      (cat === 'All' && !category) || category === cat
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                    }`}
+                  >
+                    {cat}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
         </div>
       </div>
 
       {/* Blog List */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <BlogList
-          blogs={blogs}
-          isLoading={isLoading}
-          error={error}
-          emptyMessage={
-            search
-              ? `No blogs found for "${search}"`
-              : category
-              ? `No blogs in ${category} category`
-              : 'No blogs yet. Be the first to write one!'
-          }
-        />
+        {showFollowing ? (
+          <BlogList
+            blogs={feed.data?.blogs || []}
+            isLoading={feed.isLoading}
+            error={feed.error}
+            emptyMessage={
+              feed.data?.followingCount
+                ? 'No posts from the authors you follow yet'
+                : "You're not following anyone yet"
+            }
+            emptyHint="Follow authors from their posts to see their new writing here."
+          />
+        ) : (
+          <BlogList
+            blogs={blogs}
+            isLoading={isLoading}
+            error={error}
+            emptyMessage={
+              debouncedSearch
+                ? `No blogs found for "${debouncedSearch}"`
+                : category
+                ? `No blogs in ${category} category`
+                : 'No blogs yet. Be the first to write one!'
+            }
+          />
+        )}
       </div>
     </div>
   );
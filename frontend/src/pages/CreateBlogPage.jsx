@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Save, X, Sparkles, Tag, Wand2, FileText, Hash, AlertCircle } from 'lucide-react';
+import { Save, X, Sparkles, Tag, Wand2, FileText, Hash, AlertCircle, FileClock, CalendarClock } from 'lucide-react';
 import { useCreateBlog } from '../hooks/useBlogs';
 import BlogEditor from '../components/blog/BlogEditor';
+import CoverImageField from '../components/blog/CoverImageField';
 import AutoTagSuggestions from '../components/ai/AutoTagSuggestions';
 import TitleGenerator from '../components/ai/TitleGenerator';
 import toast from 'react-hot-toast';
@@ -34,10 +35,15 @@ const CreateBlogPage = () => {
   const [tagInput, setTagInput] = useState('');
   const [coverImage, setCoverImage] = useState('');
   const [showAITools, setShowAITools] = useState(false);
+  const [submittingStatus, setSubmittingStatus] = useState(null);
+  const [publishAt, setPublishAt] = useState('');
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    
+    saveBlog(publishAt ? 'scheduled' : 'published');
+  };
+
+  const saveBlog = async (status) => {
     if (!title.trim()) {
       toast.error('Please add a title');
       return;
@@ -48,6 +54,11 @@ const CreateBlogPage = () => {
       return;
     }
 
+    if (status === 'scheduled' && new Date(publishAt) <= new Date()) {
+      toast.error('Scheduled time must be in the future');
+      return;
+    }
+
     try {
       const blogData = {
         title: title.trim(),
@@ -56,13 +67,21 @@ const CreateBlogPage = () => {
         category: category || 'Other',
         tags,
         media: coverImage.trim() ? [coverImage.trim()] : undefined,
+        status,
+        publishAt: status === 'scheduled' ? new Date(publishAt).toISOString() : undefined,
       };
       
+      setSubmittingStatus(status);
       await createBlog.mutateAsync(blogData);
-      toast.success('Blog published successfully!');
+      toast.success({
+        draft: 'Draft saved!',
+        scheduled: 'Blog scheduled successfully!',
+      }[status] || 'Blog published successfully!');
       navigate('/my-blogs');
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to create blog');
+    } finally {
+      setSubmittingStatus(null);
     }
   };
 
@@ -176,28 +195,7 @@ const CreateBlogPage = () => {
             </div>
 
             {/* Cover Image */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Cover Image URL (optional)
-              </label>
-              <input
-                type="url"
-                value={coverImage}
-                onChange={(e) => setCoverImage(e.target.value)}
-                placeholder="https://example.com/image.jpg"
-                className="input"
-              />
-              {coverImage && (
-                <div className="mt-2">
-                  <img 
-                    src={coverImage} 
-                    alt="Cover preview" 
-                    className="max-h-48 rounded-lg object-cover"
-                    onError={(e) => e.target.style.display = 'none'}
-                  />
-                </div>
-              )}
-            </div>
+            <CoverImageField value={coverImage} onChange={setCoverImage} />
 
             {/* Category */}
             <div>
@@ -272,6 +270,34 @@ const CreateBlogPage = () => {
               />
             </div>
 
+            {/* Schedule */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Schedule for later (optional)
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="datetime-local"
+                  value={publishAt}
+                  onChange={(e) => setPublishAt(e.target.value)}
+                  className="input"
+                />
+                {publishAt && (
+                  <button
+                    type="button"
+                    onClick={() => setPublishAt('')}
+                    className="p-2 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 rounded-lg transition-colors"
+                    title="Clear schedule"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                Leave empty to publish right away. Scheduled posts go live automatically.
+              </p>
+            </div>
+
             {/* Submit Buttons */}
             <div className="flex items-center justify-end gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
               <button
@@ -281,13 +307,24 @@ const CreateBlogPage = () => {
               >
                 Cancel
               </button>
+              <button
+                type="button"
+                onClick={() => saveBlog('draft')}
+                disabled={createBlog.isPending}
+                className="btn-secondary inline-flex items-center gap-2"
+              >
+                <FileClock className="w-4 h-4" />
+                {submittingStatus === 'draft' ? 'Saving...' : 'Save Draft'}
+              </button>
               <button
                 type="submit"
                 disabled={createBlog.isPending}
                 className="btn-primary inline-flex items-center gap-2"
               >
-                <Save className="w-4 h-4" />
-                {createBlog.isPending ? 'Publishing...' : 'Publish Blog'}
+                {publishAt ? <CalendarClock className="w-4 h-4" /> : <Save className="w-4 h-4" />}
+                {publishAt
+                  ? (submittingStatus === 'scheduled' ? 'Scheduling...' : 'Schedule Blog')
+                  : (submittingStatus === 'published' ? 'Publishing...' : 'Publish Blog')}
               </button>
             </div>
           </form>
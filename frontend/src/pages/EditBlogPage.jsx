@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Save, X, Sparkles, Tag, Loader2 } from 'lucide-react';
+import { Save, X, Sparkles, Tag, Loader2, History } from 'lucide-react';
 import { useBlog, useUpdateBlog } from '../hooks/useBlogs';
 import { useAuthStore } from '../stores/authStore';
 import BlogEditor from '../components/blog/BlogEditor';
+import CoverImageField from '../components/blog/CoverImageField';
+import RevisionHistory from '../components/blog/RevisionHistory';
 import AutoTagSuggestions from '../components/ai/AutoTagSuggestions';
 import TitleGenerator from '../components/ai/TitleGenerator';
 import { PageLoader } from '../components/common/LoadingSpinner';
+import { getBlogPath } from '../lib/blogUrl';
 import toast from 'react-hot-toast';
 
 const CATEGORIES = [
@@ -39,6 +42,8 @@ const EditBlogPage = () => {
   const [tagInput, setTagInput] = useState('');
   const [coverImage, setCoverImage] = useState('');
   const [showAITools, setShowAITools] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [aiRefresh, setAIRefresh] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
 
   // Check ownership and redirect if not the author
@@ -48,7 +53,7 @@ const EditBlogPage = () => {
       const userId = user.id || user._id;
       if (String(userId) !== String(authorId)) {
         toast.error('You are not authorized to edit this blog');
-        navigate(`/blog/${id}`);
+        navigate(getBlogPath(blog));
       }
     }
   }, [blog, user, id, navigate]);
@@ -100,11 +105,16 @@ const EditBlogPage = () => {
         category: category || 'Other',
         tags,
         media: coverImage.trim() ? [coverImage.trim()] : undefined,
+        // Without the checkbox, AI only refreshes metadata after large rewrites
+        aiRefresh: aiRefresh || undefined,
       };
       
-      await updateBlog.mutateAsync({ id, data: blogData });
+      const result = await updateBlog.mutateAsync({ id, data: blogData });
       toast.success('Blog updated successfully!');
-      navigate(`/blog/${id}`);
+      if (result?.aiRegenerated?.length > 0) {
+        toast.success(`AI updated the ${result.aiRegenerated.join(', ')} to match your changes`);
+      }
+      navigate(getBlogPath(result?.blog || blog));
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to update blog');
     }
@@ -163,6 +173,14 @@ const EditBlogPage = () => {
               )}
             </div>
             <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => setShowHistory(!showHistory)}
+                className={`btn-secondary inline-flex items-center gap-2 ${showHistory ? 'ring-2 ring-primary-500' : ''}`}
+              >
+                <History className="w-4 h-4" />
+                History
+              </button>
               <button
                 type="button"
                 onClick={() => setShowAITools(!showAITools)}
@@ -181,6 +199,14 @@ const EditBlogPage = () => {
             </div>
           </div>
 
+          {/* Revision History */}
+          {showHistory && (
+            <RevisionHistory
+              blogId={blog?.id || id}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             {/* Title */}
             <div>
@@ -208,28 +234,7 @@ const EditBlogPage = () => {
             </div>
 
             {/* Cover Image */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Cover Image URL (optional)
-              </label>
-              <input
-                type="url"
-                value={coverImage}
-                onChange={(e) => setCoverImage(e.target.value)}
-                placeholder="https://example.com/image.jpg"
-                className="input"
-              />
-              {coverImage && (
-                <div className="mt-2">
-                  <img 
-                    src={coverImage} 
-                    alt="Cover preview" 
-                    className="max-h-48 rounded-lg object-cover"
-                    onError={(e) => e.target.style.display = 'none'}
-                  />
-                </div>
-              )}
-            </div>
+            <CoverImageField value={coverImage} onChange={setCoverImage} />
 
             {/* Category */}
             <div>
@@ -304,6 +309,20 @@ const EditBlogPage = () => {
               />
             </div>
 
+            {/* AI metadata refresh */}
+            {showAITools && (
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={aiRefresh}
+                  onChange={(e) => setAIRefresh(e.target.checked)}
+                  className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                />
+                Regenerate tags, summary and category with AI when saving
+                <span className="text-gray-500">(fields you edited are kept)</span>
+              </label>
+            )}
+
             {/* Submit Buttons */}
             <div className="flex items-center justify-end gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
               <button
@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Upload, Loader2, CheckCircle2, XCircle, Clock, Eye, FileUp } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useImportJobs, useImportJob, useStartImport } from '../hooks/useImports';
+
+const SOURCES = [
+  { value: '', label: 'Detect automatically' },
+  { value: 'wordpress', label: 'WordPress (WXR .xml)' },
+  { value: 'ghost', label: 'Ghost (.json)' },
+  { value: 'medium', label: 'Medium (.zip)' },
+];
+
+const SOURCE_LABELS = {
+  wordpress: 'WordPress',
+  ghost: 'Ghost',
+  medium: 'Medium',
+};
+
+const RESULT_BADGES = {
+  imported: { label: 'Imported', className: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' },
+  would_import: { label: 'Will import', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300' },
+  duplicate: { label: 'Already imported', className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300' },
+  skipped: { label: 'Skipped', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300' },
+};
+
+const JobStatus = ({ job }) => {
+  if (job.status === 'completed') {
+    return <CheckCircle2 className="w-5 h-5 text-green-500" />;
+  }
+  if (job.status === 'failed') {
+    return <XCircle className="w-5 h-5 text-red-500" />;
+  }
+  if (job.status === 'running') {
+    return <Loader2 className="w-5 h-5 text-primary-500 animate-spin" />;
+  }
+  return <Clock className="w-5 h-5 text-gray-400" />;
+};
+
+const JobReport = ({ jobId, onRunImport, canRunImport, isStarting }) => {
+  const { data: job, isLoading } = useImportJob(jobId);
+
+  if (isLoading || !job) {
+    return (
+      <div className="card p-6 flex justify-center">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const progress = job.totalItems > 0 ? Math.round((job.processedItems / job.totalItems) * 100) : 0;
+  const counts = job.counts || {};
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <JobStatus job={job} />
+            {job.dryRun ? 'Dry run' : 'Import'} of {job.fileName || SOURCE_LABELS[job.source]}
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            {SOURCE_LABELS[job.source]} · started {formatDistanceToNow(new Date(job.createdAt), { addSuffix: true })}
+          </p>
+        </div>
+        {job.dryRun && job.status === 'completed' && canRunImport && counts.would_import > 0 && (
+          <button
+            onClick={onRunImport}
+            disabled={isStarting}
+            className="btn-primary inline-flex items-center gap-2 shrink-0"
+          >
+            <Upload className="w-4 h-4" />
+            Import {counts.would_import} post{counts.would_import === 1 ? '' : 's'}
+          </button>
+        )}
+      </div>
+
+      {job.status === 'failed' && job.error && (
+        <p className="mb-4 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 text-sm">
+          {job.error}
+        </p>
+      )}
+
+      {(job.status === 'running' || job.status === 'pending') && (
+        <div className="mb-4">
+          <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+            <div className="h-full bg-primary-500 transition-all" style={{ width: `${progress}%` }} />
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            {job.totalItems > 0 ? `${job.processedItems} of ${job.totalItems} posts` : 'Reading file...'}
+          </p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(RESULT_BADGES)
+          .filter(([result]) => counts[result] > 0)
+          .map(([result, badge]) => (
+            <span key={result} className={`px-2.5 py-1 rounded-full text-xs font-medium ${badge.className}`}>
+              {badge.label}: {counts[result]}
+            </span>
+          ))}
+      </div>
+
+      {job.items?.length > 0 && (
+        <div className="divide-y divide-gray-200 dark:divide-gray-700 border-t border-gray-200 dark:border-gray-700">
+          {job.items.map((item, index) => {
+            const badge = RESULT_BADGES[item.result];
+            const failedImages = (item.images || []).filter(image => image.error);
+            return (
+              <div key={`${item.sourceId}-${index}`} className="py-3 flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white truncate">
+                    {item.title || 'Untitled Post'}
+                  </p>
+                  {item.error && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{item.error}</p>
+                  )}
+                  {item.images?.length > 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {item.images.length} image{item.images.length === 1 ? '' : 's'}
+                      {failedImages.length > 0 && ` · ${failedImages.length} not copied (original URL kept)`}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {badge && (
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                      {badge.label}
+                    </span>
+                  )}
+                  {item.blogId && (
+                    <Link
+                      to={`/edit/${item.blogId}`}
+                      className="p-1.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg transition-colors"
+                      title="Open post"
+                    >
+                      <Eye className="w-4 h-4" />
+                    </Link>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ImportPage = () => {
+  const [file, setFile] = useState(null);
+  const [source, setSource] = useState('');
+  const [sourceUrl, setSourceUrl] = useState('');
+  const [keepStatus, setKeepStatus] = useState(true);
+  const [importImages, setImportImages] = useState(false);
+  const [selectedJobId, setSelectedJobId] = useState(null);
+  const { data: jobs } = useImportJobs();
+  const startImport = useStartImport();
+
+  const start = async (dryRun) => {
+    if (!file) return;
+    try {
+      const job = await startImport.mutateAsync({
+        file,
+        options: { source, sourceUrl, keepStatus, importImages, dryRun },
+      });
+      setSelectedJobId(job.id);
+    } catch (error) {
+      // Error toast is shown by the mutation hook
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Import Posts
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Move your posts over from WordPress, Ghost or Medium. Posts you already imported are skipped,
+            so you can safely run an import again.
+          </p>
+        </div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card p-6 space-y-4"
+        >
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Export file
+            </label>
+            <input
+              type="file"
+              accept=".xml,.json,.zip"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              className="block w-full text-sm text-gray-600 dark:text-gray-400 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-100 dark:file:bg-gray-700 file:text-gray-700 dark:file:text-gray-200"
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              WordPress: Tools → Export. Ghost: Settings → Labs → Export. Medium: Settings → Download your
+              information. Up to 50 MB.
+            </p>
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Platform
+              </label>
+              <select value={source} onChange={(e) => setSource(e.target.value)} className="input">
+                {SOURCES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Old blog URL (optional)
+              </label>
+              <input
+                type="url"
+                value={sourceUrl}
+                onChange={(e) => setSourceUrl(e.target.value)}
+                placeholder="https://myblog.ghost.io"
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={keepStatus}
+                onChange={(e) => setKeepStatus(e.target.checked)}
+                className="rounded"
+              />
+              Keep published posts published (with their original dates); otherwise import everything as drafts
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={importImages}
+                onChange={(e) => setImportImages(e.target.checked)}
+                className="rounded"
+              />
+              Copy images into my media library instead of linking to the old blog
+            </label>
+          </div>
+
+          <div className="flex flex-wrap gap-3 justify-end">
+            <button
+              onClick={() => start(true)}
+              disabled={!file || startImport.isPending}
+              className="btn-secondary inline-flex items-center gap-2"
+            >
+              <Eye className="w-4 h-4" />
+              Preview (dry run)
+            </button>
+            <button
+              onClick={() => start(false)}
+              disabled={!file || startImport.isPending}
+              className="btn-primary inline-flex items-center gap-2"
+            >
+              {startImport.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileUp className="w-4 h-4" />}
+              Import
+            </button>
+          </div>
+        </motion.div>
+
+        {selectedJobId && (
+          <JobReport
+            jobId={selectedJobId}
+            onRunImport={() => start(false)}
+            canRunImport={!!file}
+            isStarting={startImport.isPending}
+          />
+        )}
+
+        {jobs?.length > 0 && (
+          <div className="card p-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Recent imports</h2>
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {jobs.map(job => (
+                <button
+                  key={job.id}
+                  onClick={() => setSelectedJobId(job.id)}
+                  className={`w-full py-3 flex items-center justify-between gap-4 text-left hover:bg-gray-50 dark:hover:bg-gray-800/50 ${
+                    job.id === selectedJobId ? 'bg-gray-50 dark:bg-gray-800/50' : ''
+                  }`}
+                >
+                  <span className="flex items-center gap-2 min-w-0">
+                    <JobStatus job={job} />
+                    <span className="truncate text-gray-900 dark:text-white">
+                      {job.dryRun ? 'Dry run' : 'Import'} · {job.fileName || SOURCE_LABELS[job.source]}
+                    </span>
+                  </span>
+                  <span className="text-sm text-gray-500 dark:text-gray-400 shrink-0">
+                    {job.status === 'completed'
+                      ? `${job.dryRun ? job.counts.would_import : job.counts.imported} new, ${job.counts.failed} failed`
+                      : job.status}
+                    {' · '}
+                    {formatDistanceToNow(new Date(job.createdAt), { addSuffix: true })}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportPage;
@@ -1,18 +1,54 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Plus, FileText, Edit3, Trash2, Eye, Calendar } from 'lucide-react';
-import { useMyBlogs, useDeleteBlog } from '../hooks/useBlogs';
+import { Plus, FileText, Edit3, Trash2, Eye, Calendar, Send, Undo2, Archive, CalendarClock, CalendarX, FileUp, FileDown, Download } from 'lucide-react';
+import {
+  useMyBlogs,
+  useDeleteBlog,
+  useChangeBlogStatus,
+  useScheduleBlog,
+  useCancelSchedule,
+  useImportMarkdown,
+  useExportMarkdown,
+} from '../hooks/useBlogs';
 import { PageLoader } from '../components/common/LoadingSpinner';
-import { formatDistanceToNow } from 'date-fns';
+import { format, formatDistanceToNow } from 'date-fns';
+import { getBlogPath } from '../lib/blogUrl';
 import toast from 'react-hot-toast';
 
+const STATUS_TABS = [
+  { value: '', label: 'All' },
+  { value: 'draft', label: 'Drafts' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'published', label: 'Published' },
+  { value: 'archived', label: 'Archived' },
+];
+
+const STATUS_BADGES = {
+  draft: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  scheduled: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  published: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  archived: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+};
+
 const MyBlogsPage = () => {
-  const { data, isLoading, error } = useMyBlogs();
+  const [statusFilter, setStatusFilter] = useState('');
+  const { data, isLoading, error } = useMyBlogs({ status: statusFilter || undefined });
   const deleteBlog = useDeleteBlog();
+  const changeStatus = useChangeBlogStatus();
+  const scheduleBlog = useScheduleBlog();
+  const cancelSchedule = useCancelSchedule();
+  const importMarkdown = useImportMarkdown();
+  const exportMarkdown = useExportMarkdown();
+  const navigate = useNavigate();
+  const importInputRef = useRef(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [scheduleTarget, setScheduleTarget] = useState(null);
+  const [scheduleTime, setScheduleTime] = useState('');
 
   const blogs = data?.blogs || [];
+  const statusCounts = data?.statusCounts || {};
+  const totalCount = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
 
   const handleDelete = async (id) => {
     try {
@@ -24,6 +60,40 @@ const MyBlogsPage = () => {
     }
   };
 
+  const openScheduleModal = (blog) => {
+    setScheduleTarget(blog);
+    setScheduleTime(blog.publishAt ? format(new Date(blog.publishAt), "yyyy-MM-dd'T'HH:mm") : '');
+  };
+
+  const handleSchedule = async () => {
+    if (!scheduleTime || new Date(scheduleTime) <= new Date()) {
+      toast.error('Scheduled time must be in the future');
+      return;
+    }
+    try {
+      await scheduleBlog.mutateAsync({
+        id: scheduleTarget.id,
+        publishAt: new Date(scheduleTime).toISOString(),
+      });
+      setScheduleTarget(null);
+    } catch (error) {
+      // Error toast is shown by the mutation hook
+    }
+  };
+
+  // Imported posts start as drafts and open in the editor for review
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const blog = await importMarkdown.mutateAsync({ file });
+      navigate(`/edit/${blog.id}`);
+    } catch (error) {
+      // Error toast is shown by the mutation hook
+    }
+  };
+
   if (isLoading) {
     return <PageLoader />;
   }
@@ -57,10 +127,53 @@ const MyBlogsPage = () => {
               Manage and edit your blog posts
             </p>
           </div>
-          <Link to="/create" className="btn-primary inline-flex items-center gap-2">
-            <Plus className="w-5 h-5" />
-            Create New Blog
-          </Link>
+          <div className="flex gap-2">
+            <button
+              onClick={() => importInputRef.current?.click()}
+              disabled={importMarkdown.isPending}
+              className="btn-secondary inline-flex items-center gap-2"
+              title="Create a draft from a Markdown file with YAML front matter"
+            >
+              <FileUp className="w-5 h-5" />
+              {importMarkdown.isPending ? 'Importing...' : 'Import Markdown'}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".md,.markdown,text/markdown"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <Link
+              to="/import"
+              className="btn-secondary inline-flex items-center gap-2"
+              title="Import posts from WordPress, Ghost or Medium"
+            >
+              <Download className="w-5 h-5" />
+              Import Blog
+            </Link>
+            <Link to="/create" className="btn-primary inline-flex items-center gap-2">
+              <Plus className="w-5 h-5" />
+              Create New Blog
+            </Link>
+          </div>
+        </div>
+
+        {/* Status Tabs */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setStatusFilter(tab.value)}
+              className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                statusFilter === tab.value
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {tab.label} ({tab.value ? statusCounts[tab.value] || 0 : totalCount})
+            </button>
+          ))}
         </div>
 
         {/* Blog List */}
@@ -77,6 +190,14 @@ const MyBlogsPage = () => {
             <p className="text-gray-600 dark:text-gray-400 mb-6">
               Start sharing your thoughts with the world
             </p>
+            <Link
+              to="/import"
+              className="btn-secondary inline-flex items-center gap-2"
+              title="Import posts from WordPress, Ghost or Medium"
+            >
+              <Download className="w-5 h-5" />
+              Import Blog
+            </Link>
             <Link to="/create" className="btn-primary inline-flex items-center gap-2">
               <Plus className="w-5 h-5" />
               Create Your First Blog
@@ -96,7 +217,7 @@ const MyBlogsPage = () => {
                   {/* Blog Info */}
                   <div className="flex-1">
                     <Link 
-                      to={`/blog/${blog.id}`}
+                      to={getBlogPath(blog)}
                       className="text-xl font-semibold text-gray-900 dark:text-white hover:text-purple-600 dark:hover:text-purple-400 transition-colors"
                     >
                       {blog.title}
@@ -105,10 +226,21 @@ const MyBlogsPage = () => {
                       {blog.excerpt || blog.content?.substring(0, 150)}...
                     </p>
                     <div className="flex flex-wrap items-center gap-4 mt-3">
+                      {blog.status && (
+                        <span className={`badge text-xs capitalize ${STATUS_BADGES[blog.status] || ''}`}>
+                          {blog.status}
+                        </span>
+                      )}
                       <span className="inline-flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
                         <Calendar className="w-4 h-4" />
                         {formatDistanceToNow(new Date(blog.createdAt), { addSuffix: true })}
                       </span>
+                      {blog.status === 'scheduled' && blog.publishAt && (
+                        <span className="inline-flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400">
+                          <CalendarClock className="w-4 h-4" />
+                          Publishes {format(new Date(blog.publishAt), 'MMM d, yyyy h:mm a')}
+                        </span>
+                      )}
                       {blog.tags?.length > 0 && (
                         <div className="flex flex-wrap gap-2">
                           {blog.tags.slice(0, 3).map((tag, i) => (
@@ -128,8 +260,56 @@ const MyBlogsPage = () => {
 
                   {/* Actions */}
                   <div className="flex items-center gap-2">
+                    {blog.status === 'published' ? (
+                      <button
+                        onClick={() => changeStatus.mutate({ id: blog.id, action: 'unpublish' })}
+                        disabled={changeStatus.isPending}
+                        className="p-2 text-gray-500 hover:text-amber-600 hover:bg-amber-50 dark:hover:bg-amber-900/20 rounded-lg transition-colors"
+                        title="Move to drafts"
+                      >
+                        <Undo2 className="w-5 h-5" />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => changeStatus.mutate({ id: blog.id, action: 'publish' })}
+                        disabled={changeStatus.isPending}
+                        className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 dark:hover:bg-green-900/20 rounded-lg transition-colors"
+                        title="Publish"
+                      >
+                        <Send className="w-5 h-5" />
+                      </button>
+                    )}
+                    {blog.status !== 'published' && (
+                      <button
+                        onClick={() => openScheduleModal(blog)}
+                        className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg transition-colors"
+                        title={blog.status === 'scheduled' ? 'Reschedule' : 'Schedule'}
+                      >
+                        <CalendarClock className="w-5 h-5" />
+                      </button>
+                    )}
+                    {blog.status === 'scheduled' && (
+                      <button
+                        onClick={() => cancelSchedule.mutate(blog.id)}
+                        disabled={cancelSchedule.isPending}
+                        className="p-2 text-gray-500 hover:text-amber-600 hover:bg-amber-50 dark:hover:bg-amber-900/20 rounded-lg transition-colors"
+                        title="Cancel schedule"
+                      >
+                        <CalendarX className="w-5 h-5" />
+                      </button>
+                    )}
+                    {blog.status !== 'archived' && (
+                      <button
+                        onClick={() => changeStatus.mutate({ id: blog.id, action: 'archive' })}
+                        disabled={changeStatus.isPending}
+                        className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Archive"
+                      >
+                        <Archive className="w-5 h-5" />
+                      </button>
+                    )}
                     <Link
-                      to={`/blog/${blog.id}`}
+                      to={getBlogPath(blog)}
                       className="p-2 text-gray-500 hover:text-purple-600 hover:bg-purple-50 dark:hover:bg-purple-900/20 rounded-lg transition-colors"
                       title="View"
                     >
@@ -142,6 +322,13 @@ const MyBlogsPage = () => {
                     >
                       <Edit3 className="w-5 h-5" />
                     </Link>
+                    <button
+                      onClick={() => exportMarkdown.mutate(blog)}
+                      className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                      title="Export as Markdown"
+                    >
+                      <FileDown className="w-5 h-5" />
+                    </button>
                     <button
                       onClick={() => setDeleteConfirm(blog.id)}
                       className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
@@ -156,6 +343,45 @@ const MyBlogsPage = () => {
           </div>
         )}
 
+        {/* Schedule Modal */}
+        {scheduleTarget && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <motion.div
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              className="bg-white dark:bg-gray-800 rounded-xl p-6 max-w-md w-full shadow-xl"
+            >
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+                {scheduleTarget.status === 'scheduled' ? 'Reschedule Blog' : 'Schedule Blog'}
+              </h3>
+              <p className="text-gray-600 dark:text-gray-400 mb-4">
+                "{scheduleTarget.title || 'Untitled Post'}" will be published automatically at this time.
+              </p>
+              <input
+                type="datetime-local"
+                value={scheduleTime}
+                onChange={(e) => setScheduleTime(e.target.value)}
+                className="input mb-6"
+              />
+              <div className="flex gap-3 justify-end">
+                <button
+                  onClick={() => setScheduleTarget(null)}
+                  className="btn-secondary"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSchedule}
+                  disabled={scheduleBlog.isPending}
+                  className="btn-primary"
+                >
+                  {scheduleBlog.isPending ? 'Scheduling...' : 'Schedule'}
+                </button>
+              </div>
+            </motion.div>
+          </div>
+        )}
+
         {/* Delete Confirmation Modal */}
         {deleteConfirm && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
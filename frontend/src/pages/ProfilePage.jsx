@@ -5,6 +5,12 @@ import { useAuthStore } from '../stores/authStore';
 import { useMyBlogs } from '../hooks/useBlogs';
 import { formatDistanceToNow } from 'date-fns';
 import { Link } from 'react-router-dom';
+import { getBlogPath } from '../lib/blogUrl';
+import DataExportCard from '../components/account/DataExportCard';
+import DeleteAccountCard from '../components/account/DeleteAccountCard';
+import SessionsCard from '../components/account/SessionsCard';
+import SecurityCard from '../components/account/SecurityCard';
+import SignInMethodsCard from '../components/account/SignInMethodsCard';
 
 const ProfilePage = () => {
   const { user, updateProfile, isLoading } = useAuthStore();
@@ -80,6 +86,14 @@ const ProfilePage = () => {
                       Joined {user?.createdAt && formatDistanceToNow(new Date(user.createdAt), { addSuffix: true })}
                     </span>
                   </div>
+                  <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400 mt-2">
+                    <span>
+                      <strong className="text-gray-900 dark:text-white">{user?.followersCount || 0}</strong> followers
+                    </span>
+                    <span>
+                      <strong className="text-gray-900 dark:text-white">{user?.followingCount || 0}</strong> following
+                    </span>
+                  </div>
                 </div>
                 
                 {!isEditing ? (
@@ -180,7 +194,7 @@ const ProfilePage = () => {
               {blogs?.slice(0, 5).map((blog) => (
                 <Link
                   key={blog.id}
-                  to={`/blog/${blog.id}`}
+                  to={getBlogPath(blog)}
                   className="block p-4 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
                 >
                   <h3 className="font-medium text-gray-900 dark:text-white">
@@ -194,6 +208,21 @@ const ProfilePage = () => {
             </div>
           )}
         </motion.div>
+
+        {/* Security */}
+        <SecurityCard />
+
+        {/* Sign-in Methods */}
+        <SignInMethodsCard />
+
+        {/* Signed-in Devices */}
+        <SessionsCard />
+
+        {/* Data Export */}
+        <DataExportCard />
+
+        {/* Danger Zone */}
+        <DeleteAccountCard />
       </div>
     </div>
   );
@@ -0,0 +1,165 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, ArrowUp, ArrowDown, Globe, Lock, Link2, X } from 'lucide-react';
+import {
+  useReadingList,
+  useUpdateReadingList,
+  useRemoveFromReadingList,
+  useReorderReadingList,
+} from '../hooks/useReadingLists';
+import BlogCard from '../components/blog/BlogCard';
+import { PageLoader } from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const ReadingListPage = () => {
+  const { id } = useParams();
+  const { data, isLoading, error } = useReadingList(id);
+  const updateReadingList = useUpdateReadingList();
+  const removeFromReadingList = useRemoveFromReadingList();
+  const reorderReadingList = useReorderReadingList();
+
+  if (isLoading) {
+    return <PageLoader />;
+  }
+
+  if (error || !data) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[60vh]">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+          Reading list not found
+        </h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">
+          This list doesn't exist or is private.
+        </p>
+        <Link to="/blogs" className="btn-primary">
+          Browse Blogs
+        </Link>
+      </div>
+    );
+  }
+
+  const { readingList, blogs, isOwner } = data;
+  const ownerName = readingList.owner?.nickname || readingList.owner?.name || 'Anonymous';
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied to clipboard!');
+    } catch (err) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const blogIds = blogs.map((blog) => blog.id);
+    const [moved] = blogIds.splice(index, 1);
+    blogIds.splice(index + offset, 0, moved);
+    reorderReadingList.mutate({ id: readingList.id, blogIds });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {isOwner && (
+          <Link
+            to="/reading-lists"
+            className="inline-flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 mb-6 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Reading Lists
+          </Link>
+        )}
+
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4 mb-8">
+          <div>
+            <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400 mb-1">
+              {readingList.isPublic ? <Globe className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+              {readingList.isPublic ? 'Public list' : 'Private list'} by {ownerName}
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              {readingList.name}
+            </h1>
+            {readingList.description && (
+              <p className="text-gray-600 dark:text-gray-400 mt-2">
+                {readingList.description}
+              </p>
+            )}
+          </div>
+
+          {isOwner && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => updateReadingList.mutate({
+                  id: readingList.id,
+                  data: { isPublic: !readingList.isPublic },
+                })}
+                disabled={updateReadingList.isPending}
+                className="btn-secondary text-sm inline-flex items-center gap-2"
+              >
+                {readingList.isPublic ? <Lock className="w-4 h-4" /> : <Globe className="w-4 h-4" />}
+                {readingList.isPublic ? 'Make Private' : 'Make Public'}
+              </button>
+              {readingList.isPublic && (
+                <button
+                  onClick={handleCopyLink}
+                  className="btn-secondary text-sm inline-flex items-center gap-2"
+                >
+                  <Link2 className="w-4 h-4" />
+                  Copy Link
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Posts */}
+        {blogs.length === 0 ? (
+          <p className="text-center text-gray-600 dark:text-gray-400 py-16">
+            This reading list is empty.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            {blogs.map((blog, index) => (
+              <div key={blog.id} className="flex items-start gap-3">
+                {isOwner && (
+                  <div className="flex flex-col gap-1 pt-6">
+                    <button
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0 || reorderReadingList.isPending}
+                      className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === blogs.length - 1 || reorderReadingList.isPending}
+                      className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => removeFromReadingList.mutate({ id: readingList.id, blogId: blog.id })}
+                      disabled={removeFromReadingList.isPending}
+                      className="p-1 rounded text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                      title="Remove from list"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <BlogCard blog={blog} index={index} />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingListPage;
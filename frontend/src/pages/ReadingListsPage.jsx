@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Bookmark, ListPlus, Plus, Trash2, Lock, Globe } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useBookmarks } from '../hooks/useBlogs';
+import {
+  useReadingLists,
+  useCreateReadingList,
+  useDeleteReadingList,
+} from '../hooks/useReadingLists';
+import BlogCard from '../components/blog/BlogCard';
+import { PageLoader } from '../components/common/LoadingSpinner';
+
+const TABS = [
+  { value: 'bookmarks', label: 'Bookmarks', icon: Bookmark },
+  { value: 'lists', label: 'My Lists', icon: ListPlus },
+];
+
+const BookmarksTab = () => {
+  const [page, setPage] = useState(1);
+  const { data, isLoading, error } = useBookmarks({ page, limit: 12 });
+
+  if (isLoading) {
+    return <PageLoader />;
+  }
+
+  if (error) {
+    return <p className="text-center text-red-500 py-12">Error loading bookmarks</p>;
+  }
+
+  const blogs = data?.blogs || [];
+  const pagination = data?.pagination;
+
+  if (blogs.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <Bookmark className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+          No bookmarks yet
+        </h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-6">
+          Bookmark posts to find them here later
+        </p>
+        <Link to="/blogs" className="btn-primary">
+          Browse Blogs
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+        {blogs.map((blog, index) => (
+          <BlogCard key={blog.id} blog={blog} index={index} />
+        ))}
+      </div>
+
+      {pagination?.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-8">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600 dark:text-gray-400">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasNextPage}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+const ListsTab = () => {
+  const { data: readingLists = [], isLoading, error } = useReadingLists();
+  const createReadingList = useCreateReadingList();
+  const deleteReadingList = useDeleteReadingList();
+  const [form, setForm] = useState({ name: '', description: '', isPublic: false });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    try {
+      await createReadingList.mutateAsync({
+        name: form.name.trim(),
+        description: form.description.trim() || undefined,
+        isPublic: form.isPublic,
+      });
+      setForm({ name: '', description: '', isPublic: false });
+    } catch (error) {
+      // Error toast is shown by the mutation
+    }
+  };
+
+  const handleDelete = (list) => {
+    if (window.confirm(`Delete the reading list "${list.name}"?`)) {
+      deleteReadingList.mutate(list.id);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Create List */}
+      <form onSubmit={handleCreate} className="card p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          New reading list
+        </h2>
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="List name"
+          maxLength={100}
+          className="input"
+        />
+        <textarea
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Description (optional)"
+          maxLength={500}
+          className="input h-20 resize-none"
+        />
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.isPublic}
+              onChange={(e) => setForm({ ...form, isPublic: e.target.checked })}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Public (anyone with the link can view)
+          </label>
+          <button
+            type="submit"
+            disabled={createReadingList.isPending || !form.name.trim()}
+            className="btn-primary inline-flex items-center gap-2 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Create List
+          </button>
+        </div>
+      </form>
+
+      {/* Lists */}
+      {isLoading ? (
+        <PageLoader />
+      ) : error ? (
+        <p className="text-center text-red-500 py-12">Error loading reading lists</p>
+      ) : readingLists.length === 0 ? (
+        <p className="text-center text-gray-600 dark:text-gray-400 py-8">
+          You haven't created any reading lists yet.
+        </p>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2">
+          {readingLists.map((list, index) => (
+            <motion.div
+              key={list.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.05 }}
+              className="card card-hover p-5 flex items-start gap-4"
+            >
+              <Link to={`/reading-lists/${list.id}`} className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 mb-1">
+                  {list.isPublic ? (
+                    <Globe className="w-4 h-4 text-gray-400" />
+                  ) : (
+                    <Lock className="w-4 h-4 text-gray-400" />
+                  )}
+                  <h3 className="font-semibold text-gray-900 dark:text-white truncate">
+                    {list.name}
+                  </h3>
+                </div>
+                {list.description && (
+                  <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-2 mb-2">
+                    {list.description}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {list.itemCount} {list.itemCount === 1 ? 'post' : 'posts'} · Updated{' '}
+                  {formatDistanceToNow(new Date(list.updatedAt), { addSuffix: true })}
+                </p>
+              </Link>
+              <button
+                onClick={() => handleDelete(list)}
+                disabled={deleteReadingList.isPending}
+                className="p-2 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                title="Delete list"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ReadingListsPage = () => {
+  const [activeTab, setActiveTab] = useState('bookmarks');
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Reading Lists
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Your bookmarked posts and curated collections
+          </p>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6">
+          {TABS.map((tab) => {
+            const Icon = tab.icon;
+            return (
+              <button
+                key={tab.value}
+                onClick={() => setActiveTab(tab.value)}
+                className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors inline-flex items-center gap-2 ${
+                  activeTab === tab.value
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {tab.label}
+              </button>
+            );
+          })}
+        </div>
+
+        {activeTab === 'bookmarks' ? <BookmarksTab /> : <ListsTab />}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingListsPage;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { authAPI } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
+import { PageLoader } from '../components/common/LoadingSpinner';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, isAuthenticated, setUser } = useAuthStore();
+
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [error, setError] = useState(null);
+  // Tokens are single-use, so never send the same one twice
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (attempted.current) return;
+    attempted.current = true;
+
+    const verify = async () => {
+      if (!token) {
+        setError('This verification link is incomplete.');
+        setIsVerifying(false);
+        return;
+      }
+
+      try {
+        const response = await authAPI.verifyEmail(token);
+        // Unlock the signed-in account without waiting for the next profile fetch
+        if (user && response.data.user.id === user.id) {
+          setUser(response.data.user);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'This verification link is invalid or has expired.');
+      } finally {
+        setIsVerifying(false);
+      }
+    };
+
+    verify();
+  }, [token, user, setUser]);
+
+  if (isVerifying) {
+    return <PageLoader />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 px-4 py-12">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        {error ? (
+          <div className="card p-8 text-center">
+            <div className="w-16 h-16 mx-auto mb-6 rounded-full bg-red-100 dark:bg-red-900/30 flex items-center justify-center">
+              <XCircle className="w-8 h-8 text-red-600 dark:text-red-400" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+              Verification Failed
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
+              {error} {isAuthenticated
+                ? 'You can request a new link from the banner at the top of the page.'
+                : 'Log in to request a new link.'}
+            </p>
+            <Link to={isAuthenticated ? '/blogs' : '/login'} className="block w-full btn-primary text-center">
+              {isAuthenticated ? 'Continue' : 'Go to Login'}
+            </Link>
+          </div>
+        ) : (
+          <div className="card p-8 text-center">
+            <div className="w-16 h-16 mx-auto mb-6 rounded-full bg-green-100 dark:bg-green-900/30 flex items-center justify-center">
+              <CheckCircle className="w-8 h-8 text-green-600 dark:text-green-400" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+              Email Verified!
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
+              Thanks for confirming your email address. You can now publish posts and use the AI tools.
+            </p>
+            <Link to={isAuthenticated ? '/create' : '/login'} className="block w-full btn-primary text-center">
+              {isAuthenticated ? 'Write a Post' : 'Go to Login'}
+            </Link>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
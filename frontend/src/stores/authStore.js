@@ -1,8 +1,21 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
-import { authAPI } from '../lib/api';
+import { authAPI, onTokenRefresh } from '../lib/api';
 import toast from 'react-hot-toast';
 
+// The access token expires quickly; lib/api.js renews it with the refresh token
+const saveTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
 export const useAuthStore = create(
   persist(
     (set, get) => ({
@@ -24,10 +37,12 @@ export const useAuthStore = create(
         set({ isLoading: true, error: null });
         try {
           const response = await authAPI.register(userData);
-          const { token, user } = response.data;
-          localStorage.setItem('token', token);
+          const { token, refreshToken, user, verificationEmailSent } = response.data;
+          saveTokens(token, refreshToken);
           set({ user, token, isAuthenticated: true, isLoading: false });
-          toast.success('Registration successful!');
+          toast.success(verificationEmailSent
+            ? 'Registration successful! Check your inbox to verify your email.'
+            : 'Registration successful!');
           return { success: true };
         } catch (error) {
           const message = error.response?.data?.message || 'Registration failed';
@@ -41,33 +56,88 @@ export const useAuthStore = create(
         set({ isLoading: true, error: null });
         try {
           const response = await authAPI.login(credentials);
-          const { token, user } = response.data;
-          localStorage.setItem('token', token);
+          // The password was right, but the account also needs a code
+          if (response.data.twoFactorRequired) {
+            set({ isLoading: false });
+            return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+          }
+          const { token, refreshToken, user, deletionCancelled } = response.data;
+          saveTokens(token, refreshToken);
           set({ user, token, isAuthenticated: true, isLoading: false });
-          toast.success('Welcome back!');
+          toast.success(deletionCancelled ? 'Welcome back! Your account deletion has been cancelled.' : 'Welcome back!');
           return { success: true };
         } catch (error) {
           const message = error.response?.data?.message || 'Login failed';
           set({ error: message, isLoading: false });
           toast.error(message);
+          return { success: false, error: message, locked: error.response?.data?.error === 'ACCOUNT_LOCKED' };
+        }
+      },
+
+      loginWithMagicLink: async (token) => {
+        set({ isLoading: true, error: null });
+        try {
+          const response = await authAPI.verifyMagicLink(token);
+          // The link replaces the password; accounts with 2FA still need a code
+          if (response.data.twoFactorRequired) {
+            set({ isLoading: false });
+            return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+          }
+          const { token: accessToken, refreshToken, user, deletionCancelled } = response.data;
+          saveTokens(accessToken, refreshToken);
+          set({ user, token: accessToken, isAuthenticated: true, isLoading: false });
+          toast.success(deletionCancelled ? 'Welcome back! Your account deletion has been cancelled.' : 'Welcome back!');
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.message || 'This sign-in link is invalid or has expired.';
+          set({ error: message, isLoading: false });
           return { success: false, error: message };
         }
       },
 
+      completeTwoFactorLogin: async (data) => {
+        set({ isLoading: true, error: null });
+        try {
+          const response = await authAPI.loginTwoFactor(data);
+          const { token, refreshToken, user, deletionCancelled, recoveryCodesRemaining } = response.data;
+          saveTokens(token, refreshToken);
+          set({ user, token, isAuthenticated: true, isLoading: false });
+          toast.success(deletionCancelled ? 'Welcome back! Your account deletion has been cancelled.' : 'Welcome back!');
+          if (recoveryCodesRemaining !== undefined) {
+            toast(`You have ${recoveryCodesRemaining} recovery codes left.`, { duration: 6000 });
+          }
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.message || 'Verification failed';
+          set({ error: message, isLoading: false });
+          toast.error(message);
+          const code = error.response?.data?.error;
+          return { success: false, error: message, expired: code === 'CHALLENGE_EXPIRED', locked: code === 'ACCOUNT_LOCKED' };
+        }
+      },
+
       loginWithGoogle: () => {
         window.location.href = authAPI.googleAuthUrl();
       },
 
-      handleOAuthCallback: (token) => {
-        if (token) {
-          localStorage.setItem('token', token);
-          set({ token, isAuthenticated: true });
-          // Fetch user data
-          get().fetchUser();
-          toast.success('Google login successful!');
-          return true;
+      handleOAuthCallback: async (code) => {
+        try {
+          // The callback URL only carries a one-time code; trade it for the tokens
+          const response = await authAPI.exchangeGoogleCode(code);
+          // Google replaces the password; accounts with 2FA still need a code
+          if (response.data.twoFactorRequired) {
+            return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+          }
+          const { token, refreshToken, user, deletionCancelled } = response.data;
+          saveTokens(token, refreshToken);
+          set({ user, token, isAuthenticated: true });
+          toast.success(deletionCancelled
+            ? 'Google login successful! Your account deletion has been cancelled.'
+            : 'Google login successful!');
+          return { success: true };
+        } catch (error) {
+          return { success: false };
         }
-        return false;
       },
 
       fetchUser: async () => {
@@ -117,12 +187,49 @@ export const useAuthStore = create(
         }
       },
 
-      logout: () => {
-        localStorage.removeItem('token');
+      // Schedules the account for deletion; the server signs the account out everywhere
+      deleteAccount: async (data) => {
+        set({ isLoading: true, error: null });
+        try {
+          const response = await authAPI.deleteAccount(data);
+          clearTokens();
+          set({ user: null, token: null, isAuthenticated: false, isLoading: false });
+          toast.success(response.data.message, { duration: 8000 });
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.message || 'Account deletion failed';
+          set({ error: message, isLoading: false });
+          toast.error(message);
+          return { success: false, error: message };
+        }
+      },
+
+      logout: async () => {
+        try {
+          // Revoke this device's session so its refresh token stops working
+          await authAPI.logout();
+        } catch (error) {
+          // Logging out locally is enough if the session is already gone
+        }
+        clearTokens();
         set({ user: null, token: null, isAuthenticated: false, error: null });
         toast.success('Logged out successfully');
       },
 
+      logoutAll: async () => {
+        try {
+          await authAPI.logoutAll();
+          clearTokens();
+          set({ user: null, token: null, isAuthenticated: false, error: null });
+          toast.success('Logged out of all devices');
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.message || 'Failed to log out of all devices';
+          toast.error(message);
+          return { success: false, error: message };
+        }
+      },
+
       clearError: () => set({ error: null }),
     }),
     {
@@ -131,3 +238,6 @@ export const useAuthStore = create(
     }
   )
 );
+
+// Tokens renewed by the API client replace the stored one
+onTokenRefresh((token) => useAuthStore.setState({ token }));